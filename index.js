@@ -36,15 +36,18 @@ const Klay = require('./packages/caver-klay')
 const Account = require('./packages/caver-account')
 const KeyringContainer = require('./packages/caver-wallet')
 const Keyring = require('./packages/caver-wallet/src/keyring/keyringFactory')
+const KeystoreStorage = require('./packages/caver-wallet/src/keystoreStorage')
 const Transaction = require('./packages/caver-transaction')
 const RPC = require('./packages/caver-rpc')
 const abi = require('./packages/caver-abi')
 const BaseContract = require('./packages/caver-contract')
 const KCT = require('./packages/caver-kct')
+const Validator = require('./packages/caver-validator')
+const anchoring = require('./packages/caver-anchoring')
+const Devnet = require('./packages/caver-devnet')
 
 const core = require('./packages/caver-core')
 const Method = require('./packages/caver-core-method')
-const middleware = require('./packages/caver-middleware')
 const utils = require('./packages/caver-utils')
 const formatters = require('./packages/caver-core-helpers').formatters
 const helpers = require('./packages/caver-core-helpers')
@@ -56,10 +59,16 @@ const { version } = require('./package.json')
 function Caver(provider, net) {
     const _this = this
 
-    this.use = middleware.registerMiddleware.bind(middleware)
     // sets _requestmanager etc
     packageInit(this, [provider, net])
 
+    // middleware is registered to the request manager of this instance
+    this.use = middleware => this._requestManager.middleware.registerMiddleware(middleware)
+    Object.defineProperty(this, 'middleware', {
+        get: () => this._requestManager.middleware,
+        enumerable: true,
+    })
+
     this.version = version
     this.utils = utils
     this.abi = abi
@@ -70,6 +79,7 @@ function Caver(provider, net) {
     this.account = Account
     this.wallet = new KeyringContainer()
     this.wallet.keyring = Keyring
+    this.wallet.keystoreStorage = KeystoreStorage
 
     this.transaction = Transaction
 
@@ -77,7 +87,9 @@ function Caver(provider, net) {
     this.kct = new KCT(this)
     this.klay = new Klay(this)
     this.rpc = new RPC(this)
-    this.middleware = middleware
+    this.validator = new Validator(this.rpc.klay)
+    this.anchoring = anchoring
+    this.devnet = Devnet
 
     this.ipfs = new IPFS()
 
@@ -123,6 +135,7 @@ function Caver(provider, net) {
 Caver.utils = utils
 Caver.abi = abi
 Caver.providers = providers
+Caver.devnet = Devnet
 
 module.exports = Caver
 module.exports.formatters = formatters
@@ -467,6 +467,37 @@ ABICoder.prototype.decodeLog = function(inputs, data, topics) {
     return returnValue
 }
 
+/**
+ * Decodes the revert data returned from the reverted transaction or call.
+ * `Error(string)`, `Panic(uint256)` and custom errors defined in the json interface are decoded.
+ *
+ * @method decodeRevertData
+ * @param {String} data The revert data.
+ * @param {Array} [jsonInterface] The json interface which defines custom errors.
+ * @return {Object|undefined} `{ reason }` for `Error(string)`, `{ panicCode }` for `Panic(uint256)` and `{ name, args }` for custom errors.
+ *                            undefined if the revert data cannot be decoded.
+ */
+ABICoder.prototype.decodeRevertData = function(data, jsonInterface = []) {
+    if (!_.isString(data) || data.length < 10) return undefined
+
+    const selector = data.slice(0, 10).toLowerCase()
+    const params = `0x${data.slice(10)}`
+    try {
+        if (selector === this.encodeFunctionSignature('Error(string)')) return { reason: this.decodeParameter('string', params) }
+        if (selector === this.encodeFunctionSignature('Panic(uint256)'))
+            return { panicCode: Number(this.decodeParameter('uint256', params)) }
+
+        const error = _.find(jsonInterface, item => item.type === 'error' && this.encodeFunctionSignature(item) === selector)
+        if (!error) return undefined
+
+        const inputs = error.inputs || []
+        const decoded = this.decodeParameters(inputs, params)
+        return { name: error.name, args: inputs.map((input, i) => ({ name: input.name, type: input.type, value: decoded[i] })) }
+    } catch (e) {
+        return undefined
+    }
+}
+
 const coder = new ABICoder()
 
 module.exports = coder
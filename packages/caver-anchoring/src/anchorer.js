@@ -0,0 +1,436 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const _ = require('lodash')
+const fs = require('fs')
+const EventEmitter = require('eventemitter3')
+const utils = require('../../caver-utils')
+const AnchoringData = require('../../caver-transaction/src/anchoringData/anchoringData')
+const ChainDataAnchoring = require('../../caver-transaction/src/transactionTypes/chainDataAnchoring/chainDataAnchoring')
+const FeeDelegatedChainDataAnchoring = require('../../caver-transaction/src/transactionTypes/chainDataAnchoring/feeDelegatedChainDataAnchoring')
+const FeeDelegatedChainDataAnchoringWithRatio = require('../../caver-transaction/src/transactionTypes/chainDataAnchoring/feeDelegatedChainDataAnchoringWithRatio')
+const GasEstimator = require('../../caver-transaction/src/gasEstimator/gasEstimator')
+const NonceManager = require('../../caver-transaction/src/nonceManager/nonceManager')
+
+const nonceManager = NonceManager.instance
+
+const DEFAULT_POLLING_INTERVAL = 1000 // 1s, the average block time of Klaytn
+const DEFAULT_RETRY = 3
+const DEFAULT_RETRY_DELAY = 3000
+const DEFAULT_CONCURRENCY = 10
+const RECEIPT_POLLING_COUNT = 60
+
+/**
+ * Representing a class which anchors the block data of a child chain(service chain) to a parent chain periodically.
+ * The Anchorer watches new blocks of the child chain, aggregates every `interval` blocks into an anchoring data,
+ * and sends a chain data anchoring transaction to the parent chain.
+ *
+ * The Anchorer emits the events below.
+ * - `anchored`: `{ fromBlock, toBlock, anchoringData, transactionHash, receipt }` is emitted when an anchoring transaction is included in a block.
+ * - `retry`: `{ fromBlock, toBlock, attempt, error }` is emitted when a failed submission is retried.
+ * - `error`: The error is emitted when a submission fails after all retries or the block data cannot be fetched.
+ *   The blocks are anchored again when the next block of the child chain is received.
+ *
+ * @example
+ * const anchorer = new caver.anchoring.Anchorer({
+ *     child: childCaver,
+ *     parent: parentCaver,
+ *     keyring: '0x{operator address in parentCaver.wallet}',
+ *     interval: 10,
+ *     storage: './anchorer.json',
+ * })
+ * anchorer.on('anchored', ({ toBlock, transactionHash }) => console.log(toBlock, transactionHash))
+ * await anchorer.start()
+ *
+ * @class
+ */
+class Anchorer extends EventEmitter {
+    /**
+     * Creates an anchorer.
+     *
+     * @constructor
+     * @param {object} options - The options of the anchorer.
+     * @param {Caver} options.child - The Caver instance connected to the child chain to anchor.
+     * @param {Caver} options.parent - The Caver instance connected to the parent chain where the anchoring transactions are sent.
+     * @param {string|SingleKeyring|MultipleKeyring|RoleBasedKeyring} options.keyring - The keyring of the operator, or the address of the keyring in the wallet of the parent Caver.
+     * @param {string|SingleKeyring|MultipleKeyring|RoleBasedKeyring} [options.feePayer] - The keyring of the fee payer, or the address of the keyring in the wallet of the parent Caver.
+     *                                                                                     If defined, fee delegated chain data anchoring transactions are sent.
+     * @param {number} [options.feeRatio] - The fee ratio of the fee payer. If defined with `feePayer`, partial fee delegated transactions are sent.
+     * @param {number} [options.interval] - The number of blocks to aggregate into one anchoring data. The default value is 1.
+     * @param {number} [options.startBlock] - The first block to anchor when there is no persisted block. The default is the block after the current block.
+     * @param {string|object} [options.storage] - The file path to persist the last anchored block, or an object which has `load()` and `save(blockNumber)`.
+     *                                           If not defined, the last anchored block is kept in memory.
+     * @param {boolean} [options.subscribe] - If true, new blocks are received via the `newBlockHeaders` subscription. Otherwise `getBlockNumber` is polled.
+     * @param {number} [options.pollingInterval] - The interval(ms) to poll the block number of the child chain. The default value is 1000.
+     * @param {number} [options.retry] - The number of times to retry a failed submission. The default value is 3.
+     * @param {number} [options.retryDelay] - The delay(ms) between retries. The default value is 3000.
+     * @param {number} [options.concurrency] - The maximum number of blocks of the child chain requested at the same time. The default value is 10.
+     * @param {number} [options.anchoringVersion] - The version of the anchoring data. The default value is 1.
+     * @param {string|number} [options.gas] - The gas of the anchoring transaction. If not defined, the gas is estimated with `caver.transaction.gasEstimator`.
+     * @param {string|number} [options.gasPrice] - The gas price of the anchoring transaction. If not defined, the gas price of the parent chain is used.
+     */
+    constructor(options = {}) {
+        super()
+
+        if (!options.child || !options.child.rpc) throw new Error(`Invalid child: the Caver instance of the child chain should be defined.`)
+        if (!options.parent || !options.parent.rpc)
+            throw new Error(`Invalid parent: the Caver instance of the parent chain should be defined.`)
+        if (!options.keyring) throw new Error(`Invalid keyring: the keyring of the operator should be defined.`)
+
+        const interval = options.interval === undefined ? 1 : options.interval
+        if (!_.isInteger(interval) || interval < 1)
+            throw new Error(`Invalid interval: ${interval}. The interval should be a positive integer.`)
+        if (options.feeRatio !== undefined && !options.feePayer) throw new Error(`To use feeRatio, feePayer should be defined.`)
+        const concurrency = options.concurrency === undefined ? DEFAULT_CONCURRENCY : options.concurrency
+        if (!_.isInteger(concurrency) || concurrency < 1)
+            throw new Error(`Invalid concurrency: ${concurrency}. The concurrency should be a positive integer.`)
+
+        this.child = options.child
+        this.parent = options.parent
+        this.keyring = options.keyring
+        this.feePayer = options.feePayer
+        this.feeRatio = options.feeRatio
+        this.interval = interval
+        this.startBlock = options.startBlock
+        this.storage = createStorage(options.storage)
+        this.subscribe = !!options.subscribe
+        this.pollingInterval = options.pollingInterval || DEFAULT_POLLING_INTERVAL
+        this.retry = options.retry === undefined ? DEFAULT_RETRY : options.retry
+        this.retryDelay = options.retryDelay === undefined ? DEFAULT_RETRY_DELAY : options.retryDelay
+        this.concurrency = concurrency
+        this.anchoringVersion = options.anchoringVersion
+        this.gas = options.gas
+        this.gasPrice = options.gasPrice
+
+        this._lastAnchoredBlock = undefined
+        this._latestBlock = undefined
+        this._isRunning = false
+        this._isAnchoring = false
+    }
+
+    /**
+     * The number of the last block anchored to the parent chain.
+     * @type {number|undefined}
+     */
+    get lastAnchoredBlock() {
+        return this._lastAnchoredBlock
+    }
+
+    /**
+     * Whether the anchorer is watching the child chain.
+     * @type {boolean}
+     */
+    get isRunning() {
+        return this._isRunning
+    }
+
+    /**
+     * Loads the last anchored block from the storage and starts watching new blocks of the child chain.
+     *
+     * @return {Promise<void>}
+     */
+    async start() {
+        if (this._isRunning) return
+        this._isRunning = true
+
+        try {
+            const persisted = await this.storage.load()
+            if (persisted !== undefined && persisted !== null) {
+                this._lastAnchoredBlock = utils.hexToNumber(persisted)
+            } else if (this.startBlock !== undefined) {
+                this._lastAnchoredBlock = utils.hexToNumber(this.startBlock) - 1
+            } else {
+                this._lastAnchoredBlock = utils.hexToNumber(await this.child.rpc.klay.getBlockNumber())
+            }
+        } catch (e) {
+            this._isRunning = false
+            throw e
+        }
+
+        if (this.subscribe) {
+            this._subscription = this.child.rpc.klay.subscribe('newBlockHeaders', (err, header) => {
+                if (err) return this.emit('error', err)
+                this._onNewBlock(header.number)
+            })
+        } else {
+            const poll = () =>
+                this.child.rpc.klay
+                    .getBlockNumber()
+                    .then(blockNumber => this._onNewBlock(blockNumber))
+                    .catch(err => this.emit('error', err))
+            poll()
+            this._pollingId = setInterval(poll, this.pollingInterval)
+        }
+    }
+
+    /**
+     * Stops watching new blocks of the child chain.
+     * The anchoring transaction which is already sent is not cancelled.
+     */
+    stop() {
+        this._isRunning = false
+        if (this._pollingId !== undefined) clearInterval(this._pollingId)
+        if (this._subscription && _.isFunction(this._subscription.unsubscribe)) this._subscription.unsubscribe()
+        this._pollingId = undefined
+        this._subscription = undefined
+    }
+
+    /**
+     * Builds the anchoring data of the blocks from `fromBlock` to `toBlock` of the child chain.
+     * The hashes and the block number of `toBlock` are anchored with the number of blocks and transactions in the range.
+     * The blocks are requested `concurrency` blocks at a time.
+     *
+     * @param {number} fromBlock - The first block to aggregate.
+     * @param {number} toBlock - The last block to aggregate.
+     * @return {Promise<string>} The RLP-encoded anchoring data.
+     */
+    async buildAnchoringData(fromBlock, toBlock) {
+        fromBlock = utils.hexToNumber(fromBlock)
+        toBlock = utils.hexToNumber(toBlock)
+        if (fromBlock > toBlock)
+            throw new Error(`Invalid block range: fromBlock(${fromBlock}) should not be greater than toBlock(${toBlock}).`)
+
+        const blockNumbers = _.range(fromBlock, toBlock + 1)
+        const blocks = []
+        for (const chunk of _.chunk(blockNumbers, this.concurrency)) {
+            blocks.push(...(await Promise.all(chunk.map(n => this.child.rpc.klay.getBlockByNumber(n, false)))))
+        }
+        const last = blocks[blocks.length - 1]
+        if (!last) throw new Error(`Failed to get the block(${toBlock}) of the child chain.`)
+
+        const blockData = {
+            blockHash: last.hash,
+            txHash: last.transactionsRoot,
+            parentHash: last.parentHash,
+            receiptHash: last.receiptsRoot,
+            stateRootHash: last.stateRoot,
+            blockNumber: toBlock,
+        }
+        if (this.anchoringVersion !== AnchoringData.VERSION.legacy) {
+            blockData.blockCount = blockNumbers.length
+            blockData.txCount = blocks.reduce((count, block) => count + (block && block.transactions ? block.transactions.length : 0), 0)
+        }
+        return AnchoringData.encode(blockData, { version: this.anchoringVersion })
+    }
+
+    /**
+     * Anchors the blocks from `fromBlock` to `toBlock` of the child chain to the parent chain.
+     * A failed submission is retried `retry` times, and the last anchored block is persisted when the transaction is included in a block.
+     * If the transaction accepted by the parent chain is not included in a block, the same transaction is sent again with the same nonce,
+     * so the retry is not queued behind the pending transaction.
+     * If the nonce of the transaction is used by another transaction, the retry creates a new transaction with a new nonce.
+     *
+     * @param {number} fromBlock - The first block to anchor.
+     * @param {number} toBlock - The last block to anchor.
+     * @return {Promise<object>} The receipt of the anchoring transaction.
+     */
+    async anchor(fromBlock, toBlock) {
+        fromBlock = utils.hexToNumber(fromBlock)
+        toBlock = utils.hexToNumber(toBlock)
+        const anchoringData = await this.buildAnchoringData(fromBlock, toBlock)
+
+        let receipt
+        // The transaction of the last attempt which is accepted by the parent chain.
+        const last = { accepted: undefined }
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const tx =
+                    last.accepted !== undefined && !(await this._getReceipt(last.accepted))
+                        ? last.accepted
+                        : await this._createTransaction(anchoringData)
+                last.accepted = undefined
+                receipt = await this._send(tx, () => {
+                    last.accepted = tx
+                })
+                break
+            } catch (error) {
+                if (attempt >= this.retry) throw error
+                this.emit('retry', { fromBlock, toBlock, attempt: attempt + 1, error })
+                await sleep(this.retryDelay)
+            }
+        }
+
+        this._lastAnchoredBlock = Math.max(this._lastAnchoredBlock || 0, toBlock)
+        await this.storage.save(this._lastAnchoredBlock)
+        this.emit('anchored', { fromBlock, toBlock, anchoringData, transactionHash: receipt.transactionHash, receipt })
+        return receipt
+    }
+
+    /**
+     * Anchors every `interval` blocks until the latest block of the child chain.
+     * Only one anchoring runs at a time, and the new block received during the anchoring is handled after it.
+     *
+     * @ignore
+     * @param {number|string} blockNumber - The number of the new block.
+     * @return {Promise<void>}
+     */
+    async _onNewBlock(blockNumber) {
+        this._latestBlock = Math.max(this._latestBlock || 0, utils.hexToNumber(blockNumber))
+        if (this._isAnchoring) return
+        this._isAnchoring = true
+
+        try {
+            while (this._isRunning && this._latestBlock - this._lastAnchoredBlock >= this.interval) {
+                const fromBlock = this._lastAnchoredBlock + 1
+                await this.anchor(fromBlock, fromBlock + this.interval - 1)
+            }
+        } catch (e) {
+            this.emit('error', e)
+        } finally {
+            this._isAnchoring = false
+        }
+    }
+
+    /**
+     * Creates and signs a chain data anchoring transaction with a new nonce.
+     * The fields of the transaction are filled with `parent.rpc.klay`,
+     * because the static `_klaytnCall` of the transaction classes can be connected to the child chain.
+     *
+     * @ignore
+     * @param {string} anchoringData - The RLP-encoded anchoring data.
+     * @return {Promise<AbstractTransaction>}
+     */
+    async _createTransaction(anchoringData) {
+        const klay = this.parent.rpc.klay
+        const from = getAddress(this.keyring)
+
+        if (this._parentChainId === undefined) this._parentChainId = utils.toHex(await klay.getChainId())
+        const chainId = this._parentChainId
+        const gasPrice = this.gasPrice !== undefined ? this.gasPrice : await klay.getGasPrice()
+        const nonce = await nonceManager.reserve(from, chainId, () => klay.getTransactionCount(from, 'pending'))
+
+        try {
+            const txObject = { from, input: anchoringData, gasPrice, nonce, chainId }
+            let tx
+            if (!this.feePayer) {
+                tx = new ChainDataAnchoring(txObject)
+            } else if (this.feeRatio === undefined) {
+                tx = new FeeDelegatedChainDataAnchoring(Object.assign(txObject, { feePayer: getAddress(this.feePayer) }))
+            } else {
+                tx = new FeeDelegatedChainDataAnchoringWithRatio(
+                    Object.assign(txObject, { feePayer: getAddress(this.feePayer), feeRatio: this.feeRatio })
+                )
+            }
+            tx.gas = this.gas !== undefined ? this.gas : await GasEstimator.estimate(tx, klay)
+
+            if (_.isString(this.keyring)) {
+                await this.parent.wallet.sign(this.keyring, tx)
+            } else {
+                await tx.sign(this.keyring)
+            }
+            if (_.isString(this.feePayer)) {
+                await this.parent.wallet.signAsFeePayer(this.feePayer, tx)
+            } else if (this.feePayer) {
+                await tx.signAsFeePayer(this.feePayer)
+            }
+            return tx
+        } catch (e) {
+            nonceManager.release(from, chainId, nonce)
+            throw e
+        }
+    }
+
+    /**
+     * Sends the signed transaction to the parent chain, and returns the receipt.
+     * The reserved nonce is confirmed or released by `sendRawTransaction`.
+     * If the transaction sent again is already known to the parent chain, the receipt is polled.
+     * If the nonce is too low and the transaction is not included in a block, the nonce is used by another transaction,
+     * so the nonce is resynchronized and an error is thrown to create a new transaction.
+     *
+     * @ignore
+     * @param {AbstractTransaction} tx - The signed transaction to send.
+     * @param {function} onAccepted - The function called when the parent chain accepts the transaction.
+     * @return {Promise<object>}
+     */
+    async _send(tx, onAccepted) {
+        try {
+            return await this.parent.rpc.klay.sendRawTransaction(tx.getRLPEncoding(), err => {
+                if (!err) onAccepted()
+            })
+        } catch (e) {
+            if (!NonceManager.isNonceError(e)) throw e
+            if (!e.message.toLowerCase().includes('known transaction')) {
+                const receipt = await this._getReceipt(tx)
+                if (receipt) return checkReceipt(receipt)
+                nonceManager.resync(tx.from, this._parentChainId)
+                throw new Error(`The nonce(${tx.nonce}) of the anchoring transaction is used by another transaction: ${e.message}`)
+            }
+        }
+
+        onAccepted()
+        for (let count = 0; count < RECEIPT_POLLING_COUNT; count++) {
+            const receipt = await this._getReceipt(tx)
+            if (receipt) return checkReceipt(receipt)
+            await sleep(this.pollingInterval)
+        }
+        throw new Error(`The anchoring transaction(${tx.getTransactionHash()}) was not included in a block.`)
+    }
+
+    /**
+     * Returns the receipt of the transaction from the parent chain, or null if the transaction is not included in a block.
+     *
+     * @ignore
+     * @param {AbstractTransaction} tx - The transaction to get the receipt.
+     * @return {Promise<object|null>}
+     */
+    _getReceipt(tx) {
+        return this.parent.rpc.klay.getTransactionReceipt(tx.getTransactionHash())
+    }
+}
+
+function checkReceipt(receipt) {
+    if (receipt.status === false || receipt.status === '0x0')
+        throw new Error(`The anchoring transaction(${receipt.transactionHash}) failed: ${JSON.stringify(receipt)}`)
+    return receipt
+}
+
+function getAddress(keyring) {
+    return _.isString(keyring) ? keyring : keyring.address
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+function createStorage(storage) {
+    if (storage === undefined) {
+        let lastAnchoredBlock
+        return {
+            load: () => lastAnchoredBlock,
+            save: blockNumber => {
+                lastAnchoredBlock = blockNumber
+            },
+        }
+    }
+
+    if (_.isString(storage)) {
+        return {
+            load: () => {
+                if (!fs.existsSync(storage)) return undefined
+                return JSON.parse(fs.readFileSync(storage, 'utf8')).lastAnchoredBlock
+            },
+            save: blockNumber => fs.writeFileSync(storage, JSON.stringify({ lastAnchoredBlock: blockNumber })),
+        }
+    }
+
+    if (!_.isFunction(storage.load) || !_.isFunction(storage.save))
+        throw new Error(`Invalid storage: the storage should be a file path or an object which has load and save functions.`)
+    return storage
+}
+
+module.exports = Anchorer
@@ -0,0 +1,106 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const _ = require('lodash')
+const abi = require('../../caver-abi')
+const utils = require('../../caver-utils')
+
+/**
+ * Representing a class which decodes call frames traced with `callTracer` with the ABIs of contracts.
+ * @class
+ */
+class CallTraceDecoder {
+    /**
+     * Decodes the call frame and its nested call frames recursively.
+     * The input, the output and the revert data of each call frame are decoded with the ABI registered with the address of the callee.
+     * If the callee is not registered, the ABI which has a function matched with the selector of the input is used.
+     *
+     * @param {object} frame - The call frame formatted with `caver.rpc.debug`.
+     * @param {object} [registry] - An object which maps addresses of contracts to their ABIs.
+     * @param {Array.<Array>} [jsonInterfaces] - The ABIs to use for the contracts which are not registered.
+     * @return {object}
+     */
+    static decode(frame, registry = {}, jsonInterfaces = []) {
+        jsonInterfaces = _.uniq([...jsonInterfaces, ..._.values(registry)])
+        const normalized = _.mapKeys(registry, (v, address) => address.toLowerCase())
+        return decodeFrame(frame, normalized, jsonInterfaces)
+    }
+}
+
+function decodeFrame(frame, registry, jsonInterfaces) {
+    const contract = frame.to
+    const input = frame.input || '0x'
+    const isCreation = frame.type === 'CREATE' || frame.type === 'CREATE2'
+    const ownInterface = contract !== undefined ? registry[contract.toLowerCase()] : undefined
+
+    const decoded = {
+        type: frame.type,
+        from: frame.from,
+        contract,
+        value: frame.value,
+        gasUsed: frame.gasUsed,
+    }
+
+    if (isCreation) {
+        decoded.method = 'constructor'
+    } else if (input.length >= 10) {
+        const selector = input.slice(0, 10).toLowerCase()
+        const method =
+            findBySelector(ownInterface ? [ownInterface] : [], 'function', selector) || findBySelector(jsonInterfaces, 'function', selector)
+        if (method) {
+            decoded.method = method.name
+            decoded.signature = utils._jsonInterfaceMethodToString(method)
+            decoded.args = tryDecodeArgs(method.inputs, `0x${input.slice(10)}`)
+            if (!frame.error && frame.output && frame.output !== '0x') decoded.returnValues = tryDecodeArgs(method.outputs, frame.output)
+        } else {
+            decoded.selector = selector
+        }
+    }
+
+    if (frame.error) {
+        const candidates = ownInterface ? [ownInterface, ...jsonInterfaces] : jsonInterfaces
+        decoded.error = Object.assign({ message: frame.error }, abi.decodeRevertData(frame.output, _.flatten(candidates)))
+    }
+
+    decoded.calls = (frame.calls || []).map(call => decodeFrame(call, registry, jsonInterfaces))
+    return _.omitBy(decoded, _.isUndefined)
+}
+
+function findBySelector(jsonInterfaces, type, selector) {
+    for (const jsonInterface of jsonInterfaces) {
+        const found = _.find(jsonInterface, item => item.type === type && abi.encodeFunctionSignature(item) === selector)
+        if (found) return found
+    }
+    return undefined
+}
+
+function decodeArgs(inputs = [], params) {
+    const decoded = abi.decodeParameters(inputs, params)
+    return inputs.map((input, i) => ({ name: input.name, type: input.type, value: decoded[i] }))
+}
+
+// The data which does not match with the ABI is not decoded, e.g., the call to the fallback function with the same selector.
+function tryDecodeArgs(inputs, params) {
+    try {
+        return decodeArgs(inputs, params)
+    } catch (e) {
+        return undefined
+    }
+}
+
+module.exports = CallTraceDecoder
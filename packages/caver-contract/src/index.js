@@ -38,10 +38,16 @@ const utils = require('../../caver-utils')
 const Subscription = require('../../caver-core-subscriptions').subscription
 const SmartContractDeploy = require('../../caver-transaction/src/transactionTypes/smartContractDeploy/smartContractDeploy')
 const SmartContractExecution = require('../../caver-transaction/src/transactionTypes/smartContractExecution/smartContractExecution')
+const FeeDelegatedSmartContractDeploy = require('../../caver-transaction/src/transactionTypes/smartContractDeploy/feeDelegatedSmartContractDeploy')
+const FeeDelegatedSmartContractDeployWithRatio = require('../../caver-transaction/src/transactionTypes/smartContractDeploy/feeDelegatedSmartContractDeployWithRatio')
+const FeeDelegatedSmartContractExecution = require('../../caver-transaction/src/transactionTypes/smartContractExecution/feeDelegatedSmartContractExecution')
+const FeeDelegatedSmartContractExecutionWithRatio = require('../../caver-transaction/src/transactionTypes/smartContractExecution/feeDelegatedSmartContractExecutionWithRatio')
 const KeyringContainer = require('../../caver-wallet')
 const { formatters } = require('../../caver-core-helpers')
 const { errors } = require('../../caver-core-helpers')
 const abi = require('../../caver-abi')
+const DebugRPC = require('../../caver-rpc/src/debug')
+const CallTraceDecoder = require('./callTraceDecoder')
 
 /**
  * Should be called to create new contract instance
@@ -59,6 +65,9 @@ const abi = require('../../caver-abi')
  *   gasPrice: '20000000000', // default gas price in wei, 20 gwei in this case
  *   data: '',(bytecode, when contract deploy)
  *   gas: 200000, (gas limit)
+ *   feeDelegation: true, (use fee delegated transaction when sending a transaction with caver.wallet)
+ *   feePayer: '0x1234567890123456789012345678901234567892', (default fee payer address)
+ *   feeRatio: 30, (use partial fee delegated transaction when defined)
  * });
  */
 const Contract = function Contract(jsonInterface, address, options) {
@@ -70,7 +79,9 @@ const Contract = function Contract(jsonInterface, address, options) {
     }
 
     // sets _requestmanager
-    core.packageInit(this, [this.constructor.currentProvider])
+    // The request manager of the Caver instance which created the contract class is shared to use its middleware.
+    const parent = this.constructor._requestManager ? this.constructor : this.constructor.currentProvider
+    core.packageInit(this, [parent])
 
     this.clearSubscriptions = this._requestManager.clearSubscriptions
 
@@ -363,6 +374,11 @@ Contract.prototype._getOrSetDefaultOptions = function getOrSetDefaultOptions(opt
     // TODO replace with only gasLimit?
     delete options.gasLimit
 
+    // Fee delegation options defined in the default options are used if not given.
+    ;['feeDelegation', 'feePayer', 'feeRatio'].forEach(key => {
+        if (options[key] === undefined && this.options[key] !== undefined) options[key] = this.options[key]
+    })
+
     return options
 }
 
@@ -844,6 +860,42 @@ Contract.prototype.getPastEvents = function() {
     return call(subOptions.params, subOptions.callback)
 }
 
+/**
+ * Traces the transaction with `callTracer` and decodes every nested call frame with the ABIs of contracts.
+ * The call frames to this contract are decoded with its json interface,
+ * and the call frames to other contracts are decoded with the ABIs in `options.abi`.
+ * The result is a tree of `{ type, from, contract, value, gasUsed, method, signature, args, returnValues, error, calls }`.
+ *
+ * @method trace
+ * @param {String} transactionHash The hash of the transaction to trace.
+ * @param {Object} [options] The options to use when tracing the transaction.
+ * @param {Object} [options.abi] An object which maps addresses of other contracts to their ABIs.
+ * @param {Number|String} [options.timeout] The timeout of the tracer.
+ * @return {Promise<Object>} The decoded call trace.
+ *
+ * const trace = await myContract.trace('0x{transaction hash}', { abi: { '0x{token address}': kip7Abi } })
+ * > {
+ *     type: 'CALL',
+ *     from: '0xb3c6f9f3e05ba26fcb54a2c5de34e6a5cafeda47',
+ *     contract: '0x7b65b75d204abed71587c9e519a89277766ee1d0',
+ *     value: '0',
+ *     gasUsed: 52334,
+ *     method: 'swap',
+ *     signature: 'swap(address,uint256)',
+ *     args: [{ name: 'token', type: 'address', value: '0x...' }, { name: 'amount', type: 'uint256', value: '100' }],
+ *     error: { message: 'execution reverted', reason: 'Insufficient balance' },
+ *     calls: [{ type: 'CALL', contract: '0x...', method: 'transferFrom', ... }]
+ *   }
+ */
+Contract.prototype.trace = async function trace(transactionHash, options = {}) {
+    const debug = new DebugRPC(this)
+    const frame = await debug.traceTransaction(transactionHash, { tracer: debug.tracer.callTracer, timeout: options.timeout })
+
+    const registry = Object.assign({}, options.abi)
+    if (this.options.address) registry[this.options.address] = this.options.jsonInterface
+    return CallTraceDecoder.decode(frame, registry, [this.options.jsonInterface])
+}
+
 /**
  * returns the an object with call, send, estimate functions
  *
@@ -1022,7 +1074,20 @@ Contract.prototype._executeMethod = async function _executeMethod() {
                 defaultBlock: _this._parent.defaultBlock,
             }).createFunction()
 
-            return call(args.options, args.defaultBlock, args.callback)
+            // Decode the revert data of the reverted call with the json interface of the contract.
+            const toRevertedError = err => {
+                if (!err || !_.isString(err.data)) return err
+                const decoded = abi.decodeRevertData(err.data, _this._parent.options.jsonInterface)
+                if (!decoded) return err
+                return errors.callReverted(err.message, Object.assign({ data: err.data }, decoded))
+            }
+            // The rejection is suppressed when the callback is defined, so the error is converted only in the callback.
+            if (_.isFunction(args.callback)) {
+                return call(args.options, args.defaultBlock, (err, result) => args.callback(toRevertedError(err), result))
+            }
+            return call(args.options, args.defaultBlock).catch(err => {
+                throw toRevertedError(err)
+            })
 
         case 'send':
             // return error, if no "from" is specified
@@ -1088,6 +1153,8 @@ Contract.prototype._executeMethod = async function _executeMethod() {
                     const newContract = _this._parent.clone(receipt.contractAddress)
                     return newContract
                 },
+                // The json interface is used to decode custom errors of the reverted transaction.
+                jsonInterface: _this._parent.options.jsonInterface,
             }
 
             const sendTransaction = new Method({
@@ -1105,7 +1172,7 @@ Contract.prototype._executeMethod = async function _executeMethod() {
             if (wallet) {
                 const isExisted = await wallet.isExisted(args.options.from)
                 if (!isExisted) {
-                    if (wallet instanceof KeyringContainer) {
+                    if (wallet instanceof KeyringContainer && !args.options.feeDelegation) {
                         return sendTransaction(args.options, args.callback)
                     }
                     throw new Error(`Failed to find ${args.options.from}. Please check that the corresponding account or keyring exists.`)
@@ -1121,16 +1188,33 @@ Contract.prototype._executeMethod = async function _executeMethod() {
                     extraFormatters,
                 }).createFunction()
 
-                let transaction
-                if (this._deployData !== undefined) {
-                    transaction = new SmartContractDeploy(args.options)
-                } else {
-                    transaction = new SmartContractExecution(args.options)
+                const transaction = createContractTransaction(args.options, this._deployData !== undefined)
+                await wallet.sign(transaction.from, transaction)
+
+                if (args.options.feeDelegation) {
+                    // If the fee payer's keyring does not exist in the wallet,
+                    // return the RLP-encoded transaction signed by the sender so that it can be signed by the fee payer outside.
+                    const feePayer = args.options.feePayer
+                    if (!feePayer || !(await wallet.isExisted(feePayer))) {
+                        const rawTransaction = transaction.getRLPEncoding()
+                        if (_.isFunction(args.callback)) args.callback(null, rawTransaction)
+                        return rawTransaction
+                    }
+                    await wallet.signAsFeePayer(feePayer, transaction)
                 }
 
-                return wallet.sign(transaction.from, transaction).then(signedTx => {
-                    return sendRawTransaction(signedTx.getRLPEncoding())
-                })
+                return sendRawTransaction(transaction.getRLPEncoding())
+            }
+
+            if (args.options.feeDelegation) {
+                return utils._fireError(
+                    new Error(
+                        `To send a fee delegated transaction, the keyring of the sender(${args.options.from}) should exist in caver.wallet.`
+                    ),
+                    defer.eventEmitter,
+                    defer.reject,
+                    args.callback
+                )
             }
 
             if (args.options.type === undefined) {
@@ -1154,4 +1238,27 @@ Contract.prototype._executeMethod = async function _executeMethod() {
     }
 }
 
+/**
+ * Creates a transaction instance to deploy or execute a smart contract.
+ * If `options.feeDelegation` is true, a fee delegated transaction is created,
+ * and a partial fee delegated transaction is created when `options.feeRatio` is also defined.
+ *
+ * @method createContractTransaction
+ * @param {Object} options The options to create a transaction instance.
+ * @param {Boolean} isDeploy Whether the transaction deploys a smart contract or not.
+ * @return {Transaction}
+ */
+function createContractTransaction(options, isDeploy) {
+    const txObject = _.omit(options, ['feeDelegation'])
+
+    if (!options.feeDelegation) {
+        return isDeploy ? new SmartContractDeploy(txObject) : new SmartContractExecution(txObject)
+    }
+
+    if (options.feeRatio !== undefined) {
+        return isDeploy ? new FeeDelegatedSmartContractDeployWithRatio(txObject) : new FeeDelegatedSmartContractExecutionWithRatio(txObject)
+    }
+    return isDeploy ? new FeeDelegatedSmartContractDeploy(txObject) : new FeeDelegatedSmartContractExecution(txObject)
+}
+
 module.exports = Contract
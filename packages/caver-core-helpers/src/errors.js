@@ -61,6 +61,58 @@ const txErrorTable = {
     '0x1e': 'smart contract code format is invalid',
 }
 
+// The descriptions of the panic codes of Solidity.
+const panicCodeTable = {
+    0x01: 'assertion failed',
+    0x11: 'arithmetic underflow or overflow',
+    0x12: 'division or modulo by zero',
+    0x21: 'invalid enum value',
+    0x22: 'invalid encoded storage byte array',
+    0x31: 'pop on empty array',
+    0x32: 'array index out of bounds',
+    0x41: 'too much memory allocated',
+    0x51: 'zero-initialized variable of internal function type called',
+}
+
+// Returns the human-readable reason from the decoded revert data.
+const toRevertReason = ({ reason, panicCode, name, args } = {}) => {
+    if (reason !== undefined) return reason
+    if (panicCode !== undefined) return `panic code 0x${panicCode.toString(16)} (${panicCodeTable[panicCode] || 'unknown panic'})`
+    if (name !== undefined) return `${name}(${(args || []).map(arg => arg.value).join(', ')})`
+    return undefined
+}
+
+/**
+ * Representing an error which is thrown when a transaction or a call is reverted.
+ * @class
+ */
+class TransactionRevertedError extends Error {
+    /**
+     * Creates an error of the reverted transaction.
+     *
+     * @constructor
+     * @param {string} message - The error message.
+     * @param {object} [details] - The details of the revert. The revert data decoded with `caver.abi.decodeRevertData` can be included.
+     * @param {string} [details.txError] - The txError code in the receipt.
+     * @param {object} [details.receipt] - The receipt of the failed transaction. This is undefined when a call is reverted.
+     * @param {string} [details.data] - The revert data returned from the contract.
+     * @param {string} [details.reason] - The reason of `Error(string)`.
+     * @param {number} [details.panicCode] - The code of `Panic(uint256)`.
+     * @param {string} [details.name] - The name of the custom error defined in the ABI of the contract.
+     * @param {Array} [details.args] - The arguments of the custom error.
+     */
+    constructor(message, details = {}) {
+        super(message)
+        this.name = 'TransactionRevertedError'
+        this.reason = toRevertReason(details)
+        this.txError = details.txError
+        this.receipt = details.receipt
+        this.data = details.data
+        this.panicCode = details.panicCode
+        this.customError = details.name !== undefined ? { name: details.name, args: details.args } : undefined
+    }
+}
+
 module.exports = {
     InvalidConnection: host => new Error(`CONNECTION ERROR: Couldn't connect to node ${host}.`),
     RequestFailed: err => new Error(`Request failed: ${err}`),
@@ -84,7 +136,11 @@ module.exports = {
     `),
     ErrorResponse: result => {
         const message = hasErrorMessage(result) ? result.error.message : JSON.stringify(result)
-        return new Error(`Returned error: ${message}`)
+        const error = new Error(`Returned error: ${message}`)
+        // The revert data of the reverted call is returned in `error.data`.
+        if (result && result.error && result.error.data !== undefined) error.data = result.error.data
+        if (result && result.error && result.error.code !== undefined) error.code = result.error.code
+        return error
     },
     InvalidResponse: result => {
         if (result === null) return new Error('Invalid response: null')
@@ -95,11 +151,28 @@ module.exports = {
     blockHashNull: new Error('blockHash null'),
     contractCouldntBeStored: new Error("The contract code couldn't be stored, please check your gas limit."),
     receiptDidntContainContractAddress: new Error("The transaction receipt didn't contain a contract address."),
-    transactionReverted: receiptJSON => new Error(`Transaction has been reverted by the EVM:\n${receiptJSON}`),
+    transactionReverted: (receiptJSON, details = {}) => {
+        const reason = toRevertReason(details)
+        return new TransactionRevertedError(
+            `Transaction has been reverted by the EVM${reason ? `: ${reason}` : ''}:\n${receiptJSON}`,
+            details
+        )
+    },
+    transactionFailed: (receiptJSON, details = {}) => {
+        const reason = toRevertReason(details)
+        const message = `${txErrorTable[details.txError]}${reason ? `: ${reason}` : ''}`
+        return new TransactionRevertedError(`${message}\n ${receiptJSON}`, details)
+    },
+    callReverted: (message, details = {}) => {
+        const reason = toRevertReason(details)
+        return new TransactionRevertedError(`${message}${reason ? `: ${reason}` : ''}`, details)
+    },
     transactionRanOutOfGas: receiptJSON => new Error(`Transaction ran out of gas. Please provide more gas:\n${receiptJSON}`),
     invalidGasPrice: () => new Error(`Invalid gas price. Please provide valid gas price: ${constants.VALID_GAS_PRICE}`),
     invalidGasLimit: () => new Error('Invalid gas limit. Please provide valid gas.'),
     invalidData: () => new Error('Invalid data. Please provide valid hex-strict data.'),
     notAllowedZeroGas: () => new Error("gas can't be 0. Please provide more gas."),
     txErrorTable,
+    panicCodeTable,
+    TransactionRevertedError,
 }
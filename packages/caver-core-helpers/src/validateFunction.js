@@ -20,14 +20,15 @@
  * Should be called to check the parameters of transaction
  *
  * @method validateParams
- * @param {Object}
+ * @param {Object} tx
+ * @param {Object} [options] If `options.isGasOptional` is true, "gas" can be omitted.
  * @return {Error}
  */
 
 const utils = require('../../caver-utils')
 const { TX_TYPE_STRING } = require('../../caver-transaction/src/transactionHelper/transactionHelper')
 
-function validateParams(tx) {
+function validateParams(tx, options = {}) {
     let error
 
     // validate for fee payer transaction format
@@ -62,7 +63,7 @@ function validateParams(tx) {
         }
     }
 
-    if (tx.gas === undefined && tx.gasLimit === undefined) {
+    if (tx.gas === undefined && tx.gasLimit === undefined && !options.isGasOptional) {
         error = new Error('"gas" is missing')
     } else if (tx.nonce < 0 || tx.gas < 0 || tx.gasPrice < 0 || tx.chainId < 0) {
         error = new Error('gas, gasPrice, nonce or chainId is lower than 0')
@@ -29,14 +29,17 @@ const _ = require('lodash')
 const errors = require('../../caver-core-helpers').errors
 const formatters = require('../../caver-core-helpers').formatters
 const utils = require('../../caver-utils')
+const abi = require('../../caver-abi')
 const Subscriptions = require('../../caver-core-subscriptions').subscriptions
 const validateParams = require('../../caver-core-helpers').validateFunction.validateParams
 
 const TIMEOUTBLOCK = 50
 const AVERAGE_BLOCK_TIME = 1 // 1s
 const POLLINGTIMEOUT = AVERAGE_BLOCK_TIME * TIMEOUTBLOCK // ~average block time (seconds) * TIMEOUTBLOCK
+const TX_ERROR_REVERTED = '0x9' // evm: execution reverted
 
 const TransactionDecoder = require('../../caver-transaction/src/transactionDecoder/transactionDecoder')
+const nonceManager = require('../../caver-transaction/src/nonceManager/nonceManager').instance
 
 function Method(options) {
     // call, name should be existed to create a method.
@@ -273,7 +276,35 @@ const buildSendSignedTxFunc = (method, payload, sendTxCallback) => signed => {
         params: [rawTransaction],
     })
 
-    method.requestManager.send(signedPayload, sendTxCallback)
+    method.requestManager.send(signedPayload, trackNonce(signedPayload, sendTxCallback))
+}
+
+/**
+ * Wraps the callback of `klay_sendRawTransaction` to confirm the nonce reserved by the nonce manager when the transaction is accepted,
+ * or to release or resynchronize it when the transaction is rejected.
+ */
+const trackNonce = (payload, callback) => {
+    if (!nonceManager.enabled || payload.method !== 'klay_sendRawTransaction' || !_.isString(payload.params[0])) return callback
+
+    let tx
+    let from
+    try {
+        tx = TransactionDecoder.decode(payload.params[0])
+        // The chain id is extracted from the signatures while recovering, and the sender of the legacy transaction is derived from them.
+        const publicKeys = tx.recoverPublicKeys()
+        from = tx.type === 'TxTypeLegacyTransaction' ? `0x${utils.sha3(utils.decompressPublicKey(publicKeys[0])).slice(-40)}` : tx.from
+    } catch (e) {
+        return callback
+    }
+
+    return (err, result) => {
+        if (err) {
+            nonceManager.handleError(from, tx.chainId, tx.nonce, err)
+        } else {
+            nonceManager.confirm(from, tx.chainId, tx.nonce)
+        }
+        callback(err, result)
+    }
 }
 
 const buildSendRequestFunc = (defer, sendSignedTx, sendTxCallback) => (payload, method) => {
@@ -434,13 +465,22 @@ const buildSendRequestFunc = (defer, sendSignedTx, sendTxCallback) => (payload,
         payload.params[0] = tx
     }
 
-    return method.requestManager.send(payload, sendTxCallback)
+    return method.requestManager.send(payload, trackNonce(payload, sendTxCallback))
 }
 
 const buildSendFunc = (method, isSendTx) => (...args) => {
     const defer = utils.promiEvent(!isSendTx)
     const payload = method.toPayload(args)
 
+    // `stopWatching` stops waiting for the receipt when the caller does not need the result of the transaction anymore.
+    // The returned promise is left unsettled after it is called.
+    if (isSendTx) {
+        defer.eventEmitter.stopWatching = () => {
+            defer.watchingStopped = true
+            if (defer.confirmationPack) stopConfirmation(defer.confirmationPack)
+        }
+    }
+
     const sendTxCallback = buildSendTxCallbackFunc(defer, method, payload, isSendTx)
     const sendSignedTx = buildSendSignedTxFunc(method, payload, sendTxCallback)
     const sendRequest = buildSendRequestFunc(defer, sendSignedTx, sendTxCallback)
@@ -511,6 +551,9 @@ function _confirmTransaction(defer, result, payload) {
         _klaytnCall: {},
     }
 
+    if (defer.watchingStopped) return
+    defer.confirmationPack = mutableConfirmationPack
+
     addCustomSendMethod(mutableConfirmationPack)
 
     kickoffConfirmation(mutableConfirmationPack)
@@ -532,6 +575,12 @@ const addCustomSendMethod = mutableConfirmationPack => {
             params: 2,
             inputFormatter: [formatters.inputAddressFormatter, formatters.inputDefaultBlockNumberFormatter],
         }),
+        new Method({
+            name: 'call',
+            call: 'klay_call',
+            params: 2,
+            inputFormatter: [formatters.inputCallFormatter, formatters.inputDefaultBlockNumberFormatter],
+        }),
         new Subscriptions({
             name: 'subscribe',
             type: 'klay',
@@ -555,30 +604,40 @@ const addCustomSendMethod = mutableConfirmationPack => {
 }
 
 const kickoffConfirmation = mutableConfirmationPack => {
-    // eslint-disable-next-line no-unused-vars
-    const { defer, promiseResolved, result, _klaytnCall } = mutableConfirmationPack
+    const { result, _klaytnCall } = mutableConfirmationPack
     // first check if we already have a confirmed transaction
 
     _klaytnCall
         .getTransactionReceipt(result)
         .then(receipt => {
+            if (mutableConfirmationPack.promiseResolved) return
             if (receipt && receipt.blockHash) {
                 // `isPolling` is false in default.
                 checkConfirmation(mutableConfirmationPack, receipt, false)
-            } else if (!promiseResolved) startWatching(mutableConfirmationPack, receipt)
+            } else startWatching(mutableConfirmationPack, receipt)
         })
         .catch(() => {
-            if (!promiseResolved) startWatching(mutableConfirmationPack)
+            if (!mutableConfirmationPack.promiseResolved) startWatching(mutableConfirmationPack)
         })
 }
 
+// stop watching for confirmation without settling the promise
+const stopConfirmation = mutableConfirmationPack => {
+    mutableConfirmationPack.promiseResolved = true
+    clearInterval(mutableConfirmationPack.intervalId)
+    if (mutableConfirmationPack.subscription) mutableConfirmationPack.subscription.unsubscribe()
+}
+
 // start watching for confirmation depending on the support features of the provider
 const startWatching = function(mutableConfirmationPack, existingReceipt) {
     // eslint-disable-next-line no-unused-vars
     const { _klaytnCall, intervalId, method } = mutableConfirmationPack
     // if provider allows PUB/SUB
     if (method.requestManager.provider.supportsSubscriptions()) {
-        _klaytnCall.subscribe('newBlockHeaders', checkConfirmation.bind(null, mutableConfirmationPack, existingReceipt, false))
+        mutableConfirmationPack.subscription = _klaytnCall.subscribe(
+            'newBlockHeaders',
+            checkConfirmation.bind(null, mutableConfirmationPack, existingReceipt, false)
+        )
     } else {
         mutableConfirmationPack.intervalId = setInterval(checkConfirmation.bind(null, mutableConfirmationPack, existingReceipt, true), 1000)
     }
@@ -687,6 +746,13 @@ const checkForContractDeployment = (mutableConfirmationPack, receipt, sub) => {
     // eslint-disable-next-line no-unused-vars
     const { defer, method, canUnsubscribe, _klaytnCall, promiseResolved } = mutableConfirmationPack
 
+    if (isFailedReceipt(receipt)) {
+        if (canUnsubscribe) sub.unsubscribe()
+        mutableConfirmationPack.promiseResolved = true
+        fireTransactionFailure(mutableConfirmationPack, receipt)
+        return
+    }
+
     // If contract address doesn't exist, fire error.
     if (!receipt.contractAddress) {
         if (canUnsubscribe) {
@@ -698,11 +764,6 @@ const checkForContractDeployment = (mutableConfirmationPack, receipt, sub) => {
         return
     }
 
-    if (!receipt.status && receipt.txError) {
-        const receiptJSON = JSON.stringify(receipt, null, 2)
-        utils._fireError(new Error(`${errors.txErrorTable[receipt.txError]}\n ${receiptJSON}`), defer.eventEmitter, defer.reject)
-    }
-
     _klaytnCall.getCode(receipt.contractAddress, (e, code) => {
         if (!code) return
 
@@ -753,19 +814,8 @@ const checkForNormalTx = (mutableConfirmationPack, receipt, sub) => {
         if (!receipt) return
         const receiptJSON = JSON.stringify(receipt, null, 2)
 
-        const { txError } = receipt
-        if (txError && errors.txErrorTable[txError]) {
-            utils._fireError(
-                new Error(`${errors.txErrorTable[txError]}\n ${receiptJSON}`),
-                mutableConfirmationPack.defer.eventEmitter,
-                mutableConfirmationPack.defer.reject
-            )
-        } else if (receipt.status === false || receipt.status === '0x0') {
-            utils._fireError(
-                errors.transactionReverted(receiptJSON),
-                mutableConfirmationPack.defer.eventEmitter,
-                mutableConfirmationPack.defer.reject
-            )
+        if (isFailedReceipt(receipt)) {
+            fireTransactionFailure(mutableConfirmationPack, receipt)
         } else if (receipt.gasUsed >= gasProvided) {
             utils._fireError(
                 errors.transactionRanOutOfGas(receiptJSON),
@@ -785,6 +835,65 @@ const checkForNormalTx = (mutableConfirmationPack, receipt, sub) => {
     mutableConfirmationPack.promiseResolved = true
 }
 
+const isFailedReceipt = receipt =>
+    (receipt.txError && errors.txErrorTable[receipt.txError]) || receipt.status === false || receipt.status === '0x0'
+
+/**
+ * Fires the error of the failed transaction with the details returned from `getRevertDetails`.
+ * If the details cannot be fetched, the error is fired with the receipt, so the promise is always settled.
+ *
+ * @param {Object} mutableConfirmationPack
+ * @param {Object} receipt The receipt of the failed transaction.
+ */
+const fireTransactionFailure = (mutableConfirmationPack, receipt) => {
+    const { defer } = mutableConfirmationPack
+    const receiptJSON = JSON.stringify(receipt, null, 2)
+    const { txError } = receipt
+
+    getRevertDetails(mutableConfirmationPack, receipt)
+        .catch(() => ({ txError, receipt }))
+        .then(details => {
+            utils._fireError(
+                txError && errors.txErrorTable[txError]
+                    ? errors.transactionFailed(receiptJSON, details)
+                    : errors.transactionReverted(receiptJSON, details),
+                defer.eventEmitter,
+                defer.reject
+            )
+        })
+}
+
+/**
+ * Returns the details of the failed transaction, which includes the revert data decoded with the json interface of the contract.
+ * If the receipt does not have the revert data, the transaction is executed again with `klay_call` at the block of the receipt.
+ * The failed contract deployment is executed again without `to`.
+ *
+ * @param {Object} mutableConfirmationPack
+ * @param {Object} receipt The receipt of the failed transaction.
+ * @return {Promise<Object>}
+ */
+const getRevertDetails = async (mutableConfirmationPack, receipt) => {
+    const { method, _klaytnCall } = mutableConfirmationPack
+    const details = { txError: receipt.txError, receipt }
+    if (receipt.txError !== undefined && receipt.txError !== TX_ERROR_REVERTED) return details
+
+    let data = receipt.revertReason
+    if (data === undefined && (receipt.to || receipt.input)) {
+        const callObject = { from: receipt.from, data: receipt.input, value: receipt.value, gas: receipt.gas }
+        if (receipt.to) callObject.to = receipt.to
+        try {
+            data = await _klaytnCall.call(callObject, receipt.blockNumber)
+        } catch (e) {
+            // The Klaytn node returns the revert data in the error of the reverted call.
+            data = e.data
+        }
+    }
+    if (!_.isString(data)) return details
+
+    const jsonInterface = method.extraFormatters && method.extraFormatters.jsonInterface
+    return Object.assign(details, { data }, abi.decodeRevertData(data, jsonInterface))
+}
+
 /**
  * Should be called to create the pure JSONRPC request which can be used in a batch request
  *
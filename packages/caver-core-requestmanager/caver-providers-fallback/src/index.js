@@ -0,0 +1,433 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const EventEmitter = require('eventemitter3')
+const errors = require('../../../caver-core-helpers').errors
+const Jsonrpc = require('../../src/jsonrpc')
+const HttpProvider = require('../../caver-providers-http')
+const WebsocketProvider = require('../../caver-providers-ws')
+
+const STRATEGY = {
+    PRIORITY: 'priority',
+    ROUND_ROBIN: 'roundRobin',
+}
+
+// Transactions sent by these methods are only known to the node that received them
+// until they are propagated, so the receipt is polled from the same node.
+const SEND_TX_METHODS = ['klay_sendRawTransaction', 'klay_sendTransaction', 'klay_sendTransactionAsFeePayer']
+const TX_LOOKUP_METHODS = [
+    'klay_getTransactionReceipt',
+    'klay_getTransactionByHash',
+    'klay_getTransactionReceiptBySenderTxHash',
+    'klay_getTransactionBySenderTxHash',
+]
+
+function toProvider(provider) {
+    if (typeof provider !== 'string') {
+        if (!provider || typeof (provider.sendAsync || provider.send) !== 'function') {
+            throw new Error(`Invalid provider: ${provider}`)
+        }
+        return provider
+    }
+    if (/^http(s)?:\/\//i.test(provider)) return new HttpProvider(provider)
+    if (/^ws(s)?:\/\//i.test(provider)) return new WebsocketProvider(provider)
+    throw new Error(`Can't autodetect provider for "${provider}"`)
+}
+
+function firstPayload(payload) {
+    return Array.isArray(payload) ? payload[0] : payload
+}
+
+/**
+ * FallbackProvider wraps several providers and sends each request to one of them.
+ * Providers that fail the health check (too far behind the highest block or too slow)
+ * or that fail with a connection error are used only when no healthy provider is left.
+ * A provider that failed with a connection error becomes healthy again when a request to it succeeds.
+ *
+ * @param {Array.<string|object>} providers An array of providers, URLs or `{ provider, priority }` objects.
+ * @param {object} [options]
+ * @param {string} [options.strategy] `priority` (default) or `roundRobin`.
+ * @param {number} [options.maxBlockLag] The number of blocks a provider may fall behind the highest one. Defaults to 5.
+ * @param {number} [options.maxLatency] The maximum latency (ms) of the health check. No limit by default.
+ * @param {number} [options.healthCheckInterval] The interval (ms) of the health check. Defaults to 10000, `0` disables it.
+ * @param {number} [options.healthCheckTimeout] The time (ms) to wait for the health check response. Defaults to 5000.
+ * @param {number} [options.retry] The number of retries with other providers on connection errors. Defaults to `providers.length - 1`.
+ * @param {number} [options.stickyTimeout] The time (ms) to route lookups of a sent transaction to the same provider. Defaults to 60000.
+ *
+ * @constructor
+ */
+const FallbackProvider = function FallbackProvider(providers, options) {
+    EventEmitter.call(this)
+
+    if (!Array.isArray(providers) || providers.length === 0) {
+        throw new Error('FallbackProvider needs at least one provider.')
+    }
+
+    options = options || {}
+    if (options.strategy !== undefined && !Object.values(STRATEGY).includes(options.strategy)) {
+        throw new Error(`Invalid strategy: ${options.strategy}. The strategy should be one of ${Object.values(STRATEGY)}.`)
+    }
+
+    this.strategy = options.strategy || STRATEGY.PRIORITY
+    this.maxBlockLag = options.maxBlockLag !== undefined ? options.maxBlockLag : 5
+    this.maxLatency = options.maxLatency
+    this.healthCheckInterval = options.healthCheckInterval !== undefined ? options.healthCheckInterval : 10000
+    this.healthCheckTimeout = options.healthCheckTimeout || 5000
+    this.retry = options.retry !== undefined ? options.retry : providers.length - 1
+    this.stickyTimeout = options.stickyTimeout !== undefined ? options.stickyTimeout : 60000
+
+    this.providers = providers.map((p, index) => {
+        const isEntry = p && typeof p === 'object' && p.provider !== undefined && typeof (p.sendAsync || p.send) !== 'function'
+        return {
+            provider: toProvider(isEntry ? p.provider : p),
+            priority: isEntry && p.priority !== undefined ? p.priority : index,
+            healthy: true,
+            latency: undefined,
+            blockNumber: undefined,
+            lastError: undefined,
+        }
+    })
+
+    this._cursor = 0
+    this._sticky = new Map()
+    this._subscriptions = new Map()
+    this._addProviderListeners()
+
+    // make property `connected` which will return true if one of the providers is connected
+    Object.defineProperty(this, 'connected', {
+        get: function() {
+            return this.providers.some(entry => !!entry.provider.connected)
+        },
+        enumerable: true,
+    })
+
+    if (this.healthCheckInterval > 0) {
+        this._healthCheckTimer = setInterval(() => this.checkHealth().catch(() => {}), this.healthCheckInterval)
+        // The health check should not keep the process alive.
+        if (this._healthCheckTimer.unref) this._healthCheckTimer.unref()
+    }
+}
+
+FallbackProvider.STRATEGY = STRATEGY
+
+// Inherit from EventEmitter
+FallbackProvider.prototype = Object.create(EventEmitter.prototype)
+FallbackProvider.prototype.constructor = FallbackProvider
+
+/**
+ * Forwards the notifications of the providers.
+ *
+ * @method _addProviderListeners
+ *
+ * @returns {void}
+ */
+FallbackProvider.prototype._addProviderListeners = function() {
+    const _this = this
+    this.providers.forEach(entry => {
+        if (typeof entry.provider.on !== 'function') return
+        entry.provider.on('data', function(result, deprecatedResult) {
+            _this.emit('data', result, deprecatedResult)
+        })
+    })
+}
+
+/**
+ * Returns the providers in the order to try for the payload.
+ *
+ * @method _candidates
+ *
+ * @param {object|Array} payload
+ *
+ * @returns {Array.<object>}
+ */
+FallbackProvider.prototype._candidates = function(payload) {
+    let entries = this.providers.slice()
+    if (this.strategy === STRATEGY.PRIORITY) {
+        entries.sort((a, b) => a.priority - b.priority)
+    } else {
+        const offset = this._cursor++ % entries.length
+        entries = entries.slice(offset).concat(entries.slice(0, offset))
+    }
+
+    let candidates = entries.filter(entry => entry.healthy).concat(entries.filter(entry => !entry.healthy))
+
+    const { method, params } = firstPayload(payload)
+    if (method.endsWith('_subscribe')) {
+        candidates = candidates.filter(entry => this._supportsSubscriptions(entry))
+    }
+
+    const pinned = this._pinned(method, params)
+    if (pinned) candidates = [pinned].concat(candidates.filter(entry => entry !== pinned))
+
+    return candidates
+}
+
+/**
+ * Returns the provider the request has to be sent to, if any.
+ *
+ * @method _pinned
+ *
+ * @param {string} method
+ * @param {Array} params
+ *
+ * @returns {object|undefined}
+ */
+FallbackProvider.prototype._pinned = function(method, params) {
+    if (!params || typeof params[0] !== 'string') return undefined
+
+    if (method.endsWith('_unsubscribe')) return this._subscriptions.get(params[0])
+
+    if (!TX_LOOKUP_METHODS.includes(method)) return undefined
+    const sticky = this._sticky.get(params[0].toLowerCase())
+    if (!sticky) return undefined
+    if (sticky.expiresAt < Date.now()) {
+        this._sticky.delete(params[0].toLowerCase())
+        return undefined
+    }
+    return sticky.entry
+}
+
+/**
+ * Remembers the provider which handled the request to route the following requests to it.
+ *
+ * @method _remember
+ *
+ * @param {object} entry
+ * @param {object|Array} payload
+ * @param {object|Array} result
+ *
+ * @returns {void}
+ */
+FallbackProvider.prototype._remember = function(entry, payload, result) {
+    const payloads = Array.isArray(payload) ? payload : [payload]
+    const results = Array.isArray(result) ? result : [result]
+
+    payloads.forEach(p => {
+        const response = results.find(r => r && r.id === p.id)
+        if (!response || response.error || response.result === undefined || response.result === null) return
+
+        if (p.method.endsWith('_subscribe')) {
+            this._subscriptions.set(response.result, entry)
+        } else if (p.method.endsWith('_unsubscribe')) {
+            this._subscriptions.delete(p.params[0])
+        } else if (SEND_TX_METHODS.includes(p.method) && typeof response.result === 'string') {
+            const now = Date.now()
+            this._sticky.forEach((sticky, hash) => {
+                if (sticky.expiresAt < now) this._sticky.delete(hash)
+            })
+            this._sticky.set(response.result.toLowerCase(), { entry, expiresAt: now + this.stickyTimeout })
+        } else if (p.method === 'klay_getTransactionReceipt' && typeof p.params[0] === 'string') {
+            // The transaction is mined, so every provider can serve it from now on.
+            this._sticky.delete(p.params[0].toLowerCase())
+        }
+    })
+}
+
+/**
+ * Sends the payload to the provider.
+ *
+ * @method _sendTo
+ *
+ * @param {object} entry
+ * @param {object|Array} payload
+ * @param {Function} callback
+ *
+ * @returns {void}
+ */
+FallbackProvider.prototype._sendTo = function(entry, payload, callback) {
+    const provider = entry.provider
+    let called = false
+    provider[provider.sendAsync ? 'sendAsync' : 'send'](payload, function(err, result) {
+        // Some providers call the callback again after the connection timeout.
+        if (called) return
+        called = true
+        callback(err, result)
+    })
+}
+
+/**
+ * Sends the payload to a provider, retrying with the other providers on connection errors.
+ * Error responses of the node are returned as they are.
+ *
+ * @method send
+ *
+ * @param {object|Array} payload
+ * @param {Function} callback triggered on end with (err, result)
+ *
+ * @returns {void}
+ */
+FallbackProvider.prototype.send = function(payload, callback) {
+    const _this = this
+    const candidates = this._candidates(payload)
+
+    if (candidates.length === 0) {
+        return callback(new Error(`There is no provider to handle ${firstPayload(payload).method}.`))
+    }
+
+    let attempt = 0
+    const trySend = function() {
+        const entry = candidates[attempt % candidates.length]
+        _this._sendTo(entry, payload, function(err, result) {
+            if (!err) {
+                // The provider lagging behind or too slow has no error, and it is restored only by the health check.
+                if (entry.lastError !== undefined) {
+                    entry.healthy = true
+                    entry.lastError = undefined
+                }
+                _this._remember(entry, payload, result)
+                return callback(null, result)
+            }
+
+            entry.healthy = false
+            entry.lastError = err
+
+            if (attempt >= _this.retry) return callback(err)
+
+            attempt++
+            _this.emit('failover', { error: err, from: entry.provider, to: candidates[attempt % candidates.length].provider })
+            trySend()
+        })
+    }
+    trySend()
+}
+
+/**
+ * Checks the block height and the latency of the providers and updates their health.
+ *
+ * @method checkHealth
+ *
+ * @returns {Promise<Array.<object>>} The status of the providers.
+ */
+FallbackProvider.prototype.checkHealth = async function() {
+    await Promise.all(
+        this.providers.map(
+            entry =>
+                new Promise(resolve => {
+                    const payload = Jsonrpc.toPayload('klay_blockNumber', [])
+                    const startedAt = Date.now()
+                    let done = false
+                    const finish = function(err, blockNumber) {
+                        if (done) return
+                        done = true
+                        clearTimeout(timer)
+                        entry.lastError = err || undefined
+                        entry.latency = err ? undefined : Date.now() - startedAt
+                        entry.blockNumber = err ? undefined : blockNumber
+                        resolve()
+                    }
+                    const timer = setTimeout(() => finish(errors.ConnectionTimeout(this.healthCheckTimeout)), this.healthCheckTimeout)
+
+                    try {
+                        this._sendTo(entry, payload, function(err, result) {
+                            if (err) return finish(err)
+                            if (!result || result.error) return finish(errors.ErrorResponse(result))
+                            if (!Jsonrpc.isValidResponse(result)) return finish(errors.InvalidResponse(result))
+                            finish(null, parseInt(result.result, 16))
+                        })
+                    } catch (e) {
+                        finish(e)
+                    }
+                })
+        )
+    )
+
+    const highest = Math.max(...this.providers.filter(entry => !entry.lastError).map(entry => entry.blockNumber))
+    this.providers.forEach(entry => {
+        entry.healthy =
+            !entry.lastError &&
+            highest - entry.blockNumber <= this.maxBlockLag &&
+            (this.maxLatency === undefined || entry.latency <= this.maxLatency)
+    })
+
+    const status = this.getStatus()
+    this.emit('health', status)
+    return status
+}
+
+/**
+ * Returns the status of the providers.
+ *
+ * @method getStatus
+ *
+ * @returns {Array.<object>}
+ */
+FallbackProvider.prototype.getStatus = function() {
+    return this.providers.map(entry => ({
+        provider: entry.provider,
+        priority: entry.priority,
+        healthy: entry.healthy,
+        latency: entry.latency,
+        blockNumber: entry.blockNumber,
+        lastError: entry.lastError,
+    }))
+}
+
+FallbackProvider.prototype._supportsSubscriptions = function(entry) {
+    return typeof entry.provider.supportsSubscriptions === 'function' && entry.provider.supportsSubscriptions()
+}
+
+/**
+ * Returns true if one of the providers supports subscriptions.
+ *
+ * @method supportsSubscriptions
+ *
+ * @returns {boolean}
+ */
+FallbackProvider.prototype.supportsSubscriptions = function() {
+    return this.providers.some(entry => this._supportsSubscriptions(entry))
+}
+
+/**
+ * Resets the providers, clears all callbacks
+ *
+ * @method reset
+ *
+ * @returns {void}
+ */
+FallbackProvider.prototype.reset = function() {
+    this.providers.forEach(entry => {
+        if (typeof entry.provider.reset === 'function') entry.provider.reset()
+    })
+    this._subscriptions.clear()
+    this._sticky.clear()
+
+    this.removeAllListeners()
+
+    // Drop the forwarders kept by the providers which do not remove listeners on reset, and add them again.
+    this.providers.forEach(entry => {
+        if (typeof entry.provider.removeAllListeners === 'function') entry.provider.removeAllListeners('data')
+    })
+    this._addProviderListeners()
+}
+
+/**
+ * Stops the health check and closes the connections of the providers.
+ *
+ * @method disconnect
+ *
+ * @returns {void}
+ */
+FallbackProvider.prototype.disconnect = function(code, reason) {
+    clearInterval(this._healthCheckTimer)
+    this._healthCheckTimer = undefined
+    this.providers.forEach(entry => {
+        if (typeof entry.provider.disconnect === 'function') entry.provider.disconnect(code, reason)
+    })
+}
+
+module.exports = FallbackProvider
@@ -25,10 +25,22 @@
  *   Fabian Vogelsteller <fabian@ethereum.org>
  * @date 2015
  */
-
 const XHR2 = require('xhr2-cookies').XMLHttpRequest
 
 const errors = require('../../../caver-core-helpers').errors
+const utils = require('../../../caver-utils')
+
+// A request rejected with these status codes was not handled by the node, so it is safe to send it again.
+const REJECTED_STATUS_CODES = [429]
+// Resending the request of these methods may submit another transaction.
+const NON_IDEMPOTENT_METHODS = [
+    'klay_sendTransaction',
+    'klay_sendTransactionAsFeePayer',
+    'personal_sendTransaction',
+    'personal_sendValueTransfer',
+    'personal_sendAccountUpdate',
+]
+const SEND_RAW_TRANSACTION_METHODS = ['klay_sendRawTransaction']
 
 /**
  * HttpProvider should be used to send rpc calls over http
@@ -36,6 +48,18 @@ const errors = require('../../../caver-core-helpers').errors
 /**
  * @param       {string} host
  * @param       {object} options
+ * @param       {number} [options.timeout] The timeout (ms) of a request.
+ * @param       {Array.<object>} [options.headers] The headers to send with the request.
+ * @param       {object} [options.retry] The retry policy for connection errors and the http status codes in `retry.statusCodes`.
+ * @param       {number} [options.retry.retries] The maximum number of retries. Defaults to 0.
+ * @param       {number} [options.retry.baseDelay] The delay (ms) before the first retry which doubles on every retry. Defaults to 500.
+ * @param       {number} [options.retry.maxDelay] The maximum delay (ms) between retries. Defaults to 10000.
+ * @param       {boolean} [options.retry.jitter] Randomizes the delay between a half of it and the whole. Defaults to true.
+ * @param       {Array.<number>} [options.retry.statusCodes] Defaults to [429, 500, 502, 503, 504].
+ * @param       {object} [options.rateLimit] The token bucket which limits the requests sent to the node.
+ * @param       {number} [options.rateLimit.requestsPerSecond] The number of tokens filled per second.
+ * @param       {number} [options.rateLimit.burst] The size of the bucket. Defaults to `requestsPerSecond`.
+ * @param       {number} [options.maxConcurrency] The maximum number of requests waiting for the response.
  * @constructor
  */
 const HttpProvider = function HttpProvider(host, options) {
@@ -44,6 +68,34 @@ const HttpProvider = function HttpProvider(host, options) {
     this.timeout = options.timeout || 0
     this.headers = options.headers
     this.connected = false
+
+    this.retryOptions = Object.assign(
+        {
+            retries: 0,
+            baseDelay: 500,
+            maxDelay: 10000,
+            jitter: true,
+            statusCodes: [429, 500, 502, 503, 504],
+        },
+        options.retry
+    )
+
+    if (options.rateLimit) {
+        if (!(options.rateLimit.requestsPerSecond > 0)) {
+            throw new Error(`Invalid rateLimit.requestsPerSecond: ${options.rateLimit.requestsPerSecond}`)
+        }
+        this.rateLimit = {
+            requestsPerSecond: options.rateLimit.requestsPerSecond,
+            burst: options.rateLimit.burst || options.rateLimit.requestsPerSecond,
+        }
+        this._tokens = this.rateLimit.burst
+        this._refilledAt = Date.now()
+    }
+    this.maxConcurrency = options.maxConcurrency || Infinity
+
+    this._queue = []
+    this._pending = 0
+    this._drainTimer = null
 }
 
 /**
@@ -70,16 +122,163 @@ HttpProvider.prototype._prepareRequest = function() {
 
 /**
  * Should be used to make async request
+ * Requests are sent within the rate limit and the concurrency limit,
+ * and retried with exponential backoff according to the retry policy.
  *
  * @method send
  * @param {Object} payload
  * @param {Function} callback triggered on end with (err, result)
  */
 HttpProvider.prototype.send = function(payload, callback) {
+    const _this = this
+    const methods = (Array.isArray(payload) ? payload : [payload]).map(p => p.method)
+    const isIdempotent = !methods.some(method => NON_IDEMPOTENT_METHODS.includes(method))
+    const rawTransactions = (Array.isArray(payload) ? payload : [payload])
+        .filter(p => SEND_RAW_TRANSACTION_METHODS.includes(p.method))
+        .map(p => p.params[0])
+    let attempt = 0
+
+    const retry = function(delay) {
+        attempt++
+        setTimeout(sendOnce, delay)
+    }
+
+    const sendOnce = function() {
+        _this._schedule(payload, function(err, result, status, retryAfter) {
+            if (attempt >= _this.retryOptions.retries || !_this._isRetryable(err, status)) return callback(err, result)
+
+            const delay = retryAfter !== undefined ? retryAfter : _this._backoff(attempt)
+
+            // The request was rejected before it was handled, so nothing has been sent yet.
+            if (REJECTED_STATUS_CODES.includes(status)) return retry(delay)
+
+            // Do not send the transaction again if the node may have received it.
+            if (!isIdempotent || (rawTransactions.length > 0 && Array.isArray(payload))) return callback(err, result)
+            if (rawTransactions.length === 0) return retry(delay)
+
+            const transactionHash = utils.sha3(rawTransactions[0])
+            _this._isKnownTransaction(transactionHash, function(known) {
+                if (known) return callback(null, { jsonrpc: payload.jsonrpc, id: payload.id, result: transactionHash })
+                retry(delay)
+            })
+        })
+    }
+    sendOnce()
+}
+
+/**
+ * Returns true if the request failed with a connection error or one of the retryable http status codes.
+ *
+ * @method _isRetryable
+ * @param {Error} err
+ * @param {number} status
+ * @return {boolean}
+ */
+HttpProvider.prototype._isRetryable = function(err, status) {
+    if (this.retryOptions.statusCodes.includes(status)) return true
+    // A connection error is returned without any http status.
+    return !!err && !status
+}
+
+/**
+ * Returns the delay (ms) before the given retry.
+ *
+ * @method _backoff
+ * @param {number} attempt
+ * @return {number}
+ */
+HttpProvider.prototype._backoff = function(attempt) {
+    const delay = Math.min(this.retryOptions.maxDelay, this.retryOptions.baseDelay * 2 ** attempt)
+    return this.retryOptions.jitter ? Math.floor(delay / 2 + (Math.random() * delay) / 2) : delay
+}
+
+/**
+ * Checks whether the node already knows the transaction.
+ *
+ * @method _isKnownTransaction
+ * @param {string} transactionHash
+ * @param {Function} callback triggered with true if the transaction is found
+ */
+HttpProvider.prototype._isKnownTransaction = function(transactionHash, callback) {
+    const payload = { jsonrpc: '2.0', id: 0, method: 'klay_getTransactionByHash', params: [transactionHash] }
+    this._schedule(payload, function(err, result) {
+        callback(!err && !!result && !!result.result)
+    })
+}
+
+/**
+ * Queues the request to send it within the rate limit and the concurrency limit.
+ *
+ * @method _schedule
+ * @param {Object} payload
+ * @param {Function} callback triggered on end with (err, result, status, retryAfter)
+ */
+HttpProvider.prototype._schedule = function(payload, callback) {
+    this._queue.push({ payload, callback })
+    this._drain()
+}
+
+/**
+ * Sends the queued requests as long as the limits allow.
+ *
+ * @method _drain
+ */
+HttpProvider.prototype._drain = function() {
+    const _this = this
+
+    while (this._queue.length > 0 && this._pending < this.maxConcurrency) {
+        if (this.rateLimit) {
+            const now = Date.now()
+            this._tokens = Math.min(
+                this.rateLimit.burst,
+                this._tokens + ((now - this._refilledAt) * this.rateLimit.requestsPerSecond) / 1000
+            )
+            this._refilledAt = now
+
+            if (this._tokens < 1) {
+                if (!this._drainTimer) {
+                    const wait = Math.ceil(((1 - this._tokens) * 1000) / this.rateLimit.requestsPerSecond)
+                    this._drainTimer = setTimeout(function() {
+                        _this._drainTimer = null
+                        _this._drain()
+                    }, wait)
+                }
+                return
+            }
+            this._tokens--
+        }
+
+        const { payload, callback } = this._queue.shift()
+        this._pending++
+        this._request(payload, function() {
+            _this._pending--
+            callback.apply(null, arguments)
+            _this._drain()
+        })
+    }
+}
+
+/**
+ * Sends the request to the node.
+ *
+ * @method _request
+ * @param {Object} payload
+ * @param {Function} callback triggered on end with (err, result, status, retryAfter)
+ */
+HttpProvider.prototype._request = function(payload, callback) {
     const _this = this
     const request = this._prepareRequest()
     const host = this.host
     let timer
+    let done = false
+
+    const finish = function() {
+        // The callback can be triggered by both the timer and the request.
+        if (done) return
+        done = true
+        clearTimeout(timer)
+        callback.apply(null, arguments)
+    }
 
     request.onreadystatechange = function() {
         /**
@@ -101,7 +300,6 @@ HttpProvider.prototype.send = function(payload, callback) {
 
             if (request.response === null) {
                 error = errors.InvalidResponse(request.response)
-                clearTimeout(timer)
             } else {
                 try {
                     result = JSON.parse(result)
@@ -115,16 +313,18 @@ HttpProvider.prototype.send = function(payload, callback) {
                 }
             }
 
+            // `Retry-After` can be given in seconds with the 429 or 503 status.
+            const retryAfter = parseInt(request.getResponseHeader('Retry-After'), 10)
+
             _this.connected = true
-            callback(error, result)
+            finish(error, result, request.status, Number.isNaN(retryAfter) ? undefined : retryAfter * 1000)
         }
     }
 
     request.ontimeout = function() {
         console.error(`CONNECTION TIMEOUT: timeout of ${this.timeout}ms achived`)
         _this.connected = false
-        clearTimeout(timer)
-        callback(errors.ConnectionTimeout(this.timeout))
+        finish(errors.ConnectionTimeout(this.timeout))
     }
 
     try {
@@ -134,7 +334,7 @@ HttpProvider.prototype.send = function(payload, callback) {
                 if (request.status < 4) {
                     console.error(`CONNECTION ERROR: Couldn't connect to node ${host}`)
                     request.abort()
-                    callback(errors.InvalidConnection(host))
+                    finish(errors.InvalidConnection(host))
                 }
             }, request.timeout)
         }
@@ -142,8 +342,7 @@ HttpProvider.prototype.send = function(payload, callback) {
     } catch (error) {
         console.error(`CONNECTION ERROR: Couldn't connect to node ${this.host}`)
         this.connected = false
-        clearTimeout(timer)
-        callback(errors.InvalidConnection(this.host))
+        finish(errors.InvalidConnection(this.host))
     }
 }
 
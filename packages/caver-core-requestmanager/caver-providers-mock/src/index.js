@@ -0,0 +1,408 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const _ = require('lodash')
+const EventEmitter = require('eventemitter3')
+const errors = require('../../../caver-core-helpers').errors
+
+/**
+ * MockProvider answers the requests with the scripted responses without any node.
+ * It records the requests, and simulates the `newHeads` and `logs` subscriptions.
+ *
+ * @param {object} [options]
+ * @param {number} [options.latency] The time (ms) to wait before responding. Defaults to 0.
+ * @param {boolean} [options.supportsSubscriptions] Set false to simulate an http provider. Defaults to true.
+ *
+ * @constructor
+ */
+const MockProvider = function MockProvider(options) {
+    EventEmitter.call(this)
+
+    options = options || {}
+    this.latency = options.latency || 0
+    this._supportsSubscriptions = options.supportsSubscriptions !== false
+    this.connected = true
+
+    this.requests = []
+    this._mocks = []
+    this._subscriptions = new Map()
+    this._subscriptionId = 0
+}
+
+// Inherit from EventEmitter
+MockProvider.prototype = Object.create(EventEmitter.prototype)
+MockProvider.prototype.constructor = MockProvider
+
+/**
+ * Adds the scripted response.
+ *
+ * @method _addMock
+ *
+ * @param {string} method The method to respond to, `*` for all methods.
+ * @param {object} response
+ * @param {object} [options]
+ * @param {number} [options.times] The number of times to respond. Unlimited by default.
+ * @param {Array|Function} [options.params] The params to match, or a function which returns true for the params to match.
+ * @param {number} [options.latency] The time (ms) to wait before responding.
+ *
+ * @returns {MockProvider}
+ */
+MockProvider.prototype._addMock = function(method, response, options) {
+    options = options || {}
+    if (typeof method !== 'string') throw new Error(`Invalid method: ${method}`)
+    if (options.times !== undefined && !(Number.isInteger(options.times) && options.times > 0)) {
+        throw new Error(`Invalid times: ${options.times}`)
+    }
+
+    this._mocks.push(
+        Object.assign(response, {
+            method,
+            times: options.times !== undefined ? options.times : Infinity,
+            params: options.params,
+            latency: options.latency,
+        })
+    )
+    return this
+}
+
+/**
+ * Responds to the method with the result.
+ * The result can be a function called with `(params, payload)`, which returns the result or a promise.
+ * When the function throws an error, the error response is returned with the message of the error.
+ *
+ * @method mock
+ *
+ * @param {string} method
+ * @param {*} result
+ * @param {object} [options] See `_addMock`.
+ *
+ * @returns {MockProvider}
+ */
+MockProvider.prototype.mock = function(method, result, options) {
+    return this._addMock(method, { result }, options)
+}
+
+/**
+ * Responds to the method with the result only once.
+ *
+ * @method mockOnce
+ *
+ * @param {string} method
+ * @param {*} result
+ * @param {object} [options] See `_addMock`.
+ *
+ * @returns {MockProvider}
+ */
+MockProvider.prototype.mockOnce = function(method, result, options) {
+    return this.mock(method, result, Object.assign({}, options, { times: 1 }))
+}
+
+/**
+ * Responds to the method with the JSON-RPC error.
+ *
+ * @method mockError
+ *
+ * @param {string} method
+ * @param {object|string} error The error object (`{ code, message, data }`) or the message.
+ * @param {object} [options] See `_addMock`.
+ *
+ * @returns {MockProvider}
+ */
+MockProvider.prototype.mockError = function(method, error, options) {
+    if (_.isString(error)) error = { code: -32000, message: error }
+    return this._addMock(method, { error }, options)
+}
+
+/**
+ * Fails the request of the method as if the connection failed.
+ *
+ * @method mockFailure
+ *
+ * @param {string} method
+ * @param {Error} [failure] Defaults to the connection error.
+ * @param {object} [options] See `_addMock`.
+ *
+ * @returns {MockProvider}
+ */
+MockProvider.prototype.mockFailure = function(method, failure, options) {
+    return this._addMock(method, { failure: failure || errors.InvalidConnection('on MockProvider') }, options)
+}
+
+/**
+ * Removes the scripted responses.
+ *
+ * @method clearMocks
+ *
+ * @returns {void}
+ */
+MockProvider.prototype.clearMocks = function() {
+    this._mocks = []
+}
+
+/**
+ * Removes the recorded requests.
+ *
+ * @method clearRequests
+ *
+ * @returns {void}
+ */
+MockProvider.prototype.clearRequests = function() {
+    this.requests = []
+}
+
+/**
+ * Resets the provider as the other providers do, which is called when the subscriptions are cleared.
+ * The subscriptions are removed, and the scripted responses, the recorded requests and the listeners are kept.
+ *
+ * @method reset
+ *
+ * @returns {void}
+ */
+MockProvider.prototype.reset = function() {
+    this._subscriptions.clear()
+}
+
+/**
+ * Returns the scripted response for the request.
+ * The responses with `times` are used first in the order added, and then the last one added without `times`.
+ *
+ * @method _findMock
+ *
+ * @param {object} payload
+ *
+ * @returns {object|undefined}
+ */
+MockProvider.prototype._findMock = function(payload) {
+    const matches = this._mocks.filter(mock => {
+        if (mock.times <= 0) return false
+        if (mock.method !== '*' && mock.method !== payload.method) return false
+        if (mock.params === undefined) return true
+        return _.isFunction(mock.params) ? mock.params(payload.params) : _.isEqual(mock.params, payload.params)
+    })
+
+    const limited = matches.find(mock => mock.times !== Infinity)
+    return limited || _.findLast(matches, mock => mock.times === Infinity)
+}
+
+/**
+ * Returns the response for the request.
+ *
+ * @method _respond
+ *
+ * @param {object} payload
+ *
+ * @returns {Promise<object>} The JSON-RPC response, or the failure.
+ */
+MockProvider.prototype._respond = async function(payload) {
+    this.requests.push({ id: payload.id, method: payload.method, params: payload.params })
+
+    const response = { jsonrpc: '2.0', id: payload.id }
+
+    if (payload.method.endsWith('_subscribe')) {
+        const [name, filter] = payload.params
+        const id = `0x${(++this._subscriptionId).toString(16)}`
+        this._subscriptions.set(id, { name, filter })
+        return Object.assign(response, { result: id })
+    }
+    if (payload.method.endsWith('_unsubscribe')) {
+        return Object.assign(response, { result: this._subscriptions.delete(payload.params[0]) })
+    }
+
+    const mock = this._findMock(payload)
+    if (!mock) {
+        return Object.assign(response, { error: { code: -32601, message: `The method ${payload.method} is not mocked.` } })
+    }
+    mock.times--
+
+    const latency = mock.latency !== undefined ? mock.latency : this.latency
+    if (latency > 0) await new Promise(resolve => setTimeout(resolve, latency))
+
+    if (mock.failure) return { failure: mock.failure }
+    if (mock.error) return Object.assign(response, { error: mock.error })
+    if (!_.isFunction(mock.result)) return Object.assign(response, { result: _.cloneDeep(mock.result) })
+
+    try {
+        const result = await mock.result(payload.params, payload)
+        return Object.assign(response, { result: result === undefined ? null : result })
+    } catch (e) {
+        return Object.assign(response, { error: { code: -32000, message: e.message } })
+    }
+}
+
+/**
+ * Responds to the request with the scripted response.
+ *
+ * @method send
+ *
+ * @param {object|Array} payload
+ * @param {Function} callback triggered on end with (err, result)
+ *
+ * @returns {void}
+ */
+MockProvider.prototype.send = function(payload, callback) {
+    const payloads = Array.isArray(payload) ? payload : [payload]
+
+    Promise.all(payloads.map(p => this._respond(p))).then(responses => {
+        const failed = responses.find(response => response.failure)
+        // respond asynchronously as the real providers do
+        setTimeout(() => {
+            if (failed) return callback(failed.failure)
+            callback(null, Array.isArray(payload) ? responses : responses[0])
+        })
+    })
+}
+
+MockProvider.prototype.sendAsync = MockProvider.prototype.send
+
+/**
+ * Returns the recorded requests of the method.
+ *
+ * @method getRequests
+ *
+ * @param {string} method
+ *
+ * @returns {Array.<object>}
+ */
+MockProvider.prototype.getRequests = function(method) {
+    return this.requests.filter(request => request.method === method)
+}
+
+/**
+ * Throws an error if the method has not been requested with the params.
+ *
+ * @method assertRequested
+ *
+ * @param {string} method
+ * @param {Array} [params] The params of the request. Any params match if omitted.
+ * @param {number} [times] The number of the requests expected.
+ *
+ * @returns {void}
+ */
+MockProvider.prototype.assertRequested = function(method, params, times) {
+    const requests = this.getRequests(method).filter(request => params === undefined || _.isEqual(request.params, params))
+    const paramsText = params !== undefined ? ` with ${JSON.stringify(params)}` : ''
+
+    if (times === undefined && requests.length === 0) {
+        throw new Error(`Expected ${method} to be requested${paramsText}, but it was not.`)
+    }
+    if (times !== undefined && requests.length !== times) {
+        throw new Error(`Expected ${method} to be requested${paramsText} ${times} times, but it was requested ${requests.length} times.`)
+    }
+}
+
+/**
+ * Throws an error if the method has been requested.
+ *
+ * @method assertNotRequested
+ *
+ * @param {string} method
+ *
+ * @returns {void}
+ */
+MockProvider.prototype.assertNotRequested = function(method) {
+    const count = this.getRequests(method).length
+    if (count !== 0) throw new Error(`Expected ${method} not to be requested, but it was requested ${count} times.`)
+}
+
+/**
+ * Sends the notification to the subscriptions of the name.
+ *
+ * @method notify
+ *
+ * @param {string} name The name of the subscription such as `newHeads` and `logs`.
+ * @param {object} result
+ * @param {Function} [filter] Returns true for the filter of the subscription to notify.
+ *
+ * @returns {number} The number of the subscriptions notified.
+ */
+MockProvider.prototype.notify = function(name, result, filter) {
+    let count = 0
+    this._subscriptions.forEach((subscription, id) => {
+        if (subscription.name !== name || (filter && !filter(subscription.filter))) return
+        count++
+        this.emit('data', { jsonrpc: '2.0', method: 'klay_subscription', params: { subscription: id, result } })
+    })
+    return count
+}
+
+/**
+ * Sends the block header to the `newHeads` subscriptions.
+ *
+ * @method emitNewHead
+ *
+ * @param {object} header
+ *
+ * @returns {number} The number of the subscriptions notified.
+ */
+MockProvider.prototype.emitNewHead = function(header) {
+    return this.notify('newHeads', header)
+}
+
+/**
+ * Sends the log to the `logs` subscriptions of which the filter matches the log.
+ *
+ * @method emitLog
+ *
+ * @param {object} log
+ *
+ * @returns {number} The number of the subscriptions notified.
+ */
+MockProvider.prototype.emitLog = function(log) {
+    return this.notify('logs', log, filter => matchLog(filter, log))
+}
+
+function matchLog(filter, log) {
+    if (!filter) return true
+
+    const equals = (a, b) => String(a).toLowerCase() === String(b).toLowerCase()
+    if (filter.address) {
+        const addresses = Array.isArray(filter.address) ? filter.address : [filter.address]
+        if (!addresses.some(address => equals(address, log.address))) return false
+    }
+
+    return (filter.topics || []).every((topic, index) => {
+        if (topic === null || topic === undefined) return true
+        const topics = Array.isArray(topic) ? topic : [topic]
+        return log.topics[index] !== undefined && topics.some(t => equals(t, log.topics[index]))
+    })
+}
+
+/**
+ * Returns the desired boolean.
+ *
+ * @method supportsSubscriptions
+ *
+ * @returns {boolean}
+ */
+MockProvider.prototype.supportsSubscriptions = function() {
+    return this._supportsSubscriptions
+}
+
+/**
+ * Closes the mock connection.
+ *
+ * @method disconnect
+ *
+ * @returns {void}
+ */
+MockProvider.prototype.disconnect = function() {
+    this.connected = false
+    this._subscriptions.clear()
+}
+
+module.exports = MockProvider
@@ -26,7 +26,7 @@
 
 const _ = require('lodash')
 const errors = require('../../caver-core-helpers').errors
-const middleware = require('../../caver-middleware')
+const Middleware = require('../../caver-middleware')
 
 const Jsonrpc = require('./jsonrpc.js')
 
@@ -35,15 +35,21 @@ const BatchManager = require('./batch.js')
 const RequestManager = function RequestManager(provider, net) {
     this.provider = null
     this.providers = RequestManager.providers
+    this.middleware = new Middleware()
 
     this.setProvider(provider, net)
     this.subscriptions = {}
+    this.autoBatch = null
+    this._batchQueue = []
+    this._batchTimer = null
 }
 
 RequestManager.providers = {
     WebsocketProvider: require('../caver-providers-ws'),
     HttpProvider: require('../caver-providers-http'),
     IpcProvider: require('../caver-providers-ipc'),
+    FallbackProvider: require('../caver-providers-fallback'),
+    MockProvider: require('../caver-providers-mock'),
 }
 
 /**
@@ -55,6 +61,11 @@ RequestManager.providers = {
 RequestManager.prototype.setProvider = function(p, net) {
     const _this = this
 
+    // Several providers are wrapped with the FallbackProvider
+    if (Array.isArray(p) && this.providers) {
+        p = new this.providers.FallbackProvider(p)
+    }
+
     if (p && typeof p === 'string' && this.providers) {
         // HTTP
         if (/^http(s)?:\/\//i.test(p)) {
@@ -83,14 +94,20 @@ RequestManager.prototype.setProvider = function(p, net) {
         this.provider.on('data', function requestManagerNotification(result, deprecatedResult) {
             result = result || deprecatedResult // this is for possible old providers, which may had the error first handler
 
-            // check for result.method, to prevent old providers errors to pass as result
-            if (
-                result.method &&
-                _this.subscriptions[result.params.subscription] &&
-                _this.subscriptions[result.params.subscription].callback
-            ) {
-                _this.subscriptions[result.params.subscription].callback(null, result.params.result)
-            }
+            if (_this.middleware.getMiddlewares().length === 0) return _this._notify(result)
+
+            // the notification rejected by a middleware is dropped
+            _this.middleware.run(Object.assign({}, result), 'notification', n => _this._notify(n)).catch(() => {})
+        })
+
+        // subscribe again after the provider is reconnected, because the node removes the subscriptions on disconnection
+        this.provider.on('reconnect', function() {
+            _this._reconnecting = true
+        })
+        this.provider.on('connect', function() {
+            if (!_this._reconnecting) return
+            _this._reconnecting = false
+            _this.resubscribe()
         })
         // TODO add error, end, timeout, connect??
         // this.provider.on('error', function requestManagerNotification(result){
@@ -104,6 +121,19 @@ RequestManager.prototype.setProvider = function(p, net) {
     return this
 }
 
+/**
+ * Calls the callback of the subscription with the notification.
+ *
+ * @method _notify
+ * @param {Object} result the notification
+ */
+RequestManager.prototype._notify = function(result) {
+    // check for result.method, to prevent old providers errors to pass as result
+    if (result.method && this.subscriptions[result.params.subscription] && this.subscriptions[result.params.subscription].callback) {
+        this.subscriptions[result.params.subscription].callback(null, result.params.result)
+    }
+}
+
 /**
  * Should be used to asynchronously send request
  *
@@ -118,51 +148,218 @@ RequestManager.prototype.send = function(data, callback) {
         return callback(errors.InvalidProvider())
     }
 
+    if (this.autoBatch && !/_(un)?subscribe$/.test(data.method)) {
+        return this._enqueueBatch(data, callback)
+    }
+
+    this._send(data, callback)
+}
+
+/**
+ * Sends a request to the provider.
+ *
+ * @method _send
+ * @param {Object} data
+ * @param {Function} callback
+ */
+RequestManager.prototype._send = function(data, callback) {
+    const _this = this
     const payload = Jsonrpc.toPayload(data.method, data.params)
 
-    const isMiddlewareExist = middleware.getMiddlewares().length !== 0
-
-    if (!isMiddlewareExist) return sendRPC(this.provider)(payload)
-
-    // Attach outbound middleware
-    middleware.applyMiddleware(payload, 'outbound', sendRPC(this.provider))
-
-    function sendRPC(provider) {
-        return function(p) {
-            provider[provider.sendAsync ? 'sendAsync' : 'send'](p, function(err, result) {
-                // Attach inbound middleware
-                if (isMiddlewareExist) middleware.applyMiddleware(p, 'inbound')
-                /**
-                 * result = json rpc response object
-                 * {
-                 *  jsonrpc: '2.0'
-                 *  result: ...,
-                 *  id: ...,
-                 *  error: ...,
-                 * }
-                 *
-                 * Reference: https://www.jsonrpc.org/specification
-                 */
-                if (result && result.id && p.id !== result.id) {
-                    return callback(new Error(`Wrong response id "${result.id}" (expected: "${p.id}") in ${JSON.stringify(p)}`))
-                }
+    if (this.middleware.getMiddlewares().length === 0) {
+        return this._sendPayload(payload, function(err, result) {
+            handleResponse(payload, err, result, callback)
+        })
+    }
 
-                if (err) {
-                    return callback(err)
+    // the payload is copied to keep the original request which the response is for
+    this.middleware
+        .run(Object.assign({}, payload), 'request', function(request) {
+            return new Promise(function(resolve) {
+                _this._sendPayload(_.omit(request, 'type'), function(err, result) {
+                    resolve(toResponse(request, err, result))
+                })
+            })
+        })
+        .then(response => this._runInboundMiddleware(payload, response))
+        .then(
+            // The value returned from the callback is not returned, so the promise chain does not adopt it.
+            function(response) {
+                if (response.error instanceof Error) {
+                    callback(response.error)
+                } else {
+                    handleResponse(payload, null, _.omit(response, ['type', 'method']), callback)
                 }
+            },
+            function(error) {
+                callback(error)
+            }
+        )
+}
 
-                if (result && result.error) {
-                    return callback(errors.ErrorResponse(result))
-                }
+/**
+ * Sends the payload to the provider.
+ *
+ * @method _sendPayload
+ * @param {Object|Array} payload
+ * @param {Function} callback
+ */
+RequestManager.prototype._sendPayload = function(payload, callback) {
+    this.provider[this.provider.sendAsync ? 'sendAsync' : 'send'](payload, callback)
+}
 
-                if (!Jsonrpc.isValidResponse(result)) {
-                    return callback(errors.InvalidResponse(result))
-                }
+/**
+ * Runs the middleware with the response of the request.
+ *
+ * @method _runInboundMiddleware
+ * @param {Object} payload the request
+ * @param {Object} response the response of the request
+ * @return {Promise<Object>}
+ */
+RequestManager.prototype._runInboundMiddleware = function(payload, response) {
+    // The method is given to let the middleware know what the response is for.
+    response = Object.assign({ jsonrpc: '2.0', id: payload.id }, response, { method: payload.method })
+    return this.middleware.run(response, 'response', r => r)
+}
 
-                callback(null, result.result)
-            })
-        }
+/**
+ * Makes the response object handled by the inbound middleware.
+ * The connection error is set to `error` of the response.
+ *
+ * @param {Object} request
+ * @param {Error} err
+ * @param {Object} result
+ * @return {Object}
+ */
+function toResponse(request, err, result) {
+    if (err) return { jsonrpc: '2.0', id: request.id, error: err }
+    if (!_.isObject(result) || _.isArray(result)) return { jsonrpc: '2.0', id: request.id, error: errors.InvalidResponse(result) }
+    return Object.assign({}, result)
+}
+
+/**
+ * Calls the callback with the result of the response.
+ *
+ * @param {Object} payload
+ * @param {Error} err
+ * @param {Object} result
+ * @param {Function} callback
+ */
+function handleResponse(payload, err, result, callback) {
+    /**
+     * result = json rpc response object
+     * {
+     *  jsonrpc: '2.0'
+     *  result: ...,
+     *  id: ...,
+     *  error: ...,
+     * }
+     *
+     * Reference: https://www.jsonrpc.org/specification
+     */
+    if (result && result.id && payload.id !== result.id) {
+        return callback(new Error(`Wrong response id "${result.id}" (expected: "${payload.id}") in ${JSON.stringify(payload)}`))
+    }
+
+    if (err) {
+        return callback(err)
+    }
+
+    if (result && result.error) {
+        return callback(errors.ErrorResponse(result))
+    }
+
+    if (!Jsonrpc.isValidResponse(result)) {
+        return callback(errors.InvalidResponse(result))
+    }
+
+    callback(null, result.result)
+}
+
+/**
+ * Should be used to batch the requests sent with `send` automatically.
+ * The requests sent within `wait` ms are sent as one batch request of up to `maxBatchSize` requests.
+ *
+ * @method setAutoBatch
+ * @param {boolean|Object} options `false` to disable, `true` or `{ wait, maxBatchSize }` to enable
+ * @param {number} [options.wait] The time (ms) to wait for the following requests. Defaults to 0, which batches the requests sent in the same tick.
+ * @param {number} [options.maxBatchSize] The maximum number of requests in a batch. Defaults to 100.
+ */
+RequestManager.prototype.setAutoBatch = function(options) {
+    if (!options) {
+        this._flushBatch()
+        this.autoBatch = null
+        return
+    }
+
+    options = options === true ? {} : options
+    const maxBatchSize = options.maxBatchSize !== undefined ? options.maxBatchSize : 100
+    if (!Number.isInteger(maxBatchSize) || maxBatchSize < 1) throw new Error(`Invalid maxBatchSize: ${maxBatchSize}`)
+
+    this.autoBatch = {
+        wait: options.wait || 0,
+        maxBatchSize,
+    }
+}
+
+/**
+ * Queues the request to send it with the following requests.
+ *
+ * @method _enqueueBatch
+ * @param {Object} data
+ * @param {Function} callback
+ */
+RequestManager.prototype._enqueueBatch = function(data, callback) {
+    this._batchQueue.push({ data, callback })
+
+    if (this._batchQueue.length >= this.autoBatch.maxBatchSize) return this._flushBatch()
+
+    if (!this._batchTimer) {
+        this._batchTimer = setTimeout(() => this._flushBatch(), this.autoBatch.wait)
+    }
+}
+
+/**
+ * Sends the queued requests as a batch request, and routes the responses to the callbacks of the requests.
+ *
+ * @method _flushBatch
+ */
+RequestManager.prototype._flushBatch = function() {
+    clearTimeout(this._batchTimer)
+    this._batchTimer = null
+
+    const requests = this._batchQueue
+    this._batchQueue = []
+    if (requests.length === 0) return
+
+    if (!this.provider) {
+        return requests.forEach(request => request.callback(errors.InvalidProvider()))
     }
+
+    if (requests.length === 1) return this._send(requests[0].data, requests[0].callback)
+
+    const payload = Jsonrpc.toBatchPayload(requests.map(request => request.data))
+    this._sendBatchPayload(payload, function(err, results) {
+        if (err) return requests.forEach(request => request.callback(err))
+
+        requests.forEach(function(request, index) {
+            // The responses of a batch request can be returned in any order.
+            const result = results.find(r => r && r.id === payload[index].id)
+
+            // The request rejected or dropped by the middleware fails alone.
+            if (result && result.error instanceof Error) return request.callback(result.error)
+
+            if (result && result.error) {
+                return request.callback(errors.ErrorResponse(result))
+            }
+
+            if (!Jsonrpc.isValidResponse(result)) {
+                return request.callback(errors.InvalidResponse(result))
+            }
+
+            request.callback(null, result.result)
+        })
+    })
 }
 
 /**
@@ -178,19 +375,94 @@ RequestManager.prototype.sendBatch = function(data, callback) {
     }
 
     const payload = Jsonrpc.toBatchPayload(data)
-    this.provider[this.provider.sendAsync ? 'sendAsync' : 'send'](payload, function(err, results) {
-        if (err) {
-            return callback(err)
-        }
-
-        if (!_.isArray(results)) {
-            return callback(errors.InvalidResponse(results))
-        }
+    this._sendBatchPayload(payload, function(err, results) {
+        if (err) return callback(err)
 
+        // The batch fails as a whole with the error of the middleware.
+        const failed = results.find(r => r && r.error instanceof Error)
+        if (failed) return callback(failed.error)
         callback(null, results)
     })
 }
 
+/**
+ * Sends the batch payload to the provider.
+ * With middleware, each request of the batch is passed to the middleware,
+ * and the responses are returned in the order of the requests.
+ * The response of the request rejected or dropped by the middleware has the error in `error`.
+ *
+ * @method _sendBatchPayload
+ * @param {Array} payload
+ * @param {Function} callback
+ */
+RequestManager.prototype._sendBatchPayload = function(payload, callback) {
+    const _this = this
+
+    if (this.middleware.getMiddlewares().length === 0) {
+        return this._sendPayload(payload, function(err, results) {
+            if (err) {
+                return callback(err)
+            }
+
+            if (!_.isArray(results)) {
+                return callback(errors.InvalidResponse(results))
+            }
+
+            callback(null, results)
+        })
+    }
+
+    // The batch is sent when all requests have passed the middleware.
+    const requests = []
+    let waiting = payload.length
+    const sendRequests = function() {
+        if (--waiting > 0 || requests.length === 0) return
+
+        _this._sendPayload(requests.map(r => _.omit(r.request, 'type')), function(err, results) {
+            if (!err && !_.isArray(results)) err = errors.InvalidResponse(results)
+            requests.forEach(function({ request, resolve }) {
+                const result = err ? undefined : results.find(r => r && r.id === request.id)
+                resolve(toResponse(request, err, result || { jsonrpc: '2.0', id: request.id }))
+            })
+        })
+    }
+
+    Promise.all(
+        payload.map(function(p) {
+            let passed = false
+            const pass = function() {
+                if (passed) return
+                passed = true
+                sendRequests()
+            }
+
+            return _this.middleware
+                .run(Object.assign({}, p), 'request', function(request) {
+                    return new Promise(function(resolve) {
+                        requests.push({ request, resolve })
+                        pass()
+                    })
+                })
+                .then(function(response) {
+                    pass()
+                    return _this._runInboundMiddleware(p, response)
+                })
+                .catch(function(error) {
+                    pass()
+                    return { jsonrpc: '2.0', id: p.id, error, rejected: true }
+                })
+        })
+    ).then(function(responses) {
+        // The connection error is returned for the whole batch.
+        const failed = responses.find(r => r.error instanceof Error && !r.rejected)
+        if (failed) {
+            callback(failed.error)
+        } else {
+            callback(null, responses.map(r => _.omit(r, ['type', 'method', 'rejected'])))
+        }
+    })
+}
+
 /**
  * Waits for notifications
  *
@@ -199,19 +471,39 @@ RequestManager.prototype.sendBatch = function(data, callback) {
  * @param {String} name         the subscription name
  * @param {String} type         the subscription namespace (eth, personal, etc)
  * @param {Function} callback   the callback to call for incoming notifications
+ * @param {Subscription} [subscription] the Subscription object to subscribe again after reconnection
  */
-RequestManager.prototype.addSubscription = function(id, name, type, callback) {
+RequestManager.prototype.addSubscription = function(id, name, type, callback, subscription) {
     if (this.provider.on) {
         this.subscriptions[id] = {
             callback: callback,
             type: type,
             name: name,
+            subscription: subscription,
         }
     } else {
         throw new Error(`The provider doesn't support subscriptions: ${this.provider.constructor.name}`)
     }
 }
 
+/**
+ * Subscribes the subscriptions again, which have been removed from the node.
+ * The new subscription ids are set to the existing Subscription objects.
+ *
+ * @method resubscribe
+ */
+RequestManager.prototype.resubscribe = function() {
+    const subscriptions = this.subscriptions
+    this.subscriptions = {}
+
+    Object.keys(subscriptions).forEach(function(id) {
+        // the subscription added without the Subscription object can not be restored
+        if (subscriptions[id].subscription) {
+            subscriptions[id].subscription._resubscribe()
+        }
+    })
+}
+
 /**
  * Waits for notifications
  *
@@ -27,6 +27,7 @@
 const _ = require('lodash')
 const EventEmitter = require('eventemitter3')
 const errors = require('../../caver-core-helpers').errors
+const utils = require('../../caver-utils')
 
 function Subscription(options) {
     EventEmitter.call(this)
@@ -254,57 +255,19 @@ Subscription.prototype.subscribe = function() {
         delete payload.params[1].fromBlock
     }
 
+    this._payload = payload
+
     this.options.requestManager.send(payload, function(err, result) {
         if (!err && result) {
-            _this.id = result
-            _this.emit('connected', result)
-
-            // call callback on notifications
-            _this.options.requestManager.addSubscription(_this.id, payload.params[0], _this.options.type, function(error, ret) {
-                if (!error) {
-                    if (!_.isArray(ret)) {
-                        ret = [ret]
-                    }
-
-                    ret.forEach(function(resultItem) {
-                        const output = _this._formatOutput(resultItem)
-
-                        if (_.isFunction(_this.options.subscription.subscriptionHandler)) {
-                            return _this.options.subscription.subscriptionHandler.call(_this, output)
-                        }
-                        _this.emit('data', output)
-
-                        // call the callback, last so that unsubscribe there won't affect the emit above
-                        if (_.isFunction(_this.callback)) {
-                            _this.callback(null, output, _this)
-                        }
-                    })
-                } else {
-                    // unsubscribe, but keep listeners
-                    _this.options.requestManager.removeSubscription(_this.id)
-
-                    // re-subscribe, if connection fails
-                    if (_this.options.requestManager.provider.once) {
-                        _this._reconnectIntervalId = setInterval(function() {
-                            // TODO check if that makes sense!
-                            if (_this.options.requestManager.provider.reconnect) {
-                                _this.options.requestManager.provider.reconnect()
-                            }
-                        }, 500)
-
-                        _this.options.requestManager.provider.once('connect', function() {
-                            clearInterval(_this._reconnectIntervalId)
-                            _this.subscribe(_this.callback)
-                        })
-                    }
-                    _this.emit('error', error)
-
-                    // call the callback, last so that unsubscribe there won't affect the emit above
-                    if (_.isFunction(_this.callback)) {
-                        _this.callback(error, null, _this)
-                    }
-                }
-            })
+            _this._onSubscribed(result)
+
+            // Remember the current block to backfill the logs missed while reconnecting.
+            const provider = _this.options.requestManager.provider
+            if (payload.params[0] === 'logs' && provider.reconnectOptions && provider.reconnectOptions.auto) {
+                _this.options.requestManager.send({ method: 'klay_blockNumber', params: [] }, function(error, blockNumber) {
+                    if (!error && !_this._lastSeenLog) _this._lastSeenLog = { blockNumber: parseInt(blockNumber, 16), logIndex: Infinity }
+                })
+            }
         } else if (_.isFunction(_this.callback)) {
             _this.callback(err, null, _this)
             _this.emit('error', err)
@@ -317,4 +280,155 @@ Subscription.prototype.subscribe = function() {
     return this
 }
 
+/**
+ * Registers the subscription with the id returned from the node to receive the notifications.
+ *
+ * @method _onSubscribed
+ * @param {String} id the subscription id
+ */
+Subscription.prototype._onSubscribed = function(id) {
+    const _this = this
+
+    this.id = id
+    this.emit('connected', id)
+
+    // call callback on notifications
+    this.options.requestManager.addSubscription(
+        id,
+        this._payload.params[0],
+        this.options.type,
+        function(error, ret) {
+            if (!error) {
+                if (!_.isArray(ret)) {
+                    ret = [ret]
+                }
+
+                // hold the notifications until the missed logs are emitted
+                if (_this._backfilling) {
+                    _this._backfilling = _this._backfilling.concat(ret)
+                    return
+                }
+
+                ret.forEach(function(resultItem) {
+                    _this._emitResult(resultItem)
+                })
+            } else {
+                // unsubscribe, but keep listeners
+                _this.options.requestManager.removeSubscription(_this.id)
+
+                // re-subscribe, if connection fails
+                if (_this.options.requestManager.provider.once) {
+                    _this._reconnectIntervalId = setInterval(function() {
+                        // TODO check if that makes sense!
+                        if (_this.options.requestManager.provider.reconnect) {
+                            _this.options.requestManager.provider.reconnect()
+                        }
+                    }, 500)
+
+                    _this.options.requestManager.provider.once('connect', function() {
+                        clearInterval(_this._reconnectIntervalId)
+                        _this.subscribe(_this.callback)
+                    })
+                }
+                _this.emit('error', error)
+
+                // call the callback, last so that unsubscribe there won't affect the emit above
+                if (_.isFunction(_this.callback)) {
+                    _this.callback(error, null, _this)
+                }
+            }
+        },
+        this
+    )
+}
+
+/**
+ * Emits the notification to the listeners and the callback.
+ *
+ * @method _emitResult
+ * @param {Object} resultItem
+ */
+Subscription.prototype._emitResult = function(resultItem) {
+    if (this._payload.params[0] === 'logs' && resultItem && resultItem.blockNumber !== undefined) {
+        this._lastSeenLog = { blockNumber: Number(resultItem.blockNumber), logIndex: Number(resultItem.logIndex) }
+    }
+
+    const output = this._formatOutput(resultItem)
+
+    if (_.isFunction(this.options.subscription.subscriptionHandler)) {
+        return this.options.subscription.subscriptionHandler.call(this, output)
+    }
+    this.emit('data', output)
+
+    // call the callback, last so that unsubscribe there won't affect the emit above
+    if (_.isFunction(this.callback)) {
+        this.callback(null, output, this)
+    }
+}
+
+/**
+ * Subscribes again with the same parameters after the provider is reconnected.
+ * For the `logs` subscription, the logs missed while disconnected are emitted first.
+ *
+ * @method _resubscribe
+ */
+Subscription.prototype._resubscribe = function() {
+    const _this = this
+    const requestManager = this.options.requestManager
+    const lastSeenLog = this._lastSeenLog
+
+    if (this._payload.params[0] === 'logs' && lastSeenLog) {
+        this._backfilling = []
+    }
+
+    requestManager.send(this._payload, function(err, result) {
+        if (err || !result) {
+            _this._backfilling = null
+            err = err || errors.InvalidResponse(result)
+            _this.emit('error', err)
+            if (_.isFunction(_this.callback)) {
+                _this.callback(err, null, _this)
+            }
+            return
+        }
+
+        _this._onSubscribed(result)
+        if (!_this._backfilling) return
+
+        const filter = Object.assign({}, _this._payload.params[1], {
+            fromBlock: utils.numberToHex(lastSeenLog.blockNumber),
+            toBlock: 'latest',
+        })
+        requestManager.send({ method: 'klay_getLogs', params: [filter] }, function(error, logs) {
+            const notifications = _this._backfilling
+            _this._backfilling = null
+
+            if (error) {
+                _this.emit('error', error)
+                if (_.isFunction(_this.callback)) {
+                    _this.callback(error, null, _this)
+                }
+                logs = []
+            }
+
+            // The logs received with the notifications while backfilling can be returned by klay_getLogs too.
+            const emitted = new Set()
+            logs.concat(notifications).forEach(function(log) {
+                const blockNumber = Number(log.blockNumber)
+                const logIndex = Number(log.logIndex)
+                const key = `${blockNumber}:${logIndex}`
+                if (
+                    blockNumber < lastSeenLog.blockNumber ||
+                    (blockNumber === lastSeenLog.blockNumber && logIndex <= lastSeenLog.logIndex)
+                ) {
+                    return
+                }
+                if (emitted.has(key)) return
+                emitted.add(key)
+                _this._emitResult(log)
+            })
+        })
+    })
+}
+
 module.exports = Subscription
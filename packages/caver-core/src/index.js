@@ -61,6 +61,10 @@ module.exports = {
             }
         }
 
+        pkg.setAutoBatch = function(options) {
+            pkg._requestManager.setAutoBatch(options)
+        }
+
         pkg.setRequestManager = function(manager) {
             pkg._requestManager = manager
             pkg._provider = manager.provider
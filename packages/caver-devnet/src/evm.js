@@ -0,0 +1,190 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const _ = require('lodash')
+const Common = require('@ethereumjs/common').default
+const { Block } = require('@ethereumjs/block')
+const { DefaultStateManager } = require('@ethereumjs/vm/dist/state')
+const { ERROR } = require('@ethereumjs/vm/dist/exceptions')
+const Bloom = require('@ethereumjs/vm/dist/bloom').default
+const { Account, Address, BN, bufferToHex, setLengthLeft, toBuffer } = require('ethereumjs-util')
+
+// The hard fork of Ethereum of which the EVM is compatible with the EVM of Klaytn.
+const HARDFORK = 'istanbul'
+
+// The `txError` of the receipt for the errors of the EVM. The other errors are returned as `0x2`.
+const TX_ERRORS = {
+    [ERROR.CREATE_COLLISION]: '0x4',
+    [ERROR.CODESTORE_OUT_OF_GAS]: '0x5',
+    [ERROR.OUT_OF_GAS]: '0x7',
+    [ERROR.STATIC_STATE_CHANGE]: '0x8',
+    [ERROR.REVERT]: '0x9',
+}
+const TX_ERROR_DEFAULT = '0x2'
+
+/**
+ * The state manager which records the accounts and the storage slots written by the EVM,
+ * so that only the changes are applied to the state of the devnet.
+ */
+class RecordingStateManager extends DefaultStateManager {
+    constructor(opts) {
+        super(opts)
+        this.clearRecords()
+    }
+
+    clearRecords() {
+        this.addresses = new Set()
+        this.slots = {}
+    }
+
+    async putAccount(address, account) {
+        this.addresses.add(address.toString())
+        return super.putAccount(address, account)
+    }
+
+    async putContractStorage(address, key, value) {
+        const addressString = address.toString()
+        this.addresses.add(addressString)
+        this.slots[addressString] = this.slots[addressString] || new Set()
+        this.slots[addressString].add(bufferToHex(key))
+        return super.putContractStorage(address, key, value)
+    }
+}
+
+/**
+ * Runs the message with the EVM on the state of the devnet.
+ * The state is not changed, and the changes made by the message are returned in `changes` of the result.
+ * The changes are empty if the execution failed.
+ *
+ * @param {object} state The accounts of the devnet by the address.
+ * @param {object} message The message to run.
+ * @param {string} message.from The address of the caller.
+ * @param {string} [message.to] The address of the callee. The contract is created with `message.data` if it is not defined.
+ * @param {string} [message.value] The value in peb.
+ * @param {string} [message.data] The input of the message.
+ * @param {number} message.gas The gas for the execution, which does not include the intrinsic gas.
+ * @param {string} [message.gasPrice] The unit price.
+ * @param {object} context The block context of the execution.
+ * @param {number} context.chainId The chain id returned from the CHAINID opcode.
+ * @param {number} context.number The block number.
+ * @param {number} context.timestamp The timestamp of the block.
+ * @param {Function} context.getBlockHash Returns the hash of the block by the number for the BLOCKHASH opcode.
+ * @return {Promise<object>}
+ */
+async function runMessage(state, message, context) {
+    const common = Common.forCustomChain('mainnet', { name: 'devnet', chainId: context.chainId, networkId: context.chainId }, HARDFORK)
+    const stateManager = new RecordingStateManager({ common })
+    await loadState(stateManager, state)
+    stateManager.clearRecords()
+
+    const blockchain = {
+        initPromise: Promise.resolve(),
+        getBlock: async number => {
+            const hash = context.getBlockHash(number.toNumber())
+            return { hash: () => (hash ? toBuffer(hash) : Buffer.alloc(32)) }
+        },
+    }
+    // The VM is loaded when it is used, since it compiles the WebAssembly for the BLS12-381 precompiles on loading.
+    const VM = require('@ethereumjs/vm').default
+    const vm = new VM({ common, stateManager, blockchain })
+    await vm.init()
+
+    const block = Block.fromBlockData({ header: { number: context.number, timestamp: context.timestamp } }, { common })
+    const { createdAddress, execResult } = await vm.runCall({
+        block,
+        caller: Address.fromString(message.from.toLowerCase()),
+        origin: Address.fromString(message.from.toLowerCase()),
+        to: message.to ? Address.fromString(message.to.toLowerCase()) : undefined,
+        value: toBN(message.value),
+        data: toBuffer(message.data || '0x'),
+        gasLimit: new BN(message.gas),
+        gasPrice: toBN(message.gasPrice),
+    })
+
+    const error = execResult.exceptionError
+    const result = {
+        returnValue: bufferToHex(execResult.returnValue),
+        gasUsed: execResult.gasUsed.toNumber(),
+        gasRefund: execResult.gasRefund ? execResult.gasRefund.toNumber() : 0,
+        txError: error ? TX_ERRORS[error.error] || TX_ERROR_DEFAULT : undefined,
+        logs: [],
+        changes: {},
+        destroyed: [],
+    }
+    if (error) return result
+
+    if (createdAddress) result.contractAddress = createdAddress.toString()
+    result.logs = (execResult.logs || []).map(([address, topics, data]) => ({
+        address: bufferToHex(address),
+        topics: topics.map(bufferToHex),
+        data: bufferToHex(data),
+    }))
+    result.destroyed = Object.keys(execResult.selfdestruct || {}).map(address => `0x${address}`)
+
+    for (const address of stateManager.addresses) {
+        const addr = Address.fromString(address)
+        const account = await stateManager.getAccount(addr)
+        const code = await stateManager.getContractCode(addr)
+        const storage = {}
+        for (const slot of stateManager.slots[address] || []) {
+            storage[slot] = bufferToHex(setLengthLeft(await stateManager.getContractStorage(addr, toBuffer(slot)), 32))
+        }
+        result.changes[address] = {
+            nonce: `0x${account.nonce.toString(16)}`,
+            balance: `0x${account.balance.toString(16)}`,
+            code: code.length > 0 ? bufferToHex(code) : undefined,
+            storage,
+        }
+    }
+    return result
+}
+
+async function loadState(stateManager, state) {
+    for (const address of Object.keys(state)) {
+        const { nonce, balance, code, storage } = state[address]
+        const addr = Address.fromString(address)
+        await stateManager.putAccount(addr, Account.fromAccountData({ nonce, balance }))
+        if (code) await stateManager.putContractCode(addr, toBuffer(code))
+        for (const slot of Object.keys(storage || {})) {
+            await stateManager.putContractStorage(addr, toBuffer(slot), toBuffer(storage[slot]))
+        }
+    }
+}
+
+function toBN(value) {
+    if (value === undefined || value === null) return new BN(0)
+    if (_.isString(value) && value.startsWith('0x')) return new BN(value.slice(2) || '0', 16)
+    return new BN(value.toString())
+}
+
+/**
+ * Returns the bloom filter of the logs.
+ *
+ * @param {Array.<object>} logs The logs which have `address` and `topics`.
+ * @return {string}
+ */
+function toLogsBloom(logs) {
+    const bloom = new Bloom()
+    logs.forEach(log => {
+        bloom.add(toBuffer(log.address))
+        log.topics.forEach(topic => bloom.add(toBuffer(topic)))
+    })
+    return bufferToHex(bloom.bitvector)
+}
+
+module.exports = { runMessage, toLogsBloom }
@@ -0,0 +1,1048 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const _ = require('lodash')
+const RLP = require('eth-lib/lib/rlp')
+const EventEmitter = require('eventemitter3')
+
+const utils = require('../../caver-utils')
+const { errors } = require('../../caver-core-helpers')
+const Validator = require('../../caver-validator')
+const TransactionDecoder = require('../../caver-transaction/src/transactionDecoder/transactionDecoder')
+const AnchoringData = require('../../caver-transaction/src/anchoringData/anchoringData')
+const { TX_TYPE_STRING, TX_TYPE_TAG } = require('../../caver-transaction/src/transactionHelper/transactionHelper')
+const { KEY_ROLE } = require('../../caver-wallet/src/keyring/keyringHelper')
+const AccountKeyLegacy = require('../../caver-account/src/accountKey/accountKeyLegacy')
+const AccountKeyPublic = require('../../caver-account/src/accountKey/accountKeyPublic')
+const AccountKeyFail = require('../../caver-account/src/accountKey/accountKeyFail')
+const AccountKeyWeightedMultiSig = require('../../caver-account/src/accountKey/accountKeyWeightedMultiSig')
+const AccountKeyRoleBased = require('../../caver-account/src/accountKey/accountKeyRoleBased')
+const AccountKeyDecoder = require('../../caver-account/src/accountKey/accountKeyDecoder')
+const WeightedPublicKey = require('../../caver-account/src/accountKey/weightedPublicKey')
+const { runMessage, toLogsBloom } = require('./evm')
+
+// The intrinsic gas of Klaytn.
+const TX_GAS = 21000
+const TX_GAS_CONTRACT_CREATION = 53000
+const TX_GAS_FEE_DELEGATED = 10000
+const TX_GAS_FEE_DELEGATED_WITH_RATIO = 15000
+const TX_DATA_GAS = 100
+const TX_VALIDATION_GAS_PER_KEY = 15000
+const TX_ACCOUNT_CREATION_GAS_PER_KEY = 20000
+
+// The key types of the account key returned from `klay_getAccountKey`.
+// AccountKeyNil is returned only as a role of AccountKeyRoleBased from `klay_decodeAccountKey`.
+const ACCOUNT_KEY_TYPE = {
+    nil: 0,
+    legacy: 1,
+    public: 2,
+    fail: 3,
+    weightedMultiSig: 4,
+    roleBased: 5,
+}
+
+// The gas for `klay_call` and the upper bound of `klay_estimateGas` when the gas is not given.
+const CALL_GAS_CAP = 100000000
+const TX_ERROR_REVERTED = '0x9'
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+const ZERO_WORD = `0x${'0'.repeat(64)}`
+
+// The methods which need the accounts managed by the node.
+const NODE_ACCOUNT_METHODS = [
+    'klay_sign',
+    'klay_signTransaction',
+    'klay_signTransactionAsFeePayer',
+    'klay_sendTransaction',
+    'klay_sendTransactionAsFeePayer',
+]
+
+/**
+ * The error returned as the JSON-RPC error by the devnet.
+ * @class
+ */
+class DevnetError extends Error {
+    constructor(message, code = -32000, data) {
+        super(message)
+        this.code = code
+        // The revert data of the reverted call.
+        if (data !== undefined) this.data = data
+    }
+}
+
+/**
+ * Representing an in-process Klaytn network for testing.
+ * The devnet is a provider, so it can be passed to `new Caver(devnet)`.
+ *
+ * The transactions are validated with the account keys stored in the devnet, and mined in a block when `mine` is called
+ * or right after sent if `automine` is true.
+ * The blocks are proposed by a single node of which the address is the zero address.
+ *
+ * The smart contracts are deployed and executed with an embedded EVM (`@ethereumjs/vm`) compatible with the Istanbul hard fork.
+ * The failed execution is mined with the status `0x0` and the `txError` of Klaytn, and the revert data is returned from `klay_call`.
+ * The requests are handled one by one in the order they are sent.
+ *
+ * Some methods are not supported, and the devnet returns an error for them:
+ * - The devnet does not manage the accounts, so `klay_sign*` and `klay_sendTransaction*` are not available.
+ *   The transactions should be signed with `caver.wallet` and sent with `klay_sendRawTransaction`.
+ * - `klay_getCypressCredit` is available only on the Cypress network.
+ * @class
+ */
+class Devnet extends EventEmitter {
+    /**
+     * Creates a devnet.
+     *
+     * @constructor
+     * @param {object} [options]
+     * @param {number} [options.chainId] The chain id of the devnet. Defaults to 2019.
+     * @param {string} [options.gasPrice] The unit price of the devnet. Defaults to 25 ston.
+     * @param {boolean} [options.automine] Mines a block whenever a transaction is sent. Defaults to true.
+     * @param {object} [options.accounts] The balances (peb) of the accounts in the genesis block, e.g. `{ [address]: '1000000000000000000' }`.
+     */
+    constructor(options = {}) {
+        super()
+
+        this.chainId = options.chainId !== undefined ? utils.hexToNumber(options.chainId) : 2019
+        this.gasPrice = utils.toHex(options.gasPrice !== undefined ? options.gasPrice : '25000000000')
+        this.automine = options.automine !== false
+        this.connected = true
+
+        this._state = {}
+        this._states = []
+        this._blocks = []
+        this._transactions = new Map()
+        this._senderTxHashes = new Map()
+        this._pool = []
+        this._subscriptions = new Map()
+        this._subscriptionId = 0
+        this._filters = new Map()
+        this._filterId = 0
+        this._queue = Promise.resolve()
+
+        _.forEach(options.accounts, (balance, address) => this.setBalance(address, balance))
+        this._sealBlock({ number: 0, timestamp: Math.floor(Date.now() / 1000) }, [])
+    }
+
+    /**
+     * The number of the latest block.
+     *
+     * @type {number}
+     */
+    get blockNumber() {
+        return this._blocks.length - 1
+    }
+
+    /**
+     * The transactions waiting to be mined.
+     *
+     * @type {Array.<AbstractTransaction>}
+     */
+    get pendingTransactions() {
+        return this._pool.slice()
+    }
+
+    /**
+     * Sets the balance of the account.
+     *
+     * @param {string} address The address of the account.
+     * @param {string|number|BN|BigNumber} balance The balance in peb.
+     * @return {void}
+     */
+    setBalance(address, balance) {
+        getOrCreateAccount(this._state, address).balance = utils.toHex(balance)
+    }
+
+    /**
+     * Mines the blocks with the pending transactions.
+     * The transactions of which the nonce is not reached yet remain in the pool.
+     *
+     * @param {number} [count] The number of the blocks to mine. Defaults to 1.
+     * @return {Promise<Array.<object>>} The blocks mined.
+     */
+    mine(count = 1) {
+        return this._enqueue(() => this._mine(count))
+    }
+
+    /**
+     * Returns the account key in the format returned from `klay_getAccountKey`.
+     *
+     * @param {string} address The address of the account.
+     * @param {string|number} [blockNumber] The block number or the tag. Defaults to `latest`.
+     * @return {object|null} null if the account does not exist.
+     */
+    getAccountKey(address, blockNumber = 'latest') {
+        const account = this._stateAt(blockNumber)[address.toLowerCase()]
+        return account ? _.cloneDeep(account.key) : null
+    }
+
+    /**
+     * Responds to the JSON-RPC request.
+     *
+     * @param {object|Array} payload
+     * @param {Function} callback triggered on end with (err, result)
+     * @return {void}
+     */
+    send(payload, callback) {
+        const respond = async p => {
+            const response = { jsonrpc: '2.0', id: p.id }
+            try {
+                response.result = await this._handle(p.method, p.params || [])
+                if (response.result === undefined) response.result = null
+            } catch (e) {
+                response.error = { code: e.code || -32000, message: e.message }
+                if (e.data !== undefined) response.error.data = e.data
+            }
+            return response
+        }
+
+        this._enqueue(async () => {
+            if (!Array.isArray(payload)) return respond(payload)
+            const responses = []
+            for (const p of payload) responses.push(await respond(p))
+            return responses
+        }).then(response => callback(null, response))
+    }
+
+    sendAsync(payload, callback) {
+        this.send(payload, callback)
+    }
+
+    // eslint-disable-next-line class-methods-use-this
+    supportsSubscriptions() {
+        return true
+    }
+
+    disconnect() {
+        this.connected = false
+        this._subscriptions.clear()
+    }
+
+    reset() {
+        this._subscriptions.clear()
+    }
+
+    /**
+     * Runs the task after the tasks enqueued before, so that the state is not changed while a request is handled.
+     */
+    _enqueue(task) {
+        const result = this._queue.then(task)
+        this._queue = result.catch(() => {})
+        return result
+    }
+
+    async _handle(method, params) {
+        if (NODE_ACCOUNT_METHODS.includes(method)) {
+            throw new DevnetError(`The method ${method} is not supported since the devnet does not manage the accounts.`)
+        }
+
+        const handler = this._methods()[method]
+        if (!handler) throw new DevnetError(`The method ${method} is not supported by the devnet.`, -32601)
+        return handler(...params)
+    }
+
+    _methods() {
+        const hex = utils.numberToHex
+        return {
+            klay_chainID: () => hex(this.chainId),
+            klay_blockNumber: () => hex(this.blockNumber),
+            klay_gasPrice: () => this.gasPrice,
+            klay_gasPriceAt: () => this.gasPrice,
+            klay_clientVersion: () => 'Klaytn/devnet/caver-js',
+            klay_protocolVersion: () => '0x40',
+            klay_syncing: () => false,
+            klay_mining: () => true,
+            klay_accounts: () => [],
+            klay_isSenderTxHashIndexingEnabled: () => true,
+            klay_isParallelDBWrite: () => false,
+            klay_writeThroughCaching: () => false,
+            klay_rewardbase: () => ZERO_ADDRESS,
+            klay_getCypressCredit: () => {
+                throw new DevnetError('The Cypress credit is available only on the Cypress network.')
+            },
+
+            klay_getBalance: (address, block) => this._getAccount(address, block).balance,
+            klay_getTransactionCount: (address, block) => hex(this._getNonce(address, block)),
+            klay_getAccountKey: (address, block) => this.getAccountKey(address, block),
+            klay_getAccount: (address, block) => {
+                const account = this._stateAt(block)[address.toLowerCase()]
+                if (!account) return null
+                const { nonce, balance, key, code } = _.cloneDeep(account)
+                if (!code) return { accType: 1, account: { nonce, balance, humanReadable: false, key } }
+                return {
+                    accType: 2,
+                    account: { nonce, balance, humanReadable: false, key, codeHash: utils.sha3(code), vmVersion: 0 },
+                }
+            },
+            klay_accountCreated: (address, block) => this._stateAt(block)[address.toLowerCase()] !== undefined,
+            klay_isContractAccount: (address, block) => this._getAccount(address, block).code !== undefined,
+            klay_getCode: (address, block) => this._getAccount(address, block).code || '0x',
+            klay_getStorageAt: (address, position, block) => {
+                const storage = this._getAccount(address, block).storage || {}
+                return storage[utils.padLeft(utils.numberToHex(position), 64)] || ZERO_WORD
+            },
+            klay_encodeAccountKey: accountKey => fromAccountKeyObject(accountKey).getRLPEncoding(),
+            klay_decodeAccountKey: encodedKey => {
+                let accountKey
+                try {
+                    accountKey = AccountKeyDecoder.decode(encodedKey)
+                } catch (e) {
+                    throw new DevnetError(e.message)
+                }
+                return toAccountKeyObject(accountKey)
+            },
+            klay_call: async (callObject, block) => (await this._call(callObject, block)).returnValue,
+            klay_estimateGas: callObject => this._estimateGas(callObject),
+            // The gas used by the EVM is returned as the computation cost.
+            klay_estimateComputationCost: async (callObject, block) => hex((await this._call(callObject, block)).gasUsed),
+
+            klay_sendRawTransaction: rawTransaction => this._sendRawTransaction(rawTransaction),
+            klay_getTransactionByHash: hash => this._getTransaction(this._transactions.get(hash)),
+            klay_getTransactionBySenderTxHash: hash => this._getTransaction(this._transactions.get(this._senderTxHashes.get(hash))),
+            klay_getTransactionReceipt: hash => this._getReceipt(this._transactions.get(hash)),
+            klay_getTransactionReceiptBySenderTxHash: hash => this._getReceipt(this._transactions.get(this._senderTxHashes.get(hash))),
+            klay_getDecodedAnchoringTransactionByHash: hash => {
+                const entry = this._transactions.get(hash)
+                if (!entry) return null
+                if (!entry.tx.type.includes('ChainDataAnchoring')) throw new DevnetError('invalid transaction type')
+                return toDecodedAnchoringData(AnchoringData.decode(entry.tx))
+            },
+
+            klay_getBlockByNumber: (block, returnTransactions) => this._getBlock(this._findBlock(block), returnTransactions),
+            klay_getBlockByHash: (hash, returnTransactions) => this._getBlock(this._findBlock(hash), returnTransactions),
+            klay_getBlockReceipts: hash => {
+                const block = this._findBlock(hash)
+                return block ? block.transactions.map(txHash => this._getReceipt(this._transactions.get(txHash))) : null
+            },
+            klay_getBlockTransactionCountByNumber: block => {
+                const found = this._findBlock(block)
+                return found ? hex(found.transactions.length) : null
+            },
+            klay_getBlockTransactionCountByHash: hash => {
+                const found = this._findBlock(hash)
+                return found ? hex(found.transactions.length) : null
+            },
+            klay_getTransactionByBlockNumberAndIndex: (block, index) => this._getTransactionInBlock(block, index),
+            klay_getTransactionByBlockHashAndIndex: (hash, index) => this._getTransactionInBlock(hash, index),
+            klay_getBlockWithConsensusInfoByNumber: block => this._getBlockWithConsensusInfo(this._findBlock(block)),
+            klay_getBlockWithConsensusInfoByHash: hash => this._getBlockWithConsensusInfo(this._findBlock(hash)),
+
+            klay_getCommittee: block => this._getValidators(block),
+            klay_getCommitteeSize: block => this._getValidators(block).length,
+            klay_getCouncil: block => this._getValidators(block),
+            klay_getCouncilSize: block => this._getValidators(block).length,
+
+            klay_getLogs: filter => this._getLogs(filter),
+            klay_newFilter: filter => this._newFilter({ type: 'log', filter, lastBlockNumber: this.blockNumber }),
+            klay_newBlockFilter: () => this._newFilter({ type: 'block', lastBlockNumber: this.blockNumber }),
+            klay_newPendingTransactionFilter: () => this._newFilter({ type: 'pendingTransaction', hashes: [] }),
+            klay_getFilterChanges: id => this._getFilterChanges(id),
+            klay_getFilterLogs: id => {
+                const filter = this._filters.get(id)
+                if (!filter || filter.type !== 'log') throw new DevnetError('filter not found')
+                return this._getLogs(filter.filter)
+            },
+            klay_uninstallFilter: id => this._filters.delete(id),
+
+            klay_subscribe: (name, filter) => {
+                if (name !== 'newHeads' && name !== 'logs')
+                    throw new DevnetError(`The subscription ${name} is not supported by the devnet.`)
+                const id = hex(++this._subscriptionId)
+                this._subscriptions.set(id, { name, filter })
+                return id
+            },
+            klay_unsubscribe: id => this._subscriptions.delete(id),
+        }
+    }
+
+    async _sendRawTransaction(rawTransaction) {
+        let tx
+        try {
+            tx = TransactionDecoder.decode(rawTransaction)
+        } catch (e) {
+            throw new DevnetError(`Invalid raw transaction: ${e.message}`)
+        }
+
+        const hash = tx.getTransactionHash()
+        if (this._transactions.has(hash) || this._pool.some(pending => pending.getTransactionHash() === hash)) {
+            throw new DevnetError(`known transaction: ${hash.slice(2)}`)
+        }
+
+        this._validateTransaction(tx)
+
+        const from = tx.from.toLowerCase()
+        const nonce = utils.hexToNumber(tx.nonce)
+        if (nonce < this._getNonce(from)) throw new DevnetError('nonce too low')
+
+        // Only the cancel transaction can replace the pending transaction of the same nonce.
+        const replacing = this._pool.findIndex(pending => pending.from.toLowerCase() === from && utils.hexToNumber(pending.nonce) === nonce)
+        if (replacing !== -1) {
+            if (!tx.type.includes('Cancel')) throw new DevnetError('replacement transaction underpriced')
+            this._pool.splice(replacing, 1)
+        }
+
+        this._pool.push(tx)
+        this._filters.forEach(filter => {
+            if (filter.type === 'pendingTransaction') filter.hashes.push(hash)
+        })
+        if (this.automine) await this._mine(1)
+        return hash
+    }
+
+    /**
+     * Validates the transaction with the current state.
+     * The sender of the legacy transaction is filled with the address derived from the signature.
+     */
+    _validateTransaction(tx) {
+        const chainIds = getChainIdsFromSignatures(tx.signatures).concat(
+            tx.feePayerSignatures ? getChainIdsFromSignatures(tx.feePayerSignatures) : []
+        )
+        if (chainIds.some(chainId => chainId !== this.chainId)) throw new DevnetError('invalid chain id')
+        tx.chainId = utils.numberToHex(this.chainId)
+
+        if (utils.isEmptySig(tx.signatures)) throw new DevnetError('invalid transaction v, r, s values of the sender')
+        const publicKeys = tx.recoverPublicKeys()
+        if (tx.type === TX_TYPE_STRING.TxTypeLegacyTransaction) {
+            tx.from = `0x${utils.sha3(utils.decompressPublicKey(publicKeys[0])).slice(-40)}`
+        }
+
+        const sender = this._state[tx.from.toLowerCase()]
+        const senderKey = sender ? sender.key : null
+        if (tx.type === TX_TYPE_STRING.TxTypeLegacyTransaction && senderKey && senderKey.keyType !== ACCOUNT_KEY_TYPE.legacy) {
+            throw new DevnetError('a legacy transaction must be with a legacy account key')
+        }
+        const role = tx.type.includes('AccountUpdate') ? KEY_ROLE.roleAccountUpdateKey : KEY_ROLE.roleTransactionKey
+        if (!Validator.validateWithAccountKey(tx.from, publicKeys, senderKey, role)) {
+            throw new DevnetError('invalid transaction v, r, s values of the sender')
+        }
+
+        if (tx.type.includes('FeeDelegated')) {
+            if (utils.isEmptySig(tx.feePayerSignatures)) throw new DevnetError('invalid transaction v, r, s values of the fee payer')
+            const feePayer = this._state[tx.feePayer.toLowerCase()]
+            const feePayerPublicKeys = tx.recoverFeePayerPublicKeys()
+            if (
+                !Validator.validateWithAccountKey(tx.feePayer, feePayerPublicKeys, feePayer ? feePayer.key : null, KEY_ROLE.roleFeePayerKey)
+            ) {
+                throw new DevnetError('invalid transaction v, r, s values of the fee payer')
+            }
+        }
+
+        if (tx.type.includes('AccountUpdate')) updateAccountKey(senderKey, tx.account.accountKey)
+
+        const recipient = hasRecipient(tx) ? this._state[tx.to.toLowerCase()] : undefined
+        const isProgramAccount = !!recipient && recipient.code !== undefined
+        if (tx.type.includes('SmartContractExecution') && !isProgramAccount) throw new DevnetError(errors.txErrorTable['0xc'])
+        if (tx.type.includes('ValueTransfer') && isProgramAccount) throw new DevnetError('not for a program account')
+
+        if (utils.hexToNumber(tx.gas) < intrinsicGas(tx)) throw new DevnetError('intrinsic gas too low')
+        if (tx.gasPrice.toLowerCase() !== this.gasPrice) throw new DevnetError(`invalid unit price: ${tx.gasPrice}`)
+
+        // The balances are checked with the gas limit, and the fee is charged with the gas used.
+        const { senderFee, feePayerFee } = splitFee(tx, utils.toBN(tx.gas).mul(utils.toBN(this.gasPrice)))
+        const value = utils.toBN(tx.value || 0)
+        if (utils.toBN(sender ? sender.balance : 0).lt(value.add(senderFee))) {
+            throw new DevnetError('insufficient funds of the sender for gas * price + value')
+        }
+        if (feePayerFee.gtn(0) && utils.toBN(this._getAccount(tx.feePayer).balance).lt(feePayerFee)) {
+            throw new DevnetError('insufficient funds of the fee payer for gas * price')
+        }
+    }
+
+    /**
+     * Takes the transactions which can be executed in order, and drops the transactions which cannot be executed anymore.
+     */
+    _takeExecutables() {
+        const executables = []
+        const nonces = {}
+        const nextNonce = from => (nonces[from] !== undefined ? nonces[from] : this._getNonce(from))
+
+        let found = true
+        while (found) {
+            found = false
+            for (const tx of this._pool) {
+                const from = tx.from.toLowerCase()
+                if (utils.hexToNumber(tx.nonce) !== nextNonce(from)) continue
+                executables.push(tx)
+                nonces[from] = nextNonce(from) + 1
+                found = true
+            }
+            this._pool = this._pool.filter(
+                tx => !executables.includes(tx) && utils.hexToNumber(tx.nonce) >= nextNonce(tx.from.toLowerCase())
+            )
+        }
+        return executables
+    }
+
+    async _mine(count) {
+        const blocks = []
+        for (let i = 0; i < count; i++) blocks.push(await this._mineBlock(this._takeExecutables()))
+        return blocks
+    }
+
+    async _mineBlock(txs) {
+        const context = { number: this._blocks.length, timestamp: Math.floor(Date.now() / 1000) }
+
+        const hashes = []
+        let logIndex = 0
+        for (const tx of txs) {
+            // The state can be changed by the transactions in front of it.
+            try {
+                this._validateTransaction(tx)
+            } catch (e) {
+                continue
+            }
+            if (utils.hexToNumber(tx.nonce) !== this._getNonce(tx.from)) continue
+            const result = await this._executeTransaction(tx, context)
+            for (const log of result.logs) log.logIndex = logIndex++
+            const hash = tx.getTransactionHash()
+            this._transactions.set(hash, Object.assign(result, { tx, blockNumber: context.number, index: hashes.length }))
+            this._senderTxHashes.set(tx.getSenderTxHash(), hash)
+            hashes.push(hash)
+        }
+        return this._sealBlock(context, hashes)
+    }
+
+    _sealBlock({ number, timestamp }, hashes) {
+        const parentHash = number === 0 ? ZERO_WORD : this._blocks[number - 1].hash
+        const gasUsed = hashes.reduce((sum, hash) => sum + this._transactions.get(hash).gasUsed, 0)
+
+        const hash = utils.sha3(RLP.encode([parentHash, utils.numberToHex(number), utils.numberToHex(timestamp), hashes]))
+        const block = { number, hash, parentHash, timestamp, gasUsed, transactions: hashes }
+        this._blocks.push(block)
+        this._states.push(_.cloneDeep(this._state))
+
+        const header = this._getBlock(block, false)
+        delete header.transactions
+        this._notify('newHeads', header)
+        this._getBlockLogs(block).forEach(log => this._notify('logs', log, filter => matchLog(log, filter)))
+
+        return this._getBlock(block, false)
+    }
+
+    /**
+     * Executes the transaction, and returns the result of the execution to be stored with the transaction.
+     * The smart contract transactions and the legacy transactions are executed with the EVM.
+     * The nonce is increased and the fee is charged even if the execution failed.
+     */
+    async _executeTransaction(tx, context) {
+        const from = tx.from.toLowerCase()
+        const sender = getOrCreateAccount(this._state, from)
+        sender.nonce = utils.numberToHex(utils.hexToNumber(sender.nonce) + 1)
+
+        const result = { status: '0x1', logs: [], gasUsed: intrinsicGas(tx) }
+        if (isSmartContractTransaction(tx)) {
+            const creating = isContractCreation(tx)
+            const executed = await runMessage(
+                this._state,
+                {
+                    from,
+                    to: creating ? undefined : tx.to,
+                    value: tx.value,
+                    data: tx.input,
+                    gas: utils.hexToNumber(tx.gas) - result.gasUsed,
+                    gasPrice: tx.gasPrice,
+                },
+                this._evmContext(context)
+            )
+            result.gasUsed += executed.gasUsed
+            if (executed.txError) {
+                result.status = '0x0'
+                result.txError = executed.txError
+            } else {
+                result.gasUsed -= Math.min(executed.gasRefund, Math.floor(result.gasUsed / 2))
+                result.logs = executed.logs
+                if (creating) result.contractAddress = executed.contractAddress
+                this._applyChanges(executed)
+            }
+        } else {
+            const value = utils.toBN(tx.value || 0)
+            sender.balance = utils.toHex(utils.toBN(sender.balance).sub(value))
+            if (hasRecipient(tx)) {
+                const to = getOrCreateAccount(this._state, tx.to)
+                to.balance = utils.toHex(utils.toBN(to.balance).add(value))
+            }
+            if (tx.type.includes('AccountUpdate')) sender.key = updateAccountKey(sender.key, tx.account.accountKey)
+        }
+
+        const { senderFee, feePayerFee } = splitFee(tx, utils.toBN(result.gasUsed).mul(utils.toBN(this.gasPrice)))
+        sender.balance = utils.toHex(utils.toBN(sender.balance).sub(senderFee))
+        if (feePayerFee.gtn(0)) {
+            const feePayer = getOrCreateAccount(this._state, tx.feePayer)
+            feePayer.balance = utils.toHex(utils.toBN(feePayer.balance).sub(feePayerFee))
+        }
+        return result
+    }
+
+    /**
+     * Applies the changes made by the EVM to the state.
+     * The created contract account has AccountKeyFail since it cannot sign the transactions.
+     */
+    _applyChanges({ changes, destroyed }) {
+        _.forEach(changes, ({ nonce, balance, code, storage }, address) => {
+            const created = this._state[address] === undefined
+            const isEmpty = nonce === '0x0' && balance === '0x0' && code === undefined
+            if (created && isEmpty) return
+
+            const account = getOrCreateAccount(this._state, address)
+            Object.assign(account, { nonce, balance })
+            if (code !== undefined && account.code === undefined) {
+                account.code = code
+                account.key = toAccountKeyObject(new AccountKeyFail())
+            }
+            if (_.isEmpty(storage)) return
+            // The slots set to zero are removed as the storage of Klaytn does.
+            account.storage = _.omitBy(Object.assign(account.storage || {}, storage), value => value === ZERO_WORD)
+        })
+        destroyed.forEach(address => delete this._state[address])
+    }
+
+    _evmContext({ number, timestamp }) {
+        return {
+            chainId: this.chainId,
+            number,
+            timestamp,
+            getBlockHash: blockNumber => (this._blocks[blockNumber] ? this._blocks[blockNumber].hash : undefined),
+        }
+    }
+
+    /**
+     * Runs the call object with the EVM on the state at the block without changing the state.
+     * The gas of the call object includes the intrinsic gas as the gas of the transaction does.
+     */
+    async _runCall(callObject, block = 'latest', gas = callObject.gas !== undefined ? utils.hexToNumber(callObject.gas) : CALL_GAS_CAP) {
+        const state = this._stateAt(block)
+        const intrinsic = callIntrinsicGas(callObject)
+        if (gas < intrinsic) throw new DevnetError('intrinsic gas too low')
+
+        return runMessage(
+            state,
+            {
+                from: callObject.from || ZERO_ADDRESS,
+                to: callObject.to,
+                value: callObject.value,
+                data: callObject.data || callObject.input,
+                gas: gas - intrinsic,
+                gasPrice: callObject.gasPrice || this.gasPrice,
+            },
+            this._evmContext(this._findBlock(block))
+        )
+    }
+
+    /**
+     * Runs the call object, and throws the error of the failed execution with the revert data.
+     */
+    async _call(callObject, block) {
+        const result = await this._runCall(callObject, block)
+        if (result.txError) {
+            const data = result.txError === TX_ERROR_REVERTED ? result.returnValue : undefined
+            throw new DevnetError(errors.txErrorTable[result.txError], -32000, data)
+        }
+        return result
+    }
+
+    /**
+     * Returns the lowest gas with which the call object is executed successfully.
+     * The gas used by the execution is the lower bound, and the gas is searched from it.
+     */
+    async _estimateGas(callObject) {
+        const cap = callObject.gas !== undefined ? utils.hexToNumber(callObject.gas) : CALL_GAS_CAP
+        const { gasUsed } = await this._call(Object.assign({}, callObject, { gas: utils.numberToHex(cap) }))
+        const succeeds = async gas => !(await this._runCall(callObject, 'latest', gas)).txError
+
+        let lo = callIntrinsicGas(callObject) + gasUsed - 1
+        let hi = lo + 1
+        while (!(await succeeds(hi))) {
+            lo = hi
+            hi = Math.min(hi * 2, cap)
+        }
+        while (lo + 1 < hi) {
+            const mid = Math.floor((lo + hi) / 2)
+            if (await succeeds(mid)) {
+                hi = mid
+            } else {
+                lo = mid
+            }
+        }
+        return utils.numberToHex(hi)
+    }
+
+    _getAccount(address, block) {
+        return this._stateAt(block)[address.toLowerCase()] || { nonce: '0x0', balance: '0x0' }
+    }
+
+    _getNonce(address, block) {
+        let nonce = utils.hexToNumber(this._getAccount(address, block).nonce)
+        if (block !== 'pending') return nonce
+
+        const pendingNonces = this._pool
+            .filter(tx => tx.from.toLowerCase() === address.toLowerCase())
+            .map(tx => utils.hexToNumber(tx.nonce))
+        while (pendingNonces.includes(nonce)) nonce++
+        return nonce
+    }
+
+    _stateAt(block = 'latest') {
+        if (block === 'latest' || block === 'pending') return this._state
+        const number = block === 'earliest' ? 0 : utils.hexToNumber(block)
+        if (number > this.blockNumber) throw new DevnetError(`The block ${block} does not exist.`)
+        return this._states[number]
+    }
+
+    _findBlock(block = 'latest') {
+        if (utils.isHexStrict(block) && block.length === 66) return this._blocks.find(b => b.hash === block.toLowerCase())
+        if (block === 'latest' || block === 'pending') return this._blocks[this.blockNumber]
+        return this._blocks[block === 'earliest' ? 0 : utils.hexToNumber(block)]
+    }
+
+    _getBlock(block, returnTransactions) {
+        if (!block) return null
+        const hex = utils.numberToHex
+        return {
+            number: hex(block.number),
+            hash: block.hash,
+            parentHash: block.parentHash,
+            logsBloom: toLogsBloom(this._getBlockLogs(block)),
+            transactionsRoot: utils.sha3(RLP.encode(block.transactions)),
+            reward: ZERO_ADDRESS,
+            blockScore: '0x1',
+            totalBlockScore: hex(block.number + 1),
+            extraData: '0x',
+            size: '0x0',
+            gasUsed: hex(block.gasUsed),
+            timestamp: hex(block.timestamp),
+            timestampFoS: '0x0',
+            governanceData: '0x',
+            voteData: '0x',
+            transactions: returnTransactions
+                ? block.transactions.map(hash => this._getTransaction(this._transactions.get(hash)))
+                : block.transactions.slice(),
+        }
+    }
+
+    _getBlockWithConsensusInfo(block) {
+        if (!block) return null
+        return Object.assign(this._getBlock(block, false), {
+            committee: [ZERO_ADDRESS],
+            proposer: ZERO_ADDRESS,
+            originProposer: ZERO_ADDRESS,
+            round: 0,
+            transactions: block.transactions.map(hash => this._getReceipt(this._transactions.get(hash))),
+        })
+    }
+
+    _getValidators(block) {
+        if (!this._findBlock(block)) throw new DevnetError(`The block ${block} does not exist.`)
+        return [ZERO_ADDRESS]
+    }
+
+    _newFilter(filter) {
+        const id = utils.numberToHex(++this._filterId)
+        this._filters.set(id, filter)
+        return id
+    }
+
+    _getFilterChanges(id) {
+        const filter = this._filters.get(id)
+        if (!filter) throw new DevnetError('filter not found')
+
+        if (filter.type === 'block') {
+            const hashes = this._blocks.slice(filter.lastBlockNumber + 1).map(block => block.hash)
+            filter.lastBlockNumber = this.blockNumber
+            return hashes
+        }
+        if (filter.type === 'log') {
+            const logs = _.flatMap(this._blocks.slice(filter.lastBlockNumber + 1), block => this._getBlockLogs(block))
+            filter.lastBlockNumber = this.blockNumber
+            return logs.filter(log => matchLog(log, filter.filter))
+        }
+        const hashes = filter.hashes
+        filter.hashes = []
+        return hashes
+    }
+
+    /**
+     * Returns the logs matched with the filter in the blocks of the range or the block of `blockHash`.
+     */
+    _getLogs(filter = {}) {
+        let blocks
+        if (filter.blockHash) {
+            const block = this._findBlock(filter.blockHash)
+            if (!block) throw new DevnetError(`The block ${filter.blockHash} does not exist.`)
+            blocks = [block]
+        } else {
+            const from = this._toBlockNumber(filter.fromBlock)
+            const to = Math.min(this._toBlockNumber(filter.toBlock), this.blockNumber)
+            blocks = this._blocks.slice(from, to + 1)
+        }
+        return _.flatMap(blocks, block => this._getBlockLogs(block)).filter(log => matchLog(log, filter))
+    }
+
+    _getBlockLogs(block) {
+        return _.flatMap(block.transactions, hash => this._getReceipt(this._transactions.get(hash)).logs)
+    }
+
+    _toBlockNumber(block = 'latest') {
+        if (block === 'latest' || block === 'pending') return this.blockNumber
+        return block === 'earliest' ? 0 : utils.hexToNumber(block)
+    }
+
+    _getTransactionInBlock(block, index) {
+        const found = this._findBlock(block)
+        if (!found) return null
+        return this._getTransaction(this._transactions.get(found.transactions[utils.hexToNumber(index)]))
+    }
+
+    _getTransaction(entry) {
+        if (!entry) return null
+        const { tx, blockNumber, index } = entry
+        const block = this._blocks[blockNumber]
+        const signatures = _.isArray(tx.signatures) ? tx.signatures : [tx.signatures]
+
+        const transaction = {
+            blockHash: block.hash,
+            blockNumber: utils.numberToHex(blockNumber),
+            transactionIndex: utils.numberToHex(index),
+            hash: tx.getTransactionHash(),
+            senderTxHash: tx.getSenderTxHash(),
+            type: tx.type,
+            typeInt: utils.hexToNumber(TX_TYPE_TAG[tx.type] || '0x0'),
+            from: tx.from.toLowerCase(),
+            gas: tx.gas,
+            gasPrice: tx.gasPrice,
+            nonce: tx.nonce,
+            signatures: signatures.map(sig => ({ V: sig.v, R: sig.r, S: sig.s })),
+        }
+        if (tx.to !== undefined) transaction.to = hasRecipient(tx) ? tx.to.toLowerCase() : null
+        if (tx.value !== undefined) transaction.value = tx.value
+        if (tx.input !== undefined) transaction.input = tx.input
+        if (tx.humanReadable !== undefined) transaction.humanReadable = tx.humanReadable
+        if (tx.codeFormat !== undefined) transaction.codeFormat = tx.codeFormat
+        if (tx.type.includes('AccountUpdate')) transaction.key = tx.account.getRLPEncodingAccountKey()
+        if (tx.type.includes('FeeDelegated')) {
+            transaction.feePayer = tx.feePayer.toLowerCase()
+            transaction.feePayerSignatures = tx.feePayerSignatures.map(sig => ({ V: sig.v, R: sig.r, S: sig.s }))
+        }
+        if (tx.feeRatio !== undefined) transaction.feeRatio = tx.feeRatio
+        return transaction
+    }
+
+    _getReceipt(entry) {
+        if (!entry) return null
+        const transaction = this._getTransaction(entry)
+        const logs = entry.logs.map(log =>
+            Object.assign(_.omit(log, 'logIndex'), {
+                blockNumber: transaction.blockNumber,
+                blockHash: transaction.blockHash,
+                transactionHash: transaction.hash,
+                transactionIndex: transaction.transactionIndex,
+                logIndex: utils.numberToHex(log.logIndex),
+                removed: false,
+            })
+        )
+        const receipt = Object.assign(transaction, {
+            transactionHash: transaction.hash,
+            gasUsed: utils.numberToHex(entry.gasUsed),
+            contractAddress: entry.contractAddress || null,
+            logs,
+            logsBloom: toLogsBloom(logs),
+            status: entry.status,
+        })
+        if (entry.txError !== undefined) receipt.txError = entry.txError
+        delete receipt.hash
+        return receipt
+    }
+
+    _notify(name, result, match) {
+        this._subscriptions.forEach((subscription, id) => {
+            if (subscription.name !== name) return
+            if (match && !match(subscription.filter || {})) return
+            this.emit('data', { jsonrpc: '2.0', method: 'klay_subscription', params: { subscription: id, result } })
+        })
+    }
+}
+
+function getOrCreateAccount(state, address) {
+    address = address.toLowerCase()
+    if (!state[address]) state[address] = { nonce: '0x0', balance: '0x0', key: { keyType: ACCOUNT_KEY_TYPE.legacy, key: {} } }
+    return state[address]
+}
+
+function hasRecipient(tx) {
+    return !!tx.to && tx.to !== '0x'
+}
+
+/**
+ * Returns true if the transaction is executed with the EVM.
+ * The legacy transaction is executed with the EVM whether the recipient is a contract or not.
+ */
+function isSmartContractTransaction(tx) {
+    return tx.type === TX_TYPE_STRING.TxTypeLegacyTransaction || tx.type.includes('SmartContract')
+}
+
+function isContractCreation(tx) {
+    return tx.type.includes('SmartContractDeploy') || (tx.type === TX_TYPE_STRING.TxTypeLegacyTransaction && !hasRecipient(tx))
+}
+
+/**
+ * Returns true if the log is matched with the address and the topics of the filter.
+ * The topic of the filter can be null to match any topic, or an array to match one of the topics.
+ */
+function matchLog(log, filter) {
+    if (filter.address) {
+        const addresses = _.castArray(filter.address).map(address => address.toLowerCase())
+        if (!addresses.includes(log.address)) return false
+    }
+    return (filter.topics || []).every((topic, i) => {
+        if (topic === null || topic === undefined) return true
+        return _.castArray(topic).some(t => t.toLowerCase() === log.topics[i])
+    })
+}
+
+function getChainIdsFromSignatures(signatures) {
+    signatures = _.isArray(signatures) ? signatures : [signatures]
+    return signatures
+        .filter(sig => !sig.isEmpty())
+        .map(sig => {
+            const v = utils.hexToNumber(sig.v)
+            return v < 35 ? undefined : (v - 35) >> 1
+        })
+}
+
+function intrinsicGas(tx) {
+    let gas = TX_GAS
+    if (tx.type.endsWith('WithRatio')) {
+        gas += TX_GAS_FEE_DELEGATED_WITH_RATIO
+    } else if (tx.type.includes('FeeDelegated')) {
+        gas += TX_GAS_FEE_DELEGATED
+    }
+
+    if (isContractCreation(tx)) gas += TX_GAS_CONTRACT_CREATION - TX_GAS
+    if (tx.input !== undefined) gas += utils.hexToBytes(tx.input).length * TX_DATA_GAS
+    if (tx.type.includes('AccountUpdate')) gas += countKeys(tx.account.accountKey) * TX_ACCOUNT_CREATION_GAS_PER_KEY
+
+    const signatures = _.isArray(tx.signatures) ? tx.signatures : [tx.signatures]
+    gas += (signatures.length - 1) * TX_VALIDATION_GAS_PER_KEY
+    if (tx.feePayerSignatures) gas += (tx.feePayerSignatures.length - 1) * TX_VALIDATION_GAS_PER_KEY
+    return gas
+}
+
+function callIntrinsicGas(callObject) {
+    const data = callObject.data || callObject.input || '0x'
+    return (callObject.to ? TX_GAS : TX_GAS_CONTRACT_CREATION) + utils.hexToBytes(data).length * TX_DATA_GAS
+}
+
+function countKeys(accountKey) {
+    if (accountKey instanceof AccountKeyPublic) return 1
+    if (accountKey instanceof AccountKeyWeightedMultiSig) return accountKey.weightedPublicKeys.length
+    if (accountKey instanceof AccountKeyRoleBased) return accountKey.accountKeys.reduce((sum, key) => sum + (key ? countKeys(key) : 0), 0)
+    return 0
+}
+
+function splitFee(tx, fee) {
+    if (!tx.type.includes('FeeDelegated')) return { senderFee: fee, feePayerFee: utils.toBN(0) }
+    if (tx.feeRatio === undefined) return { senderFee: utils.toBN(0), feePayerFee: fee }
+
+    const feePayerFee = fee.muln(utils.hexToNumber(tx.feeRatio)).divn(100)
+    return { senderFee: fee.sub(feePayerFee), feePayerFee }
+}
+
+function toAccountKeyObject(accountKey) {
+    if (accountKey === undefined) return { keyType: ACCOUNT_KEY_TYPE.nil, key: {} }
+    if (accountKey instanceof AccountKeyLegacy) return { keyType: ACCOUNT_KEY_TYPE.legacy, key: {} }
+    if (accountKey instanceof AccountKeyFail) return { keyType: ACCOUNT_KEY_TYPE.fail, key: {} }
+    if (accountKey instanceof AccountKeyPublic) return { keyType: ACCOUNT_KEY_TYPE.public, key: toXY(accountKey.publicKey) }
+    if (accountKey instanceof AccountKeyWeightedMultiSig) {
+        return {
+            keyType: ACCOUNT_KEY_TYPE.weightedMultiSig,
+            key: {
+                threshold: accountKey.threshold,
+                keys: accountKey.weightedPublicKeys.map(weighted => ({ weight: weighted.weight, key: toXY(weighted.publicKey) })),
+            },
+        }
+    }
+    if (accountKey instanceof AccountKeyRoleBased) {
+        return { keyType: ACCOUNT_KEY_TYPE.roleBased, key: accountKey.accountKeys.map(toAccountKeyObject) }
+    }
+    throw new DevnetError(`Unsupported account key: ${accountKey}`)
+}
+
+/**
+ * Returns the account key from the account key object in the format returned from `klay_getAccountKey`.
+ * The role of which the key type is AccountKeyNil is returned as undefined.
+ */
+function fromAccountKeyObject(object) {
+    if (!_.isObject(object)) throw new DevnetError(`Invalid account key: ${object}`)
+    const { keyType, key } = object
+    try {
+        switch (keyType) {
+            case ACCOUNT_KEY_TYPE.nil:
+                return undefined
+            case ACCOUNT_KEY_TYPE.legacy:
+                return new AccountKeyLegacy()
+            case ACCOUNT_KEY_TYPE.public:
+                return AccountKeyPublic.fromXYPoint(key.x, key.y)
+            case ACCOUNT_KEY_TYPE.fail:
+                return new AccountKeyFail()
+            case ACCOUNT_KEY_TYPE.weightedMultiSig:
+                return new AccountKeyWeightedMultiSig(
+                    key.threshold,
+                    key.keys.map(
+                        weighted =>
+                            new WeightedPublicKey(weighted.weight, AccountKeyPublic.fromXYPoint(weighted.key.x, weighted.key.y).publicKey)
+                    )
+                )
+            case ACCOUNT_KEY_TYPE.roleBased:
+                return new AccountKeyRoleBased(key.map(fromAccountKeyObject))
+            default:
+        }
+    } catch (e) {
+        if (e instanceof DevnetError) throw e
+        throw new DevnetError(`Invalid account key: ${e.message}`)
+    }
+    throw new DevnetError(`Invalid account key type: ${keyType}`)
+}
+
+function toXY(publicKey) {
+    const [x, y] = utils.xyPointFromPublicKey(publicKey)
+    return { x, y }
+}
+
+/**
+ * Returns the anchoring data in the format returned from `klay_getDecodedAnchoringTransactionByHash`.
+ */
+function toDecodedAnchoringData(data) {
+    return _.mapKeys(_.omit(data, 'version'), (value, field) => _.upperFirst(field))
+}
+
+/**
+ * Returns the account key updated with the new key.
+ * The role of AccountKeyNil in AccountKeyRoleBased keeps the key of the role, so it is allowed only for AccountKeyRoleBased.
+ */
+function updateAccountKey(oldKey, newKey) {
+    if (!(newKey instanceof AccountKeyRoleBased)) return toAccountKeyObject(newKey)
+
+    const oldRoleKeys = oldKey && oldKey.keyType === ACCOUNT_KEY_TYPE.roleBased ? oldKey.key : undefined
+    const keys = newKey.accountKeys.map((key, role) => {
+        if (key !== undefined) return toAccountKeyObject(key)
+        if (!oldRoleKeys || !oldRoleKeys[role]) throw new DevnetError('AccountKeyNil cannot be initialized to an account')
+        return oldRoleKeys[role]
+    })
+    return { keyType: ACCOUNT_KEY_TYPE.roleBased, key: keys }
+}
+
+module.exports = Devnet
+module.exports.DevnetError = DevnetError
@@ -36,7 +36,8 @@ async function determineSendParams(executableObj, sendParam, defaultFrom) {
         gas = Math.round(originalGas.times(bufferGas))
     }
 
-    return { from, gas, gasPrice: sendParam.gasPrice, value: sendParam.value }
+    const { gasPrice, value, feeDelegation, feePayer, feeRatio } = sendParam
+    return { from, gas, gasPrice, value, feeDelegation, feePayer, feeRatio }
 }
 
 function formatParamForUint256(param) {
@@ -38,6 +38,7 @@ const elliptic = require('elliptic')
 const scrypt = require('scrypt-js')
 const utils = require('../../../caver-utils')
 const helpers = require('../../../caver-core-helpers')
+const nonceManager = require('../../../caver-transaction/src/nonceManager/nonceManager').instance
 
 const Method = require('../../../caver-core-method')
 const core = require('../../../caver-core')
@@ -886,21 +887,31 @@ Accounts.prototype.signTransaction = function signTransaction() {
     }
 
     // Otherwise, get the missing info from the Klaytn Node
+    const chainId = isNot(tx.chainId) ? _this._klaytnCall.getChainId() : tx.chainId
+    const isNonceReserved = isNot(tx.nonce)
     return Promise.all([
-        isNot(tx.chainId) ? _this._klaytnCall.getChainId() : tx.chainId,
+        chainId,
         isNot(tx.gasPrice) ? _this._klaytnCall.getGasPrice() : tx.gasPrice,
-        isNot(tx.nonce) ? _this._klaytnCall.getTransactionCount(tx.from, 'pending') : tx.nonce,
+        isNonceReserved
+            ? nonceManager.reserve(tx.from, chainId, () => _this._klaytnCall.getTransactionCount(tx.from, 'pending'))
+            : tx.nonce,
     ]).then(function(args) {
         if (isNot(args[0]) || isNot(args[1]) || isNot(args[2])) {
             throw new Error(`One of the values "chainId", "gasPrice", or "nonce" couldn't be fetched: ${JSON.stringify(args)}`)
         }
-        return signed(
-            _.extend(tx, {
-                chainId: args[0],
-                gasPrice: args[1],
-                nonce: args[2],
-            })
-        )
+        return Promise.resolve(
+            signed(
+                _.extend(tx, {
+                    chainId: args[0],
+                    gasPrice: args[1],
+                    nonce: args[2],
+                })
+            )
+        ).catch(e => {
+            // Give the reserved nonce back so that it can be used by the next transaction.
+            if (isNonceReserved) nonceManager.release(tx.from, args[0], args[2])
+            throw e
+        })
     })
 }
 
@@ -0,0 +1,246 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const _ = require('lodash')
+
+// The results of these methods never change.
+const IMMUTABLE_METHODS = ['klay_chainID']
+
+// The results of these methods are identified by the hash given.
+const HASH_METHODS = [
+    'klay_getBlockByHash',
+    'klay_getBlockReceipts',
+    'klay_getBlockTransactionCountByHash',
+    'klay_getBlockWithConsensusInfoByHash',
+    'klay_getTransactionByBlockHashAndIndex',
+    'klay_getTransactionByHash',
+    'klay_getTransactionBySenderTxHash',
+    'klay_getTransactionReceipt',
+    'klay_getTransactionReceiptBySenderTxHash',
+    'klay_getDecodedAnchoringTransactionByHash',
+]
+
+// The results of these methods do not change at a fixed block. The value is the index of the block parameter.
+const BLOCK_METHODS = {
+    klay_getBlockByNumber: 0,
+    klay_getBlockTransactionCountByNumber: 0,
+    klay_getBlockWithConsensusInfoByNumber: 0,
+    klay_getTransactionByBlockNumberAndIndex: 0,
+    klay_getCommittee: 0,
+    klay_getCommitteeSize: 0,
+    klay_getCouncil: 0,
+    klay_getCouncilSize: 0,
+    klay_gasPriceAt: 0,
+    klay_getTransactionCount: 1,
+    klay_getAccountKey: 1,
+    klay_getAccount: 1,
+    klay_getBalance: 1,
+    klay_getCode: 1,
+    klay_isContractAccount: 1,
+    klay_call: 1,
+    klay_estimateComputationCost: 1,
+    klay_getStorageAt: 2,
+}
+
+// `latest` and `pending` are not fixed blocks.
+const isFixedBlock = block => block === 'earliest' || (typeof block === 'string' && /^0x[0-9a-f]+$/i.test(block))
+
+/**
+ * Returns the cache key of the request, or undefined if the result of the request can change.
+ *
+ * @param {object} request
+ * @return {string|undefined}
+ */
+const toCacheKey = request => {
+    const { method } = request
+    const params = request.params || []
+
+    let cacheable = false
+    if (IMMUTABLE_METHODS.includes(method)) {
+        cacheable = true
+    } else if (HASH_METHODS.includes(method)) {
+        cacheable = typeof params[0] === 'string'
+    } else if (BLOCK_METHODS[method] !== undefined) {
+        cacheable = isFixedBlock(params[BLOCK_METHODS[method]])
+    } else if (method === 'klay_getLogs' && _.isObject(params[0])) {
+        cacheable = !!params[0].blockHash || (isFixedBlock(params[0].fromBlock) && isFixedBlock(params[0].toBlock))
+    }
+
+    return cacheable ? `${method}:${JSON.stringify(params).toLowerCase()}` : undefined
+}
+
+/**
+ * Returns the number of the block which the result of the request is fixed at,
+ * or undefined if the result does not depend on a block number.
+ *
+ * @param {object} request
+ * @return {number|undefined}
+ */
+const toBlockNumber = request => {
+    const params = request.params || []
+    let block
+    if (BLOCK_METHODS[request.method] !== undefined) {
+        block = params[BLOCK_METHODS[request.method]]
+    } else if (request.method === 'klay_getLogs' && _.isObject(params[0]) && !params[0].blockHash) {
+        block = params[0].toBlock
+    }
+    if (!isFixedBlock(block)) return undefined
+    return block === 'earliest' ? 0 : parseInt(block, 16)
+}
+
+/**
+ * Returns the number of the block which is known to be mined from the response or the notification.
+ *
+ * @param {object} data
+ * @return {number|undefined}
+ */
+const toMinedBlockNumber = data => {
+    let number
+    if (data.type === 'notification') {
+        number = data.params && _.isObject(data.params.result) ? data.params.result.number : undefined
+    } else if (data.method === 'klay_blockNumber') {
+        number = data.result
+    } else if (_.isObject(data.result) && !_.isArray(data.result)) {
+        // the blocks, and the transactions and the receipts included in a block
+        number = data.result.number !== undefined ? data.result.number : data.result.blockNumber
+    }
+    return isFixedBlock(number) && number !== 'earliest' ? parseInt(number, 16) : undefined
+}
+
+/**
+ * An in-memory store which removes the least recently used result when it is full.
+ *
+ * @class
+ */
+class LRUStore {
+    /**
+     * @param {number} [maxSize] The maximum number of results to keep. Defaults to 1000.
+     */
+    constructor(maxSize = 1000) {
+        this.maxSize = maxSize
+        this._map = new Map()
+    }
+
+    /**
+     * @type {number}
+     */
+    get size() {
+        return this._map.size
+    }
+
+    /**
+     * @param {string} key
+     * @return {*} The result, or undefined if not stored.
+     */
+    get(key) {
+        if (!this._map.has(key)) return undefined
+        const value = this._map.get(key)
+        // move to the most recently used
+        this._map.delete(key)
+        this._map.set(key, value)
+        return _.cloneDeep(value)
+    }
+
+    /**
+     * @param {string} key
+     * @param {*} value
+     */
+    set(key, value) {
+        this._map.delete(key)
+        this._map.set(key, _.cloneDeep(value))
+        if (this._map.size > this.maxSize) this._map.delete(this._map.keys().next().value)
+    }
+
+    clear() {
+        this._map.clear()
+    }
+}
+
+/**
+ * The middleware which returns the cached results of the requests whose results do not change,
+ * such as the blocks and the transactions by hash or the states at a fixed block number.
+ * The requests with `latest` or `pending` are not cached.
+ * The result at a block number is cached only when the block is known to be mined, because the node can return
+ * the partial result for a future block, e.g. the logs mined so far for `toBlock` of `klay_getLogs`.
+ * The mined blocks are known from `klay_blockNumber`, the blocks, the transactions and the receipts, and the `newHeads` notifications.
+ *
+ * @param {object} [options]
+ * @param {number} [options.maxSize] The size of the default in-memory store.
+ * @param {object} [options.store] The store with `get(key)` and `set(key, value)` which can return promises.
+ * @return {function} The middleware, which has `store` and `metrics` ({ hits, misses }).
+ */
+const cache = (options = {}) => {
+    const store = options.store || new LRUStore(options.maxSize)
+    if (typeof store.get !== 'function' || typeof store.set !== 'function') {
+        throw Error('cache store must have get and set functions.')
+    }
+
+    const metrics = { hits: 0, misses: 0 }
+    // the cache keys of the requests waiting for the response
+    const pending = new Map()
+    // the number of the latest block known to be mined
+    let minedBlockNumber = 0
+
+    const middleware = async (data, next) => {
+        if (data.type === 'request') {
+            const key = toCacheKey(data)
+            if (key === undefined) return next()
+
+            // the request is sent when the store fails
+            const cached = await Promise.resolve()
+                .then(() => store.get(key))
+                .catch(() => undefined)
+            if (cached !== undefined && cached !== null) {
+                metrics.hits++
+                return next({ type: 'response', jsonrpc: '2.0', id: data.id, result: cached })
+            }
+
+            metrics.misses++
+            pending.set(data.id, { key, blockNumber: toBlockNumber(data) })
+            return next()
+        }
+
+        if (!data.error) minedBlockNumber = Math.max(minedBlockNumber, toMinedBlockNumber(data) || 0)
+
+        if (data.type === 'response' && pending.has(data.id)) {
+            const { key, blockNumber } = pending.get(data.id)
+            pending.delete(data.id)
+
+            const result = data.result
+            // the result is not cached when it is not found, the transaction is pending or the block is not mined yet
+            const isPending = _.isObject(result) && result.blockNumber === null
+            const isMined = blockNumber === undefined || blockNumber <= minedBlockNumber
+            if (!data.error && result !== undefined && result !== null && !isPending && isMined) {
+                await Promise.resolve()
+                    .then(() => store.set(key, result))
+                    .catch(() => {})
+            }
+        }
+
+        next()
+    }
+
+    middleware.store = store
+    middleware.metrics = metrics
+    return middleware
+}
+
+cache.LRUStore = LRUStore
+cache.toCacheKey = toCacheKey
+
+module.exports = cache
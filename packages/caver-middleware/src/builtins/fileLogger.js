@@ -16,40 +16,188 @@
     along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
 */
 
-// const fs = typeof window !== 'object' && require('fs') || {}
-const fs = {}
+const fs = require('fs')
+const path = require('path')
 
 const DEFAULT_FILE_PATH = './'
 const DEFAULT_FILE_NAME = 'rpcLogs'
 const DEFAULT_FILE_EXTENSION = 'log'
+const DEFAULT_MAX_SIZE = 10 * 1024 * 1024
+const DEFAULT_MAX_FILES = 5
 
-const guaranteeFilePath = filePath => {
-    return filePath.slice(-1) !== '/' ? `${filePath}/` : filePath
+const REDACTED = '[REDACTED]'
+const REDACTED_METHODS = ['klay_sendRawTransaction']
+
+/**
+ * Hides the raw transactions, and the passwords and the private keys given to `personal_*` methods.
+ * Only the addresses and the transaction objects are kept in the parameters of `personal_*` methods.
+ *
+ * @param {string} method
+ * @param {Array} params
+ * @return {Array}
+ */
+const redactParams = (method, params) => {
+    if (!Array.isArray(params)) return params
+    if (REDACTED_METHODS.includes(method)) return params.map(() => REDACTED)
+    if (typeof method === 'string' && method.startsWith('personal_')) {
+        return params.map(param => {
+            if (typeof param === 'string' && /^0x[0-9a-fA-F]{40}$/.test(param)) return param
+            if (typeof param === 'object' || typeof param === 'number') return param
+            return REDACTED
+        })
+    }
+    return params
 }
 
-const appendToFile = (filePath, contents) => {
-    fs.appendFileSync(filePath, `${contents}\n`, err => {
-        if (err) throw err
-    })
+/**
+ * Writes the log lines to the file, and rotates the file when it exceeds `maxSize`.
+ * `{name}.{extension}` is renamed to `{name}.1.{extension}`, and up to `maxFiles` rotated files are kept.
+ * The errors of the file are passed to `onError` instead of being thrown, and the file is reopened with the next line.
+ */
+class RotatingFile {
+    constructor(filePath, maxSize, maxFiles, onError) {
+        this.filePath = filePath
+        this.maxSize = maxSize
+        this.maxFiles = maxFiles
+        this.onError = onError
+        this.stream = null
+        this.size = 0
+    }
+
+    _rotatedPath(index) {
+        const { dir, name, ext } = path.parse(this.filePath)
+        return path.join(dir, `${name}.${index}${ext}`)
+    }
+
+    _open() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+        this.size = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).size : 0
+        // The file is opened synchronously to be rotated before the stream is ready.
+        const stream = fs.createWriteStream(null, { fd: fs.openSync(this.filePath, 'a') })
+        stream.on('error', error => {
+            if (this.stream === stream) this.stream = null
+            this._handleError(error)
+        })
+        this.stream = stream
+    }
+
+    _handleError(error) {
+        try {
+            this.onError(error)
+        } catch (e) {
+            // the logging never fails the request
+        }
+    }
+
+    _rotate() {
+        this.close()
+        if (fs.existsSync(this._rotatedPath(this.maxFiles))) fs.unlinkSync(this._rotatedPath(this.maxFiles))
+        for (let i = this.maxFiles - 1; i >= 1; i--) {
+            if (fs.existsSync(this._rotatedPath(i))) fs.renameSync(this._rotatedPath(i), this._rotatedPath(i + 1))
+        }
+        // The lines not flushed yet are written to the renamed file.
+        if (this.maxFiles > 0) {
+            fs.renameSync(this.filePath, this._rotatedPath(1))
+        } else {
+            fs.unlinkSync(this.filePath)
+        }
+    }
+
+    write(line) {
+        try {
+            if (!this.stream) this._open()
+
+            const size = Buffer.byteLength(line)
+            if (this.size > 0 && this.size + size > this.maxSize) {
+                this._rotate()
+                this._open()
+            }
+
+            this.stream.write(line)
+            this.size += size
+        } catch (e) {
+            this.close()
+            this._handleError(e)
+        }
+    }
+
+    close() {
+        if (this.stream) this.stream.end()
+        this.stream = null
+    }
 }
 
-const fileLogger = (options = {}) => (data, next) => {
+/**
+ * The middleware which writes the requests, the responses and the notifications to the file in JSON lines.
+ * A response has the same `id` as its request, and `elapsed` (ms) since the request.
+ * This middleware can be used only in Node.js environment.
+ *
+ * @param {object} [options]
+ * @param {string} [options.path] The directory of the log file. Defaults to './'.
+ * @param {string} [options.name] The name of the log file. Defaults to 'rpcLogs'.
+ * @param {string} [options.extension] The extension of the log file. Defaults to 'log'.
+ * @param {number} [options.maxSize] The size (bytes) of the log file to rotate. Defaults to 10MB.
+ * @param {number} [options.maxFiles] The number of the rotated log files to keep. Defaults to 5.
+ * @param {function} [options.onError] The function called with the error of writing the log. The error is ignored by default.
+ * @return {function} The middleware, which has `close()` to close the log file.
+ */
+const fileLogger = (options = {}) => {
     if (typeof options !== 'object') {
         throw Error('file logger must take an object type argument.')
     }
+    if (typeof fs.createWriteStream !== 'function') {
+        throw Error('file logger is not supported in this environment. Please use it in Node.js.')
+    }
 
-    options.path = guaranteeFilePath(options.path) || DEFAULT_FILE_PATH
-    options.name = options.name || DEFAULT_FILE_NAME
-    options.extension = options.extension || DEFAULT_FILE_EXTENSION
+    const fileName = `${options.name || DEFAULT_FILE_NAME}.${options.extension || DEFAULT_FILE_EXTENSION}`
+    const file = new RotatingFile(
+        path.join(options.path || DEFAULT_FILE_PATH, fileName),
+        options.maxSize || DEFAULT_MAX_SIZE,
+        options.maxFiles !== undefined ? options.maxFiles : DEFAULT_MAX_FILES,
+        typeof options.onError === 'function' ? options.onError : () => {}
+    )
 
-    const fileName = `${options.path}${options.name}.${options.extension}`
+    // the time of the requests waiting for the response
+    const requestedAt = new Map()
 
-    // Add timestamp for RPC request || response.
-    data.timestamp = new Date().getTime()
+    const log = data => {
+        const timestamp = Date.now()
+        const entry = { timestamp, type: data.type, id: data.id, method: data.method }
 
-    appendToFile(fileName, JSON.stringify(data))
+        if (data.type === 'request') {
+            requestedAt.set(data.id, timestamp)
+            entry.params = redactParams(data.method, data.params)
+        } else if (data.type === 'response') {
+            if (requestedAt.has(data.id)) {
+                entry.elapsed = timestamp - requestedAt.get(data.id)
+                requestedAt.delete(data.id)
+            }
+            if (data.error !== undefined) {
+                entry.error = data.error instanceof Error ? { message: data.error.message } : data.error
+            } else {
+                entry.result = data.result
+            }
+        } else {
+            entry.params = data.params
+        }
 
-    next()
+        file.write(`${JSON.stringify(entry)}\n`)
+    }
+
+    // The error of the logging is not passed to the request.
+    const middleware = (data, next) => {
+        try {
+            log(data)
+        } catch (e) {
+            file._handleError(e)
+        }
+        next()
+    }
+
+    middleware.close = () => file.close()
+    return middleware
 }
 
+fileLogger.redactParams = redactParams
+
 module.exports = fileLogger
@@ -16,12 +16,16 @@
     along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
 */
 
+const cache = require('./cache')
 const fileLogger = require('./fileLogger')
+const metrics = require('./metrics')
 const rpcFilter = require('./rpcFilter')
 const timeMeasure = require('./timeMeasure')
 
 module.exports = {
+    cache,
     fileLogger,
+    metrics,
     rpcFilter,
     timeMeasure,
 }
@@ -0,0 +1,147 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+const escapeLabel = value =>
+    String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n')
+
+/**
+ * The middleware which collects the number of the requests, the errors and the latency of each method.
+ * The metrics can be exported in the Prometheus text format with `toPrometheus()`.
+ *
+ * @param {object} [options]
+ * @param {string} [options.prefix] The prefix of the metric names. Defaults to 'caver_rpc'.
+ * @param {Array.<number>} [options.buckets] The upper bounds (seconds) of the latency histogram.
+ * @return {function} The middleware, which has `getMetrics()`, `toPrometheus()` and `reset()`.
+ */
+const metrics = (options = {}) => {
+    const prefix = options.prefix || 'caver_rpc'
+    const buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b)
+
+    let methods = {}
+    // the time and the method of the requests waiting for the response
+    const pending = new Map()
+
+    const getMethod = method => {
+        if (!methods[method]) {
+            methods[method] = { requests: 0, errors: 0, latency: { sum: 0, count: 0, buckets: buckets.map(() => 0) } }
+        }
+        return methods[method]
+    }
+
+    const middleware = (data, next) => {
+        if (data.type === 'request') {
+            getMethod(data.method).requests++
+            pending.set(data.id, { method: data.method, startedAt: Date.now() })
+        } else if (data.type === 'response' && pending.has(data.id)) {
+            const { method, startedAt } = pending.get(data.id)
+            pending.delete(data.id)
+
+            const metric = getMethod(method)
+            if (data.error !== undefined) metric.errors++
+
+            const seconds = (Date.now() - startedAt) / 1000
+            metric.latency.sum += seconds
+            metric.latency.count++
+            buckets.forEach((bound, index) => {
+                if (seconds <= bound) metric.latency.buckets[index]++
+            })
+        }
+
+        next()
+    }
+
+    /**
+     * Returns the metrics of each method.
+     *
+     * @return {object} `{ [method]: { requests, errors, errorRate, latency: { sum, count, buckets: { [bound]: count } } } }`
+     */
+    middleware.getMetrics = () => {
+        const result = {}
+        Object.keys(methods).forEach(method => {
+            const { requests, errors, latency } = methods[method]
+            result[method] = {
+                requests,
+                errors,
+                errorRate: latency.count === 0 ? 0 : errors / latency.count,
+                latency: {
+                    sum: latency.sum,
+                    count: latency.count,
+                    buckets: buckets.reduce((acc, bound, index) => {
+                        acc[bound] = latency.buckets[index]
+                        return acc
+                    }, {}),
+                },
+            }
+        })
+        return result
+    }
+
+    /**
+     * Returns the metrics in the Prometheus text exposition format.
+     *
+     * @return {string}
+     */
+    middleware.toPrometheus = () => {
+        const current = middleware.getMetrics()
+        const names = Object.keys(current).sort()
+        const label = method => `method="${escapeLabel(method)}"`
+        const lines = []
+
+        lines.push(`# HELP ${prefix}_requests_total The number of the JSON-RPC requests.`)
+        lines.push(`# TYPE ${prefix}_requests_total counter`)
+        names.forEach(method => lines.push(`${prefix}_requests_total{${label(method)}} ${current[method].requests}`))
+
+        lines.push(`# HELP ${prefix}_errors_total The number of the JSON-RPC requests which failed.`)
+        lines.push(`# TYPE ${prefix}_errors_total counter`)
+        names.forEach(method => lines.push(`${prefix}_errors_total{${label(method)}} ${current[method].errors}`))
+
+        lines.push(`# HELP ${prefix}_error_ratio The ratio of the failed requests to the responded requests.`)
+        lines.push(`# TYPE ${prefix}_error_ratio gauge`)
+        names.forEach(method => lines.push(`${prefix}_error_ratio{${label(method)}} ${current[method].errorRate}`))
+
+        lines.push(`# HELP ${prefix}_request_duration_seconds The latency of the JSON-RPC requests.`)
+        lines.push(`# TYPE ${prefix}_request_duration_seconds histogram`)
+        names.forEach(method => {
+            const { latency } = current[method]
+            buckets.forEach(bound => {
+                lines.push(`${prefix}_request_duration_seconds_bucket{${label(method)},le="${bound}"} ${latency.buckets[bound]}`)
+            })
+            lines.push(`${prefix}_request_duration_seconds_bucket{${label(method)},le="+Inf"} ${latency.count}`)
+            lines.push(`${prefix}_request_duration_seconds_sum{${label(method)}} ${latency.sum}`)
+            lines.push(`${prefix}_request_duration_seconds_count{${label(method)}} ${latency.count}`)
+        })
+
+        return `${lines.join('\n')}\n`
+    }
+
+    middleware.reset = () => {
+        methods = {}
+        pending.clear()
+    }
+
+    return middleware
+}
+
+metrics.contentType = 'text/plain; version=0.0.4; charset=utf-8'
+
+module.exports = metrics
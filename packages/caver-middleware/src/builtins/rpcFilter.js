@@ -28,12 +28,13 @@ const rpcFilter = (filterColl, filterOption = 'include') => {
     }, {})
 
     return (data, next) => {
-        if (filterOption === 'include') {
-            if (!filterColl[data.method]) return
-            next(data)
-        } else if (filterOption === 'exclude') {
-            if (!filterColl[data.method]) next(data)
-        }
+        // subscription notifications are not filtered
+        if (data.type === 'notification') return next(data)
+
+        const filtered = filterOption === 'include' ? !filterColl[data.method] : !!filterColl[data.method]
+        // the filtered request is rejected not to wait for `next`
+        if (filtered) return next(new Error(`The ${data.type} of ${data.method} was dropped by rpcFilter.`))
+        next(data)
     }
 }
 
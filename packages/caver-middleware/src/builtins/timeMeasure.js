@@ -17,17 +17,20 @@
 */
 
 const timeMeasure = (memoize => () => (data, next, bypass) => {
-    if (!memoize[data.id]) {
+    if (data.type === 'request') {
         memoize[data.id] = new Date().getTime()
         bypass()
         return
     }
 
-    memoize[data.id] = new Date().getTime() - memoize[data.id]
-    console.log(`request '${data.id}' takes an ${memoize[data.id]} milliseconds for responding. : ${data.method}`)
+    if (data.type !== 'response' || memoize[data.id] === undefined) return next(data)
+
+    const timeTakes = new Date().getTime() - memoize[data.id]
+    delete memoize[data.id]
+    console.log(`request '${data.id}' takes an ${timeTakes} milliseconds for responding. : ${data.method}`)
     next(
         Object.assign(data, {
-            timeTakes: memoize[data.id],
+            timeTakes,
         })
     )
 })({})
@@ -16,13 +16,33 @@
     along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
 */
 
-const { last } = require('lodash')
 const builtinsMiddleware = require('./builtins')
 
+/**
+ * Middleware handles the requests sent by a request manager, the responses and the subscription notifications.
+ * Each request manager has its own Middleware instance.
+ *
+ * A middleware is called with `(data, next, bypass)`, and can return a promise.
+ * `data.type` is `request` before sending, `response` after receiving and `notification` for subscription notifications.
+ * - `next(data)` passes the data (or the data given) to the next middleware.
+ * - `bypass(data)` skips the rest of middleware.
+ * - Calling `next` with a response (`type: 'response'`) in the request pass returns it without sending the request.
+ * - Throwing an error, returning a rejected promise or calling `next` with an error rejects the request.
+ * - When a middleware does not call `next` nor `bypass`, the data is dropped, and a dropped notification is ignored.
+ *   A request or a response is rejected as dropped when the promise returned from the middleware is settled before `next` is called,
+ *   or when `next` is not called within the timeout set by `setTimeout`.
+ *   A middleware which does not return a promise can call `next` later, and the request waits for it without the timeout.
+ * - Once the request is rejected, `next` and `bypass` do nothing, so the rejected request is never sent.
+ *
+ * @class
+ */
 function Middleware() {
     this.list = []
+    this.timeout = undefined
 }
 
+Middleware.prototype.builtin = builtinsMiddleware
+
 /**
  * getMiddlewares return `this.list` from Middleware instance.
  * @return {Array} `this.list`
@@ -40,57 +60,91 @@ Middleware.prototype.registerMiddleware = function(middleware) {
     this.list.push(middleware)
 }
 
-Middleware.prototype.applyMiddleware = function(data, type, sendRequest) {
-    // Tags `type` property to check whether middleware is consumed from outbound or not.
-    // If consumed as outbound, It tags `data` as 'request'
-    // Otherwise, It tags `data` as 'response'
-    data.type = type === 'outbound' ? 'request' : 'response' // inbound
-
-    // For outbound middleware, it must have RPC send function as last middleware.
-    handleMiddleware(
-        sendRequest
-            ? // `RPC send` is concatenated as a last middleware.
-              this.list.concat(sendRequest)
-            : // last middleware is not a `RPC send`.
-              [...this.list],
-        // `bypass` function is only available for outbound middleware
-        data.type === 'request' && sendRequest
-    )(data)
+/**
+ * Sets the time (ms) to wait for a middleware to call `next` or `bypass`.
+ * The request or the response which is not passed within the time is rejected as dropped.
+ * @param  {number} [timeout] The timeout. The request waits without the timeout when it is undefined.
+ */
+Middleware.prototype.setTimeout = function(timeout) {
+    if (timeout !== undefined && !(Number.isInteger(timeout) && timeout > 0)) throw new Error(`Invalid timeout: ${timeout}`)
+    this.timeout = timeout
 }
 
-function handleMiddleware(list, bypass) {
-    return function recur(data, next) {
-        // When there are no more item in `this.list`,
-        // it means all middleware function has been consumed.
-        if (list.length === 0) return
-
-        // When the argument is put into `next()` function,
-        // The `data` argument get changed in next middleware, taking it as first argument `data`.
-        if (arguments.length === 2 && typeof next !== 'function') data = next
-
-        // Shift first item from `this.list`, consuming it as a middleware function.
-        const fn = list.shift()
-
-        // Consuming middleware function,
-        // It would be used outerspace as `caver.use(data, next, bypass)`.
-        fn(data, recur.bind(null, data), function _bypass() {
-            // `_bypass` function only works when `bypass` value is true.
-            if (!bypass) return
-
-            // When the argument is put into `bypass()` function,
-            // The `data` arugment get changed in next middleware which is last one, request manager,
-            // taking it as first argument `data`.
-            if (arguments.length !== 0) data = arguments[0]
-
-            // `_bypass` function skips all middleware list except last one.
-            list = [last(list)]
-            recur(data)
-        })
-    }
+/**
+ * Runs the middleware with the data and calls `final` with the data passed through all of them.
+ *
+ * @param  {object} data The request, the response or the notification.
+ * @param  {string} type `request`, `response` or `notification`.
+ * @param  {function} final The function to be called at last, which can return a promise.
+ * @return {Promise<*>} The result of `final`, or the response given in the request pass.
+ */
+Middleware.prototype.run = function(data, type, final) {
+    const list = [...this.list]
+    const timeout = this.timeout
+    data.type = type
+
+    return new Promise((resolve, _reject) => {
+        let index = 0
+        let rejected = false
+        const reject = error => {
+            rejected = true
+            _reject(error)
+        }
+
+        const dispatch = current => {
+            if (rejected) return
+            if (current instanceof Error) return reject(current)
+
+            // The response given in the request pass is returned without sending the request.
+            if (type === 'request' && current && current.type === 'response') return resolve(current)
+
+            if (index >= list.length) {
+                return Promise.resolve()
+                    .then(() => final(current))
+                    .then(resolve, reject)
+            }
+
+            const fn = list[index++]
+            let called = false
+            let timer
+            const pass = function(skip, args) {
+                if (called) return
+                called = true
+                clearTimeout(timer)
+                if (skip) index = list.length
+                dispatch(args.length !== 0 ? args[0] : current)
+            }
+            const next = function() {
+                pass(false, arguments)
+            }
+            const bypass = function() {
+                pass(true, arguments)
+            }
+
+            const drop = () => {
+                if (called || type === 'notification') return
+                clearTimeout(timer)
+                const method = current && current.method
+                reject(new Error(`The ${type} of ${method} was dropped by the middleware.`))
+            }
+
+            try {
+                const ret = fn(current, next, bypass)
+                if (ret && typeof ret.then === 'function') {
+                    ret.then(drop, e => {
+                        clearTimeout(timer)
+                        reject(e)
+                    })
+                }
+                if (timeout !== undefined && !called && !rejected) timer = setTimeout(drop, timeout)
+            } catch (e) {
+                reject(e)
+            }
+        }
+
+        dispatch(data)
+    })
 }
 
-// Generate `Middleware` instance, it would be exported as a *singleton*.
-const middleware = new Middleware()
-
-module.exports = middleware
+module.exports = Middleware
 module.exports.builtin = builtinsMiddleware
@@ -0,0 +1,154 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const _ = require('lodash')
+
+const core = require('../../caver-core')
+const Method = require('../../caver-core-method')
+
+/**
+ * Formats the APIs to open with the HTTP-RPC or WebSocket-RPC server.
+ * An array of API names is joined with commas.
+ *
+ * @ignore
+ * @param {string|Array.<string>} [apis] - The APIs to open.
+ * @return {string|undefined}
+ */
+const inputApisFormatter = function(apis) {
+    return _.isArray(apis) ? apis.join(',') : apis
+}
+
+class AdminRPC {
+    constructor(...args) {
+        const _this = this
+
+        // sets _requestmanager
+        core.packageInit(this, args)
+
+        // overwrite package setRequestManager
+        const setRequestManager = this.setRequestManager
+        this.setRequestManager = function(manager) {
+            setRequestManager(manager)
+            return true
+        }
+
+        // overwrite setProvider
+        const setProvider = this.setProvider
+        this.setProvider = function(...arg) {
+            setProvider.apply(_this, arg)
+            _this.setRequestManager(_this._requestManager)
+        }
+
+        const methods = [
+            new Method({
+                name: 'getNodeInfo',
+                call: 'admin_nodeInfo',
+                params: 0,
+            }),
+            new Method({
+                name: 'getDataDirectory',
+                call: 'admin_datadir',
+                params: 0,
+            }),
+            new Method({
+                name: 'getPeers',
+                call: 'admin_peers',
+                params: 0,
+            }),
+            new Method({
+                name: 'addPeer',
+                call: 'admin_addPeer',
+                params: 1,
+            }),
+            new Method({
+                name: 'removePeer',
+                call: 'admin_removePeer',
+                params: 1,
+            }),
+            new Method({
+                name: 'startHTTP',
+                call: 'admin_startHTTP',
+                params: 4,
+                inputFormatter: [null, null, null, inputApisFormatter],
+            }),
+            new Method({
+                name: 'stopHTTP',
+                call: 'admin_stopHTTP',
+                params: 0,
+            }),
+            new Method({
+                name: 'startWS',
+                call: 'admin_startWS',
+                params: 4,
+                inputFormatter: [null, null, null, inputApisFormatter],
+            }),
+            new Method({
+                name: 'stopWS',
+                call: 'admin_stopWS',
+                params: 0,
+            }),
+            new Method({
+                name: 'exportChain',
+                call: 'admin_exportChain',
+                params: 1,
+            }),
+            new Method({
+                name: 'importChain',
+                call: 'admin_importChain',
+                params: 1,
+            }),
+            new Method({
+                name: 'importChainFromString',
+                call: 'admin_importChainFromString',
+                params: 1,
+            }),
+            new Method({
+                name: 'startStateMigration',
+                call: 'admin_startStateMigration',
+                params: 0,
+            }),
+            new Method({
+                name: 'stopStateMigration',
+                call: 'admin_stopStateMigration',
+                params: 0,
+            }),
+            new Method({
+                name: 'getStateMigrationStatus',
+                call: 'admin_stateMigrationStatus',
+                params: 0,
+            }),
+            new Method({
+                name: 'saveTrieNodeCacheToDisk',
+                call: 'admin_saveTrieNodeCacheToDisk',
+                params: 0,
+            }),
+            new Method({
+                name: 'setMaxSubscriptionPerWSConn',
+                call: 'admin_setMaxSubscriptionPerWSConn',
+                params: 1,
+            }),
+        ]
+
+        methods.forEach(function(method) {
+            method.attachToObject(_this)
+            method.setRequestManager(_this._requestManager)
+        })
+    }
+}
+
+module.exports = AdminRPC
@@ -0,0 +1,244 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const _ = require('lodash')
+
+const core = require('../../caver-core')
+const { formatters } = require('../../caver-core-helpers')
+const Method = require('../../caver-core-method')
+
+const utils = require('../../caver-utils')
+
+// The names of the tracers built in the Klaytn node.
+const TRACER = {
+    callTracer: 'callTracer',
+    fastCallTracer: 'fastCallTracer',
+    revertTracer: 'revertTracer',
+    prestateTracer: 'prestateTracer',
+    '4byteTracer': '4byteTracer',
+    noopTracer: 'noopTracer',
+    opcountTracer: 'opcountTracer',
+    unigramTracer: 'unigramTracer',
+    bigramTracer: 'bigramTracer',
+    trigramTracer: 'trigramTracer',
+    evmdisTracer: 'evmdisTracer',
+}
+
+const TRACE_OPTIONS = ['tracer', 'timeout', 'reexec', 'disableStorage', 'disableMemory', 'disableStack', 'limit']
+
+/**
+ * Formats the options of the tracer.
+ * `tracer` should be the name of a built-in tracer or a custom JavaScript tracer which is an object literal string,
+ * and `timeout` can be a number in milliseconds or a duration string(e.g., `10s`).
+ *
+ * @ignore
+ * @param {object} [options] - The options of the tracer.
+ * @return {object|undefined}
+ */
+const inputTraceOptionsFormatter = function(options) {
+    if (options === undefined || options === null) return undefined
+    if (!_.isObject(options) || _.isArray(options)) throw new Error(`Invalid trace options: ${options}`)
+
+    const unknown = Object.keys(options).filter(key => !TRACE_OPTIONS.includes(key))
+    if (unknown.length > 0) throw new Error(`Invalid trace options: unsupported option(s) ${unknown.join(', ')}`)
+
+    const formatted = Object.assign({}, options)
+    if (formatted.tracer !== undefined) {
+        const tracer = _.isString(formatted.tracer) ? formatted.tracer.trim() : formatted.tracer
+        const isCustomTracer = _.isString(tracer) && tracer.startsWith('{') && tracer.endsWith('}')
+        if (!TRACER[tracer] && !isCustomTracer) {
+            throw new Error(
+                `Invalid tracer: ${formatted.tracer}. The tracer should be one of the built-in tracers(${Object.keys(TRACER).join(
+                    ', '
+                )}) or a JavaScript object literal string.`
+            )
+        }
+        formatted.tracer = tracer
+    }
+    if (_.isNumber(formatted.timeout)) formatted.timeout = `${formatted.timeout}ms`
+    return formatted
+}
+
+function isCallFrame(trace) {
+    return _.isObject(trace) && _.isString(trace.type) && trace.from !== undefined && trace.gasUsed !== undefined
+}
+
+/**
+ * Formats the call frame returned from `callTracer` or `fastCallTracer`.
+ * `gas` and `gasUsed` are converted to numbers, `value` is converted to a decimal string, and the nested calls are formatted recursively.
+ *
+ * @ignore
+ * @param {object} frame - The call frame.
+ * @return {object}
+ */
+function outputCallFrameFormatter(frame) {
+    const formatted = Object.assign({}, frame)
+    formatted.type = frame.type.toUpperCase()
+    if (_.isString(frame.from)) formatted.from = frame.from.toLowerCase()
+    if (_.isString(frame.to)) formatted.to = frame.to.toLowerCase()
+    formatted.gas = utils.hexToNumber(frame.gas)
+    formatted.gasUsed = utils.hexToNumber(frame.gasUsed)
+    if (frame.value !== undefined) formatted.value = utils.hexToNumberString(frame.value)
+    if (_.isArray(frame.calls)) formatted.calls = frame.calls.map(outputCallFrameFormatter)
+    return formatted
+}
+
+/**
+ * Formats the result of the tracer.
+ * The call traces are formatted with `outputCallFrameFormatter`, and the results of other tracers are returned as they are.
+ * The result of tracing a block is an array of `{ result }` or `{ txHash, result }`, so the result in it is formatted.
+ *
+ * @ignore
+ * @param {*} trace - The result of the tracer.
+ * @return {*}
+ */
+const outputTraceFormatter = function(trace) {
+    if (isCallFrame(trace)) return outputCallFrameFormatter(trace)
+    if (_.isObject(trace) && isCallFrame(trace.result)) return Object.assign({}, trace, { result: outputCallFrameFormatter(trace.result) })
+    return trace
+}
+
+class DebugRPC {
+    constructor(...args) {
+        const _this = this
+
+        // sets _requestmanager
+        core.packageInit(this, args)
+
+        // overwrite package setRequestManager
+        const setRequestManager = this.setRequestManager
+        this.setRequestManager = function(manager) {
+            setRequestManager(manager)
+            return true
+        }
+
+        // overwrite setProvider
+        const setProvider = this.setProvider
+        this.setProvider = function(...arg) {
+            setProvider.apply(_this, arg)
+            _this.setRequestManager(_this._requestManager)
+        }
+
+        this.tracer = TRACER
+
+        const methods = [
+            new Method({
+                name: 'traceTransaction',
+                call: 'debug_traceTransaction',
+                params: 2,
+                inputFormatter: [null, inputTraceOptionsFormatter],
+                outputFormatter: outputTraceFormatter,
+            }),
+            new Method({
+                name: 'traceBlockByNumber',
+                call: 'debug_traceBlockByNumber',
+                params: 2,
+                inputFormatter: [formatters.inputDefaultBlockNumberFormatter, inputTraceOptionsFormatter],
+                outputFormatter: outputTraceFormatter,
+            }),
+            new Method({
+                name: 'traceBlockByHash',
+                call: 'debug_traceBlockByHash',
+                params: 2,
+                inputFormatter: [null, inputTraceOptionsFormatter],
+                outputFormatter: outputTraceFormatter,
+            }),
+            new Method({
+                name: 'traceBlock',
+                call: 'debug_traceBlock',
+                params: 2,
+                inputFormatter: [null, inputTraceOptionsFormatter],
+                outputFormatter: outputTraceFormatter,
+            }),
+            new Method({
+                name: 'traceBadBlock',
+                call: 'debug_traceBadBlock',
+                params: 2,
+                inputFormatter: [null, inputTraceOptionsFormatter],
+                outputFormatter: outputTraceFormatter,
+            }),
+            new Method({
+                name: 'traceCall',
+                call: 'debug_traceCall',
+                params: 3,
+                inputFormatter: [formatters.inputCallFormatter, formatters.inputDefaultBlockNumberFormatter, inputTraceOptionsFormatter],
+                outputFormatter: outputTraceFormatter,
+            }),
+            new Method({
+                name: 'dumpStateTrie',
+                call: 'debug_dumpStateTrie',
+                params: 1,
+                inputFormatter: [formatters.inputDefaultBlockNumberFormatter],
+            }),
+            new Method({
+                name: 'dumpBlock',
+                call: 'debug_dumpBlock',
+                params: 1,
+                inputFormatter: [formatters.inputDefaultBlockNumberFormatter],
+            }),
+            new Method({
+                name: 'storageRangeAt',
+                call: 'debug_storageRangeAt',
+                params: 5,
+                inputFormatter: [null, utils.hexToNumber, formatters.inputAddressFormatter, null, utils.hexToNumber],
+            }),
+            new Method({
+                name: 'getBadBlocks',
+                call: 'debug_getBadBlocks',
+                params: 0,
+            }),
+            new Method({
+                name: 'getModifiedAccountsByNumber',
+                call: 'debug_getModifiedAccountsByNumber',
+                params: 2,
+                inputFormatter: [utils.hexToNumber, utils.hexToNumber],
+            }),
+            new Method({
+                name: 'getModifiedAccountsByHash',
+                call: 'debug_getModifiedAccountsByHash',
+                params: 2,
+                inputFormatter: [null, null],
+            }),
+            new Method({
+                name: 'getBlockRlp',
+                call: 'debug_getBlockRlp',
+                params: 1,
+                inputFormatter: [utils.hexToNumber],
+            }),
+            new Method({
+                name: 'printBlock',
+                call: 'debug_printBlock',
+                params: 1,
+                inputFormatter: [utils.hexToNumber],
+            }),
+            new Method({
+                name: 'setHead',
+                call: 'debug_setHead',
+                params: 1,
+                inputFormatter: [formatters.inputBlockNumberFormatter],
+            }),
+        ]
+
+        methods.forEach(function(method) {
+            method.attachToObject(_this)
+            method.setRequestManager(_this._requestManager)
+        })
+    }
+}
+
+module.exports = DebugRPC
@@ -0,0 +1,200 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const _ = require('lodash')
+
+const core = require('../../caver-core')
+const { formatters } = require('../../caver-core-helpers')
+const Method = require('../../caver-core-method')
+
+const utils = require('../../caver-utils')
+
+/**
+ * Formats the governance item key to vote.
+ *
+ * @ignore
+ * @param {string} key - The name of the governance item(e.g., `governance.unitprice`).
+ * @return {string}
+ */
+const inputGovernanceKeyFormatter = function(key) {
+    if (!_.isString(key) || key.trim() === '') throw new Error(`Invalid governance key: ${key}`)
+    return key.trim().toLowerCase()
+}
+
+/**
+ * Formats the value of the governance item to vote.
+ * BigNumber and BN values are converted to a number if it is a safe integer, otherwise to a decimal string.
+ *
+ * @ignore
+ * @param {*} value - The value of the governance item.
+ * @return {*}
+ */
+const inputGovernanceValueFormatter = function(value) {
+    if (value === undefined || value === null) throw new Error(`Invalid governance value: ${value}`)
+    if (!utils.isBN(value) && !utils.isBigNumber(value)) return value
+    const decimal = value.toString(10)
+    return Number.isSafeInteger(Number(decimal)) ? Number(decimal) : decimal
+}
+
+/**
+ * Formats the block number to a number, because `governance_itemCacheFromDb` only accepts a number.
+ *
+ * @ignore
+ * @param {string|number} blockNumber - The block number.
+ * @return {number}
+ */
+const inputNumberFormatter = function(blockNumber) {
+    if (!utils.isHexStrict(blockNumber) && !_.isNumber(blockNumber) && !/^\d+$/.test(blockNumber))
+        throw new Error(`Invalid block number: ${blockNumber}`)
+    return utils.hexToNumber(blockNumber)
+}
+
+/**
+ * Formats an item of the result of `governance_showTally`.
+ * The Klaytn node returns the fields of the tally in PascalCase, so they are renamed to camelCase like the result of `governance_votes`.
+ *
+ * @ignore
+ * @param {object} tally - An item of the result of `governance_showTally`.
+ * @return {object}
+ */
+const outputTallyFormatter = function(tally) {
+    if (!_.isObject(tally) || tally.Key === undefined) return tally
+    return { key: tally.Key, value: tally.Value, approvalPercentage: tally.ApprovalPercentage }
+}
+
+/**
+ * Formats an item of the result of `governance_myVotes`.
+ * The Klaytn node returns the fields of the vote in PascalCase, so they are renamed to camelCase like the result of `governance_votes`.
+ *
+ * @ignore
+ * @param {object} vote - An item of the result of `governance_myVotes`.
+ * @return {object}
+ */
+const outputMyVoteFormatter = function(vote) {
+    if (!_.isObject(vote) || vote.Key === undefined) return vote
+    return { blockNumber: vote.BlockNum, casted: vote.Casted, key: vote.Key, value: vote.Value }
+}
+
+class GovernanceRPC {
+    constructor(...args) {
+        const _this = this
+
+        // sets _requestmanager
+        core.packageInit(this, args)
+
+        // overwrite package setRequestManager
+        const setRequestManager = this.setRequestManager
+        this.setRequestManager = function(manager) {
+            setRequestManager(manager)
+            return true
+        }
+
+        // overwrite setProvider
+        const setProvider = this.setProvider
+        this.setProvider = function(...arg) {
+            setProvider.apply(_this, arg)
+            _this.setRequestManager(_this._requestManager)
+        }
+
+        const methods = [
+            new Method({
+                name: 'vote',
+                call: 'governance_vote',
+                params: 2,
+                inputFormatter: [inputGovernanceKeyFormatter, inputGovernanceValueFormatter],
+            }),
+            new Method({
+                name: 'showTally',
+                call: 'governance_showTally',
+                params: 0,
+                outputFormatter: outputTallyFormatter,
+            }),
+            new Method({
+                name: 'getTotalVotingPower',
+                call: 'governance_totalVotingPower',
+                params: 0,
+            }),
+            new Method({
+                name: 'getMyVotingPower',
+                call: 'governance_myVotingPower',
+                params: 0,
+            }),
+            new Method({
+                name: 'getMyVotes',
+                call: 'governance_myVotes',
+                params: 0,
+                outputFormatter: outputMyVoteFormatter,
+            }),
+            new Method({
+                name: 'getChainConfig',
+                call: 'governance_chainConfig',
+                params: 0,
+            }),
+            new Method({
+                name: 'getNodeAddress',
+                call: 'governance_nodeAddress',
+                params: 0,
+            }),
+            new Method({
+                name: 'getItemsAt',
+                call: 'governance_itemsAt',
+                params: 1,
+                inputFormatter: [formatters.inputDefaultBlockNumberFormatter],
+            }),
+            new Method({
+                name: 'getPendingChanges',
+                call: 'governance_pendingChanges',
+                params: 0,
+            }),
+            new Method({
+                name: 'getVotes',
+                call: 'governance_votes',
+                params: 0,
+            }),
+            new Method({
+                name: 'getIdxCache',
+                call: 'governance_idxCache',
+                params: 0,
+            }),
+            new Method({
+                name: 'getIdxCacheFromDb',
+                call: 'governance_idxCacheFromDb',
+                params: 0,
+            }),
+            new Method({
+                name: 'getItemCacheFromDb',
+                call: 'governance_itemCacheFromDb',
+                params: 1,
+                inputFormatter: [inputNumberFormatter],
+            }),
+            new Method({
+                name: 'getStakingInfo',
+                call: 'governance_getStakingInfo',
+                params: 1,
+                inputFormatter: [formatters.inputDefaultBlockNumberFormatter],
+            }),
+        ]
+
+        methods.forEach(function(method) {
+            method.attachToObject(_this)
+            method.setRequestManager(_this._requestManager)
+        })
+    }
+}
+
+module.exports = GovernanceRPC
@@ -18,6 +18,9 @@
 
 const Klay = require('./klay')
 const Net = require('./net')
+const Governance = require('./governance')
+const Debug = require('./debug')
+const Admin = require('./admin')
 const core = require('../../caver-core')
 
 class RPC {
@@ -34,6 +37,9 @@ class RPC {
 
             _this.klay.setRequestManager(manager)
             _this.net.setRequestManager(manager)
+            _this.governance.setRequestManager(manager)
+            _this.debug.setRequestManager(manager)
+            _this.admin.setRequestManager(manager)
 
             return true
         }
@@ -47,6 +53,9 @@ class RPC {
 
         this.klay = new Klay(this)
         this.net = new Net(this)
+        this.governance = new Governance(this)
+        this.debug = new Debug(this)
+        this.admin = new Admin(this)
     }
 }
 
@@ -88,6 +88,32 @@ class KlayRPC {
                 params: 2,
                 inputFormatter: [formatters.inputAddressFormatter, formatters.inputDefaultBlockNumberFormatter],
             }),
+            new Method({
+                name: 'getBlockNumber',
+                call: 'klay_blockNumber',
+                params: 0,
+            }),
+            new Method({
+                name: 'sendRawTransaction',
+                call: 'klay_sendRawTransaction',
+                params: 1,
+            }),
+            new Method({
+                name: 'estimateGas',
+                call: 'klay_estimateGas',
+                params: 1,
+                inputFormatter: [formatters.inputCallFormatter],
+            }),
+            new Method({
+                name: 'getTransactionReceipt',
+                call: 'klay_getTransactionReceipt',
+                params: 1,
+            }),
+            new Method({
+                name: 'getTransactionByHash',
+                call: 'klay_getTransactionByHash',
+                params: 1,
+            }),
         ]
         AbstractTransaction._klaytnCall = {}
         _.each(_klaytnCall, function(method) {
@@ -154,11 +180,6 @@ class KlayRPC {
             }),
 
             // Block
-            new Method({
-                name: 'getBlockNumber',
-                call: 'klay_blockNumber',
-                params: 0,
-            }),
             new Method({
                 name: 'getBlock',
                 call: 'klay_getBlockByNumber',
@@ -269,12 +290,6 @@ class KlayRPC {
                 params: 2,
                 inputFormatter: [formatters.inputCallFormatter, formatters.inputDefaultBlockNumberFormatter],
             }),
-            new Method({
-                name: 'estimateGas',
-                call: 'klay_estimateGas',
-                params: 1,
-                inputFormatter: [formatters.inputCallFormatter],
-            }),
             new Method({
                 name: 'estimateComputationCost',
                 call: 'klay_estimateComputationCost',
@@ -305,31 +320,16 @@ class KlayRPC {
                 call: 'klay_getTransactionByHash',
                 params: 1,
             }),
-            new Method({
-                name: 'getTransactionByHash',
-                call: 'klay_getTransactionByHash',
-                params: 1,
-            }),
             new Method({
                 name: 'getTransactionBySenderTxHash',
                 call: 'klay_getTransactionBySenderTxHash',
                 params: 1,
             }),
-            new Method({
-                name: 'getTransactionReceipt',
-                call: 'klay_getTransactionReceipt',
-                params: 1,
-            }),
             new Method({
                 name: 'getTransactionReceiptBySenderTxHash',
                 call: 'klay_getTransactionReceiptBySenderTxHash',
                 params: 1,
             }),
-            new Method({
-                name: 'sendRawTransaction',
-                call: 'klay_sendRawTransaction',
-                params: 1,
-            }),
             new Method({
                 name: 'submitTransaction',
                 call: 'klay_sendRawTransaction',
@@ -0,0 +1,158 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const _ = require('lodash')
+const RLP = require('eth-lib/lib/rlp')
+const Bytes = require('eth-lib/lib/bytes')
+const utils = require('../../../caver-utils')
+const TransactionDecoder = require('../transactionDecoder/transactionDecoder')
+const { typeDetectionFromRLPEncoding } = require('../transactionHelper/transactionHelper')
+
+/**
+ * The versions of the anchoring data format.
+ * - 0: The legacy format. An RLP-encoded list of blockHash, txHash, parentHash, receiptHash, stateRootHash and blockNumber.
+ * - 1: The format of `AnchoringDataType0` in the Klaytn node. An RLP-encoded list of the type(0) and the RLP-encoded block data
+ *      which includes blockCount and txCount in addition to the fields of the legacy format.
+ */
+const ANCHORING_DATA_VERSION = {
+    legacy: 0,
+    type0: 1,
+}
+
+// The type of the anchoring data in the Klaytn node, which is used in the anchoring data format version 1.
+const ANCHORING_DATA_TYPE_0 = 0
+
+const HASH_FIELDS = ['blockHash', 'txHash', 'parentHash', 'receiptHash', 'stateRootHash']
+const NUMBER_FIELDS = ['blockNumber', 'blockCount', 'txCount']
+
+/**
+ * Representing a class which encodes and decodes the anchoring data used as the input of the chain data anchoring transaction.
+ * @class
+ */
+class AnchoringData {
+    /**
+     * Encodes the block data of the service chain to the anchoring data.
+     *
+     * @example
+     * const input = caver.transaction.anchoring.encode({ blockHash, txHash, parentHash, receiptHash, stateRootHash, blockNumber, blockCount, txCount })
+     * const tx = new caver.transaction.chainDataAnchoring({ from, input, gas })
+     *
+     * @param {object} data - The block data to anchor.
+     * @param {string} data.blockHash - The hash of the block.
+     * @param {string} data.txHash - The root hash of the transactions trie of the block.
+     * @param {string} data.parentHash - The hash of the parent block.
+     * @param {string} data.receiptHash - The root hash of the receipts trie of the block.
+     * @param {string} data.stateRootHash - The root hash of the state trie of the block.
+     * @param {number|string} data.blockNumber - The block number.
+     * @param {number|string} [data.blockCount] - The number of blocks anchored by this anchoring data. Only used in the version 1.
+     * @param {number|string} [data.txCount] - The number of transactions in the anchored blocks. Only used in the version 1.
+     * @param {object} [options] - The options to use when encoding.
+     * @param {number} [options.version] - The version of the anchoring data format. The default value is 1.
+     * @return {string} The RLP-encoded anchoring data.
+     */
+    static encode(data, options = {}) {
+        const version = options.version !== undefined ? options.version : ANCHORING_DATA_VERSION.type0
+        if (!_.includes(ANCHORING_DATA_VERSION, version)) throw new Error(`Unsupported anchoring data version: ${version}`)
+        if (!_.isObject(data)) throw new Error(`Invalid anchoring data: the block data should be defined as an object.`)
+
+        for (const field of HASH_FIELDS) {
+            if (!utils.isValidHashStrict(data[field])) throw new Error(`Invalid ${field}: ${data[field]}`)
+        }
+
+        const numberFields = version === ANCHORING_DATA_VERSION.legacy ? ['blockNumber'] : NUMBER_FIELDS
+        if (version === ANCHORING_DATA_VERSION.legacy && (data.blockCount !== undefined || data.txCount !== undefined))
+            throw new Error(`blockCount and txCount cannot be used in the anchoring data version ${version}.`)
+        for (const field of numberFields) {
+            if (data[field] === undefined) throw new Error(`"${field}" is missing`)
+            if (!utils.isHex(data[field]) && !_.isNumber(data[field]) && !utils.isBN(data[field]) && !utils.isBigNumber(data[field]))
+                throw new Error(`Invalid ${field}: ${data[field]}`)
+        }
+
+        const blockData = [
+            ...HASH_FIELDS.map(field => data[field].toLowerCase()),
+            ...numberFields.map(field => Bytes.fromNat(utils.numberToHex(data[field]))),
+        ]
+        if (version === ANCHORING_DATA_VERSION.legacy) return RLP.encode(blockData)
+
+        return RLP.encode([Bytes.fromNat(utils.numberToHex(ANCHORING_DATA_TYPE_0)), RLP.encode(blockData)])
+    }
+
+    /**
+     * Decodes the anchoring data.
+     * The RLP-encoded chain data anchoring transaction or the transaction instance can be passed to decode the input of the transaction.
+     *
+     * @example
+     * const decoded = caver.transaction.anchoring.decode(rawTransaction)
+     *
+     * @param {string|ChainDataAnchoring} input - The anchoring data, or the chain data anchoring transaction.
+     * @return {object} The decoded block data with the `version` of the anchoring data format.
+     */
+    static decode(input) {
+        if (_.isObject(input) && _.isString(input.type) && input.type.includes('ChainDataAnchoring')) {
+            input = input.input
+        } else if (_.isString(input) && typeDetectionFromRLPEncoding(input).includes('ChainDataAnchoring')) {
+            input = TransactionDecoder.decode(input).input
+        }
+        if (!utils.isHexStrict(input)) throw new Error(`Invalid anchoring data: ${input}`)
+
+        let decoded
+        try {
+            decoded = RLP.decode(input)
+        } catch (e) {
+            throw new Error(`Invalid anchoring data: failed to decode RLP-encoded anchoring data(${input}).`)
+        }
+        if (!_.isArray(decoded)) throw new Error(`Invalid anchoring data: ${input}`)
+
+        if (decoded.length === HASH_FIELDS.length + 1) return toBlockData(ANCHORING_DATA_VERSION.legacy, decoded, ['blockNumber'])
+
+        if (decoded.length === 2 && _.isString(decoded[0]) && _.isString(decoded[1])) {
+            const type = toNumber(decoded[0])
+            if (type !== ANCHORING_DATA_TYPE_0) throw new Error(`Unsupported anchoring data type: ${type}`)
+
+            const blockData = RLP.decode(decoded[1])
+            if (!_.isArray(blockData) || blockData.length !== HASH_FIELDS.length + NUMBER_FIELDS.length)
+                throw new Error(
+                    `Invalid anchoring data: the block data of the type ${type} should have ${HASH_FIELDS.length +
+                        NUMBER_FIELDS.length} fields.`
+                )
+            return toBlockData(ANCHORING_DATA_VERSION.type0, blockData, NUMBER_FIELDS)
+        }
+
+        throw new Error(`Invalid anchoring data: unknown anchoring data format(${input}).`)
+    }
+}
+
+AnchoringData.VERSION = ANCHORING_DATA_VERSION
+
+function toBlockData(version, decoded, numberFields) {
+    const blockData = { version }
+    HASH_FIELDS.forEach((field, i) => {
+        blockData[field] = decoded[i]
+    })
+    numberFields.forEach((field, i) => {
+        blockData[field] = toNumber(decoded[HASH_FIELDS.length + i])
+    })
+    return blockData
+}
+
+// RLP encodes zero as an empty string.
+function toNumber(hex) {
+    return hex === '0x' ? 0 : utils.hexToNumber(hex)
+}
+
+module.exports = AnchoringData
@@ -0,0 +1,162 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const _ = require('lodash')
+const utils = require('../../../caver-utils')
+const { KEY_ROLE } = require('../../../caver-wallet/src/keyring/keyringHelper')
+
+// Gas constants of the Klaytn protocol which are not included in the result of `klay_estimateGas`.
+const TX_GAS_FEE_DELEGATED = 10000
+const TX_GAS_FEE_DELEGATED_WITH_RATIO = 15000
+const TX_VALIDATION_GAS_PER_KEY = 15000
+const TX_ACCOUNT_CREATION_GAS_PER_KEY = 20000
+const TX_DATA_GAS = 100
+
+const ACCOUNT_KEY_TYPE = {
+    weightedMultiSig: 4,
+    roleBased: 5,
+}
+
+const options = {
+    multiplier: 1,
+    cap: undefined,
+}
+
+/**
+ * Representing a class which estimates the gas of a transaction instance.
+ * @class
+ */
+class GasEstimator {
+    /**
+     * Sets the options used when the gas of a transaction is estimated.
+     * The estimated gas is multiplied by `multiplier`, and an error is thrown if the result exceeds `cap`.
+     *
+     * @example
+     * caver.transaction.gasEstimator.setOptions({ multiplier: 1.2, cap: 10000000 })
+     *
+     * @param {object} newOptions - The options to set.
+     * @param {number} [newOptions.multiplier] - The multiplier to apply to the estimated gas. It should be greater than or equal to 1.
+     * @param {number} [newOptions.cap] - The maximum gas which can be filled. If undefined, there is no limit.
+     */
+    static setOptions(newOptions) {
+        if (newOptions.multiplier !== undefined) {
+            if (!_.isNumber(newOptions.multiplier) || !(newOptions.multiplier >= 1))
+                throw new Error(
+                    `Invalid multiplier: ${newOptions.multiplier}. The multiplier should be a number greater than or equal to 1.`
+                )
+            options.multiplier = newOptions.multiplier
+        }
+        if (newOptions.cap !== undefined) {
+            if (newOptions.cap !== null && !(utils.hexToNumber(newOptions.cap) > 0)) throw new Error(`Invalid cap: ${newOptions.cap}.`)
+            options.cap = newOptions.cap === null ? undefined : utils.hexToNumber(newOptions.cap)
+        }
+    }
+
+    /**
+     * Returns the options used when the gas of a transaction is estimated.
+     *
+     * @return {object}
+     */
+    static getOptions() {
+        return { ...options }
+    }
+
+    /**
+     * Returns the call object for `klay_estimateGas` according to the type of the transaction.
+     *
+     * @param {AbstractTransaction} transaction - The transaction instance to estimate the gas.
+     * @return {object}
+     */
+    static getCallObject(transaction) {
+        const type = transaction.type
+        const callObject = { from: transaction.from }
+
+        // Transactions that do not execute the EVM are estimated as the transaction sent to the sender itself.
+        // The payload of memo and anchoring transactions is charged by `estimate`, not by the EVM.
+        if (type.includes('AccountUpdate') || type.includes('Cancel') || type.includes('ChainDataAnchoring')) {
+            callObject.to = transaction.from
+        } else if (type.includes('Memo')) {
+            callObject.to = transaction.to
+            if (transaction.value !== undefined) callObject.value = transaction.value
+        } else {
+            if (transaction.to !== undefined && transaction.to !== '0x') callObject.to = transaction.to
+            if (transaction.value !== undefined) callObject.value = transaction.value
+            if (transaction.input !== undefined && transaction.input !== '0x') callObject.data = transaction.input
+        }
+
+        return callObject
+    }
+
+    /**
+     * Estimates the gas of the transaction with `klay_estimateGas`.
+     * The gas which is not included in the result of `klay_estimateGas` is added according to the type,
+     * such as the payload of memo and anchoring, the cost of creating an account key for account update,
+     * the cost of validating the signatures of the sender and the fee payer, and the cost of fee delegation.
+     *
+     * @param {AbstractTransaction} transaction - The transaction instance to estimate the gas.
+     * @param {object} [klaytnCall] - The object which has `estimateGas` and `getAccountKey` to request to the Klaytn node.
+     *                                If not defined, `_klaytnCall` of the transaction class is used.
+     * @return {Promise<string>}
+     */
+    static async estimate(transaction, klaytnCall = transaction.constructor._klaytnCall) {
+        const estimated = await klaytnCall.estimateGas(GasEstimator.getCallObject(transaction))
+
+        const type = transaction.type
+        let gas = utils.hexToNumber(estimated)
+        if (type.includes('Memo') || type.includes('ChainDataAnchoring')) gas += utils.hexToBytes(transaction.input).length * TX_DATA_GAS
+        if (type.includes('AccountUpdate')) gas += getAccountCreationGas(transaction.account.accountKey)
+
+        const senderRole = type.includes('AccountUpdate') ? KEY_ROLE.roleAccountUpdateKey : KEY_ROLE.roleTransactionKey
+        gas += await getValidationGas(transaction.from, senderRole, klaytnCall)
+        if (type.includes('FeeDelegated')) gas += await getFeeDelegationGas(transaction, klaytnCall)
+
+        gas = Math.ceil(gas * options.multiplier)
+        if (options.cap !== undefined && gas > options.cap)
+            throw new Error(`The estimated gas(${gas}) exceeds the gas cap(${options.cap}).`)
+
+        return utils.numberToHex(gas)
+    }
+}
+
+function getAccountCreationGas(accountKey) {
+    if (accountKey.accountKeys) return accountKey.accountKeys.reduce((acc, roleKey) => acc + getAccountCreationGas(roleKey), 0)
+    if (accountKey.weightedPublicKeys) return accountKey.weightedPublicKeys.length * TX_ACCOUNT_CREATION_GAS_PER_KEY
+    if (accountKey.publicKey) return TX_ACCOUNT_CREATION_GAS_PER_KEY
+    return 0
+}
+
+async function getFeeDelegationGas(transaction, klaytnCall) {
+    const gas = transaction.type.includes('WithRatio') ? TX_GAS_FEE_DELEGATED_WITH_RATIO : TX_GAS_FEE_DELEGATED
+    return gas + (await getValidationGas(transaction.feePayer, KEY_ROLE.roleFeePayerKey, klaytnCall))
+}
+
+// Only the keys other than the first key of the role need the additional validation gas.
+async function getValidationGas(address, role, klaytnCall) {
+    if (!address || address === '0x' || address === '0x0000000000000000000000000000000000000000') return 0
+
+    let accountKey = await klaytnCall.getAccountKey(address, 'latest')
+    if (accountKey && accountKey.keyType === ACCOUNT_KEY_TYPE.roleBased) {
+        accountKey = accountKey.key.length > role ? accountKey.key[role] : accountKey.key[KEY_ROLE.roleTransactionKey]
+    }
+    if (accountKey && accountKey.keyType === ACCOUNT_KEY_TYPE.weightedMultiSig) {
+        return (accountKey.key.keys.length - 1) * TX_VALIDATION_GAS_PER_KEY
+    }
+    return 0
+}
+
+module.exports = GasEstimator
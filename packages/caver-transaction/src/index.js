@@ -39,10 +39,16 @@ const ChainDataAnchoring = require('./transactionTypes/chainDataAnchoring/chainD
 const FeeDelegatedChainDataAnchoring = require('./transactionTypes/chainDataAnchoring/feeDelegatedChainDataAnchoring')
 const FeeDelegatedChainDataAnchoringWithRatio = require('./transactionTypes/chainDataAnchoring/feeDelegatedChainDataAnchoringWithRatio')
 const TransactionDecoder = require('./transactionDecoder/transactionDecoder')
+const TransactionDescriber = require('./transactionDescriber/transactionDescriber')
+const GasEstimator = require('./gasEstimator/gasEstimator')
+const NonceManager = require('./nonceManager/nonceManager')
+const TransactionReplacer = require('./transactionReplacer/transactionReplacer')
+const AnchoringData = require('./anchoringData/anchoringData')
 const { TX_TYPE_STRING, TX_TYPE_TAG } = require('./transactionHelper/transactionHelper')
 
 module.exports = {
     decode: TransactionDecoder.decode,
+    describe: TransactionDescriber.describe,
 
     legacyTransaction: LegacyTransaction,
 
@@ -73,6 +79,13 @@ module.exports = {
     chainDataAnchoring: ChainDataAnchoring,
     feeDelegatedChainDataAnchoring: FeeDelegatedChainDataAnchoring,
     feeDelegatedChainDataAnchoringWithRatio: FeeDelegatedChainDataAnchoringWithRatio,
+    anchoring: AnchoringData,
+
+    gasEstimator: GasEstimator,
+    nonceManager: NonceManager.instance,
+
+    cancelPending: TransactionReplacer.cancelPending,
+    replace: TransactionReplacer.replace,
 
     type: TX_TYPE_STRING,
     tag: TX_TYPE_TAG,
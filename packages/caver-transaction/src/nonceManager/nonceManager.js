@@ -0,0 +1,255 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const _ = require('lodash')
+const utils = require('../../../caver-utils')
+
+// Errors returned from the Klaytn node when the nonce of the transaction is already used.
+const NONCE_ERROR_MESSAGES = ['nonce too low', 'known transaction']
+// Errors of the connection, with which it cannot be known whether the Klaytn node accepted the transaction.
+const CONNECTION_ERROR_MESSAGES = [
+    'connection error',
+    'connection timeout',
+    'connection not open',
+    'invalid json rpc response',
+    'request failed',
+]
+
+/**
+ * Representing a class which reserves nonces locally for each address and chain.
+ * Nonces are fetched from the Klaytn node only when the nonce manager does not know the next nonce of the address,
+ * so transactions signed concurrently from the same address do not get duplicate nonces.
+ * The nonce manager is disabled by default. See `caver.transaction.nonceManager.enable`.
+ * @class
+ */
+class NonceManager {
+    /**
+     * Creates a nonce manager.
+     * @constructor
+     */
+    constructor() {
+        this._enabled = false
+        this._states = new Map()
+    }
+
+    /**
+     * @type {boolean}
+     */
+    get enabled() {
+        return this._enabled
+    }
+
+    /**
+     * Enables the nonce manager.
+     * `transaction.fillTransaction` and `caver.klay.accounts.signTransaction` reserve nonces from the nonce manager after this is called.
+     */
+    enable() {
+        this._enabled = true
+    }
+
+    /**
+     * Disables the nonce manager and clears all reserved nonces.
+     */
+    disable() {
+        this._enabled = false
+        this._states.clear()
+    }
+
+    /**
+     * Reserves the next nonce of the address.
+     * If the nonce manager is disabled, this just returns the result of `fetchNonce`.
+     * A nonce released with `release` is reused before a new nonce is reserved.
+     *
+     * @param {string} address - The address to reserve a nonce.
+     * @param {string|number|Promise} chainId - The chain id. A promise which resolves the chain id can be used.
+     * @param {function} fetchNonce - The function which returns the pending transaction count of the address from the Klaytn node.
+     * @return {Promise<string>}
+     */
+    async reserve(address, chainId, fetchNonce) {
+        if (!this._enabled || !utils.isAddress(address)) return fetchNonce()
+
+        const key = makeKey(address, await chainId)
+        let state = this._states.get(key)
+        if (state === undefined) {
+            // Concurrent reservations share the request to the Klaytn node.
+            state = { next: undefined, released: [], pending: new Set(), fetching: undefined }
+            this._states.set(key, state)
+        }
+
+        if (state.next === undefined) {
+            if (state.fetching === undefined) {
+                state.fetching = Promise.resolve(fetchNonce()).then(
+                    count => {
+                        state.next = utils.hexToNumber(count)
+                        state.fetching = undefined
+                    },
+                    err => {
+                        state.fetching = undefined
+                        throw err
+                    }
+                )
+            }
+            await state.fetching
+            // The state can be removed with `resync` while fetching the nonce.
+            if (this._states.get(key) !== state) return this.reserve(address, chainId, fetchNonce)
+        }
+
+        const nonce = state.released.length > 0 ? state.released.shift() : state.next++
+        state.pending.add(nonce)
+        return utils.numberToHex(nonce)
+    }
+
+    /**
+     * Marks the reserved nonce as used, after the transaction is accepted by the Klaytn node.
+     *
+     * @param {string} address - The address of the nonce.
+     * @param {string|number} chainId - The chain id.
+     * @param {string|number} nonce - The nonce to mark as used.
+     */
+    confirm(address, chainId, nonce) {
+        const state = this._states.get(makeKey(address, chainId))
+        if (state !== undefined) state.pending.delete(utils.hexToNumber(nonce))
+    }
+
+    /**
+     * Releases the reserved nonce which is not used, so that the nonce can be reserved again.
+     * If the nonce is not released, the transactions with higher nonces cannot be processed until the nonce is used.
+     *
+     * @param {string} address - The address of the nonce.
+     * @param {string|number} chainId - The chain id.
+     * @param {string|number} nonce - The nonce to release.
+     */
+    release(address, chainId, nonce) {
+        const state = this._states.get(makeKey(address, chainId))
+        if (state === undefined) return
+
+        nonce = utils.hexToNumber(nonce)
+        if (!state.pending.delete(nonce)) return
+
+        state.released.push(nonce)
+        state.released.sort((a, b) => a - b)
+
+        // The released nonces right below the next nonce are not gaps.
+        while (state.released.length > 0 && state.released[state.released.length - 1] === state.next - 1) {
+            state.released.pop()
+            state.next--
+        }
+    }
+
+    /**
+     * Returns the nonces which are released but not reserved again.
+     * These nonces are gaps that block the processing of the transactions with higher nonces.
+     *
+     * @param {string} address - The address to check.
+     * @param {string|number} chainId - The chain id.
+     * @return {Array.<string>}
+     */
+    getGaps(address, chainId) {
+        const state = this._states.get(makeKey(address, chainId))
+        if (state === undefined) return []
+        return state.released.map(nonce => utils.numberToHex(nonce))
+    }
+
+    /**
+     * Returns the nonces which are reserved but not confirmed or released yet.
+     *
+     * @param {string} address - The address to check.
+     * @param {string|number} chainId - The chain id.
+     * @return {Array.<string>}
+     */
+    getPending(address, chainId) {
+        const state = this._states.get(makeKey(address, chainId))
+        if (state === undefined) return []
+        return Array.from(state.pending)
+            .sort((a, b) => a - b)
+            .map(nonce => utils.numberToHex(nonce))
+    }
+
+    /**
+     * Clears the local state of the address, so that the next nonce is fetched from the Klaytn node again.
+     * If the chain id is not defined, the states of the address for all chains are cleared.
+     *
+     * @param {string} address - The address to resynchronize.
+     * @param {string|number} [chainId] - The chain id.
+     */
+    resync(address, chainId) {
+        if (chainId !== undefined) {
+            this._states.delete(makeKey(address, chainId))
+            return
+        }
+
+        const suffix = `:${_.toLower(address)}`
+        for (const key of Array.from(this._states.keys())) {
+            if (key.endsWith(suffix)) this._states.delete(key)
+        }
+    }
+
+    /**
+     * Handles the error returned when sending a transaction with the reserved nonce.
+     * If the error means that the nonce is already used(`nonce too low` or `known transaction`), the address is resynchronized.
+     * If the connection failed, the address is resynchronized as well, because the transaction may have been accepted by the Klaytn node.
+     * Otherwise, the nonce is released because the transaction is not accepted by the Klaytn node.
+     *
+     * @param {string} address - The address of the nonce.
+     * @param {string|number} [chainId] - The chain id.
+     * @param {string|number} [nonce] - The nonce of the transaction.
+     * @param {Error|string} error - The error returned from the Klaytn node.
+     * @return {boolean} true if the address is resynchronized.
+     */
+    handleError(address, chainId, nonce, error) {
+        if (NonceManager.isNonceError(error) || NonceManager.isConnectionError(error)) {
+            this.resync(address, chainId)
+            return true
+        }
+        if (chainId !== undefined && nonce !== undefined) this.release(address, chainId, nonce)
+        return false
+    }
+
+    /**
+     * Returns true if the error means that the nonce is already used.
+     *
+     * @param {Error|string} error - The error to check.
+     * @return {boolean}
+     */
+    static isNonceError(error) {
+        return NONCE_ERROR_MESSAGES.some(m => toMessage(error).includes(m))
+    }
+
+    /**
+     * Returns true if the error is caused by the connection, so it is not known whether the transaction was accepted.
+     *
+     * @param {Error|string} error - The error to check.
+     * @return {boolean}
+     */
+    static isConnectionError(error) {
+        return CONNECTION_ERROR_MESSAGES.some(m => toMessage(error).includes(m))
+    }
+}
+
+function toMessage(error) {
+    return (_.isString(error) ? error : (error && error.message) || '').toLowerCase()
+}
+
+function makeKey(address, chainId) {
+    return `${utils.hexToNumber(chainId)}:${_.toLower(address)}`
+}
+
+// The nonce manager shared by `caver.transaction` and `caver.klay.accounts`.
+NonceManager.instance = new NonceManager()
+
+module.exports = NonceManager
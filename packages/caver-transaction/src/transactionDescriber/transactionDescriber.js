@@ -0,0 +1,180 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const _ = require('lodash')
+const utils = require('../../../caver-utils')
+const abi = require('../../../caver-abi')
+const AccountKeyLegacy = require('../../../caver-account/src/accountKey/accountKeyLegacy')
+const AccountKeyPublic = require('../../../caver-account/src/accountKey/accountKeyPublic')
+const AccountKeyFail = require('../../../caver-account/src/accountKey/accountKeyFail')
+const AccountKeyWeightedMultiSig = require('../../../caver-account/src/accountKey/accountKeyWeightedMultiSig')
+const AccountKeyRoleBased = require('../../../caver-account/src/accountKey/accountKeyRoleBased')
+const TransactionDecoder = require('../transactionDecoder/transactionDecoder')
+const TransactionHasher = require('../transactionHasher/transactionHasher')
+const AnchoringData = require('../anchoringData/anchoringData')
+const { TX_TYPE_STRING, getChainIdFromSignatures } = require('../transactionHelper/transactionHelper')
+const { KEY_ROLE } = require('../../../caver-wallet/src/keyring/keyringHelper')
+
+const ROLE_NAMES = ['roleTransactionKey', 'roleAccountUpdateKey', 'roleFeePayerKey']
+
+/**
+ * Representing a class which describes a transaction in a human-readable form.
+ * @class
+ */
+class TransactionDescriber {
+    /**
+     * Decodes the RLP-encoded transaction and returns a human-readable description of it.
+     * The description includes the type, the sender and the recipient, the value in KLAY and peb, the fee payer and the fee ratio,
+     * the account key of account update transactions, the contract call decoded with `options.abi`,
+     * the anchoring data of chain data anchoring transactions, and the addresses recovered from the signatures.
+     * The fields which are not used in the type of the transaction are not included.
+     *
+     * @example
+     * const description = caver.transaction.describe(rawTransaction, { abi: { [contractAddress]: kip7Abi } })
+     *
+     * @param {string|AbstractTransaction} rawTransaction - An RLP-encoded transaction string, or a transaction instance.
+     * @param {object} [options] - The options to use when describing the transaction.
+     * @param {Array|object} [options.abi] - The ABI of the contract to decode the contract call with,
+     *                                        or a registry object which maps addresses of contracts to their ABIs.
+     * @return {object}
+     */
+    static describe(rawTransaction, options = {}) {
+        if (!_.isString(rawTransaction) && !(_.isObject(rawTransaction) && _.isFunction(rawTransaction.getRLPEncoding)))
+            throw new Error(`Invalid transaction: An RLP-encoded transaction string or a transaction instance should be passed.`)
+
+        // The transaction instance is copied not to change it.
+        const tx = TransactionDecoder.decode(_.isString(rawTransaction) ? rawTransaction : rawTransaction.getRLPEncoding())
+        if (!_.isString(rawTransaction) && rawTransaction.chainId !== undefined) tx.chainId = rawTransaction.chainId
+
+        // The chain id is not included in the RLP-encoded transaction, but it can be extracted from the signatures.
+        if (tx.chainId === undefined) {
+            const chainId = getChainIdFromSignatures(tx.signatures) || getChainIdFromSignatures(tx.feePayerSignatures)
+            if (chainId !== undefined) tx.chainId = chainId
+        }
+
+        const signers = recoverSigners(tx, tx.signatures, TransactionHasher.getHashForSignature)
+        const feePayerSigners = tx.feePayerSignatures
+            ? recoverSigners(tx, tx.feePayerSignatures, TransactionHasher.getHashForFeePayerSignature)
+            : undefined
+
+        // The sender of the legacy transaction is not included in the RLP-encoded transaction.
+        const isSenderEmpty = tx.from === '0x' || tx.from === '0x0000000000000000000000000000000000000000'
+        const from = isSenderEmpty && signers.length > 0 ? signers[0] : tx.from
+        const to = tx.to !== undefined && tx.to !== '0x' ? tx.to : undefined
+
+        const description = {
+            type: tx.type,
+            from,
+            to,
+            nonce: tx.nonce !== undefined ? utils.hexToNumber(tx.nonce) : undefined,
+            gas: tx.gas !== undefined ? utils.hexToNumber(tx.gas) : undefined,
+            gasPrice: tx.gasPrice !== undefined ? formatAmount(tx.gasPrice, 'ston') : undefined,
+            maxFee:
+                tx.gas !== undefined && tx.gasPrice !== undefined
+                    ? formatAmount(utils.toBN(tx.gas).mul(utils.toBN(tx.gasPrice)), 'KLAY')
+                    : undefined,
+            chainId: tx.chainId !== undefined ? utils.hexToNumber(tx.chainId) : undefined,
+            value: tx.value !== undefined ? formatAmount(tx.value, 'KLAY') : undefined,
+            input: tx.input,
+            feePayer: tx.feePayer,
+            feeRatio: tx.feeRatio !== undefined ? utils.hexToNumber(tx.feeRatio) : undefined,
+            accountKey: tx.account !== undefined ? describeAccountKey(tx.account.accountKey) : undefined,
+            contractCall: describeContractCall(tx, to, options.abi),
+            anchoring: tx.type.includes('ChainDataAnchoring') ? describeAnchoringData(tx.input) : undefined,
+            signers,
+            feePayerSigners,
+            transactionHash: tx.getTransactionHash(),
+        }
+
+        return _.omitBy(description, _.isUndefined)
+    }
+}
+
+function formatAmount(peb, unit) {
+    const amount = utils.toBN(peb).toString(10)
+    return { peb: amount, [unit]: utils.convertFromPeb(amount, unit) }
+}
+
+function recoverSigners(tx, signatures, getHash) {
+    if (utils.isEmptySig(signatures) || tx.chainId === undefined) return []
+    const hash = getHash(tx)
+    return toSignatureArray(signatures).map(sig => utils.recover(hash, sig, true))
+}
+
+// The legacy transaction has a single signature.
+function toSignatureArray(signatures) {
+    return _.isArray(signatures) ? signatures : [signatures]
+}
+
+function describeAccountKey(accountKey) {
+    if (accountKey === undefined) return { type: 'AccountKeyNil' }
+    if (accountKey instanceof AccountKeyLegacy) return { type: 'AccountKeyLegacy' }
+    if (accountKey instanceof AccountKeyFail) return { type: 'AccountKeyFail' }
+    if (accountKey instanceof AccountKeyPublic) return { type: 'AccountKeyPublic', publicKey: accountKey.publicKey }
+    if (accountKey instanceof AccountKeyWeightedMultiSig) {
+        return {
+            type: 'AccountKeyWeightedMultiSig',
+            threshold: accountKey.threshold,
+            weightedPublicKeys: accountKey.weightedPublicKeys.map(wpk => ({ weight: wpk.weight, publicKey: wpk.publicKey })),
+        }
+    }
+    if (accountKey instanceof AccountKeyRoleBased) {
+        const roles = {}
+        for (let i = 0; i < KEY_ROLE.roleLast; i++) roles[ROLE_NAMES[i]] = describeAccountKey(accountKey.accountKeys[i])
+        return { type: 'AccountKeyRoleBased', roles }
+    }
+    throw new Error(`Unsupported account key: ${accountKey}`)
+}
+
+function findAbi(abiOrRegistry, to) {
+    if (_.isArray(abiOrRegistry)) return abiOrRegistry
+    if (!_.isObject(abiOrRegistry) || to === undefined) return undefined
+    const address = _.findKey(abiOrRegistry, (v, k) => k.toLowerCase() === to.toLowerCase())
+    return address !== undefined ? abiOrRegistry[address] : undefined
+}
+
+function describeContractCall(tx, to, abiOrRegistry) {
+    const isExecution =
+        tx.type.includes('SmartContractExecution') ||
+        (tx.type === TX_TYPE_STRING.TxTypeLegacyTransaction && to !== undefined && tx.input !== undefined && tx.input !== '0x')
+    if (!isExecution || !tx.input || tx.input.length < 10) return undefined
+
+    const selector = tx.input.slice(0, 10)
+    const jsonInterface = findAbi(abiOrRegistry, to)
+    const method = _.find(jsonInterface, item => item.type === 'function' && abi.encodeFunctionSignature(item) === selector)
+    if (method === undefined) return { selector }
+
+    const decoded = abi.decodeParameters(method.inputs, `0x${tx.input.slice(10)}`)
+    return {
+        selector,
+        name: method.name,
+        signature: utils._jsonInterfaceMethodToString(method),
+        args: method.inputs.map((input, i) => ({ name: input.name, type: input.type, value: decoded[i] })),
+    }
+}
+
+function describeAnchoringData(input) {
+    try {
+        return AnchoringData.decode(input)
+    } catch (e) {
+        // The input which is not an anchoring data format is returned as it is.
+        return { data: input }
+    }
+}
+
+module.exports = TransactionDescriber
@@ -157,6 +157,22 @@ const refineSignatures = (sigArray, isLegacy = false) => {
     return !isLegacy ? result : result[0]
 }
 
+/**
+ * Returns the chain id extracted from the `v` value of the signature(EIP-155).
+ * The chain id is not included in the RLP-encoded transaction, so this is used when the chain id of the decoded transaction is needed.
+ *
+ * @param {SignatureData|Array.<SignatureData>} signatures - A signature or an array of signatures.
+ * @return {string|undefined} The chain id in hex, or undefined if the chain id cannot be extracted.
+ */
+const getChainIdFromSignatures = signatures => {
+    if (!signatures || utils.isEmptySig(signatures)) return undefined
+
+    const signature = _.isArray(signatures) ? signatures[0] : signatures
+    const v = utils.hexToNumber(signature.v)
+    // v = chainId * 2 + 35 + recovery id
+    return v >= 35 ? utils.numberToHex(Math.floor((v - 35) / 2)) : undefined
+}
+
 /**
  * Returns transaction type string.
  *
@@ -191,6 +207,7 @@ module.exports = {
     TX_TYPE_TAG,
     CODE_FORMAT,
     refineSignatures,
+    getChainIdFromSignatures,
     typeDetectionFromRLPEncoding,
     getCodeFormatTag,
     getTypeInt,
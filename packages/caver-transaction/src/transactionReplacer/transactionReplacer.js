@@ -0,0 +1,287 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const _ = require('lodash')
+const utils = require('../../../caver-utils')
+const Account = require('../../../caver-account')
+const TransactionSender = require('../transactionSender/transactionSender')
+const NonceManager = require('../nonceManager/nonceManager')
+const { TX_TYPE_STRING } = require('../transactionHelper/transactionHelper')
+const LegacyTransaction = require('../transactionTypes/legacyTransaction/legacyTransaction')
+const ValueTransfer = require('../transactionTypes/valueTransfer/valueTransfer')
+const FeeDelegatedValueTransfer = require('../transactionTypes/valueTransfer/feeDelegatedValueTransfer')
+const FeeDelegatedValueTransferWithRatio = require('../transactionTypes/valueTransfer/feeDelegatedValueTransferWithRatio')
+const ValueTransferMemo = require('../transactionTypes/valueTransferMemo/valueTransferMemo')
+const FeeDelegatedValueTransferMemo = require('../transactionTypes/valueTransferMemo/feeDelegatedValueTransferMemo')
+const FeeDelegatedValueTransferMemoWithRatio = require('../transactionTypes/valueTransferMemo/feeDelegatedValueTransferMemoWithRatio')
+const AccountUpdate = require('../transactionTypes/accountUpdate/accountUpdate')
+const FeeDelegatedAccountUpdate = require('../transactionTypes/accountUpdate/feeDelegatedAccountUpdate')
+const FeeDelegatedAccountUpdateWithRatio = require('../transactionTypes/accountUpdate/feeDelegatedAccountUpdateWithRatio')
+const SmartContractDeploy = require('../transactionTypes/smartContractDeploy/smartContractDeploy')
+const FeeDelegatedSmartContractDeploy = require('../transactionTypes/smartContractDeploy/feeDelegatedSmartContractDeploy')
+const FeeDelegatedSmartContractDeployWithRatio = require('../transactionTypes/smartContractDeploy/feeDelegatedSmartContractDeployWithRatio')
+const SmartContractExecution = require('../transactionTypes/smartContractExecution/smartContractExecution')
+const FeeDelegatedSmartContractExecution = require('../transactionTypes/smartContractExecution/feeDelegatedSmartContractExecution')
+const FeeDelegatedSmartContractExecutionWithRatio = require('../transactionTypes/smartContractExecution/feeDelegatedSmartContractExecutionWithRatio')
+const Cancel = require('../transactionTypes/cancel/cancel')
+const FeeDelegatedCancel = require('../transactionTypes/cancel/feeDelegatedCancel')
+const FeeDelegatedCancelWithRatio = require('../transactionTypes/cancel/feeDelegatedCancelWithRatio')
+const ChainDataAnchoring = require('../transactionTypes/chainDataAnchoring/chainDataAnchoring')
+const FeeDelegatedChainDataAnchoring = require('../transactionTypes/chainDataAnchoring/feeDelegatedChainDataAnchoring')
+const FeeDelegatedChainDataAnchoringWithRatio = require('../transactionTypes/chainDataAnchoring/feeDelegatedChainDataAnchoringWithRatio')
+
+const POLLING_INTERVAL = 1000 // 1s, the average block time of Klaytn
+
+const TRANSACTION_CLASSES = {
+    [TX_TYPE_STRING.TxTypeLegacyTransaction]: LegacyTransaction,
+    [TX_TYPE_STRING.TxTypeValueTransfer]: ValueTransfer,
+    [TX_TYPE_STRING.TxTypeFeeDelegatedValueTransfer]: FeeDelegatedValueTransfer,
+    [TX_TYPE_STRING.TxTypeFeeDelegatedValueTransferWithRatio]: FeeDelegatedValueTransferWithRatio,
+    [TX_TYPE_STRING.TxTypeValueTransferMemo]: ValueTransferMemo,
+    [TX_TYPE_STRING.TxTypeFeeDelegatedValueTransferMemo]: FeeDelegatedValueTransferMemo,
+    [TX_TYPE_STRING.TxTypeFeeDelegatedValueTransferMemoWithRatio]: FeeDelegatedValueTransferMemoWithRatio,
+    [TX_TYPE_STRING.TxTypeAccountUpdate]: AccountUpdate,
+    [TX_TYPE_STRING.TxTypeFeeDelegatedAccountUpdate]: FeeDelegatedAccountUpdate,
+    [TX_TYPE_STRING.TxTypeFeeDelegatedAccountUpdateWithRatio]: FeeDelegatedAccountUpdateWithRatio,
+    [TX_TYPE_STRING.TxTypeSmartContractDeploy]: SmartContractDeploy,
+    [TX_TYPE_STRING.TxTypeFeeDelegatedSmartContractDeploy]: FeeDelegatedSmartContractDeploy,
+    [TX_TYPE_STRING.TxTypeFeeDelegatedSmartContractDeployWithRatio]: FeeDelegatedSmartContractDeployWithRatio,
+    [TX_TYPE_STRING.TxTypeSmartContractExecution]: SmartContractExecution,
+    [TX_TYPE_STRING.TxTypeFeeDelegatedSmartContractExecution]: FeeDelegatedSmartContractExecution,
+    [TX_TYPE_STRING.TxTypeFeeDelegatedSmartContractExecutionWithRatio]: FeeDelegatedSmartContractExecutionWithRatio,
+    [TX_TYPE_STRING.TxTypeCancel]: Cancel,
+    [TX_TYPE_STRING.TxTypeFeeDelegatedCancel]: FeeDelegatedCancel,
+    [TX_TYPE_STRING.TxTypeFeeDelegatedCancelWithRatio]: FeeDelegatedCancelWithRatio,
+    [TX_TYPE_STRING.TxTypeChainDataAnchoring]: ChainDataAnchoring,
+    [TX_TYPE_STRING.TxTypeFeeDelegatedChainDataAnchoring]: FeeDelegatedChainDataAnchoring,
+    [TX_TYPE_STRING.TxTypeFeeDelegatedChainDataAnchoringWithRatio]: FeeDelegatedChainDataAnchoringWithRatio,
+}
+
+// The fields of the transaction object returned from `klay_getTransactionByHash` which can be used to create a transaction instance.
+const RPC_TRANSACTION_FIELDS = [
+    'from',
+    'to',
+    'value',
+    'input',
+    'gas',
+    'gasPrice',
+    'nonce',
+    'feePayer',
+    'feeRatio',
+    'humanReadable',
+    'codeFormat',
+]
+
+// The fields of the transaction instance which are copied to the replacement. The signatures are not copied.
+const TRANSACTION_FIELDS = [...RPC_TRANSACTION_FIELDS, 'chainId', 'account']
+
+/**
+ * Representing a class which replaces or cancels a pending transaction with a transaction using the same nonce.
+ * @class
+ */
+class TransactionReplacer {
+    /**
+     * Cancels the pending transaction by sending a `TxTypeCancel` transaction with the same nonce,
+     * and resolves when either the original transaction or the cancel transaction is included in a block.
+     * If the original transaction is already included in a block, the cancel transaction is not sent.
+     *
+     * @example
+     * const result = await caver.transaction.cancelPending('0x{transaction hash}', keyring)
+     * if (result.landed === 'original') console.log('The transaction was processed before it was canceled.')
+     *
+     * @param {string|AbstractTransaction} txOrHash - The hash of the pending transaction, or the signed transaction instance.
+     * @param {KeyringContainer|SingleKeyring|MultipleKeyring|RoleBasedKeyring} keyring - A keyring of the sender, or a wallet which includes it.
+     * @param {object} [options] - The options to use when waiting for the result.
+     * @param {number} [options.timeout] - The time(ms) to wait until one of the transactions is included in a block.
+     * @return {Promise<object>} An object with `landed`('original' or 'replacement'), `originalTransactionHash`, `replacementTransactionHash` and `receipt`.
+     */
+    static async cancelPending(txOrHash, keyring, options = {}) {
+        const { hash, transaction } = await getPendingTransaction(txOrHash)
+        if (transaction === undefined) return getLandedResult(hash)
+
+        const cancel = new Cancel({ from: transaction.from, nonce: transaction.nonce, gasPrice: transaction.gasPrice })
+        return sendReplacement(hash, cancel, keyring, options)
+    }
+
+    /**
+     * Replaces the pending transaction with a copy of the transaction updated with `overrides`,
+     * and resolves when either the original transaction or the replacement is included in a block.
+     * The replacement uses the same nonce with the original transaction, and it is signed again.
+     * If the original transaction is already included in a block, the replacement is not sent.
+     *
+     * @example
+     * const result = await caver.transaction.replace('0x{transaction hash}', { value: 1 }, wallet)
+     *
+     * @param {string|AbstractTransaction} txOrHash - The hash of the pending transaction, or the signed transaction instance.
+     * @param {object} overrides - The fields to update in the replacement(e.g., `gasPrice`, `gas`, `value`, `to` or `input`). The nonce cannot be changed.
+     * @param {KeyringContainer|SingleKeyring|MultipleKeyring|RoleBasedKeyring} keyring - A keyring of the sender, or a wallet which includes it.
+     *                                                                                   To replace a fee delegated transaction, the wallet should include the keyring of the fee payer.
+     * @param {object} [options] - The options to use when waiting for the result.
+     * @param {number} [options.timeout] - The time(ms) to wait until one of the transactions is included in a block.
+     * @return {Promise<object>} An object with `landed`('original' or 'replacement'), `originalTransactionHash`, `replacementTransactionHash` and `receipt`.
+     */
+    static async replace(txOrHash, overrides = {}, keyring, options = {}) {
+        if (overrides.nonce !== undefined)
+            throw new Error(`The nonce cannot be overridden: the replacement should use the nonce of the original transaction.`)
+        if (overrides.type !== undefined) throw new Error(`The type cannot be overridden.`)
+
+        const { hash, transaction } = await getPendingTransaction(txOrHash)
+        if (transaction === undefined) return getLandedResult(hash)
+
+        const replacement = new transaction.constructor(Object.assign(getCreateTxObj(transaction), overrides))
+        return sendReplacement(hash, replacement, keyring, options)
+    }
+
+    /**
+     * Creates a transaction instance from the transaction object returned from `klay_getTransactionByHash`.
+     * The signatures of the transaction object are not included in the transaction instance.
+     *
+     * @param {object} rpcTransaction - The transaction object returned from `klay_getTransactionByHash`.
+     * @return {AbstractTransaction}
+     */
+    static createFromRPCObject(rpcTransaction) {
+        const TransactionClass = TRANSACTION_CLASSES[rpcTransaction.type]
+        if (TransactionClass === undefined) throw new Error(`The transaction type [${rpcTransaction.type}] is not supported`)
+
+        const createTxObj = _.pickBy(_.pick(rpcTransaction, RPC_TRANSACTION_FIELDS), v => !_.isNil(v))
+        if (createTxObj.feePayer === '0x0000000000000000000000000000000000000000') delete createTxObj.feePayer
+        if (rpcTransaction.key !== undefined) createTxObj.account = Account.createFromRLPEncoding(rpcTransaction.from, rpcTransaction.key)
+
+        return new TransactionClass(createTxObj)
+    }
+}
+
+/**
+ * Returns the hash of the transaction and the transaction instance if it is still pending.
+ *
+ * @ignore
+ * @param {string|AbstractTransaction} txOrHash - The hash of the transaction, or the signed transaction instance.
+ * @return {Promise<object>}
+ */
+async function getPendingTransaction(txOrHash) {
+    const klaytnCall = Cancel._klaytnCall
+
+    if (_.isString(txOrHash)) {
+        if (!utils.isTxHashStrict(txOrHash)) throw new Error(`Invalid transaction hash: ${txOrHash}`)
+        const rpcTransaction = await klaytnCall.getTransactionByHash(txOrHash)
+        if (!rpcTransaction) throw new Error(`Failed to find the transaction(${txOrHash}).`)
+        if (!_.isNil(rpcTransaction.blockNumber)) return { hash: txOrHash }
+        return { hash: txOrHash, transaction: TransactionReplacer.createFromRPCObject(rpcTransaction) }
+    }
+
+    if (!_.isObject(txOrHash) || !_.isFunction(txOrHash.getTransactionHash))
+        throw new Error(`Invalid transaction: the transaction hash or a transaction instance should be passed.`)
+    if (txOrHash.nonce === undefined) throw new Error(`The nonce of the transaction is undefined. The transaction is not sent yet.`)
+
+    const hash = txOrHash.getTransactionHash()
+    if (await klaytnCall.getTransactionReceipt(hash)) return { hash }
+    return { hash, transaction: txOrHash }
+}
+
+async function getLandedResult(hash) {
+    const receipt = await Cancel._klaytnCall.getTransactionReceipt(hash)
+    return { landed: 'original', originalTransactionHash: hash, replacementTransactionHash: undefined, receipt }
+}
+
+function getCreateTxObj(transaction) {
+    return _.pickBy(_.pick(transaction, TRANSACTION_FIELDS), v => v !== undefined)
+}
+
+/**
+ * Signs and sends the replacement, and waits until either the original transaction or the replacement is included in a block.
+ *
+ * @ignore
+ * @param {string} originalHash - The hash of the original transaction.
+ * @param {AbstractTransaction} replacement - The replacement which uses the same nonce with the original transaction.
+ * @param {KeyringContainer|SingleKeyring|MultipleKeyring|RoleBasedKeyring} keyring - A keyring of the sender, or a wallet which includes it.
+ * @param {object} options - The options to use when waiting for the result.
+ * @return {Promise<object>}
+ */
+async function sendReplacement(originalHash, replacement, keyring, options) {
+    if (!keyring) throw new Error(`To replace the transaction, the keyring of the sender should be defined.`)
+
+    if (TransactionSender.isWallet(keyring)) {
+        await TransactionSender.signWithWallet(replacement, keyring)
+    } else {
+        if (replacement.type.includes('FeeDelegated'))
+            throw new Error(
+                `To replace a fee delegated transaction, the wallet which includes the keyring of the fee payer should be used.`
+            )
+        await replacement.sign(keyring)
+    }
+
+    const klaytnCall = replacement.constructor._klaytnCall
+
+    return new Promise((resolve, reject) => {
+        let finished = false
+        let replacementHash
+        let timer
+        let intervalId
+        let sending
+
+        const finish = (err, result) => {
+            if (finished) return
+            finished = true
+            clearTimeout(timer)
+            clearInterval(intervalId)
+            // The receipt of the replacement is not waited anymore when the original transaction is included in a block, or an error occurs.
+            if (sending) sending.stopWatching()
+            if (err) return reject(err)
+            resolve(result)
+        }
+        const land = (landed, receipt) =>
+            finish(null, { landed, originalTransactionHash: originalHash, replacementTransactionHash: replacementHash, receipt })
+
+        const checkReceipts = () =>
+            Promise.all([
+                klaytnCall.getTransactionReceipt(originalHash),
+                replacementHash !== undefined ? klaytnCall.getTransactionReceipt(replacementHash) : null,
+            ])
+                .then(([originalReceipt, replacementReceipt]) => {
+                    if (originalReceipt) return land('original', originalReceipt)
+                    if (replacementReceipt) land('replacement', replacementReceipt)
+                })
+                .catch(err => finish(err))
+
+        if (options.timeout !== undefined) {
+            timer = setTimeout(() => {
+                finish(
+                    new Error(
+                        `Neither the original transaction(${originalHash}) nor the replacement was included in a block within ${options.timeout}ms.`
+                    )
+                )
+            }, options.timeout)
+        }
+
+        sending = klaytnCall.sendRawTransaction(replacement.getRLPEncoding(), (err, hash) => {
+            if (!err) replacementHash = hash
+        })
+        sending
+            .then(receipt => land('replacement', receipt))
+            .catch(err => {
+                // After the replacement is accepted, the result is found by checking the receipts.
+                // If the nonce is already used, the original transaction is included in a block.
+                if (replacementHash !== undefined || NonceManager.isNonceError(err)) return checkReceipts()
+                finish(err)
+            })
+
+        intervalId = setInterval(checkReceipts, POLLING_INTERVAL)
+    })
+}
+
+module.exports = TransactionReplacer
@@ -0,0 +1,162 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const _ = require('lodash')
+const utils = require('../../../caver-utils')
+
+const POLLING_INTERVAL = 1000 // 1s, the average block time of Klaytn
+
+/**
+ * Representing a class which sends a transaction instance and tracks it until it is confirmed.
+ * @class
+ */
+class TransactionSender {
+    /**
+     * Returns whether the object can be used as a wallet in `TransactionSender.send`.
+     *
+     * @param {*} wallet - The object to check.
+     * @return {boolean}
+     */
+    static isWallet(wallet) {
+        return _.isObject(wallet) && _.isFunction(wallet.sign) && _.isFunction(wallet.signAsFeePayer)
+    }
+
+    /**
+     * Signs the transaction with keyrings in the wallet, sends it to the Klaytn network and returns a PromiEvent.
+     * The PromiEvent emits `transactionHash`, `receipt`, `confirmation` and `error` events, and resolves with the receipt.
+     * The transaction is signed as a sender only if it has no signatures,
+     * and a fee delegated transaction is signed as a fee payer only if it has no fee payer signatures.
+     *
+     * @param {AbstractTransaction} transaction - The transaction instance to send.
+     * @param {KeyringContainer} [wallet] - The wallet which includes keyrings of the sender and the fee payer.
+     * @param {object} [options] - The options to use when send a transaction.
+     * @param {number} [options.confirmations] - The number of blocks to wait after the block including the transaction. The default value is 0.
+     * @param {number} [options.timeout] - The time(ms) to wait until the transaction is confirmed.
+     * @return {PromiEvent}
+     */
+    static send(transaction, wallet, options = {}) {
+        const defer = utils.promiEvent()
+        const fireError = err => utils._fireError(err, defer.eventEmitter, defer.reject)
+
+        let finished = false
+        let timer
+        let intervalId
+        const finish = () => {
+            finished = true
+            clearTimeout(timer)
+            clearInterval(intervalId)
+        }
+
+        if (options.timeout !== undefined) {
+            timer = setTimeout(() => {
+                if (finished) return
+                finish()
+                fireError(
+                    new Error(
+                        `Transaction was not confirmed within ${options.timeout}ms, please make sure your transaction was properly sent. Be aware that it might still be mined!`
+                    )
+                )
+            }, options.timeout)
+        }
+
+        const klaytnCall = transaction.constructor._klaytnCall
+
+        const onReceipt = receipt => {
+            if (finished) return
+            defer.eventEmitter.emit('receipt', receipt)
+
+            const confirmations = options.confirmations || 0
+            if (confirmations <= 0) {
+                finish()
+                return defer.resolve(receipt)
+            }
+
+            let confirmed = 0
+            const checkConfirmations = () =>
+                klaytnCall
+                    .getBlockNumber()
+                    .then(blockNumber => {
+                        if (finished) return
+                        const current = utils.hexToNumber(blockNumber) - utils.hexToNumber(receipt.blockNumber)
+                        while (confirmed < Math.min(current, confirmations)) {
+                            confirmed++
+                            defer.eventEmitter.emit('confirmation', confirmed, receipt)
+                        }
+                        if (confirmed >= confirmations) {
+                            finish()
+                            defer.resolve(receipt)
+                        }
+                    })
+                    .catch(err => {
+                        if (finished) return
+                        finish()
+                        fireError(err)
+                    })
+
+            checkConfirmations()
+            intervalId = setInterval(checkConfirmations, POLLING_INTERVAL)
+        }
+
+        TransactionSender.signWithWallet(transaction, wallet)
+            .then(() => {
+                if (finished) return
+                // The callback is used instead of the 'transactionHash' event, because the event can be emitted before returning the PromiEvent.
+                // The nonce reserved by the nonce manager is confirmed or released by `klay_sendRawTransaction` of caver-core-method.
+                return klaytnCall
+                    .sendRawTransaction(transaction.getRLPEncoding(), (err, hash) => {
+                        if (!err && !finished) defer.eventEmitter.emit('transactionHash', hash)
+                    })
+                    .then(onReceipt)
+            })
+            .catch(err => {
+                if (finished) return
+                finish()
+                fireError(err)
+            })
+
+        return defer.eventEmitter
+    }
+
+    /**
+     * Signs the transaction with keyrings in the wallet.
+     * The transaction is signed as a sender only if it has no signatures,
+     * and a fee delegated transaction is signed as a fee payer only if it has no fee payer signatures.
+     *
+     * @param {AbstractTransaction} transaction - The transaction instance to sign.
+     * @param {KeyringContainer} [wallet] - The wallet which includes keyrings of the sender and the fee payer.
+     * @return {Promise<void>}
+     */
+    static async signWithWallet(transaction, wallet) {
+        if (utils.isEmptySig(transaction.signatures)) {
+            if (!wallet) throw new Error(`To send a transaction without signatures, the wallet should be defined.`)
+            await wallet.sign(transaction.from, transaction)
+        }
+
+        if (!transaction.type.includes('FeeDelegated') || !utils.isEmptySig(transaction.feePayerSignatures)) return
+
+        const feePayer = transaction.feePayer
+        if (!feePayer || feePayer === '0x0000000000000000000000000000000000000000')
+            throw new Error(`To send a fee delegated transaction without feePayerSignatures, feePayer should be defined.`)
+        if (!wallet || !wallet.isExisted(feePayer))
+            throw new Error(`Failed to find the keyring of the fee payer(${feePayer}) in the wallet.`)
+
+        await wallet.signAsFeePayer(feePayer, transaction)
+    }
+}
+
+module.exports = TransactionSender
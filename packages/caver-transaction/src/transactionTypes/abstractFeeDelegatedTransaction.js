@@ -22,7 +22,7 @@ const Hash = require('eth-lib/lib/hash')
 const Bytes = require('eth-lib/lib/bytes')
 const TransactionHasher = require('../transactionHasher/transactionHasher')
 const AbstractTransaction = require('./abstractTransaction')
-const { refineSignatures, typeDetectionFromRLPEncoding } = require('../transactionHelper/transactionHelper')
+const { refineSignatures, getChainIdFromSignatures, typeDetectionFromRLPEncoding } = require('../transactionHelper/transactionHelper')
 const Keyring = require('../../../caver-wallet/src/keyring/keyringFactory')
 const SingleKeyring = require('../../../caver-wallet/src/keyring/singleKeyring')
 const MultipleKeyring = require('../../../caver-wallet/src/keyring/multipleKeyring')
@@ -204,6 +204,25 @@ class AbstractFeeDelegatedTransaction extends AbstractTransaction {
         return Hash.keccak256(type + RLP.encode(data.slice(0, data.length - 2)).slice(2))
     }
 
+    /**
+     * Recovers the public keys from `feePayerSignatures`.
+     * If `chainId` is not defined, it is set with the chain id extracted from the fee payer signatures.
+     *
+     * @return {Array.<string>}
+     */
+    recoverFeePayerPublicKeys() {
+        if (utils.isEmptySig(this.feePayerSignatures))
+            throw new Error(`Failed to recover public keys from feePayerSignatures: feePayerSignatures is empty.`)
+
+        if (this.chainId === undefined) {
+            const chainId = getChainIdFromSignatures(this.feePayerSignatures)
+            if (chainId !== undefined) this.chainId = chainId
+        }
+        const hash = TransactionHasher.getHashForFeePayerSignature(this)
+
+        return this.feePayerSignatures.map(sig => utils.recoverPublicKey(hash, sig, true))
+    }
+
     /**
      * Returns an RLP-encoded transaction string for making signature as a fee payer
      *
@@ -21,12 +21,20 @@ const Bytes = require('eth-lib/lib/bytes')
 const RLP = require('eth-lib/lib/rlp')
 const Hash = require('eth-lib/lib/hash')
 const TransactionHasher = require('../transactionHasher/transactionHasher')
+const TransactionSender = require('../transactionSender/transactionSender')
+const GasEstimator = require('../gasEstimator/gasEstimator')
+const NonceManager = require('../nonceManager/nonceManager')
 const utils = require('../../../caver-utils')
 const Keyring = require('../../../caver-wallet/src/keyring/keyringFactory')
 const SingleKeyring = require('../../../caver-wallet/src/keyring/singleKeyring')
 const MultipleKeyring = require('../../../caver-wallet/src/keyring/multipleKeyring')
 const RoleBasedKeyring = require('../../../caver-wallet/src/keyring/roleBasedKeyring')
-const { TX_TYPE_STRING, refineSignatures, typeDetectionFromRLPEncoding } = require('../transactionHelper/transactionHelper')
+const {
+    TX_TYPE_STRING,
+    refineSignatures,
+    getChainIdFromSignatures,
+    typeDetectionFromRLPEncoding,
+} = require('../transactionHelper/transactionHelper')
 const { KEY_ROLE } = require('../../../caver-wallet/src/keyring/keyringHelper')
 const { validateParams } = require('../../../caver-core-helpers/src/validateFunction')
 const SignatureData = require('../../../caver-wallet/src/keyring/signatureData')
@@ -49,14 +57,14 @@ class AbstractTransaction {
 
         createTxObj.type = typeString
 
-        const err = validateParams(createTxObj)
+        // The gas can be filled with the estimated gas in `fillTransaction`.
+        const err = validateParams(createTxObj, { isGasOptional: true })
         if (err) throw err
 
         this.from = createTxObj.from
 
-        this.gas = createTxObj.gas
-
         // The variables below are values that the user does not need to pass to the parameter.
+        if (createTxObj.gas !== undefined) this.gas = createTxObj.gas
         if (createTxObj.nonce !== undefined) this.nonce = createTxObj.nonce
         if (createTxObj.gasPrice !== undefined) this.gasPrice = createTxObj.gasPrice
         if (createTxObj.chainId !== undefined) this.chainId = createTxObj.chainId
@@ -210,6 +218,25 @@ class AbstractTransaction {
         return this
     }
 
+    /**
+     * Signs the transaction with keyrings in the wallet and sends it to the Klaytn network.
+     * The returned PromiEvent emits `transactionHash`, `receipt`, `confirmation` and `error` events, and resolves with the receipt.
+     * If the transaction is already signed, the wallet can be omitted.
+     *
+     * @param {KeyringContainer} [wallet] - The wallet which includes keyrings of the sender and the fee payer.
+     * @param {object} [options] - The options to use when send a transaction.
+     * @param {number} [options.confirmations] - The number of blocks to wait after the block including the transaction.
+     * @param {number} [options.timeout] - The time(ms) to wait until the transaction is confirmed.
+     * @return {PromiEvent}
+     */
+    send(wallet, options) {
+        if (!TransactionSender.isWallet(wallet) && options === undefined) {
+            options = wallet
+            wallet = undefined
+        }
+        return TransactionSender.send(this, wallet, options)
+    }
+
     /**
      * Appends signatures to the transaction.
      *
@@ -301,6 +328,26 @@ class AbstractTransaction {
         return this.getTransactionHash()
     }
 
+    /**
+     * Recovers the public keys from `signatures`.
+     * If `chainId` is not defined, it is set with the chain id extracted from the signatures.
+     *
+     * @return {Array.<string>}
+     */
+    recoverPublicKeys() {
+        if (utils.isEmptySig(this.signatures)) throw new Error(`Failed to recover public keys from signatures: signatures is empty.`)
+
+        if (this.chainId === undefined) {
+            const chainId = getChainIdFromSignatures(this.signatures)
+            if (chainId !== undefined) this.chainId = chainId
+        }
+        const hash = TransactionHasher.getHashForSignature(this)
+
+        // The legacy transaction has a single signature.
+        const signatures = _.isArray(this.signatures) ? this.signatures : [this.signatures]
+        return signatures.map(sig => utils.recoverPublicKey(hash, sig, true))
+    }
+
     /**
      * Returns an RLP-encoded transaction string for making signature
      *
@@ -315,18 +362,38 @@ class AbstractTransaction {
     }
 
     /**
-     * Fills empty optional transaction properties(gasPrice, nonce, chainId).
+     * Fills empty optional transaction properties(gasPrice, nonce, chainId, gas).
+     * The gas is filled with the gas estimated by `klay_estimateGas`. See `caver.transaction.gasEstimator` for more detail.
+     * If `caver.transaction.nonceManager` is enabled, the nonce is reserved from the nonce manager.
      */
     async fillTransaction() {
-        const [chainId, gasPrice, nonce] = await Promise.all([
-            isNot(this.chainId) ? AbstractTransaction._klaytnCall.getChainId() : this.chainId,
+        const chainIdPromise = isNot(this.chainId) ? AbstractTransaction._klaytnCall.getChainId() : this.chainId
+        const isNonceReserved = isNot(this.nonce)
+        const noncePromise = isNonceReserved
+            ? NonceManager.instance.reserve(this.from, chainIdPromise, () =>
+                  AbstractTransaction._klaytnCall.getTransactionCount(this.from, 'pending')
+              )
+            : this.nonce
+
+        const [chainId, gasPrice, nonce, gas] = await Promise.all([
+            chainIdPromise,
             isNot(this.gasPrice) ? AbstractTransaction._klaytnCall.getGasPrice() : this.gasPrice,
-            isNot(this.nonce) ? AbstractTransaction._klaytnCall.getTransactionCount(this.from, 'pending') : this.nonce,
-        ])
+            noncePromise,
+            isNot(this.gas) ? GasEstimator.estimate(this) : this.gas,
+        ]).catch(e => {
+            // The reserved nonce is not used when filling the transaction fails.
+            if (isNonceReserved) {
+                Promise.all([chainIdPromise, noncePromise])
+                    .then(([id, reserved]) => NonceManager.instance.release(this.from, id, reserved))
+                    .catch(() => {})
+            }
+            throw e
+        })
 
         this.chainId = chainId
         this.gasPrice = gasPrice
         this.nonce = nonce
+        this.gas = gas
     }
 
     /**
@@ -338,6 +405,8 @@ class AbstractTransaction {
             throw new Error(`gasPrice is undefined. Define gasPrice in transaction or use 'transaction.fillTransaction' to fill values.`)
         if (this.nonce === undefined)
             throw new Error(`nonce is undefined. Define nonce in transaction or use 'transaction.fillTransaction' to fill values.`)
+        if (this.gas === undefined)
+            throw new Error(`gas is undefined. Define gas in transaction or use 'transaction.fillTransaction' to fill values.`)
     }
 }
 
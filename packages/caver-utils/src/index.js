@@ -564,4 +564,5 @@ module.exports = {
 
     hashMessage: utils.hashMessage,
     recover: utils.recover,
+    recoverPublicKey: utils.recoverPublicKey,
 }
@@ -977,7 +977,29 @@ const recover = (message, signature, preFixed = false) => {
         message = hashMessage(message)
     }
 
-    return Account.recover(message, Account.encodeSignature(signature.encode())).toLowerCase()
+    // r and s lose their leading zeros when the signature is decoded from the RLP-encoded transaction.
+    const [v, r, s] = signature.encode()
+    return Account.recover(message, Account.encodeSignature([v, leftPad(r, 64), leftPad(s, 64)])).toLowerCase()
+}
+
+/**
+ * Recovers the public key that was used to sign the given data.
+ *
+ * @param {string} message A message or a hashed message.
+ * @param {SignatureData|Array.<string>|object} signature The signature of the message.
+ * @param {boolean} [isHashed] Whether the message is already hashed. If false, the message is hashed with `hashMessage`.
+ * @return {string} The uncompressed public key without the prefix `04`.
+ */
+const recoverPublicKey = (message, signature, isHashed = false) => {
+    if (!isHashed) message = hashMessage(message)
+
+    const [v, r, s] = resolveSignature(signature)
+    const vNumber = hexToNumber(v)
+    // v is 27 or 28 for the message, and chainId * 2 + 35 or chainId * 2 + 36 for the transaction (EIP-155).
+    const recoveryParam = vNumber < 2 ? vNumber : 1 - (vNumber % 2)
+    const publicKey = secp256k1.recoverPubKey(Buffer.from(message.slice(2), 'hex'), { r: r.slice(2), s: s.slice(2) }, recoveryParam)
+
+    return `0x${publicKey.encode('hex', false).slice(2)}`
 }
 
 module.exports = {
@@ -1040,4 +1062,5 @@ module.exports = {
 
     hashMessage: hashMessage,
     recover: recover,
+    recoverPublicKey: recoverPublicKey,
 }
@@ -0,0 +1,175 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const utils = require('../../caver-utils')
+const { TX_TYPE_STRING } = require('../../caver-transaction/src/transactionHelper/transactionHelper')
+const { KEY_ROLE } = require('../../caver-wallet/src/keyring/keyringHelper')
+
+// The key types of the account key returned from `klay_getAccountKey`.
+const ACCOUNT_KEY_TYPE = {
+    legacy: 1,
+    public: 2,
+    fail: 3,
+    weightedMultiSig: 4,
+    roleBased: 5,
+}
+
+/**
+ * Representing a class which validates signatures with the account keys stored in the Klaytn network.
+ * @class
+ */
+class Validator {
+    /**
+     * Creates a validator.
+     *
+     * @constructor
+     * @param {object} klaytnCall - An object which has `getAccountKey` to fetch the account key from the Klaytn network(e.g., `caver.rpc.klay`).
+     */
+    constructor(klaytnCall) {
+        this.klaytnCall = klaytnCall
+    }
+
+    /**
+     * @type {object}
+     */
+    get klaytnCall() {
+        return this._klaytnCall
+    }
+
+    set klaytnCall(klaytnCall) {
+        this._klaytnCall = klaytnCall
+    }
+
+    /**
+     * Validates the signatures of the transaction with the account keys stored in the Klaytn network.
+     * The sender signatures are validated with the key of the sender for the role of the transaction,
+     * and the fee payer signatures of a fee delegated transaction are validated with `roleFeePayerKey` of the fee payer.
+     * Returns false if the weighted sum of the valid signatures does not reach the threshold of the account key.
+     *
+     * @param {AbstractTransaction} tx - The signed transaction to validate.
+     * @return {Promise<boolean>}
+     */
+    async validateTransaction(tx) {
+        const isValidSender = await this.validateSender(tx)
+        if (!isValidSender || !tx.type.includes('FeeDelegated')) return isValidSender
+        return this.validateFeePayer(tx)
+    }
+
+    /**
+     * Validates the sender signatures of the transaction with the account key of the sender.
+     * `roleAccountUpdateKey` is used for the account update transaction, and `roleTransactionKey` is used for other transactions.
+     *
+     * @param {AbstractTransaction} tx - The signed transaction to validate.
+     * @return {Promise<boolean>}
+     */
+    async validateSender(tx) {
+        if (utils.isEmptySig(tx.signatures)) return false
+
+        const publicKeys = tx.recoverPublicKeys()
+
+        let from = tx.from
+        // The sender of the legacy transaction can be omitted. In this case, the sender is derived from the signature.
+        if (from === '0x' || from === '0x0000000000000000000000000000000000000000') {
+            from = publicKeyToAddress(normalizePublicKey(publicKeys[0]))
+        }
+
+        const accountKey = await this.klaytnCall.getAccountKey(from, 'latest')
+
+        // The legacy transaction can be sent only from the account which has AccountKeyLegacy.
+        if (tx.type === TX_TYPE_STRING.TxTypeLegacyTransaction && accountKey && accountKey.keyType !== ACCOUNT_KEY_TYPE.legacy) return false
+
+        const role = tx.type.includes('AccountUpdate') ? KEY_ROLE.roleAccountUpdateKey : KEY_ROLE.roleTransactionKey
+        return Validator.validateWithAccountKey(from, publicKeys, accountKey, role)
+    }
+
+    /**
+     * Validates the fee payer signatures of the fee delegated transaction with `roleFeePayerKey` of the fee payer.
+     *
+     * @param {AbstractFeeDelegatedTransaction} tx - The signed fee delegated transaction to validate.
+     * @return {Promise<boolean>}
+     */
+    async validateFeePayer(tx) {
+        if (!tx.type.includes('FeeDelegated')) throw new Error(`The transaction type [${tx.type}] is not a fee delegated transaction.`)
+        if (utils.isEmptySig(tx.feePayerSignatures)) return false
+
+        const publicKeys = tx.recoverFeePayerPublicKeys()
+        const accountKey = await this.klaytnCall.getAccountKey(tx.feePayer, 'latest')
+
+        return Validator.validateWithAccountKey(tx.feePayer, publicKeys, accountKey, KEY_ROLE.roleFeePayerKey)
+    }
+
+    /**
+     * Validates the recovered public keys with the account key in the format returned from `klay_getAccountKey`.
+     * This follows the validation rules of the Klaytn node:
+     * - AccountKeyLegacy: a single public key derived to the address.
+     * - AccountKeyPublic: a single public key which is the same with the key.
+     * - AccountKeyFail: always invalid.
+     * - AccountKeyWeightedMultiSig: the sum of weights of the matched keys is equal to or greater than the threshold.
+     * - AccountKeyRoleBased: the key of the role is used. If the key of the role is not defined, `roleTransactionKey` is used.
+     *
+     * @param {string} address - The address of the account.
+     * @param {Array.<string>} publicKeys - The public keys recovered from the signatures.
+     * @param {object|null} accountKey - The account key returned from `klay_getAccountKey`. null means that the account does not exist, so AccountKeyLegacy is used.
+     * @param {number} [role] - The role of the key to use when the account key is AccountKeyRoleBased.
+     * @return {boolean}
+     */
+    static validateWithAccountKey(address, publicKeys, accountKey, role = KEY_ROLE.roleTransactionKey) {
+        if (!accountKey) accountKey = { keyType: ACCOUNT_KEY_TYPE.legacy, key: {} }
+
+        if (accountKey.keyType === ACCOUNT_KEY_TYPE.roleBased) {
+            const keys = accountKey.key
+            accountKey = keys.length > role ? keys[role] : keys[KEY_ROLE.roleTransactionKey]
+            if (accountKey.keyType === ACCOUNT_KEY_TYPE.roleBased) throw new Error(`Invalid account key: nested AccountKeyRoleBased.`)
+            return Validator.validateWithAccountKey(address, publicKeys, accountKey, role)
+        }
+
+        const recovered = publicKeys.map(normalizePublicKey)
+        switch (accountKey.keyType) {
+            case ACCOUNT_KEY_TYPE.legacy:
+                return recovered.length === 1 && publicKeyToAddress(recovered[0]) === address.toLowerCase()
+            case ACCOUNT_KEY_TYPE.public:
+                return recovered.length === 1 && recovered[0] === xyToPublicKey(accountKey.key)
+            case ACCOUNT_KEY_TYPE.fail:
+                return false
+            case ACCOUNT_KEY_TYPE.weightedMultiSig: {
+                // The same key is counted only once.
+                const recoveredSet = new Set(recovered)
+                let weightedSum = 0
+                for (const weightedKey of accountKey.key.keys) {
+                    if (recoveredSet.has(xyToPublicKey(weightedKey.key))) weightedSum += utils.hexToNumber(weightedKey.weight)
+                }
+                return weightedSum >= utils.hexToNumber(accountKey.key.threshold)
+            }
+        }
+        throw new Error(`Unsupported account key type: ${accountKey.keyType}`)
+    }
+}
+
+function normalizePublicKey(publicKey) {
+    return utils.decompressPublicKey(publicKey).toLowerCase()
+}
+
+function xyToPublicKey(key) {
+    return `0x${utils.leftPad(utils.stripHexPrefix(key.x), 64)}${utils.leftPad(utils.stripHexPrefix(key.y), 64)}`.toLowerCase()
+}
+
+function publicKeyToAddress(publicKey) {
+    return `0x${utils.sha3(publicKey).slice(-40)}`
+}
+
+module.exports = Validator
@@ -17,11 +17,15 @@
 */
 
 const _ = require('lodash')
+const uuid = require('uuid')
 const Keyring = require('./keyring/keyringFactory')
 const SingleKeyring = require('./keyring/singleKeyring')
 const MultipleKeyring = require('./keyring/multipleKeyring')
 const RoleBasedKeyring = require('./keyring/roleBasedKeyring')
+const hdKeyringHelper = require('./keyring/hdKeyringHelper')
+const { splitProgressCallback } = require('./keyring/keyringHelper')
 const utils = require('../../caver-utils/src')
+const KeystoreStorage = require('./keystoreStorage')
 
 /**
  * representing a Keyring container which manages keyrings.
@@ -31,11 +35,17 @@ class KeyringContainer {
     /**
      * creates a keyringContainer.
      * @param {Array.<Keyring>} keyrings - The keyrings to be managed in KeyringContainer.
+     * @param {object} [storage] - The keystore storage to use in `save` and `load`. See `setStorage` for more detail.
      */
-    constructor(keyrings) {
+    constructor(keyrings, storage) {
         keyrings = keyrings || []
         this._addressKeyringMap = new Map()
 
+        // Keystores loaded from the storage are decrypted when the keyring is used for the first time.
+        this._addressKeystoreMap = new Map()
+
+        if (storage !== undefined) this.setStorage(storage)
+
         // add keyrings to keyringContainer
         for (const keyring of keyrings) {
             this.add(keyring)
@@ -46,7 +56,170 @@ class KeyringContainer {
      * @type {number}
      */
     get length() {
-        return this._addressKeyringMap.size
+        return this._addressKeyringMap.size + this._addressKeystoreMap.size
+    }
+
+    /**
+     * @type {object}
+     */
+    get storage() {
+        return this._storage
+    }
+
+    /**
+     * sets the keystore storage to use in `save` and `load`.
+     * The storage can be an instance of `FileKeystoreStorage`, `LocalKeystoreStorage`, `IndexedDBKeystoreStorage`,
+     * or a custom object that implements `getAddresses`, `getKeystore`, `setKeystore` and `removeKeystore`.
+     *
+     * @param {object} storage The keystore storage to use.
+     */
+    setStorage(storage) {
+        KeystoreStorage.validateKeystoreStorage(storage)
+        this._storage = storage
+    }
+
+    /**
+     * encrypts all keyrings in the keyringContainer with the password and stores them as keystore v4 in the storage.
+     * Keystores in the storage that do not exist in the keyringContainer are removed from the storage.
+     *
+     * @param {string} password The password to be used for encryption.
+     * @param {object} [options] The options to use when encrypt a keyring. See `keyring.encrypt` for more detail about options.
+     * @return {Array.<string>}
+     */
+    async save(password, options = {}) {
+        const storage = this._getStorage()
+
+        const addresses = []
+        for (const [address, keyring] of this._addressKeyringMap) {
+            await storage.setKeystore(address, keyring.encrypt(password, options))
+            addresses.push(address)
+        }
+
+        // The keystore which is not decrypted yet does not need to be encrypted again if the password is not changed.
+        for (const address of Array.from(this._addressKeystoreMap.keys())) {
+            const { keystore, password: loadedWith } = this._addressKeystoreMap.get(address)
+            const toStore = loadedWith === password ? keystore : this._decryptKeystore(address).encrypt(password, options)
+            await storage.setKeystore(address, toStore)
+            addresses.push(address)
+        }
+
+        for (const stored of await storage.getAddresses()) {
+            if (!addresses.includes(stored.toLowerCase())) await storage.removeKeystore(stored)
+        }
+
+        return addresses
+    }
+
+    /**
+     * loads keystores from the storage and adds them to the keyringContainer.
+     * Each keystore is decrypted with the password when the keyring is used for the first time.
+     * Until then, the password is kept in memory with the keystore, and it is discarded when the keystore is decrypted.
+     * If `options.lazy` is false, all keystores are decrypted while loading, and no keystore is loaded if one of them cannot be decrypted.
+     * Keyrings already existing in the keyringContainer are not overwritten.
+     *
+     * @param {string} password The password to be used for decryption.
+     * @param {object} [options] The options to use when load keystores.
+     * @param {boolean} [options.lazy] Whether to decrypt keystores lazily. The default value is true.
+     * @return {Array.<string>}
+     */
+    async load(password, options = {}) {
+        const storage = this._getStorage()
+
+        const loaded = []
+        for (const stored of await storage.getAddresses()) {
+            const address = stored.toLowerCase()
+            if (this._addressKeyringMap.has(address) || this._addressKeystoreMap.has(address)) continue
+
+            const keystore = await storage.getKeystore(stored)
+            if (keystore === undefined || keystore === null) continue
+            if (!keystore.address || keystore.address.toLowerCase() !== address)
+                throw new Error(`The address of the keystore(${keystore.address}) is different with the stored address(${stored}).`)
+
+            loaded.push({ address, keystore })
+        }
+
+        // All keystores are decrypted before adding, so nothing is added if one of them cannot be decrypted.
+        if (options.lazy === false) {
+            const keyrings = loaded.map(({ keystore }) => Keyring.decrypt(keystore, password))
+            for (const keyring of keyrings) this._addressKeyringMap.set(keyring.address.toLowerCase(), keyring)
+        } else {
+            for (const { address, keystore } of loaded) this._addressKeystoreMap.set(address, { keystore, password })
+        }
+
+        return loaded.map(({ address }) => address)
+    }
+
+    /**
+     * encrypts all keyrings in the keyringContainer and returns keystore v4 objects.
+     * Keys are derived without blocking the event loop, and `options.progressCallback` is called with the overall progress(0 to 1).
+     * If `options.bundle` is true, a single bundle document(`{ id, keystores }`) is returned instead of an array.
+     *
+     * @param {string} password The password to be used for encryption.
+     * @param {object} [options] The options to use when encrypt keyrings. See `keyring.encrypt` for more detail about options.
+     * @param {boolean} [options.bundle] Whether to return a single bundle document.
+     * @param {function} [options.progressCallback] The function to be called with the progress of encryption.
+     * @return {Promise<Array.<object>|object>}
+     */
+    async encrypt(password, options = {}) {
+        const addresses = Array.from(this._addressKeyringMap.keys()).concat(Array.from(this._addressKeystoreMap.keys()))
+        const progressOf = splitProgressCallback(options.progressCallback, addresses.length)
+        const encryptOptions = _.omit(options, ['bundle', 'progressCallback'])
+
+        const keystores = []
+        for (let i = 0; i < addresses.length; i++) {
+            const locked = this._addressKeystoreMap.get(addresses[i])
+
+            // The keystore which is not decrypted yet does not need to be encrypted again if the password is not changed.
+            if (locked !== undefined && locked.password === password) {
+                keystores.push(_.cloneDeep(locked.keystore))
+                progressOf(i)(1)
+                continue
+            }
+
+            const keyring =
+                locked !== undefined ? await this._decryptKeystoreAsync(addresses[i]) : this._addressKeyringMap.get(addresses[i])
+            keystores.push(await keyring.encryptAsync(password, { ...encryptOptions, progressCallback: progressOf(i) }))
+        }
+
+        if (options.bundle) return { id: uuid.v4(), keystores }
+        return keystores
+    }
+
+    /**
+     * decrypts keystores returned from `encrypt` and adds the keyrings to the keyringContainer.
+     * Keys are derived without blocking the event loop, and `options.progressCallback` is called with the overall progress(0 to 1).
+     * No keyring is added if one of the keystores cannot be decrypted.
+     *
+     * @param {Array.<object>|object|string} bundle An array of keystores, a bundle document or a keystore to decrypt.
+     * @param {string} password The password to be used for decryption.
+     * @param {object} [options] The options to use when decrypt keystores.
+     * @param {function} [options.progressCallback] The function to be called with the progress of decryption.
+     * @return {Promise<Array.<string>>}
+     */
+    async decrypt(bundle, password, options = {}) {
+        if (_.isString(bundle)) bundle = JSON.parse(bundle)
+
+        let keystores = bundle
+        if (_.isPlainObject(bundle)) keystores = _.isArray(bundle.keystores) ? bundle.keystores : [bundle]
+        if (!_.isArray(keystores)) throw new Error(`Invalid keystore bundle: ${bundle}`)
+
+        const addresses = new Set()
+        for (const keystore of keystores) {
+            if (!keystore || !utils.isAddress(keystore.address))
+                throw new Error(`Invalid keystore: the address of keystore is not defined.`)
+            if (this.isExisted(keystore.address))
+                throw new Error(`Duplicate Account ${keystore.address}. Please use updateKeyring() instead.`)
+            if (addresses.has(keystore.address.toLowerCase())) throw new Error(`Duplicate Account ${keystore.address} in the keystores.`)
+            addresses.add(keystore.address.toLowerCase())
+        }
+
+        const progressOf = splitProgressCallback(options.progressCallback, keystores.length)
+        const keyrings = []
+        for (let i = 0; i < keystores.length; i++) {
+            keyrings.push(await Keyring.decryptAsync(keystores[i], password, { progressCallback: progressOf(i) }))
+        }
+
+        return keyrings.map(keyring => this.add(keyring).address)
     }
 
     /**
@@ -64,6 +237,27 @@ class KeyringContainer {
         return addresses
     }
 
+    /**
+     * generates keyrings in the keyringContainer with key pairs derived from the mnemonic.
+     * The private key of each keyring is derived at `{path}/{index}`, and the index starts from 0.
+     *
+     * @param {string} mnemonic The BIP-39 mnemonic phrase.
+     * @param {number} numberOfKeyrings The number of keyrings to create.
+     * @param {string} [path] The parent derivation path of the keys. The default path is `m/44'/8217'/0'/0`.
+     * @param {string} [password] The password used as a salt of the seed.
+     * @return {Array.<string>}
+     */
+    generateFromMnemonic(mnemonic, numberOfKeyrings, path = `${hdKeyringHelper.DEFAULT_HD_ACCOUNT_PATH}/0`, password) {
+        const rootNode = hdKeyringHelper.getRootNode(mnemonic, password)
+
+        const addresses = []
+        for (let i = 0; i < numberOfKeyrings; ++i) {
+            const keyring = Keyring.createFromPrivateKey(hdKeyringHelper.derivePrivateKey(rootNode, `${path}/${i}`))
+            addresses.push(this.add(keyring).address)
+        }
+        return addresses
+    }
+
     /**
      * creates a keyring instance with given parameters and adds it to the keyringContainer.
      * KeyringContainer manages Keyring instance using Map <string:Keyring> which has address as key value.
@@ -106,7 +300,7 @@ class KeyringContainer {
      * @return {Keyring}
      */
     updateKeyring(keyring) {
-        const founded = this._addressKeyringMap.get(keyring.address.toLowerCase())
+        const founded = this.getKeyring(keyring.address)
         if (founded === undefined) throw new Error(`Failed to find keyring to update`)
 
         this.remove(founded.address)
@@ -128,6 +322,7 @@ class KeyringContainer {
             )
 
         const founded = this._addressKeyringMap.get(address.toLowerCase())
+        if (founded === undefined && this._addressKeystoreMap.has(address.toLowerCase())) return this._decryptKeystore(address)
 
         return founded
     }
@@ -139,6 +334,7 @@ class KeyringContainer {
      * @return {Keyring}
      */
     isExisted(address) {
+        if (utils.isAddress(address) && this._addressKeystoreMap.has(address.toLowerCase())) return true
         return this.getKeyring(address) !== undefined
     }
 
@@ -149,7 +345,8 @@ class KeyringContainer {
      * @return {Keyring}
      */
     add(keyring) {
-        if (this._addressKeyringMap.get(keyring.address.toLowerCase()) !== undefined)
+        const address = keyring.address.toLowerCase()
+        if (this._addressKeyringMap.get(address) !== undefined || this._addressKeystoreMap.has(address))
             throw new Error(`Duplicate Account ${keyring.address}. Please use updateKeyring() instead.`)
 
         const keyringToAdd = keyring.copy()
@@ -168,6 +365,8 @@ class KeyringContainer {
     remove(address) {
         let keyringToRemove
         if (utils.isAddress(address)) {
+            // The keystore which is not decrypted yet can be removed without decryption.
+            if (this._addressKeystoreMap.delete(address.toLowerCase())) return true
             keyringToRemove = this.getKeyring(address)
         } else {
             throw new Error(`To remove the keyring, the first parameter should be an address string.`)
@@ -230,6 +429,40 @@ class KeyringContainer {
 
         return signed
     }
+
+    /**
+     * decrypts the keystore loaded from the storage and adds the keyring to the keyringContainer.
+     *
+     * @param {string} address The address of the keystore to decrypt.
+     * @return {Keyring}
+     */
+    _decryptKeystore(address) {
+        const { keystore, password } = this._addressKeystoreMap.get(address.toLowerCase())
+        const keyring = Keyring.decrypt(keystore, password)
+
+        this._addressKeystoreMap.delete(address.toLowerCase())
+        this._addressKeyringMap.set(keyring.address.toLowerCase(), keyring)
+
+        return keyring
+    }
+
+    async _decryptKeystoreAsync(address) {
+        const { keystore, password } = this._addressKeystoreMap.get(address.toLowerCase())
+        const keyring = await Keyring.decryptAsync(keystore, password)
+
+        // The keystore can be decrypted by another call while the key is being derived.
+        if (!this._addressKeystoreMap.has(address.toLowerCase())) return this._addressKeyringMap.get(address.toLowerCase()) || keyring
+
+        this._addressKeystoreMap.delete(address.toLowerCase())
+        this._addressKeyringMap.set(keyring.address.toLowerCase(), keyring)
+
+        return keyring
+    }
+
+    _getStorage() {
+        if (this._storage === undefined) throw new Error(`Keystore storage is not defined. Please set the storage with 'setStorage'.`)
+        return this._storage
+    }
 }
 
 module.exports = KeyringContainer
@@ -0,0 +1,119 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const _ = require('lodash')
+const HDNode = require('ethers/utils/hdnode')
+const utils = require('../../../caver-utils/src')
+
+// The coin type of Klaytn registered in SLIP-0044.
+const KLAYTN_COIN_TYPE = 8217
+
+// BIP-44 path of the first account: m / purpose' / coin_type' / account'
+const DEFAULT_HD_ACCOUNT_PATH = `m/44'/${KLAYTN_COIN_TYPE}'/0'`
+
+// BIP-44 path of the first key of the first account: m / purpose' / coin_type' / account' / change / address_index
+const DEFAULT_HD_PATH = `${DEFAULT_HD_ACCOUNT_PATH}/0/0`
+
+const VALID_MNEMONIC_STRENGTHS = [128, 160, 192, 224, 256]
+
+/**
+ * generates a BIP-39 mnemonic phrase.
+ *
+ * @param {number|string} [strengthOrEntropy] The strength of the mnemonic in bits(128, 160, 192, 224 or 256), or the entropy in hex string. The default strength is 128.
+ * @return {string}
+ */
+const generateMnemonic = (strengthOrEntropy = 128) => {
+    if (_.isString(strengthOrEntropy)) {
+        if (!utils.isHexStrict(strengthOrEntropy)) throw new Error(`Invalid entropy: entropy should be a hex string.`)
+        const strength = utils.stripHexPrefix(strengthOrEntropy).length * 4
+        if (!VALID_MNEMONIC_STRENGTHS.includes(strength))
+            throw new Error(`Invalid length of entropy: ${strength} bits. It should be one of ${VALID_MNEMONIC_STRENGTHS}.`)
+        return HDNode.entropyToMnemonic(strengthOrEntropy)
+    }
+
+    if (!VALID_MNEMONIC_STRENGTHS.includes(strengthOrEntropy))
+        throw new Error(`Invalid strength of mnemonic: ${strengthOrEntropy}. It should be one of ${VALID_MNEMONIC_STRENGTHS}.`)
+
+    return HDNode.entropyToMnemonic(utils.randomHex(strengthOrEntropy / 8))
+}
+
+/**
+ * returns true if the mnemonic is a valid BIP-39 mnemonic phrase.
+ *
+ * @param {string} mnemonic The mnemonic phrase to validate.
+ * @return {boolean}
+ */
+const isValidMnemonic = mnemonic => {
+    if (!_.isString(mnemonic)) return false
+    return HDNode.isValidMnemonic(mnemonic)
+}
+
+/**
+ * returns the BIP-39 seed in hex string derived from the mnemonic phrase and the password.
+ *
+ * @param {string} mnemonic The mnemonic phrase.
+ * @param {string} [password] The password used as a salt of the seed.
+ * @return {string}
+ */
+const mnemonicToSeed = (mnemonic, password = '') => {
+    if (!isValidMnemonic(mnemonic)) throw new Error(`Invalid mnemonic: the mnemonic is not a valid BIP-39 mnemonic phrase.`)
+    return HDNode.mnemonicToSeed(mnemonic, password)
+}
+
+/**
+ * validates the format of the derivation path. The path should start with `m`, such as `m/44'/8217'/0'/0/0`.
+ *
+ * @param {string} path The derivation path to validate.
+ */
+const validateHDPath = path => {
+    if (!_.isString(path) || !/^m(\/[0-9]+'?)*$/.test(path)) throw new Error(`Invalid derivation path: ${path}`)
+}
+
+/**
+ * returns the root HD node made from the mnemonic phrase.
+ * The root node can be used to derive many keys without re-calculating the seed.
+ *
+ * @param {string} mnemonic The mnemonic phrase.
+ * @param {string} [password] The password used as a salt of the seed.
+ * @return {HDNode}
+ */
+const getRootNode = (mnemonic, password) => HDNode.fromSeed(mnemonicToSeed(mnemonic, password))
+
+/**
+ * derives the private key of the path from the root HD node.
+ *
+ * @param {HDNode} rootNode The root HD node.
+ * @param {string} path The derivation path.
+ * @return {string}
+ */
+const derivePrivateKey = (rootNode, path) => {
+    validateHDPath(path)
+    return rootNode.derivePath(path).privateKey
+}
+
+module.exports = {
+    KLAYTN_COIN_TYPE,
+    DEFAULT_HD_ACCOUNT_PATH,
+    DEFAULT_HD_PATH,
+    generateMnemonic,
+    isValidMnemonic,
+    mnemonicToSeed,
+    validateHDPath,
+    getRootNode,
+    derivePrivateKey,
+}
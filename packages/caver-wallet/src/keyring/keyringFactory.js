@@ -22,7 +22,8 @@ const AccountLib = require('eth-lib/lib/account')
 const utils = require('../../../caver-utils/src')
 const PrivateKey = require('./privateKey')
 const { KEY_ROLE, isMultipleKeysFormat, isRoleBasedKeysFormat } = require('./keyringHelper')
-const { decryptKey } = require('./keyringHelper')
+const { decryptKey, decryptKeyAsync } = require('./keyringHelper')
+const hdKeyringHelper = require('./hdKeyringHelper')
 const SingleKeyring = require('./singleKeyring')
 const MultipleKeyring = require('./multipleKeyring')
 const RoleBasedKeyring = require('./roleBasedKeyring')
@@ -201,6 +202,116 @@ class KeyringFactory {
         return new RoleBasedKeyring(address, roledBasedKeyArray)
     }
 
+    /**
+     * generates a BIP-39 mnemonic phrase.
+     *
+     * `caver.wallet.keyring.generateMnemonic()`
+     *
+     * @param {number|string} [strengthOrEntropy] The strength of the mnemonic in bits(128, 160, 192, 224 or 256), or the entropy in hex string. The default strength is 128.
+     * @return {string}
+     */
+    static generateMnemonic(strengthOrEntropy) {
+        return hdKeyringHelper.generateMnemonic(strengthOrEntropy)
+    }
+
+    /**
+     * returns true if the mnemonic is a valid BIP-39 mnemonic phrase.
+     *
+     * @param {string} mnemonic The mnemonic phrase to validate.
+     * @return {boolean}
+     */
+    static isValidMnemonic(mnemonic) {
+        return hdKeyringHelper.isValidMnemonic(mnemonic)
+    }
+
+    /**
+     * returns the BIP-39 seed in hex string derived from the mnemonic phrase.
+     *
+     * @param {string} mnemonic The mnemonic phrase.
+     * @param {string} [password] The password used as a salt of the seed.
+     * @return {string}
+     */
+    static mnemonicToSeed(mnemonic, password) {
+        return hdKeyringHelper.mnemonicToSeed(mnemonic, password)
+    }
+
+    /**
+     * creates a keyring instance with the private key derived from the mnemonic at the path.
+     *
+     * `caver.wallet.keyring.createFromMnemonic('{mnemonic}')`
+     * `caver.wallet.keyring.createFromMnemonic('{mnemonic}', "m/44'/8217'/0'/0/1")`
+     *
+     * @param {string} mnemonic The mnemonic phrase.
+     * @param {string} [path] The derivation path. The default path is `m/44'/8217'/0'/0/0`.
+     * @param {string} [password] The password used as a salt of the seed.
+     * @return {SingleKeyring}
+     */
+    static createFromMnemonic(mnemonic, path = hdKeyringHelper.DEFAULT_HD_PATH, password) {
+        const rootNode = hdKeyringHelper.getRootNode(mnemonic, password)
+        return KeyringFactory.createFromPrivateKey(hdKeyringHelper.derivePrivateKey(rootNode, path))
+    }
+
+    /**
+     * creates a keyring instance with multiple private keys derived from the mnemonic.
+     * The private keys are derived at `{path}/{index}`, and the index starts from 0.
+     * If the address is not defined in options, the address derived from the first private key is used.
+     *
+     * `caver.wallet.keyring.createWithMultipleKeyFromMnemonic('{mnemonic}', 3)`
+     *
+     * @param {string} mnemonic The mnemonic phrase.
+     * @param {number} num The number of private keys.
+     * @param {string} [path] The parent derivation path of the keys. The default path is `m/44'/8217'/0'/0`.
+     * @param {object} [options] The options that can define `address` of the keyring and `password` of the seed.
+     * @return {MultipleKeyring}
+     */
+    static createWithMultipleKeyFromMnemonic(mnemonic, num, path = `${hdKeyringHelper.DEFAULT_HD_ACCOUNT_PATH}/0`, options = {}) {
+        if (!_.isNumber(num) || num < 1) throw new Error(`To derive multiple private keys, the number of keys should be defined.`)
+
+        const rootNode = hdKeyringHelper.getRootNode(mnemonic, options.password)
+        const keys = []
+        for (let i = 0; i < num; i++) {
+            keys.push(hdKeyringHelper.derivePrivateKey(rootNode, `${path}/${i}`))
+        }
+
+        const address = options.address || AccountLib.fromPrivate(keys[0]).address
+        return KeyringFactory.createWithMultipleKey(address, keys)
+    }
+
+    /**
+     * creates a keyring instance with role-based private keys derived from the mnemonic.
+     * The private keys of each role are derived at `{path}/{role}/{index}`, and the index starts from 0.
+     * If the address is not defined in options, the address derived from the first private key of roleTransactionKey is used.
+     *
+     * `caver.wallet.keyring.createWithRoleBasedKeyFromMnemonic('{mnemonic}', [2, 1, 3])`
+     *
+     * @param {string} mnemonic The mnemonic phrase.
+     * @param {Array.<number>} numArr An array containing the number of keys for each role.
+     * @param {string} [path] The derivation path of the account. The default path is `m/44'/8217'/0'`.
+     * @param {object} [options] The options that can define `address` of the keyring and `password` of the seed.
+     * @return {RoleBasedKeyring}
+     */
+    static createWithRoleBasedKeyFromMnemonic(mnemonic, numArr, path = hdKeyringHelper.DEFAULT_HD_ACCOUNT_PATH, options = {}) {
+        if (!_.isArray(numArr) || numArr.length === 0)
+            throw new Error(`To derive role-based private keys, an array containing the number of keys for each role should be defined.`)
+        if (numArr.length > KEY_ROLE.roleLast)
+            throw new Error(`Unsupported role. The length of array should be less than ${KEY_ROLE.roleLast}.`)
+
+        const rootNode = hdKeyringHelper.getRootNode(mnemonic, options.password)
+        const keys = [[], [], []]
+        for (let role = 0; role < numArr.length; role++) {
+            for (let i = 0; i < numArr[role]; i++) {
+                keys[role].push(hdKeyringHelper.derivePrivateKey(rootNode, `${path}/${role}/${i}`))
+            }
+        }
+
+        let address = options.address
+        if (!address) {
+            const firstKey = keys[KEY_ROLE.roleTransactionKey][0] || hdKeyringHelper.derivePrivateKey(rootNode, `${path}/0/0`)
+            address = AccountLib.fromPrivate(firstKey).address
+        }
+        return KeyringFactory.createWithRoleBasedKey(address, keys)
+    }
+
     /**
      * decrypts a keystore v3 or v4 JSON and returns keyring instance.
      *
@@ -209,125 +320,142 @@ class KeyringFactory {
      * @return {SingleKeyring|MultipleKeyring|RoleBasedKeyring}
      */
     static decrypt(keystore, password) {
-        // To deep copy an object, using JSON.parse and JSON.stringify (object -> string -> object)
-        const json = _.isObject(keystore) ? _.cloneDeep(keystore) : JSON.parse(keystore)
-
-        if (json.version !== 3 && json.version !== 4) console.warn('This is not a V3 or V4 wallet.')
+        const json = parseKeystore(keystore)
 
-        if (json.version === 3 && !json.crypto) {
-            throw new Error("Invalid keystore V3 format: 'crypto' is not defined.")
-        } else if (json.version === 4 && !json.keyring) {
-            throw new Error("Invalid keystore V4 format: 'keyring' is not defined.")
+        // AccountKeyRoleBased format
+        if (_.isArray(json.keyring[0])) {
+            const keys = []
+            for (let i = KEY_ROLE.roleTransactionKey; i < KEY_ROLE.roleLast; i++) {
+                keys.push(decryptKey(json.keyring[i], password) || [])
+            }
+            return KeyringFactory.createWithRoleBasedKey(json.address, keys)
         }
 
-        if (json.crypto) {
-            if (json.keyring) throw new Error("Invalid key store format: 'crypto' and 'keyring' cannot be defined together.")
+        return createFromDecryptedKeys(json.address, decryptKey(json.keyring, password))
+    }
 
-            json.keyring = [json.crypto]
-            delete json.crypto
-        }
+    /**
+     * decrypts a keystore v3 or v4 JSON without blocking the event loop and returns keyring instance.
+     * `options.progressCallback` is called with the progress of decryption(0 to 1).
+     *
+     * @param {object} keystore The encrypted keystore to decrypt.
+     * @param {string} password The password to use for decryption.
+     * @param {object} [options] The options to use when decrypt a keystore.
+     * @return {Promise<SingleKeyring|MultipleKeyring|RoleBasedKeyring>}
+     */
+    static async decryptAsync(keystore, password, options = {}) {
+        const json = parseKeystore(keystore)
 
         // AccountKeyRoleBased format
         if (_.isArray(json.keyring[0])) {
-            const keys = []
-            const transactionKey = decryptKey(json.keyring[KEY_ROLE.roleTransactionKey], password)
-            transactionKey ? keys.push(transactionKey) : keys.push([])
+            // Keys of all roles are decrypted at once to report the progress of the whole keystore.
+            const encrypted = []
+            for (let i = KEY_ROLE.roleTransactionKey; i < KEY_ROLE.roleLast; i++) encrypted.push(json.keyring[i] || [])
 
-            const updateKey = decryptKey(json.keyring[KEY_ROLE.roleAccountUpdateKey], password)
-            updateKey ? keys.push(updateKey) : keys.push([])
+            const decrypted = (await decryptKeyAsync(_.flatten(encrypted), password, options)) || []
+            return KeyringFactory.createWithRoleBasedKey(json.address, encrypted.map(roledKey => decrypted.splice(0, roledKey.length)))
+        }
 
-            const feePayerKey = decryptKey(json.keyring[KEY_ROLE.roleFeePayerKey], password)
-            feePayerKey ? keys.push(feePayerKey) : keys.push([])
+        return createFromDecryptedKeys(json.address, await decryptKeyAsync(json.keyring, password, options))
+    }
 
-            return KeyringFactory.createWithRoleBasedKey(json.address, keys)
+    /**
+     * encrypts a keyring and returns a keystore v4 object.
+     *
+     * @param {string|Array.<string>|Array.<Array.<string>>|Keyring} key The key parameter can be an instance of Keyring, a normal private key(KlaytnWalletKey format also supported),
+     *                                                                  an array of private key strings, or a two-dimensional array containing arrays of private key strings for each role,
+     * @param {string} password The password to be used for encryption. The encrypted key store can be decrypted with this password.
+     * @param {object} [options] The options to use when encrypt a keyring. See `keyring.encrypt` for more detail about options.
+     * @return {object}
+     */
+    static encrypt(key, password, options = {}) {
+        let keyring
+        if (_.isArray(key)) {
+            if (options.address === undefined)
+                throw new Error(`The address must be defined inside the options object to encrypt multiple keys.`)
+
+            if (isRoleBasedKeysFormat(key)) {
+                keyring = KeyringFactory.createWithRoleBasedKey(options.address, key)
+            } else if (isMultipleKeysFormat(key)) {
+                keyring = KeyringFactory.createWithMultipleKey(options.address, key)
+            } else {
+                throw new Error(`Invalid key format.`)
+            }
+        } else if (isKeyring(key)) {
+            keyring = key
+        } else if (_.isString(key)) {
+            keyring = createFromKeyString(key, options.address)
+        } else {
+            throw new Error(`Invalid key format.`)
+        }
+
+        return keyring.encrypt(password, options)
+    }
+
+    /**
+     * encrypts a keyring and returns a keystore v3 object.
+     *
+     * @param {string|SingleKeyring} key The key parameter can be a normal private key(KlaytnWalletKey format also supported) or an instance of SingleKeyring.
+     * @param {string} password The password to be used for keyring encryption. The encrypted key store can be decrypted with this password.
+     * @param {object} [options] The options to use when encrypt a keyring. See `keyring.encrypt` for more detail about options.
+     * @return {object}
+     */
+    static encryptV3(key, password, options = {}) {
+        if (!_.isString(key) && !isKeyring(key)) {
+            throw new Error(`Invalid parameter. key should be a private key string, KlaytnWalletKey or instance of Keyring`)
         }
 
-        let decrypted = decryptKey(json.keyring, password)
-        decrypted = _.isArray(decrypted) ? decrypted : [decrypted]
-        if (decrypted.length === 1) return KeyringFactory.createWithSingleKey(json.address, decrypted[0])
+        const keyring = isKeyring(key) ? key : createFromKeyString(key, options.address)
+        return keyring.encryptV3(password, options)
+    }
+}
+
+function isKeyring(keyring) {
+    return keyring instanceof SingleKeyring || keyring instanceof MultipleKeyring || keyring instanceof RoleBasedKeyring
+}
+
+function createFromKeyString(key, address) {
+    if (!address) return KeyringFactory.createFromPrivateKey(key)
+    if (!utils.isKlaytnWalletKey(key)) return KeyringFactory.createWithSingleKey(address, key)
 
-        return KeyringFactory.createWithMultipleKey(json.address, decrypted)
+    const keyring = KeyringFactory.createFromKlaytnWalletKey(key)
+    if (keyring.address.toLowerCase() !== address.toLowerCase()) {
+        throw new Error(
+            `The address defined in options(${address}) does not match the address of KlaytnWalletKey(${keyring.address}) entered as a parameter.`
+        )
     }
+    return keyring
+}
+
+/**
+ * validates the keystore and returns a copied keystore which has the keystore v4 `keyring` field.
+ */
+function parseKeystore(keystore) {
+    // To deep copy an object, using JSON.parse and JSON.stringify (object -> string -> object)
+    const json = _.isObject(keystore) ? _.cloneDeep(keystore) : JSON.parse(keystore)
+
+    if (json.version !== 3 && json.version !== 4) console.warn('This is not a V3 or V4 wallet.')
+
+    if (json.version === 3 && !json.crypto) {
+        throw new Error("Invalid keystore V3 format: 'crypto' is not defined.")
+    } else if (json.version === 4 && !json.keyring) {
+        throw new Error("Invalid keystore V4 format: 'keyring' is not defined.")
+    }
+
+    if (json.crypto) {
+        if (json.keyring) throw new Error("Invalid key store format: 'crypto' and 'keyring' cannot be defined together.")
+
+        json.keyring = [json.crypto]
+        delete json.crypto
+    }
+    return json
+}
+
+function createFromDecryptedKeys(address, decrypted) {
+    decrypted = _.isArray(decrypted) ? decrypted : [decrypted]
+    if (decrypted.length === 1) return KeyringFactory.createWithSingleKey(address, decrypted[0])
 
-    // /**
-    //  * encrypts a keyring and returns a keystore v4 object.
-    //  *
-    //  * @param {string|Array.<string>|Array.<string>|Keyring} key The key parameter can be an instance of Keyring, a normal private key(KlaytnWalletKey format also supported),
-    //  *                                                           an array of private key strings, or a two-dimensional array containing arrays of private key strings for each role,
-    //  * @param {string} password The password to be used for encryption. The encrypted key store can be decrypted with this password.
-    //  * @param {object} options The options to use when encrypt a keyring. See `keyring.encrypt` for more detail about options.
-    //  * @return {object}
-    //  */
-    // static encrypt(key, password, options = {}) {
-    //     let keyring
-    //     if (_.isArray(key)) {
-    //         if (options.address === undefined)
-    //             throw new Error(`The address must be defined inside the options object to encrypt multiple keys.`)
-
-    //         if (isRoleBasedKeysFormat(key)) {
-    //             keyring = KeyringFactory.createWithRoleBasedKey(options.address, key)
-    //         } else if (isMultipleKeysFormat(key)) {
-    //             keyring = KeyringFactory.createWithMultipleKey(options.address, key)
-    //         } else {
-    //             throw new Error(`Invalid key format.`)
-    //         }
-    //     } else if (key instanceof AbstractKeyring) {
-    //         keyring = key
-    //     } else if (_.isString(key)) {
-    //         if (options.address) {
-    //             if (utils.isKlaytnWalletKey(key)) {
-    //                 keyring = KeyringFactory.createFromKlaytnWalletKey(key)
-    //                 if (keyring.address.toLowerCase() !== options.address.toLowerCase()) {
-    //                     throw new Error(
-    //                         `The address defined in options(${options.address}) does not match the address of KlaytnWalletKey(${keyring.address}) entered as a parameter.`
-    //                     )
-    //                 }
-    //             } else {
-    //                 keyring = KeyringFactory.createWithSingleKey(options.address, key)
-    //             }
-    //         } else {
-    //             keyring = KeyringFactory.createFromPrivateKey(key)
-    //         }
-    //     } else {
-    //         throw new Error(`Invalid key format.`)
-    //     }
-
-    //     return keyring.encrypt(password, options)
-    // }
-
-    // /**
-    //  * encrypts a keyring and returns a keystore v3 object.
-    //  *
-    //  * @param {string|Keyring} key The key parameter can be a normal private key(KlaytnWalletKey format also supported) or an instance of Keyring.
-    //  * @param {string} password The password to be used for keyring encryption. The encrypted key store can be decrypted with this password.
-    //  * @param {object} options The options to use when encrypt a keyring. See `keyring.encrypt` for more detail about options.
-    //  * @return {object}
-    //  */
-    // static encryptV3(key, password, options = {}) {
-    //     if (!_.isString(key) && !(key instanceof Keyring)) {
-    //         throw new Error(`Invalid parameter. key should be a private key string, KlaytnWalletKey or instance of Keyring`)
-    //     }
-
-    //     let keyring
-    //     if (key instanceof Keyring) {
-    //         keyring = key
-    //     } else if (options.address) {
-    //         if (utils.isKlaytnWalletKey(key)) {
-    //             keyring = KeyringFactory.createFromKlaytnWalletKey(key)
-    //             if (keyring.address.toLowerCase() !== options.address.toLowerCase()) {
-    //                 throw new Error(
-    //                     `The address defined in options(${options.address}) does not match the address of KlaytnWalletKey(${keyring.address}) entered as a parameter.`
-    //                 )
-    //             }
-    //         } else {
-    //             keyring = KeyringFactory.createWithSingleKey(options.address, key)
-    //         }
-    //     } else {
-    //         keyring = KeyringFactory.createFromPrivateKey(key)
-    //     }
-
-    //     return keyring.encryptV3(password, options)
-    // }
+    return KeyringFactory.createWithMultipleKey(address, decrypted)
 }
 
 KeyringFactory.privateKey = PrivateKey
@@ -336,5 +464,6 @@ KeyringFactory.multipleKeyring = MultipleKeyring
 KeyringFactory.roleBasedKeyring = RoleBasedKeyring
 KeyringFactory.role = KEY_ROLE
 KeyringFactory.signatureData = SignatureData
+KeyringFactory.hdPath = hdKeyringHelper.DEFAULT_HD_PATH
 
 module.exports = KeyringFactory
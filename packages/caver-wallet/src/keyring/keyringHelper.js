@@ -65,122 +65,165 @@ const validateIndexWithKeys = (index, keyLength) => {
     if (index >= keyLength) throw new Error(`Invalid index(${index}): index must be less than the length of keys(${keyLength}).`)
 }
 
+/**
+ * returns kdf and kdf parameters to be used for the encryption.
+ * Supported kdf modules are the following:
+ * 1) pbkdf2
+ * 2) scrypt - default
+ */
+const makeKdfParams = options => {
+    const kdf = options.kdf || 'scrypt'
+    const kdfparams = {
+        dklen: options.dklen || 32,
+        salt: (options.salt || cryp.randomBytes(32)).toString('hex'),
+    }
+
+    if (kdf === 'pbkdf2') {
+        kdfparams.c = options.c || 262144
+        kdfparams.prf = 'hmac-sha256'
+    } else if (kdf === 'scrypt') {
+        kdfparams.n = options.n || 4096 // 2048 4096 8192 16384
+        kdfparams.r = options.r || 8
+        kdfparams.p = options.p || 1
+    } else {
+        throw new Error('Unsupported kdf')
+    }
+    return { kdf, kdfparams }
+}
+
+const validateKdf = (kdf, kdfparams) => {
+    if (kdf === 'pbkdf2') {
+        if (kdfparams.prf !== 'hmac-sha256') throw new Error('Unsupported parameters to PBKDF2')
+    } else if (kdf !== 'scrypt') {
+        throw new Error('Unsupported key derivation scheme')
+    }
+}
+
+const deriveKey = (password, kdf, kdfparams) => {
+    validateKdf(kdf, kdfparams)
+
+    const salt = Buffer.from(kdfparams.salt, 'hex')
+    if (kdf === 'pbkdf2') return cryp.pbkdf2Sync(Buffer.from(password), salt, kdfparams.c, kdfparams.dklen, 'sha256')
+    return scrypt.syncScrypt(Buffer.from(password), salt, kdfparams.n, kdfparams.r, kdfparams.p, kdfparams.dklen)
+}
+
+/**
+ * derives a key without blocking the event loop.
+ * The progressCallback is called with the progress of the derivation(0 to 1).
+ * If the progressCallback returns true, the derivation is cancelled.
+ */
+const deriveKeyAsync = async (password, kdf, kdfparams, progressCallback) => {
+    validateKdf(kdf, kdfparams)
+
+    const salt = Buffer.from(kdfparams.salt, 'hex')
+    if (kdf === 'scrypt') {
+        // scrypt-js cancels the derivation if the callback returns a truthy value.
+        const callback = _.isFunction(progressCallback) ? progress => progressCallback(progress) === true : undefined
+        return scrypt.scrypt(Buffer.from(password), salt, kdfparams.n, kdfparams.r, kdfparams.p, kdfparams.dklen, callback)
+    }
+
+    const derivedKey = await new Promise((resolve, reject) => {
+        cryp.pbkdf2(Buffer.from(password), salt, kdfparams.c, kdfparams.dklen, 'sha256', (err, key) => (err ? reject(err) : resolve(key)))
+    })
+    if (_.isFunction(progressCallback)) progressCallback(1)
+    return derivedKey
+}
+
+const cipherKey = (privateKey, derivedKey, kdf, kdfparams, options) => {
+    const iv = options.iv || cryp.randomBytes(16)
+
+    const cipher = cryp.createCipheriv(options.cipher || 'aes-128-ctr', derivedKey.slice(0, 16), iv)
+    if (!cipher) {
+        throw new Error('Unsupported cipher')
+    }
+
+    const prv = privateKey instanceof PrivateKey ? privateKey.privateKey : privateKey
+    const ciphertext = Buffer.from([...cipher.update(Buffer.from(prv.replace('0x', ''), 'hex')), ...cipher.final()])
+
+    const mac = utils.sha3(Buffer.from([...derivedKey.slice(16, 32), ...ciphertext])).replace('0x', '')
+
+    return {
+        ciphertext: ciphertext.toString('hex'),
+        cipherparams: {
+            iv: iv.toString('hex'),
+        },
+        cipher: options.cipher || 'aes-128-ctr',
+        kdf,
+        kdfparams,
+        mac: mac.toString('hex'),
+    }
+}
+
+const decipherKey = (encrypted, derivedKey) => {
+    const ciphertext = Buffer.from(encrypted.ciphertext, 'hex')
+
+    const mac = utils.sha3(Buffer.from([...derivedKey.slice(16, 32), ...ciphertext])).replace('0x', '')
+    if (mac !== encrypted.mac) {
+        throw new Error('Key derivation failed - possibly wrong password')
+    }
+
+    const decipher = cryp.createDecipheriv(encrypted.cipher, derivedKey.slice(0, 16), Buffer.from(encrypted.cipherparams.iv, 'hex'))
+    return `0x${Buffer.from([...decipher.update(ciphertext), ...decipher.final()]).toString('hex')}`
+}
+
+/**
+ * returns a progress callback for each key derivation which reports the overall progress of `total` key derivations.
+ */
+const splitProgressCallback = (progressCallback, total) => {
+    if (!_.isFunction(progressCallback)) return () => () => undefined
+    return index => progress => progressCallback((index + progress) / total)
+}
+
 const decryptKey = (encryptedArray, password) => {
     if (!encryptedArray || encryptedArray.length === 0) return undefined
 
+    return encryptedArray.map(encrypted => decipherKey(encrypted, deriveKey(password, encrypted.kdf, encrypted.kdfparams)))
+}
+
+/**
+ * decrypts the encrypted keys with the async key derivation.
+ * `options.progressCallback` is called with the overall progress of decryption(0 to 1).
+ */
+const decryptKeyAsync = async (encryptedArray, password, options = {}) => {
+    if (!encryptedArray || encryptedArray.length === 0) return undefined
+
+    const progressOf = splitProgressCallback(options.progressCallback, encryptedArray.length)
     const decryptedArray = []
-    for (const encrypted of encryptedArray) {
-        let derivedKey
-        let kdfparams
-        /**
-         * Supported kdf modules are the following:
-         * 1) pbkdf2
-         * 2) scrypt
-         */
-        if (encrypted.kdf === 'scrypt') {
-            kdfparams = encrypted.kdfparams
-
-            // FIXME: support progress reporting callback
-            derivedKey = scrypt.syncScrypt(
-                Buffer.from(password),
-                Buffer.from(kdfparams.salt, 'hex'),
-                kdfparams.n,
-                kdfparams.r,
-                kdfparams.p,
-                kdfparams.dklen
-            )
-        } else if (encrypted.kdf === 'pbkdf2') {
-            kdfparams = encrypted.kdfparams
-
-            if (kdfparams.prf !== 'hmac-sha256') {
-                throw new Error('Unsupported parameters to PBKDF2')
-            }
-
-            derivedKey = cryp.pbkdf2Sync(Buffer.from(password), Buffer.from(kdfparams.salt, 'hex'), kdfparams.c, kdfparams.dklen, 'sha256')
-        } else {
-            throw new Error('Unsupported key derivation scheme')
-        }
-
-        const ciphertext = Buffer.from(encrypted.ciphertext, 'hex')
-
-        const mac = utils.sha3(Buffer.from([...derivedKey.slice(16, 32), ...ciphertext])).replace('0x', '')
-        if (mac !== encrypted.mac) {
-            throw new Error('Key derivation failed - possibly wrong password')
-        }
-
-        const decipher = cryp.createDecipheriv(encrypted.cipher, derivedKey.slice(0, 16), Buffer.from(encrypted.cipherparams.iv, 'hex'))
-        decryptedArray.push(`0x${Buffer.from([...decipher.update(ciphertext), ...decipher.final()]).toString('hex')}`)
+    for (let i = 0; i < encryptedArray.length; i++) {
+        const encrypted = encryptedArray[i]
+        const derivedKey = await deriveKeyAsync(password, encrypted.kdf, encrypted.kdfparams, progressOf(i))
+        decryptedArray.push(decipherKey(encrypted, derivedKey))
     }
     return decryptedArray
 }
 
 const encryptKey = (privateKey, password, options) => {
-    const encryptedArray = []
+    if (!privateKey) return []
 
-    if (!privateKey) return encryptedArray
+    const privateKeyArray = _.isArray(privateKey) ? privateKey : [privateKey]
+
+    return privateKeyArray.map(prv => {
+        const { kdf, kdfparams } = makeKdfParams(options)
+        return cipherKey(prv, deriveKey(password, kdf, kdfparams), kdf, kdfparams, options)
+    })
+}
+
+/**
+ * encrypts the private keys with the async key derivation.
+ * `options.progressCallback` is called with the overall progress of encryption(0 to 1).
+ */
+const encryptKeyAsync = async (privateKey, password, options = {}) => {
+    if (!privateKey) return []
 
     const privateKeyArray = _.isArray(privateKey) ? privateKey : [privateKey]
 
+    const progressOf = splitProgressCallback(options.progressCallback, privateKeyArray.length)
+    const encryptedArray = []
     for (let i = 0; i < privateKeyArray.length; i++) {
-        const salt = options.salt || cryp.randomBytes(32)
-        const iv = options.iv || cryp.randomBytes(16)
-
-        let derivedKey
-        const kdf = options.kdf || 'scrypt'
-        const kdfparams = {
-            dklen: options.dklen || 32,
-            salt: salt.toString('hex'),
-        }
-
-        /**
-         * Supported kdf modules are the following:
-         * 1) pbkdf2
-         * 2) scrypt - default
-         */
-        if (kdf === 'pbkdf2') {
-            kdfparams.c = options.c || 262144
-            kdfparams.prf = 'hmac-sha256'
-            derivedKey = cryp.pbkdf2Sync(Buffer.from(password), Buffer.from(kdfparams.salt, 'hex'), kdfparams.c, kdfparams.dklen, 'sha256')
-        } else if (kdf === 'scrypt') {
-            // FIXME: support progress reporting callback
-            kdfparams.n = options.n || 4096 // 2048 4096 8192 16384
-            kdfparams.r = options.r || 8
-            kdfparams.p = options.p || 1
-            derivedKey = scrypt.syncScrypt(
-                Buffer.from(password),
-                Buffer.from(kdfparams.salt, 'hex'),
-                kdfparams.n,
-                kdfparams.r,
-                kdfparams.p,
-                kdfparams.dklen
-            )
-        } else {
-            throw new Error('Unsupported kdf')
-        }
-
-        const cipher = cryp.createCipheriv(options.cipher || 'aes-128-ctr', derivedKey.slice(0, 16), iv)
-        if (!cipher) {
-            throw new Error('Unsupported cipher')
-        }
-
-        let prv = privateKeyArray[i]
-        if (privateKeyArray[i] instanceof PrivateKey) prv = privateKeyArray[i].privateKey
-        const ciphertext = Buffer.from([...cipher.update(Buffer.from(prv.replace('0x', ''), 'hex')), ...cipher.final()])
-
-        const mac = utils.sha3(Buffer.from([...derivedKey.slice(16, 32), ...ciphertext])).replace('0x', '')
-
-        encryptedArray.push({
-            ciphertext: ciphertext.toString('hex'),
-            cipherparams: {
-                iv: iv.toString('hex'),
-            },
-            cipher: options.cipher || 'aes-128-ctr',
-            kdf,
-            kdfparams,
-            mac: mac.toString('hex'),
-        })
+        const { kdf, kdfparams } = makeKdfParams(options)
+        const derivedKey = await deriveKeyAsync(password, kdf, kdfparams, progressOf(i))
+        encryptedArray.push(cipherKey(privateKeyArray[i], derivedKey, kdf, kdfparams, options))
     }
-
     return encryptedArray
 }
 
@@ -210,6 +253,9 @@ module.exports = {
     validateForSigning,
     validateIndexWithKeys,
     decryptKey,
+    decryptKeyAsync,
     encryptKey,
+    encryptKeyAsync,
+    splitProgressCallback,
     formatEncrypted,
 }
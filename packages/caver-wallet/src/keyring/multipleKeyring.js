@@ -25,7 +25,7 @@ const PrivateKey = require('./privateKey')
 const { KEY_ROLE } = require('./keyringHelper')
 const Account = require('../../../caver-account')
 const { fillWeightedMultiSigOptionsForMultiSig } = require('../../../caver-account/src/accountKey/accountKeyHelper')
-const { validateForSigning, validateIndexWithKeys, encryptKey, formatEncrypted } = require('./keyringHelper')
+const { validateForSigning, validateIndexWithKeys, encryptKey, encryptKeyAsync, formatEncrypted } = require('./keyringHelper')
 
 /**
  * representing a Keyring which includes `address` and `private keys`.
@@ -206,6 +206,19 @@ class MultipleKeyring {
         return formatEncrypted(4, this.address, keyring, options)
     }
 
+    /**
+     * encrypts a keyring and returns a keystore v4 object without blocking the event loop.
+     * `options.progressCallback` is called with the progress of encryption(0 to 1).
+     *
+     * @param {string} password The password to be used for encryption. The encrypted key store can be decrypted with this password.
+     * @param {object} [options] The options to use when encrypt a keyring. See `keyring.encrypt` for more detail about options.
+     * @return {Promise<object>}
+     */
+    async encryptAsync(password, options = {}) {
+        const keyring = await encryptKeyAsync(this.keys, password, options)
+        return formatEncrypted(4, this.address, keyring, options)
+    }
+
     /**
      * returns KlaytnWalletKey format. If keyring uses more than one private key, this function will throw error.
      *
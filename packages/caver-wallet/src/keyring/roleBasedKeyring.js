@@ -26,7 +26,7 @@ const PrivateKey = require('./privateKey')
 const { KEY_ROLE, MAXIMUM_KEY_NUM, isMultipleKeysFormat, isRoleBasedKeysFormat } = require('./keyringHelper')
 const Account = require('../../../caver-account')
 const { fillWeightedMultiSigOptionsForRoleBased } = require('../../../caver-account/src/accountKey/accountKeyHelper')
-const { validateForSigning, validateIndexWithKeys, encryptKey, formatEncrypted } = require('./keyringHelper')
+const { validateForSigning, validateIndexWithKeys, encryptKey, encryptKeyAsync, formatEncrypted } = require('./keyringHelper')
 
 /**
  * representing a Keyring which includes `address` and `private keys` by roles.
@@ -248,6 +248,26 @@ class RoleBasedKeyring {
         return formatEncrypted(4, this._address, keyring, options)
     }
 
+    /**
+     * encrypts a keyring and returns a keystore v4 object without blocking the event loop.
+     * `options.progressCallback` is called with the progress of encryption(0 to 1).
+     *
+     * @param {string} password The password to be used for encryption. The encrypted key store can be decrypted with this password.
+     * @param {object} [options] The options to use when encrypt a keyring. See `keyring.encrypt` for more detail about options.
+     * @return {Promise<object>}
+     */
+    async encryptAsync(password, options = {}) {
+        // Keys of all roles are encrypted at once to report the progress of the whole keyring.
+        const encrypted = await encryptKeyAsync(_.flatten(this._keys), password, options)
+
+        const keyring = []
+        for (let i = KEY_ROLE.roleTransactionKey; i < KEY_ROLE.roleLast; i++) {
+            keyring.push(encrypted.splice(0, this._keys[i].length))
+        }
+
+        return formatEncrypted(4, this._address, keyring, options)
+    }
+
     /**
      * returns KlaytnWalletKey format. If keyring uses more than one private key, this function will throw error.
      *
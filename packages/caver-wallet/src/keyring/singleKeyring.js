@@ -20,7 +20,7 @@ const utils = require('../../../caver-utils')
 const PrivateKey = require('./privateKey')
 const { KEY_ROLE } = require('./keyringHelper')
 const Account = require('../../../caver-account')
-const { validateForSigning, validateIndexWithKeys, encryptKey, formatEncrypted } = require('./keyringHelper')
+const { validateForSigning, validateIndexWithKeys, encryptKey, encryptKeyAsync, formatEncrypted } = require('./keyringHelper')
 
 /**
  * representing a Keyring which includes `address` and a `private key`.
@@ -193,6 +193,19 @@ class SingleKeyring {
         return formatEncrypted(4, this.address, keyring, options)
     }
 
+    /**
+     * encrypts a keyring and returns a keystore v4 object without blocking the event loop.
+     * `options.progressCallback` is called with the progress of encryption(0 to 1).
+     *
+     * @param {string} password The password to be used for encryption. The encrypted key store can be decrypted with this password.
+     * @param {object} [options] The options to use when encrypt a keyring. See `keyring.encrypt` for more detail about options.
+     * @return {Promise<object>}
+     */
+    async encryptAsync(password, options = {}) {
+        const keyring = await encryptKeyAsync(this.key, password, options)
+        return formatEncrypted(4, this.address, keyring, options)
+    }
+
     /**
      * encrypts a keyring and returns a keystore v3 object.
      *
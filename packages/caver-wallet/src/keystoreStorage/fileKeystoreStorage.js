@@ -0,0 +1,111 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const _ = require('lodash')
+const fs = require('fs')
+const path = require('path')
+const { formatKeystoreAddress } = require('./keystoreStorageHelper')
+
+const KEYSTORE_FILE_EXTENSION = '.json'
+
+/**
+ * representing a keystore storage which stores keystore JSON files in a directory.
+ * Each keystore is stored as a file named `{address}.json`.
+ * This storage can be used only in Node.js environment.
+ * @class
+ */
+class FileKeystoreStorage {
+    /**
+     * creates a FileKeystoreStorage.
+     * @param {string} dirPath - The path of the directory to store keystore files.
+     */
+    constructor(dirPath) {
+        if (!_.isString(dirPath) || dirPath.length === 0) throw new Error(`Invalid directory path: ${dirPath}`)
+        if (!_.isFunction(fs.readdirSync))
+            throw new Error(`FileKeystoreStorage is not supported in this environment. Please use it in Node.js.`)
+
+        this._dirPath = dirPath
+    }
+
+    /**
+     * @type {string}
+     */
+    get dirPath() {
+        return this._dirPath
+    }
+
+    /**
+     * returns addresses of the keystores stored in the directory.
+     *
+     * @return {Array.<string>}
+     */
+    async getAddresses() {
+        if (!fs.existsSync(this.dirPath)) return []
+
+        return fs
+            .readdirSync(this.dirPath)
+            .filter(fileName => /^0x[0-9a-fA-F]{40}\.json$/.test(fileName))
+            .map(fileName => fileName.slice(0, -KEYSTORE_FILE_EXTENSION.length).toLowerCase())
+    }
+
+    /**
+     * returns the keystore of the address.
+     *
+     * @param {string} address The address of the keystore.
+     * @return {object}
+     */
+    async getKeystore(address) {
+        const filePath = this._getFilePath(address)
+        if (!fs.existsSync(filePath)) return undefined
+
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    }
+
+    /**
+     * stores the keystore to the file.
+     * The file is created to be readable and writable only by the owner.
+     *
+     * @param {string} address The address of the keystore.
+     * @param {object} keystore The keystore to store.
+     */
+    async setKeystore(address, keystore) {
+        if (!fs.existsSync(this.dirPath)) fs.mkdirSync(this.dirPath, { recursive: true })
+
+        fs.writeFileSync(this._getFilePath(address), JSON.stringify(keystore), { mode: 0o600 })
+    }
+
+    /**
+     * removes the keystore file of the address.
+     *
+     * @param {string} address The address of the keystore.
+     * @return {boolean}
+     */
+    async removeKeystore(address) {
+        const filePath = this._getFilePath(address)
+        if (!fs.existsSync(filePath)) return false
+
+        fs.unlinkSync(filePath)
+        return true
+    }
+
+    _getFilePath(address) {
+        return path.join(this.dirPath, `${formatKeystoreAddress(address)}${KEYSTORE_FILE_EXTENSION}`)
+    }
+}
+
+module.exports = FileKeystoreStorage
@@ -0,0 +1,127 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const { formatKeystoreAddress } = require('./keystoreStorageHelper')
+
+const DEFAULT_DATABASE_NAME = 'caverjs_wallet'
+const DEFAULT_STORE_NAME = 'keystore'
+
+const toPromise = request =>
+    new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+    })
+
+/**
+ * representing a keystore storage which stores keystores in the IndexedDB of the browser.
+ * Keystores are stored in the object store with the address as a key.
+ * @class
+ */
+class IndexedDBKeystoreStorage {
+    /**
+     * creates an IndexedDBKeystoreStorage.
+     * @param {object} [options] - The options of IndexedDBKeystoreStorage.
+     * @param {string} [options.databaseName] - The name of the database. The default value is `caverjs_wallet`.
+     * @param {string} [options.storeName] - The name of the object store. The default value is `keystore`.
+     * @param {IDBFactory} [options.indexedDB] - The IDBFactory object to use. If not defined, `indexedDB` is used.
+     */
+    constructor(options = {}) {
+        /* eslint-disable-next-line no-undef */
+        const factory = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : undefined)
+        if (!factory) throw new Error(`IndexedDBKeystoreStorage is not supported in this environment: indexedDB is not defined.`)
+
+        this._indexedDB = factory
+        this._databaseName = options.databaseName || DEFAULT_DATABASE_NAME
+        this._storeName = options.storeName || DEFAULT_STORE_NAME
+    }
+
+    /**
+     * @type {string}
+     */
+    get databaseName() {
+        return this._databaseName
+    }
+
+    /**
+     * @type {string}
+     */
+    get storeName() {
+        return this._storeName
+    }
+
+    /**
+     * returns addresses of the keystores stored in the IndexedDB.
+     *
+     * @return {Array.<string>}
+     */
+    async getAddresses() {
+        const store = await this._getObjectStore('readonly')
+        return toPromise(store.getAllKeys())
+    }
+
+    /**
+     * returns the keystore of the address.
+     *
+     * @param {string} address The address of the keystore.
+     * @return {object}
+     */
+    async getKeystore(address) {
+        const store = await this._getObjectStore('readonly')
+        return toPromise(store.get(formatKeystoreAddress(address)))
+    }
+
+    /**
+     * stores the keystore to the IndexedDB.
+     *
+     * @param {string} address The address of the keystore.
+     * @param {object} keystore The keystore to store.
+     */
+    async setKeystore(address, keystore) {
+        const store = await this._getObjectStore('readwrite')
+        await toPromise(store.put(keystore, formatKeystoreAddress(address)))
+    }
+
+    /**
+     * removes the keystore of the address from the IndexedDB.
+     *
+     * @param {string} address The address of the keystore.
+     * @return {boolean}
+     */
+    async removeKeystore(address) {
+        const key = formatKeystoreAddress(address)
+        const store = await this._getObjectStore('readwrite')
+        const count = await toPromise(store.count(key))
+        if (count === 0) return false
+
+        await toPromise(store.delete(key))
+        return true
+    }
+
+    async _getObjectStore(mode) {
+        if (!this._database) {
+            const request = this._indexedDB.open(this.databaseName, 1)
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(this.storeName)) request.result.createObjectStore(this.storeName)
+            }
+            this._database = await toPromise(request)
+        }
+        return this._database.transaction(this.storeName, mode).objectStore(this.storeName)
+    }
+}
+
+module.exports = IndexedDBKeystoreStorage
@@ -0,0 +1,55 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const _ = require('lodash')
+const utils = require('../../../caver-utils/src')
+
+const KEYSTORE_STORAGE_INTERFACE = ['getAddresses', 'getKeystore', 'setKeystore', 'removeKeystore']
+
+/**
+ * validates that the storage implements the functions used by KeyringContainer.
+ * A keystore storage should implement `getAddresses`, `getKeystore`, `setKeystore` and `removeKeystore`,
+ * and each function can return a Promise.
+ *
+ * @param {object} storage The keystore storage to validate.
+ */
+const validateKeystoreStorage = storage => {
+    if (!_.isObject(storage)) throw new Error(`Invalid keystore storage: the storage should be an object.`)
+
+    for (const functionName of KEYSTORE_STORAGE_INTERFACE) {
+        if (!_.isFunction(storage[functionName]))
+            throw new Error(`Invalid keystore storage: '${functionName}' function is not implemented in the storage.`)
+    }
+}
+
+/**
+ * returns the address formatted to be used as a key of the keystore storage.
+ *
+ * @param {string} address The address of the keystore.
+ * @return {string}
+ */
+const formatKeystoreAddress = address => {
+    if (!utils.isAddress(address)) throw new Error(`Invalid address: ${address}`)
+    return utils.addHexPrefix(address).toLowerCase()
+}
+
+module.exports = {
+    KEYSTORE_STORAGE_INTERFACE,
+    validateKeystoreStorage,
+    formatKeystoreAddress,
+}
@@ -0,0 +1,110 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const _ = require('lodash')
+const utils = require('../../../caver-utils/src')
+const { formatKeystoreAddress } = require('./keystoreStorageHelper')
+
+const DEFAULT_KEY_PREFIX = 'caverjs_wallet_'
+
+/**
+ * representing a keystore storage which stores keystores in the localStorage of the browser.
+ * Each keystore is stored as a JSON string with the key `{prefix}{address}`.
+ * @class
+ */
+class LocalKeystoreStorage {
+    /**
+     * creates a LocalKeystoreStorage.
+     * @param {object} [options] - The options of LocalKeystoreStorage.
+     * @param {string} [options.prefix] - The prefix of the keys used in the storage. The default value is `caverjs_wallet_`.
+     * @param {Storage} [options.storage] - The Web Storage object to use. If not defined, `localStorage` is used.
+     */
+    constructor(options = {}) {
+        /* eslint-disable-next-line no-undef */
+        const storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : undefined)
+        if (!storage) throw new Error(`LocalKeystoreStorage is not supported in this environment: localStorage is not defined.`)
+
+        this._storage = storage
+        this._prefix = _.isString(options.prefix) ? options.prefix : DEFAULT_KEY_PREFIX
+    }
+
+    /**
+     * @type {string}
+     */
+    get prefix() {
+        return this._prefix
+    }
+
+    /**
+     * returns addresses of the keystores stored in the localStorage.
+     *
+     * @return {Array.<string>}
+     */
+    async getAddresses() {
+        const addresses = []
+        for (let i = 0; i < this._storage.length; i++) {
+            const key = this._storage.key(i)
+            if (key && key.startsWith(this.prefix) && utils.isAddress(key.slice(this.prefix.length)))
+                addresses.push(key.slice(this.prefix.length).toLowerCase())
+        }
+        return addresses
+    }
+
+    /**
+     * returns the keystore of the address.
+     *
+     * @param {string} address The address of the keystore.
+     * @return {object}
+     */
+    async getKeystore(address) {
+        const keystore = this._storage.getItem(this._getKey(address))
+        if (keystore === null || keystore === undefined) return undefined
+
+        return JSON.parse(keystore)
+    }
+
+    /**
+     * stores the keystore to the localStorage.
+     *
+     * @param {string} address The address of the keystore.
+     * @param {object} keystore The keystore to store.
+     */
+    async setKeystore(address, keystore) {
+        this._storage.setItem(this._getKey(address), JSON.stringify(keystore))
+    }
+
+    /**
+     * removes the keystore of the address from the localStorage.
+     *
+     * @param {string} address The address of the keystore.
+     * @return {boolean}
+     */
+    async removeKeystore(address) {
+        const key = this._getKey(address)
+        if (this._storage.getItem(key) === null) return false
+
+        this._storage.removeItem(key)
+        return true
+    }
+
+    _getKey(address) {
+        return `${this.prefix}${formatKeystoreAddress(address)}`
+    }
+}
+
+module.exports = LocalKeystoreStorage
@@ -0,0 +1,86 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const chai = require('chai')
+
+const assert = chai.assert
+const abi = require('../packages/caver-abi')
+
+const jsonInterface = [
+    {
+        inputs: [{ name: 'available', type: 'uint256' }, { name: 'required', type: 'uint256' }],
+        name: 'InsufficientBalance',
+        type: 'error',
+    },
+    { inputs: [], name: 'Unauthorized', type: 'error' },
+]
+
+const tests = [
+    {
+        // Error(string)
+        params: [
+            '0x08c379a000000000000000000000000000000000000000000000000000000000000000200000000000000000000000000000000000000000000000000000000000000014496e73756666696369656e742062616c616e6365000000000000000000000000',
+        ],
+        result: { reason: 'Insufficient balance' },
+    },
+    {
+        // Panic(uint256) with the code of arithmetic underflow or overflow
+        params: ['0x4e487b710000000000000000000000000000000000000000000000000000000000000011'],
+        result: { panicCode: 17 },
+    },
+    {
+        params: [
+            '0xcf4791810000000000000000000000000000000000000000000000000000000000000001000000000000000000000000000000000000000000000000000000000000000a',
+            jsonInterface,
+        ],
+        result: {
+            name: 'InsufficientBalance',
+            args: [{ name: 'available', type: 'uint256', value: '1' }, { name: 'required', type: 'uint256', value: '10' }],
+        },
+    },
+    {
+        params: ['0x82b42900', jsonInterface],
+        result: { name: 'Unauthorized', args: [] },
+    },
+    {
+        // The custom error which is not defined in the json interface
+        params: ['0x82b42900'],
+        result: undefined,
+    },
+    {
+        params: ['0x'],
+        result: undefined,
+    },
+    {
+        params: [undefined],
+        result: undefined,
+    },
+    {
+        // Error(string) with malformed data
+        params: ['0x08c379a00000'],
+        result: undefined,
+    },
+]
+
+describe('decodeRevertData', function() {
+    tests.forEach(function(test) {
+        it('should convert correctly', function() {
+            assert.deepEqual(abi.decodeRevertData(...test.params), test.result)
+        })
+    })
+})
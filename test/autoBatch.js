@@ -0,0 +1,107 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const { expect } = require('./extendedChai')
+
+const Caver = require('../index.js')
+
+// A provider which answers the batch requests in the reverse order.
+function fakeProvider(handler) {
+    const provider = {
+        payloads: [],
+        error: undefined,
+        send(payload, callback) {
+            provider.payloads.push(payload)
+            if (provider.error) return setTimeout(() => callback(provider.error))
+            const respond = p => Object.assign({ jsonrpc: '2.0', id: p.id }, handler(p))
+            setTimeout(() => callback(null, Array.isArray(payload) ? payload.map(respond).reverse() : respond(payload)))
+        },
+    }
+    return provider
+}
+
+const balanceOf = p => {
+    if (p.params[0] === '0x0000000000000000000000000000000000000000') return { error: { code: -32000, message: 'invalid address' } }
+    return { result: `0x${p.params[0].slice(-2)}` }
+}
+
+const addresses = ['0x0000000000000000000000000000000000000001', '0x0000000000000000000000000000000000000002']
+
+describe('Automatic request batching', () => {
+    it('CAVERJS-UNIT-ETC-293: should send the requests of the same tick as one batch request', async () => {
+        const provider = fakeProvider(balanceOf)
+        const caver = new Caver(provider)
+        caver.setAutoBatch(true)
+
+        const results = await Promise.all([
+            caver.rpc.klay.getBalance(addresses[0]),
+            caver.rpc.klay.getBalance(addresses[1]),
+            caver.rpc.klay.getBalance('0x0000000000000000000000000000000000000000').catch(e => e),
+        ])
+
+        expect(provider.payloads.length).to.equal(1)
+        expect(provider.payloads[0].length).to.equal(3)
+        expect(provider.payloads[0].map(p => p.method)).to.deep.equal(['klay_getBalance', 'klay_getBalance', 'klay_getBalance'])
+        expect(results[0]).to.equal('0x01')
+        expect(results[1]).to.equal('0x02')
+        expect(results[2].message).to.equal('Returned error: invalid address')
+
+        // A request sent alone is not wrapped in a batch request.
+        await caver.rpc.klay.getBalance(addresses[0])
+        expect(Array.isArray(provider.payloads[1])).to.be.false
+    })
+
+    it('CAVERJS-UNIT-ETC-294: should split the batch by maxBatchSize and wait for the following requests', async () => {
+        const provider = fakeProvider(balanceOf)
+        const caver = new Caver(provider)
+        caver.setAutoBatch({ maxBatchSize: 2, wait: 30 })
+
+        const first = caver.rpc.klay.getBalance(addresses[0])
+        await new Promise(resolve => setTimeout(resolve, 10))
+        const requests = [first, caver.rpc.klay.getBalance(addresses[1]), caver.rpc.klay.getBalance(addresses[0])]
+        expect(await Promise.all(requests)).to.deep.equal(['0x01', '0x02', '0x01'])
+        expect(provider.payloads.map(p => (Array.isArray(p) ? p.length : 1))).to.deep.equal([2, 1])
+
+        expect(() => caver.setAutoBatch({ maxBatchSize: 0 })).to.throw('Invalid maxBatchSize: 0')
+    })
+
+    it('CAVERJS-UNIT-ETC-295: should return the error of the batch request to every request', async () => {
+        const provider = fakeProvider(balanceOf)
+        const caver = new Caver(provider)
+
+        // Disabled by default
+        await Promise.all(addresses.map(address => caver.rpc.klay.getBalance(address)))
+        expect(provider.payloads.length).to.equal(2)
+
+        caver.setAutoBatch(true)
+        provider.error = new Error('CONNECTION ERROR')
+        const errors = await Promise.all(addresses.map(address => caver.rpc.klay.getBalance(address).catch(e => e)))
+        expect(errors.map(e => e.message)).to.deep.equal(['CONNECTION ERROR', 'CONNECTION ERROR'])
+        expect(provider.payloads.length).to.equal(3)
+
+        // The requests of which the response is missing fail with the invalid response error.
+        provider.error = undefined
+        provider.send = (payload, callback) => setTimeout(() => callback(null, [{ jsonrpc: '2.0', id: payload[0].id, result: '0x1' }]))
+        const results = await Promise.all(addresses.map(address => caver.rpc.klay.getBalance(address).catch(e => e)))
+        expect(results[0]).to.equal('0x1')
+        expect(results[1].message).to.equal('Invalid JSON RPC response: undefined')
+
+        caver.setAutoBatch(false)
+        expect(caver._requestManager.autoBatch).to.be.null
+    })
+})
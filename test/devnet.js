@@ -0,0 +1,451 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const { expect } = require('./extendedChai')
+
+const Caver = require('../index.js')
+
+const gasPrice = '0x5d21dba00'
+const KLAY = '1000000000000000000'
+
+// Sends the raw transaction to the devnet directly not to wait for the receipt.
+function sendRaw(devnet, rawTransaction) {
+    return new Promise((resolve, reject) => {
+        devnet.send({ jsonrpc: '2.0', id: 1, method: 'klay_sendRawTransaction', params: [rawTransaction] }, (err, response) => {
+            if (err) return reject(err)
+            if (response.error) return reject(new Error(response.error.message))
+            resolve(response.result)
+        })
+    })
+}
+
+function valueTransfer(caver, from, nonce, extra) {
+    return new caver.transaction.valueTransfer(
+        Object.assign({ from, to: from, value: 1, gas: 50000, gasPrice, nonce, chainId: 2019 }, extra)
+    )
+}
+
+describe('caver.devnet', () => {
+    let caver
+    let devnet
+    let sender
+    let receiver
+
+    beforeEach(() => {
+        caver = new Caver()
+        sender = caver.wallet.keyring.generate()
+        receiver = caver.wallet.keyring.generate()
+        devnet = new caver.devnet({ accounts: { [sender.address]: KLAY } })
+        caver.setProvider(devnet)
+    })
+
+    it('CAVERJS-UNIT-ETC-314: should mine the value transfer transaction and serve the state with klay_* methods', async () => {
+        expect(await caver.rpc.klay.getChainId()).to.equal('0x7e3')
+        expect(await caver.rpc.klay.getBlockNumber()).to.equal('0x0')
+
+        const tx = valueTransfer(caver, sender.address, 0, { to: receiver.address, value: 100 })
+        await tx.sign(sender)
+        const receipt = await caver.rpc.klay.sendRawTransaction(tx)
+
+        expect(receipt.status).to.equal('0x1')
+        expect(receipt.gasUsed).to.equal('0x5208')
+        expect(receipt.blockNumber).to.equal('0x1')
+        expect(await caver.rpc.klay.getBalance(receiver.address)).to.equal('0x64')
+        const fee = caver.utils.toBN(21000).mul(caver.utils.toBN(gasPrice))
+        const expected = caver.utils
+            .toBN(KLAY)
+            .sub(fee)
+            .subn(100)
+        expect(caver.utils.hexToNumberString(await caver.rpc.klay.getBalance(sender.address))).to.equal(expected.toString())
+        expect(caver.utils.hexToNumberString(await caver.rpc.klay.getBalance(sender.address, 0))).to.equal(KLAY)
+        expect(await caver.rpc.klay.getTransactionCount(sender.address)).to.equal('0x1')
+
+        const transaction = await caver.rpc.klay.getTransactionByHash(receipt.transactionHash)
+        expect(transaction.type).to.equal('TxTypeValueTransfer')
+        expect(transaction.from).to.equal(sender.address)
+        const block = await caver.rpc.klay.getBlockByNumber(1, true)
+        expect(block.transactions[0].hash).to.equal(receipt.transactionHash)
+        expect(block.parentHash).to.equal((await caver.rpc.klay.getBlockByNumber(0)).hash)
+        expect(await caver.rpc.klay.getAccountKey(sender.address)).to.deep.equal({ keyType: 1, key: {} })
+
+        // the legacy transaction can carry the input to the account which is not a contract
+        expect(await caver.rpc.klay.call({ to: receiver.address, data: '0x12' })).to.equal('0x')
+        const legacy = new caver.transaction.legacyTransaction({
+            to: receiver.address,
+            value: 1,
+            input: '0x1234',
+            gas: 50000,
+            gasPrice,
+            nonce: 1,
+            chainId: 2019,
+        })
+        await legacy.sign(sender)
+        const legacyReceipt = await caver.rpc.klay.sendRawTransaction(legacy)
+        expect(legacyReceipt.status).to.equal('0x1')
+        expect(legacyReceipt.gasUsed).to.equal(caver.utils.numberToHex(21000 + 2 * 100))
+        expect(legacyReceipt.from).to.equal(sender.address)
+        expect(await caver.rpc.klay.getBalance(receiver.address)).to.equal('0x65')
+    })
+
+    it('CAVERJS-UNIT-ETC-315: should validate the signatures with the rotated role-based account key', async () => {
+        const roleKeys = caver.wallet.keyring.generateRoleBasedKeys([1, 2, 1])
+        const rotated = caver.wallet.keyring.create(sender.address, roleKeys)
+
+        const update = new caver.transaction.accountUpdate({
+            from: sender.address,
+            account: rotated.toAccount([{}, new caver.account.weightedMultiSigOptions(2, [1, 1]), {}]),
+            gas: 200000,
+            gasPrice,
+            nonce: 0,
+            chainId: 2019,
+        })
+        await update.sign(sender)
+        const receipt = await caver.rpc.klay.sendRawTransaction(update)
+        expect(receipt.status).to.equal('0x1')
+        expect(receipt.gasUsed).to.equal(caver.utils.numberToHex(21000 + 4 * 20000))
+
+        const accountKey = await caver.rpc.klay.getAccountKey(sender.address)
+        expect(accountKey.keyType).to.equal(5)
+        expect(accountKey.key[1].keyType).to.equal(4)
+        expect(accountKey.key[1].key.threshold).to.equal(2)
+
+        // the old legacy key cannot sign anymore
+        const withOldKey = valueTransfer(caver, sender.address, 1)
+        await withOldKey.sign(sender)
+        await expect(sendRaw(devnet, withOldKey.getRLPEncoding())).to.be.rejectedWith('invalid transaction v, r, s values of the sender')
+
+        const withNewKey = valueTransfer(caver, sender.address, 1)
+        await withNewKey.sign(rotated)
+        await sendRaw(devnet, withNewKey.getRLPEncoding())
+        expect(await caver.rpc.klay.getTransactionCount(sender.address)).to.equal('0x2')
+
+        // the account update is signed with roleAccountUpdateKey, and AccountKeyNil keeps the key of the role
+        const newTransactionKey = caver.wallet.keyring.generateSingleKey()
+        const keepRoles = caver.account.createWithAccountKeyRoleBased(sender.address, [
+            [caver.wallet.keyring.createFromPrivateKey(newTransactionKey).getPublicKey()],
+            [],
+            [],
+        ])
+        const withTransactionKey = new caver.transaction.accountUpdate({
+            from: sender.address,
+            account: keepRoles,
+            gas: 200000,
+            gasPrice,
+            nonce: 2,
+            chainId: 2019,
+        })
+        await withTransactionKey.sign(caver.wallet.keyring.create(sender.address, roleKeys[0][0]))
+        await expect(sendRaw(devnet, withTransactionKey.getRLPEncoding())).to.be.rejectedWith(
+            'invalid transaction v, r, s values of the sender'
+        )
+
+        const withUpdateKey = new caver.transaction.accountUpdate({
+            from: sender.address,
+            account: keepRoles,
+            gas: 200000,
+            gasPrice,
+            nonce: 2,
+            chainId: 2019,
+        })
+        await withUpdateKey.sign(rotated)
+        await sendRaw(devnet, withUpdateKey.getRLPEncoding())
+        const updatedKey = await caver.rpc.klay.getAccountKey(sender.address)
+        expect(updatedKey.key[0].keyType).to.equal(2)
+        expect(updatedKey.key[1]).to.deep.equal(accountKey.key[1])
+        expect(updatedKey.key[2]).to.deep.equal(accountKey.key[2])
+
+        // AccountKeyNil cannot be used for the account which does not have AccountKeyRoleBased
+        const nilUpdate = new caver.transaction.accountUpdate({
+            from: receiver.address,
+            account: caver.account.createWithAccountKeyRoleBased(receiver.address, [[receiver.getPublicKey()], [], []]),
+            gas: 200000,
+            gasPrice,
+            nonce: 0,
+            chainId: 2019,
+        })
+        await nilUpdate.sign(receiver)
+        await expect(sendRaw(devnet, nilUpdate.getRLPEncoding())).to.be.rejectedWith('AccountKeyNil cannot be initialized to an account')
+    })
+
+    it('CAVERJS-UNIT-ETC-316: should charge the fee to the fee payer by the fee ratio', async () => {
+        const feePayer = caver.wallet.keyring.generate()
+        devnet.setBalance(feePayer.address, KLAY)
+
+        const tx = new caver.transaction.feeDelegatedValueTransferWithRatio({
+            from: sender.address,
+            to: receiver.address,
+            value: 0,
+            feeRatio: 30,
+            gas: 50000,
+            gasPrice,
+            nonce: 0,
+            chainId: 2019,
+        })
+        await tx.sign(sender)
+
+        // the fee payer must sign with its own key
+        tx.feePayer = feePayer.address
+        await tx.signAsFeePayer(caver.wallet.keyring.create(feePayer.address, receiver.key.privateKey))
+        await expect(sendRaw(devnet, tx.getRLPEncoding())).to.be.rejectedWith('invalid transaction v, r, s values of the fee payer')
+
+        tx.feePayerSignatures = []
+        await tx.signAsFeePayer(feePayer)
+        await sendRaw(devnet, tx.getRLPEncoding())
+
+        const fee = caver.utils.toBN(21000 + 15000).mul(caver.utils.toBN(gasPrice))
+        const balanceOf = async address => caver.utils.toBN(await caver.rpc.klay.getBalance(address))
+        expect((await balanceOf(feePayer.address)).toString()).to.equal(
+            caver.utils
+                .toBN(KLAY)
+                .sub(fee.muln(30).divn(100))
+                .toString()
+        )
+        expect((await balanceOf(sender.address)).toString()).to.equal(
+            caver.utils
+                .toBN(KLAY)
+                .sub(fee.muln(70).divn(100))
+                .toString()
+        )
+    })
+
+    it('CAVERJS-UNIT-ETC-317: should mine the pending transactions on demand and replace them with the cancel transaction', async () => {
+        devnet.automine = false
+
+        const first = valueTransfer(caver, sender.address, 0)
+        await first.sign(sender)
+        const third = valueTransfer(caver, sender.address, 2)
+        await third.sign(sender)
+        await sendRaw(devnet, first.getRLPEncoding())
+        await sendRaw(devnet, third.getRLPEncoding())
+        await expect(sendRaw(devnet, first.getRLPEncoding())).to.be.rejectedWith('known transaction')
+        expect(await caver.rpc.klay.getTransactionCount(sender.address, 'pending')).to.equal('0x1')
+
+        const replacing = valueTransfer(caver, sender.address, 0, { value: 2 })
+        await replacing.sign(sender)
+        await expect(sendRaw(devnet, replacing.getRLPEncoding())).to.be.rejectedWith('replacement transaction underpriced')
+
+        const cancel = new caver.transaction.cancel({ from: sender.address, gas: 50000, gasPrice, nonce: 0, chainId: 2019 })
+        await cancel.sign(sender)
+        const cancelHash = await sendRaw(devnet, cancel.getRLPEncoding())
+
+        const [block] = await devnet.mine()
+        expect(block.transactions).to.deep.equal([cancelHash])
+        expect(await caver.rpc.klay.getTransactionReceipt(first.getTransactionHash())).to.be.null
+        expect(devnet.pendingTransactions.length).to.equal(1)
+
+        const second = valueTransfer(caver, sender.address, 1)
+        await second.sign(sender)
+        await sendRaw(devnet, second.getRLPEncoding())
+        expect((await devnet.mine(2))[0].transactions.length).to.equal(2)
+        expect(devnet.blockNumber).to.equal(3)
+        expect(await caver.rpc.klay.getTransactionCount(sender.address)).to.equal('0x3')
+
+        await expect(sendRaw(devnet, cancel.getRLPEncoding())).to.be.rejectedWith('known transaction')
+        const stale = valueTransfer(caver, sender.address, 0, { value: 3 })
+        await stale.sign(sender)
+        await expect(sendRaw(devnet, stale.getRLPEncoding())).to.be.rejectedWith('nonce too low')
+    })
+
+    it('CAVERJS-UNIT-ETC-318: should reject the transactions with the invalid chain id, unit price, gas or balance', async () => {
+        const rejects = async (tx, keyring, message) => {
+            await tx.sign(keyring)
+            await expect(sendRaw(devnet, tx.getRLPEncoding())).to.be.rejectedWith(message)
+        }
+
+        await rejects(valueTransfer(caver, sender.address, 0, { chainId: 1001 }), sender, 'invalid chain id')
+        await rejects(valueTransfer(caver, sender.address, 0, { gasPrice: '0x1' }), sender, 'invalid unit price')
+        await rejects(valueTransfer(caver, sender.address, 0, { gas: 20000 }), sender, 'intrinsic gas too low')
+        await rejects(valueTransfer(caver, receiver.address, 0), receiver, 'insufficient funds of the sender')
+
+        const memo = new caver.transaction.valueTransferMemo({
+            from: sender.address,
+            to: receiver.address,
+            value: 0,
+            input: '0x68656c6c6f',
+            gas: 50000,
+            gasPrice,
+            nonce: 0,
+            chainId: 2019,
+        })
+        await memo.sign(sender)
+        const receipt = await caver.rpc.klay.sendRawTransaction(memo)
+        expect(receipt.gasUsed).to.equal(caver.utils.numberToHex(21000 + 5 * 100))
+        expect(receipt.input).to.equal('0x68656c6c6f')
+    })
+
+    it('CAVERJS-UNIT-ETC-325: should serve the account keys, the anchoring data, the validators and the filters', async () => {
+        const roleBased = caver.account.accountKey.accountKeyRoleBased.fromRoleBasedPublicKeysAndOptions(
+            [[], [sender.getPublicKey()], [sender.getPublicKey(), receiver.getPublicKey()]],
+            [{}, {}, { threshold: 2, weights: [1, 1] }]
+        )
+        const encoded = roleBased.getRLPEncoding()
+        const decoded = await caver.rpc.klay.decodeAccountKey(encoded)
+        expect(decoded.keyType).to.equal(5)
+        expect(decoded.key[0]).to.deep.equal({ keyType: 0, key: {} })
+        expect(decoded.key[2].key.threshold).to.equal(2)
+        expect(await caver.rpc.klay.encodeAccountKey(decoded)).to.equal(encoded)
+        const publicKey = caver.account.accountKey.accountKeyPublic.fromPublicKey(receiver.getPublicKey())
+        expect(await caver.rpc.klay.encodeAccountKey(publicKey)).to.equal(publicKey.getRLPEncoding())
+        await expect(caver.rpc.klay.decodeAccountKey('0x1234')).to.be.rejectedWith('Invalid RLP-encoded account key string')
+
+        const blockFilter = await caver.rpc.klay.newBlockFilter()
+        const pendingFilter = await caver.rpc.klay.newPendingTransactionFilter()
+
+        const data = {
+            blockHash: caver.utils.sha3('block'),
+            txHash: caver.utils.sha3('tx'),
+            parentHash: caver.utils.sha3('parent'),
+            receiptHash: caver.utils.sha3('receipt'),
+            stateRootHash: caver.utils.sha3('state'),
+            blockNumber: 10,
+            blockCount: 1,
+            txCount: 3,
+        }
+        const anchoring = new caver.transaction.chainDataAnchoring({
+            from: sender.address,
+            input: caver.transaction.anchoring.encode(data),
+            gas: 100000,
+            gasPrice,
+            nonce: 0,
+            chainId: 2019,
+        })
+        await anchoring.sign(sender)
+        const receipt = await caver.rpc.klay.sendRawTransaction(anchoring)
+        expect(await caver.rpc.klay.getDecodedAnchoringTransactionByHash(receipt.transactionHash)).to.deep.equal({
+            BlockHash: data.blockHash,
+            TxHash: data.txHash,
+            ParentHash: data.parentHash,
+            ReceiptHash: data.receiptHash,
+            StateRootHash: data.stateRootHash,
+            BlockNumber: 10,
+            BlockCount: 1,
+            TxCount: 3,
+        })
+
+        expect(await caver.rpc.klay.getFilterChanges(blockFilter)).to.deep.equal([receipt.blockHash])
+        expect(await caver.rpc.klay.getFilterChanges(blockFilter)).to.deep.equal([])
+        expect(await caver.rpc.klay.getFilterChanges(pendingFilter)).to.deep.equal([receipt.transactionHash])
+        expect(await caver.rpc.klay.uninstallFilter(pendingFilter)).to.be.true
+        await expect(caver.rpc.klay.getFilterChanges(pendingFilter)).to.be.rejectedWith('filter not found')
+
+        const block = await caver.rpc.klay.getBlockWithConsensusInfo(receipt.blockNumber)
+        expect(block.hash).to.equal(receipt.blockHash)
+        expect(block.transactions[0].transactionHash).to.equal(receipt.transactionHash)
+        expect(block.committee).to.deep.equal(await caver.rpc.klay.getCommittee())
+        expect(await caver.rpc.klay.getCouncilSize(receipt.blockNumber)).to.equal(1)
+        expect(await caver.rpc.klay.getRewardbase()).to.equal(block.proposer)
+        await expect(caver.rpc.klay.getCommittee(100)).to.be.rejectedWith('The block 0x64 does not exist.')
+        expect(await caver.rpc.klay.estimateComputationCost({ from: sender.address, to: receiver.address, value: 1 })).to.equal('0x0')
+    })
+
+    it('CAVERJS-UNIT-ETC-326: should return the error for the methods with the accounts of the node', async () => {
+        await expect(caver.rpc.klay.sign(sender.address, '0x1234')).to.be.rejectedWith(
+            'The method klay_sign is not supported since the devnet does not manage the accounts.'
+        )
+        await expect(
+            caver.rpc.klay.sendTransaction({ type: 'VALUE_TRANSFER', from: sender.address, to: receiver.address, value: 1, gas: 50000 })
+        ).to.be.rejectedWith('The method klay_sendTransaction is not supported')
+        await expect(caver.rpc.klay.getCypressCredit()).to.be.rejectedWith('available only on the Cypress network')
+    })
+
+    it('CAVERJS-UNIT-ETC-330: should deploy and execute the smart contracts with the EVM', async () => {
+        caver.wallet.add(sender)
+        const kip7 = await caver.kct.kip7.deploy({ name: 'Devnet', symbol: 'DEV', decimals: 18, initialSupply: '1000' }, sender.address)
+        const tokenAddress = kip7.options.address
+
+        expect(await caver.rpc.klay.isContractAccount(tokenAddress)).to.be.true
+        expect(await caver.rpc.klay.isContractAccount(sender.address)).to.be.false
+        expect((await caver.rpc.klay.getCode(tokenAddress)).length).to.be.above(2)
+        const account = await caver.rpc.klay.getAccount(tokenAddress)
+        expect(account.accType).to.equal(2)
+        expect(account.account.key).to.deep.equal({ keyType: 3, key: {} })
+        // the total supply is stored at the slot 3
+        expect(await caver.rpc.klay.getStorageAt(tokenAddress, 3)).to.equal(caver.utils.padLeft('0x3e8', 64))
+        expect(await kip7.symbol()).to.equal('DEV')
+
+        const notifications = []
+        const subscription = kip7.events.Transfer({ filter: { to: receiver.address } }).on('data', event => notifications.push(event))
+        const filter = await caver.rpc.klay.newFilter({ address: tokenAddress })
+
+        const receipt = await kip7.transfer(receiver.address, 10, { from: sender.address })
+        expect(receipt.status).to.be.true
+        expect(receipt.events.Transfer.returnValues.value).to.equal('10')
+        expect((await kip7.balanceOf(receiver.address)).toString()).to.equal('10')
+        expect(notifications.length).to.equal(1)
+        expect(notifications[0].transactionHash).to.equal(receipt.transactionHash)
+        subscription.unsubscribe()
+
+        const changes = await caver.rpc.klay.getFilterChanges(filter)
+        expect(changes.length).to.equal(1)
+        expect(changes[0].transactionHash).to.equal(receipt.transactionHash)
+        const events = await kip7.getPastEvents('Transfer', { fromBlock: 0, toBlock: 'latest' })
+        expect(events.map(event => event.returnValues.value)).to.deep.equal(['1000', '10'])
+        const logs = await caver.rpc.klay.getLogs({
+            fromBlock: 0,
+            address: tokenAddress,
+            topics: [null, null, caver.abi.encodeParameter('address', receiver.address)],
+        })
+        expect(logs.length).to.equal(1)
+        expect((await caver.rpc.klay.getBlockByNumber(receipt.blockNumber)).logsBloom).to.equal(receipt.logsBloom)
+
+        // the reverted execution returns the revert data, and it is mined with the status 0x0 when it is sent
+        const transferTooMuch = kip7.methods.transfer(receiver.address, 10000).encodeABI()
+        const rejected = await caver.rpc.klay.call({ from: sender.address, to: tokenAddress, data: transferTooMuch }).catch(e => e)
+        expect(rejected.message).to.include('evm: execution reverted')
+        expect(caver.abi.decodeRevertData(rejected.data).reason).to.equal('SafeMath: subtraction overflow')
+        await expect(kip7.transfer(receiver.address, 10000, { from: sender.address })).to.be.rejectedWith('evm: execution reverted')
+        await expect(kip7.transfer(receiver.address, 10000, { from: sender.address, gas: 100000 })).to.be.rejectedWith(
+            'SafeMath: subtraction overflow'
+        )
+
+        const execution = new caver.transaction.smartContractExecution({
+            from: sender.address,
+            to: tokenAddress,
+            input: transferTooMuch,
+            gas: 100000,
+            gasPrice,
+            nonce: await caver.rpc.klay.getTransactionCount(sender.address),
+            chainId: 2019,
+        })
+        await caver.wallet.sign(sender.address, execution)
+        const balance = caver.utils.toBN(await caver.rpc.klay.getBalance(sender.address))
+        const error = await caver.rpc.klay.sendRawTransaction(execution).catch(e => e)
+        expect(error.message).to.include('SafeMath: subtraction overflow')
+        expect(error.receipt.status).to.equal('0x0')
+        expect(error.receipt.txError).to.equal('0x9')
+        const fee = caver.utils.toBN(error.receipt.gasUsed).mul(caver.utils.toBN(gasPrice))
+        expect(caver.utils.toBN(await caver.rpc.klay.getBalance(sender.address)).toString()).to.equal(balance.sub(fee).toString())
+        expect(await caver.rpc.klay.getTransactionCount(sender.address)).to.equal(
+            caver.utils.numberToHex(caver.utils.hexToNumber(execution.nonce) + 1)
+        )
+        expect((await kip7.balanceOf(receiver.address)).toString()).to.equal('10')
+
+        // the smart contract execution to the account which is not a contract is rejected
+        const toAccount = new caver.transaction.smartContractExecution({
+            from: sender.address,
+            to: receiver.address,
+            input: transferTooMuch,
+            gas: 100000,
+            gasPrice,
+            nonce: caver.utils.hexToNumber(execution.nonce) + 1,
+            chainId: 2019,
+        })
+        await caver.wallet.sign(sender.address, toAccount)
+        await expect(sendRaw(devnet, toAccount.getRLPEncoding())).to.be.rejectedWith('not a program account')
+    })
+})
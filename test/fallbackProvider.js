@@ -0,0 +1,220 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const { expect } = require('./extendedChai')
+
+const Caver = require('../index.js')
+
+const FallbackProvider = Caver.providers.FallbackProvider
+
+// A provider which answers with the `handler`, or fails with a connection error when `down` is set.
+function fakeProvider(name, handler) {
+    const provider = {
+        name,
+        down: false,
+        requests: [],
+        send(payload, callback) {
+            provider.requests.push(payload)
+            if (provider.down) return setTimeout(() => callback(new Error(`CONNECTION ERROR: Couldn't connect to node ${name}.`)))
+            const result = handler ? handler(payload) : name
+            setTimeout(() => callback(null, { jsonrpc: '2.0', id: payload.id, result }))
+        },
+    }
+    return provider
+}
+
+function send(provider, method, params = []) {
+    return new Promise((resolve, reject) => {
+        provider.send({ jsonrpc: '2.0', id: 1, method, params }, (err, result) => (err ? reject(err) : resolve(result)))
+    })
+}
+
+const txHash = '0xe9a11d9ef95fb437f75d07ce768d43e74f158dd54b106e7d3746ce29d545b550'
+
+describe('FallbackProvider', () => {
+    it('CAVERJS-UNIT-ETC-282: should select the providers by the priority or in a round-robin manner', async () => {
+        const a = fakeProvider('a')
+        const b = fakeProvider('b')
+
+        const byPriority = new FallbackProvider([{ provider: a, priority: 2 }, { provider: b, priority: 1 }], { healthCheckInterval: 0 })
+        expect((await send(byPriority, 'klay_blockNumber')).result).to.equal('b')
+        expect((await send(byPriority, 'klay_blockNumber')).result).to.equal('b')
+
+        const roundRobin = new FallbackProvider([a, b], { strategy: 'roundRobin', healthCheckInterval: 0 })
+        const results = []
+        for (let i = 0; i < 4; i++) results.push((await send(roundRobin, 'klay_blockNumber')).result)
+        expect(results).to.deep.equal(['a', 'b', 'a', 'b'])
+
+        expect(() => new FallbackProvider([])).to.throw('FallbackProvider needs at least one provider.')
+        expect(() => new FallbackProvider([a], { strategy: 'random' })).to.throw('Invalid strategy: random.')
+    })
+
+    it('CAVERJS-UNIT-ETC-283: should fail over to the next provider on connection errors only', async () => {
+        const a = fakeProvider('a', () => ({ error: 'not used' }))
+        const b = fakeProvider('b')
+        const provider = new FallbackProvider([a, b], { healthCheckInterval: 0 })
+
+        a.down = true
+        const failovers = []
+        provider.on('failover', event => failovers.push(event))
+
+        expect((await send(provider, 'klay_blockNumber')).result).to.equal('b')
+        expect(failovers.length).to.equal(1)
+        expect(failovers[0].from).to.equal(a)
+        expect(failovers[0].to).to.equal(b)
+        expect(provider.getStatus()[0].healthy).to.be.false
+
+        // Unhealthy providers are tried last.
+        a.down = false
+        expect((await send(provider, 'klay_blockNumber')).result).to.equal('b')
+
+        // Error responses of the node are not retried with another provider.
+        const c = {
+            send: (payload, callback) =>
+                callback(null, { jsonrpc: '2.0', id: payload.id, error: { code: -32000, message: 'nonce too low' } }),
+        }
+        const d = fakeProvider('d')
+        const noRetry = new FallbackProvider([c, d], { healthCheckInterval: 0 })
+        expect((await send(noRetry, 'klay_sendRawTransaction', ['0x01'])).error.message).to.equal('nonce too low')
+        expect(d.requests.length).to.equal(0)
+    })
+
+    it('CAVERJS-UNIT-ETC-284: should return the connection error when the retries are exhausted', async () => {
+        const a = fakeProvider('a')
+        const b = fakeProvider('b')
+        const c = fakeProvider('c')
+        a.down = true
+        b.down = true
+        c.down = true
+
+        const provider = new FallbackProvider([a, b, c], { retry: 1, healthCheckInterval: 0 })
+        await expect(send(provider, 'klay_blockNumber')).to.be.rejectedWith("Couldn't connect to node b.")
+        expect(a.requests.length).to.equal(1)
+        expect(b.requests.length).to.equal(1)
+        expect(c.requests.length).to.equal(0)
+    })
+
+    it('CAVERJS-UNIT-ETC-285: should poll the receipt of the sent transaction from the provider which received it', async () => {
+        const handler = name => payload => {
+            if (payload.method === 'klay_sendRawTransaction') return txHash
+            if (payload.method === 'klay_getTransactionReceipt') return name === 'a' ? { transactionHash: txHash } : null
+            return name
+        }
+        const a = fakeProvider('a', handler('a'))
+        const b = fakeProvider('b', handler('b'))
+        const provider = new FallbackProvider([a, b], { strategy: 'roundRobin', healthCheckInterval: 0 })
+
+        expect((await send(provider, 'klay_sendRawTransaction', ['0x01'])).result).to.equal(txHash)
+        expect(a.requests.length).to.equal(1)
+
+        for (let i = 0; i < 3; i++) {
+            expect((await send(provider, 'klay_getTransactionByHash', [txHash.toUpperCase().replace('0X', '0x')])).result).to.equal('a')
+        }
+        expect((await send(provider, 'klay_getTransactionReceipt', [txHash])).result.transactionHash).to.equal(txHash)
+        expect(b.requests.length).to.equal(0)
+
+        // The routing is released once the receipt is returned.
+        await send(provider, 'klay_getTransactionReceipt', [txHash])
+        await send(provider, 'klay_getTransactionReceipt', [txHash])
+        expect(b.requests.length).to.equal(1)
+
+        // The routing expires after the stickyTimeout.
+        const expiring = new FallbackProvider([a, b], { strategy: 'roundRobin', stickyTimeout: 0, healthCheckInterval: 0 })
+        await send(expiring, 'klay_sendRawTransaction', ['0x01'])
+        await new Promise(resolve => setTimeout(resolve, 5))
+        const before = b.requests.length
+        await send(expiring, 'klay_getTransactionReceipt', [txHash])
+        expect(b.requests.length).to.equal(before + 1)
+    })
+
+    it('CAVERJS-UNIT-ETC-321: should restore the health of the provider after a successful request', async () => {
+        const a = fakeProvider('a')
+        const b = fakeProvider('b')
+        const provider = new FallbackProvider([a, b], { healthCheckInterval: 0 })
+
+        a.down = true
+        expect((await send(provider, 'klay_blockNumber')).result).to.equal('b')
+        expect(provider.getStatus()[0].healthy).to.be.false
+
+        // The unhealthy provider is used when the healthy one fails, and it becomes healthy again.
+        a.down = false
+        b.down = true
+        expect((await send(provider, 'klay_blockNumber')).result).to.equal('a')
+        expect(provider.getStatus()[0].healthy).to.be.true
+        expect(provider.getStatus()[0].lastError).to.be.undefined
+        expect(provider.getStatus()[1].healthy).to.be.false
+
+        // The provider marked as unhealthy by the health check is not restored by a request.
+        const c = fakeProvider('c', () => '0x64')
+        const d = fakeProvider('d', () => '0x1')
+        const lagging = new FallbackProvider([c, d], { healthCheckInterval: 0 })
+        await lagging.checkHealth()
+        expect(lagging.getStatus()[1].healthy).to.be.false
+        c.down = true
+        expect((await send(lagging, 'klay_blockNumber')).result).to.equal('0x1')
+        expect(lagging.getStatus()[1].healthy).to.be.false
+    })
+
+    it('CAVERJS-UNIT-ETC-286: checkHealth should mark the lagging, slow or unreachable providers as unhealthy', async () => {
+        const blockNumber = n => payload => (payload.method === 'klay_blockNumber' ? `0x${n.toString(16)}` : n)
+        const a = fakeProvider('a', blockNumber(100))
+        const b = fakeProvider('b', blockNumber(110))
+        const c = fakeProvider('c', blockNumber(108))
+        const d = fakeProvider('d', blockNumber(110))
+        const slow = {
+            send: (payload, callback) => setTimeout(() => callback(null, { jsonrpc: '2.0', id: payload.id, result: '0x6e' }), 50),
+        }
+        const silent = { send: () => {} }
+        d.down = true
+
+        const provider = new FallbackProvider([a, b, c, d, slow, silent], {
+            maxBlockLag: 5,
+            maxLatency: 30,
+            healthCheckTimeout: 100,
+            healthCheckInterval: 0,
+        })
+        let emitted
+        provider.on('health', status => {
+            emitted = status
+        })
+
+        const status = await provider.checkHealth()
+        expect(emitted).to.equal(status)
+        expect(status.map(s => s.healthy)).to.deep.equal([false, true, true, false, false, false])
+        expect(status.map(s => s.blockNumber)).to.deep.equal([100, 110, 108, undefined, 110, undefined])
+        expect(status[3].lastError.message).to.include("Couldn't connect to node d.")
+        expect(status[5].lastError.message).to.include('CONNECTION TIMEOUT: timeout of 100ms')
+
+        // The lagging provider of the highest priority is skipped.
+        expect((await send(provider, 'klay_chainID')).result).to.equal(110)
+    })
+
+    it('CAVERJS-UNIT-ETC-287: should be used by Caver when an array of providers is given', async () => {
+        const a = fakeProvider('a')
+        const b = fakeProvider('b', () => '0x10')
+        a.down = true
+
+        const caver = new Caver([a, b])
+        expect(caver.currentProvider).to.be.instanceOf(FallbackProvider)
+        expect(caver.currentProvider.supportsSubscriptions()).to.be.false
+        caver.currentProvider.disconnect()
+
+        expect(await caver.rpc.klay.getBlockNumber()).to.equal('0x10')
+        expect(b.requests.length).to.equal(1)
+    })
+})
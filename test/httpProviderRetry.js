@@ -0,0 +1,153 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const nock = require('nock')
+const { expect } = require('./extendedChai')
+
+const Caver = require('../index.js')
+
+const HttpProvider = Caver.providers.HttpProvider
+
+const host = 'http://retry.test:8551'
+const rawTransaction =
+    '0xf8668204d219830f4240947b65b75d204abed71587c9e519a89277766ee1d00a843132333425a0b0fd0d7f8f01163ce54a4c91fbc8be7c19b4d79d8155d6ce5ba6b4ecd5d6e264a076c9a7a0c0bb7a1b6a3f6d28b79fc1c3b5ae1c7db2c9b01d7c1a2a3e9c5b9c20'
+const transactionHash = Caver.utils.sha3(rawTransaction)
+
+function send(provider, method, params = []) {
+    return new Promise((resolve, reject) => {
+        provider.send({ jsonrpc: '2.0', id: 1, method, params }, (err, result) => (err ? reject(err) : resolve(result)))
+    })
+}
+
+function byMethod(method) {
+    return body => body.method === method
+}
+
+function reply(result) {
+    return (uri, body) => ({ jsonrpc: '2.0', id: body.id, result })
+}
+
+describe('HttpProvider retry and rate limit', () => {
+    afterEach(() => {
+        nock.cleanAll()
+    })
+
+    it('CAVERJS-UNIT-ETC-288: should retry the request rejected with 429 or 5xx', async () => {
+        nock(host)
+            .post('/')
+            .reply(429, 'Too Many Requests', { 'Retry-After': '0' })
+            .post('/')
+            .reply(503, 'Service Unavailable')
+            .post('/')
+            .reply(200, reply('0x10'))
+
+        const provider = new HttpProvider(host, { retry: { retries: 2, baseDelay: 1 } })
+        expect((await send(provider, 'klay_blockNumber')).result).to.equal('0x10')
+        expect(nock.isDone()).to.be.true
+    })
+
+    it('CAVERJS-UNIT-ETC-289: should not retry without the retry option or after the retries are exhausted', async () => {
+        nock(host)
+            .post('/')
+            .reply(503, 'Service Unavailable')
+        await expect(send(new HttpProvider(host), 'klay_blockNumber')).to.be.rejectedWith('Service Unavailable')
+
+        nock(host)
+            .post('/')
+            .times(2)
+            .reply(503, 'Service Unavailable')
+            .post('/')
+            .reply(200, reply('0x10'))
+        const provider = new HttpProvider(host, { retry: { retries: 1, baseDelay: 1 } })
+        await expect(send(provider, 'klay_blockNumber')).to.be.rejectedWith('Service Unavailable')
+        expect(nock.pendingMocks().length).to.equal(1)
+
+        // The backoff doubles and is capped by maxDelay.
+        const backoff = new HttpProvider(host, { retry: { baseDelay: 100, maxDelay: 300, jitter: false } })
+        expect([0, 1, 2, 3].map(attempt => backoff._backoff(attempt))).to.deep.equal([100, 200, 300, 300])
+        const jitter = new HttpProvider(host, { retry: { baseDelay: 100 } })
+        for (let i = 0; i < 10; i++) expect(jitter._backoff(1)).to.be.within(100, 200)
+    })
+
+    it('CAVERJS-UNIT-ETC-290: should check the transaction hash before sending klay_sendRawTransaction again', async () => {
+        // The node has received the transaction before the connection failed.
+        nock(host)
+            .post('/', byMethod('klay_sendRawTransaction'))
+            .reply(502, 'Bad Gateway')
+            .post('/', byMethod('klay_getTransactionByHash'))
+            .reply(200, reply({ hash: transactionHash }))
+
+        const provider = new HttpProvider(host, { retry: { retries: 3, baseDelay: 1 } })
+        expect((await send(provider, 'klay_sendRawTransaction', [rawTransaction])).result).to.equal(transactionHash)
+        expect(nock.isDone()).to.be.true
+
+        // The node does not know the transaction.
+        nock(host)
+            .post('/', byMethod('klay_sendRawTransaction'))
+            .reply(502, 'Bad Gateway')
+            .post('/', byMethod('klay_getTransactionByHash'))
+            .reply(200, reply(null))
+            .post('/', byMethod('klay_sendRawTransaction'))
+            .reply(200, reply(transactionHash))
+
+        expect((await send(provider, 'klay_sendRawTransaction', [rawTransaction])).result).to.equal(transactionHash)
+        expect(nock.isDone()).to.be.true
+    })
+
+    it('CAVERJS-UNIT-ETC-291: should retry klay_sendTransaction only when the request is rejected with 429', async () => {
+        nock(host)
+            .post('/')
+            .reply(500, 'Internal Server Error')
+            .post('/')
+            .reply(200, reply(transactionHash))
+
+        const provider = new HttpProvider(host, { retry: { retries: 3, baseDelay: 1 } })
+        await expect(send(provider, 'klay_sendTransaction', [{}])).to.be.rejectedWith('Internal Server Error')
+
+        nock.cleanAll()
+        nock(host)
+            .post('/')
+            .reply(429, 'Too Many Requests')
+            .post('/')
+            .reply(200, reply(transactionHash))
+        expect((await send(provider, 'klay_sendTransaction', [{}])).result).to.equal(transactionHash)
+    })
+
+    it('CAVERJS-UNIT-ETC-292: should limit the rate and the concurrency of the requests', async () => {
+        let pending = 0
+        let maxPending = 0
+        nock(host)
+            .post('/')
+            .times(4)
+            .delay(20)
+            .reply(200, (uri, body) => {
+                maxPending = Math.max(maxPending, ++pending)
+                setTimeout(() => pending--, 20)
+                return { jsonrpc: '2.0', id: body.id, result: '0x1' }
+            })
+
+        const limited = new HttpProvider(host, { rateLimit: { requestsPerSecond: 20, burst: 2 }, maxConcurrency: 1 })
+        const startedAt = Date.now()
+        await Promise.all([0, 1, 2, 3].map(() => send(limited, 'klay_blockNumber')))
+        // Two requests are sent with the burst, and the others wait for the tokens (50ms each).
+        expect(Date.now() - startedAt).to.be.at.least(90)
+        expect(maxPending).to.equal(1)
+
+        expect(() => new HttpProvider(host, { rateLimit: { requestsPerSecond: 0 } })).to.throw('Invalid rateLimit.requestsPerSecond: 0')
+    })
+})
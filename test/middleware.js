@@ -0,0 +1,600 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const EventEmitter = require('eventemitter3')
+const { expect } = require('./extendedChai')
+
+const Caver = require('../index.js')
+
+// A provider which answers `klay_blockNumber` with `0x10` and echoes the method for the others.
+class FakeProvider extends EventEmitter {
+    constructor() {
+        super()
+        this.payloads = []
+        this.error = undefined
+    }
+
+    send(payload, callback) {
+        this.payloads.push(payload)
+        if (this.error) return setTimeout(() => callback(this.error))
+        const respond = p => ({ jsonrpc: '2.0', id: p.id, result: p.method === 'klay_blockNumber' ? '0x10' : p.method })
+        setTimeout(() => callback(null, Array.isArray(payload) ? payload.map(respond) : respond(payload)))
+    }
+
+    supportsSubscriptions() {
+        return true
+    }
+}
+
+describe('Middleware', () => {
+    it('CAVERJS-UNIT-ETC-299: should be applied only to the instance it is registered to', async () => {
+        const caver1 = new Caver(new FakeProvider())
+        const caver2 = new Caver(new FakeProvider())
+
+        const handled = []
+        caver1.use((data, next) => {
+            handled.push(data.type)
+            next()
+        })
+
+        expect(caver1.middleware.getMiddlewares().length).to.equal(1)
+        expect(caver2.middleware.getMiddlewares().length).to.equal(0)
+        expect(caver1.middleware.builtin.rpcFilter).to.be.a('function')
+
+        await caver2.rpc.klay.getBlockNumber()
+        expect(handled).to.deep.equal([])
+        await caver1.rpc.klay.getBlockNumber()
+        expect(handled).to.deep.equal(['request', 'response'])
+    })
+
+    it('CAVERJS-UNIT-ETC-300: should run async middleware which rewrites the requests and the responses', async () => {
+        const provider = new FakeProvider()
+        const caver = new Caver(provider)
+
+        const responses = []
+        caver.use(async (data, next) => {
+            await new Promise(resolve => setTimeout(resolve, 5))
+            if (data.type === 'request' && data.method === 'klay_gasPrice') data.method = 'klay_blockNumber'
+            if (data.type === 'response') responses.push({ id: data.id, method: data.method, result: data.result })
+            next(data)
+        })
+        caver.use((data, next) => {
+            if (data.type === 'response' && data.method === 'klay_gasPrice') return next(Object.assign({}, data, { result: '0x5d21dba00' }))
+            next()
+        })
+
+        expect(await caver.rpc.klay.getGasPrice()).to.equal('0x5d21dba00')
+        expect(provider.payloads[0].method).to.equal('klay_blockNumber')
+        expect(provider.payloads[0].type).to.be.undefined
+        expect(responses).to.deep.equal([{ id: provider.payloads[0].id, method: 'klay_gasPrice', result: '0x10' }])
+    })
+
+    it('CAVERJS-UNIT-ETC-301: should return a response without sending the request or reject it', async () => {
+        const provider = new FakeProvider()
+        const caver = new Caver(provider)
+
+        const handled = []
+        caver.use((data, next) => {
+            if (data.type === 'request' && data.method === 'klay_chainID') return next({ type: 'response', result: '0x3e9' })
+            if (data.type === 'request' && data.method === 'klay_gasPrice') throw new Error('klay_gasPrice is blocked')
+            if (data.type === 'request' && data.method === 'klay_protocolVersion') return Promise.reject(new Error('rejected'))
+            if (data.type === 'response' && data.method === 'klay_blockNumber') return next(new Error('response is rejected'))
+            handled.push(`${data.type}:${data.method}`)
+            next()
+        })
+
+        expect(await caver.rpc.klay.getChainId()).to.equal('0x3e9')
+        expect(provider.payloads.length).to.equal(0)
+        expect(handled).to.deep.equal(['response:klay_chainID'])
+
+        await expect(caver.rpc.klay.getGasPrice()).to.be.rejectedWith('klay_gasPrice is blocked')
+        await expect(caver.rpc.klay.getProtocolVersion()).to.be.rejectedWith('rejected')
+        await expect(caver.rpc.klay.getBlockNumber()).to.be.rejectedWith('response is rejected')
+        expect(provider.payloads.length).to.equal(1)
+
+        // The connection error is passed to the middleware with the response.
+        provider.error = new Error('CONNECTION ERROR')
+        await expect(caver.rpc.klay.getClientVersion()).to.be.rejectedWith('CONNECTION ERROR')
+        expect(handled).to.include('response:klay_clientVersion')
+    })
+
+    it('CAVERJS-UNIT-ETC-302: should handle each request of a batch request', async () => {
+        const provider = new FakeProvider()
+        const caver = new Caver(provider)
+
+        const handled = []
+        caver.use((data, next) => {
+            handled.push(`${data.type}:${data.method}`)
+            if (data.type === 'request' && data.method === 'klay_chainID') return next({ type: 'response', result: '0x3e9' })
+            next()
+        })
+
+        const results = await new Promise(resolve => {
+            const batch = new caver.BatchRequest()
+            const collected = []
+            const add = (method, index) =>
+                batch.add(
+                    method.request((err, result) => {
+                        collected[index] = result
+                        if (collected.filter(r => r !== undefined).length === 3) resolve(collected)
+                    })
+                )
+            add(caver.rpc.klay.getBlockNumber, 0)
+            add(caver.rpc.klay.getChainId, 1)
+            add(caver.rpc.klay.getGasPrice, 2)
+            batch.execute()
+        })
+
+        expect(results).to.deep.equal(['0x10', '0x3e9', 'klay_gasPrice'])
+        expect(provider.payloads.length).to.equal(1)
+        expect(provider.payloads[0].map(p => p.method)).to.deep.equal(['klay_blockNumber', 'klay_gasPrice'])
+        expect(handled.filter(h => h.startsWith('response')).length).to.equal(3)
+
+        // The automatic batching works with middleware.
+        caver.setAutoBatch(true)
+        expect(await Promise.all([caver.rpc.klay.getBlockNumber(), caver.rpc.klay.getChainId()])).to.deep.equal(['0x10', '0x3e9'])
+        expect(provider.payloads.length).to.equal(2)
+        expect(provider.payloads[1].map(p => p.method)).to.deep.equal(['klay_blockNumber'])
+    })
+
+    it('CAVERJS-UNIT-ETC-322: should not leave an unhandled rejection when the request fails', async () => {
+        const provider = new FakeProvider()
+        provider.error = new Error('CONNECTION ERROR')
+        const caver = new Caver(provider)
+        caver.use((data, next) => next())
+
+        const unhandled = []
+        const onUnhandled = reason => unhandled.push(reason)
+        process.on('unhandledRejection', onUnhandled)
+        try {
+            await expect(caver.rpc.klay.getBlockNumber()).to.be.rejectedWith('CONNECTION ERROR')
+            await expect(
+                new Promise((resolve, reject) => caver.rpc.klay.getGasPrice((err, result) => (err ? reject(err) : resolve(result))))
+            ).to.be.rejectedWith('CONNECTION ERROR')
+            await new Promise(resolve => setTimeout(resolve, 20))
+        } finally {
+            process.removeListener('unhandledRejection', onUnhandled)
+        }
+        expect(unhandled).to.deep.equal([])
+    })
+
+    it('CAVERJS-UNIT-ETC-323: should reject only the request dropped by the middleware', async () => {
+        const provider = new FakeProvider()
+        const caver = new Caver(provider)
+        caver.use(caver.middleware.builtin.rpcFilter(['klay_gasPrice'], 'exclude'))
+
+        await expect(caver.rpc.klay.getGasPrice()).to.be.rejectedWith('The request of klay_gasPrice was dropped by rpcFilter.')
+        expect(provider.payloads.length).to.equal(0)
+
+        caver.setAutoBatch(true)
+        const results = await Promise.all([
+            caver.rpc.klay.getBlockNumber(),
+            caver.rpc.klay.getGasPrice().catch(e => e.message),
+            caver.rpc.klay.getChainId(),
+        ])
+        expect(results).to.deep.equal(['0x10', 'The request of klay_gasPrice was dropped by rpcFilter.', 'klay_chainID'])
+        expect(provider.payloads.length).to.equal(1)
+        expect(provider.payloads[0].map(p => p.method)).to.deep.equal(['klay_blockNumber', 'klay_chainID'])
+
+        // The explicit batch request fails as a whole.
+        const batchError = await new Promise(resolve => {
+            caver._requestManager.sendBatch([{ method: 'klay_blockNumber', params: [] }, { method: 'klay_gasPrice', params: [] }], err =>
+                resolve(err)
+            )
+        })
+        expect(batchError.message).to.equal('The request of klay_gasPrice was dropped by rpcFilter.')
+    })
+
+    it('CAVERJS-UNIT-ETC-328: should run the calls of the contracts created by the Caver instance through its middleware', async () => {
+        const provider = new FakeProvider()
+        const caver = new Caver(provider)
+
+        const calls = []
+        let result
+        caver.use((data, next) => {
+            if (data.type === 'request' && data.method === 'klay_call') {
+                calls.push(data.params[0].to)
+                return next({ type: 'response', result })
+            }
+            next()
+        })
+
+        const address = '0x7b65b75d204abed71587c9e519a89277766ee1d0'
+        const contract = new caver.contract(
+            [{ constant: true, inputs: [], name: 'count', outputs: [{ name: '', type: 'uint256' }], type: 'function' }],
+            address
+        )
+        expect(contract._requestManager).to.equal(caver._requestManager)
+        result = caver.abi.encodeParameter('uint256', 42)
+        expect(await contract.methods.count().call()).to.equal('42')
+
+        const kip7 = new caver.kct.kip7(address)
+        result = caver.abi.encodeParameter('string', 'TOKEN')
+        expect(await kip7.symbol()).to.equal('TOKEN')
+
+        expect(calls).to.deep.equal([address, address])
+        expect(provider.payloads.length).to.equal(0)
+    })
+
+    it('CAVERJS-UNIT-ETC-327: should wait for the middleware which calls next later and never send the rejected request', async () => {
+        const provider = new FakeProvider()
+        const caver = new Caver(provider)
+
+        const later = []
+        caver.use((data, next) => {
+            if (data.method === 'klay_blockNumber') return setTimeout(next, 10)
+            if (data.method === 'klay_gasPrice') return later.push(next)
+            if (data.method === 'klay_chainID') {
+                setTimeout(next, 5)
+                throw new Error('klay_chainID is rejected')
+            }
+            if (data.method === 'klay_clientVersion') return Promise.resolve()
+            next()
+        })
+
+        // The middleware which does not return a promise can call next later.
+        expect(await caver.rpc.klay.getBlockNumber()).to.equal('0x10')
+
+        // The request which is rejected is not sent when next is called later.
+        await expect(caver.rpc.klay.getChainId()).to.be.rejectedWith('klay_chainID is rejected')
+        await expect(caver.rpc.klay.getClientVersion()).to.be.rejectedWith(
+            'The request of klay_clientVersion was dropped by the middleware.'
+        )
+
+        caver.middleware.setTimeout(20)
+        await expect(caver.rpc.klay.getGasPrice()).to.be.rejectedWith('The request of klay_gasPrice was dropped by the middleware.')
+        later.forEach(next => next())
+        await new Promise(resolve => setTimeout(resolve, 20))
+        expect(provider.payloads.map(p => p.method)).to.deep.equal(['klay_blockNumber'])
+
+        expect(() => caver.middleware.setTimeout(0)).to.throw('Invalid timeout: 0')
+        caver.middleware.setTimeout(undefined)
+        expect(caver.middleware.timeout).to.be.undefined
+    })
+
+    it('CAVERJS-UNIT-ETC-303: should handle the subscription notifications', async () => {
+        const provider = new FakeProvider()
+        provider.send = (payload, callback) => setTimeout(() => callback(null, { jsonrpc: '2.0', id: payload.id, result: '0x1' }))
+        const caver = new Caver(provider)
+
+        caver.use((data, next) => {
+            if (data.type !== 'notification') return next()
+            // drop the headers of the even blocks and rewrite the others
+            if (Number(data.params.result.number) % 2 === 0) return
+            next(Object.assign({}, data, { params: { subscription: data.params.subscription, result: { number: 'odd' } } }))
+        })
+
+        const headers = []
+        caver.rpc.klay.subscribe('newBlockHeaders', (err, header) => headers.push(header.number))
+        await new Promise(resolve => setTimeout(resolve, 5))
+
+        for (let i = 1; i <= 3; i++) {
+            provider.emit('data', {
+                jsonrpc: '2.0',
+                method: 'klay_subscription',
+                params: { subscription: '0x1', result: { number: `0x${i}` } },
+            })
+        }
+        await new Promise(resolve => setTimeout(resolve, 5))
+        expect(headers).to.deep.equal(['odd', 'odd'])
+    })
+})
+
+describe('cache middleware', () => {
+    const blockHash = '0x4584bea6b8b2abe7f024d1e63dd0571cfd28cd5157b4f6cb2ac4160a7b0057e0'
+    const txHash = '0xe9a11d9ef95fb437f75d07ce768d43e74f158dd54b106e7d3746ce29d545b550'
+
+    function cachingCaver(handler, options) {
+        const provider = new FakeProvider()
+        provider.send = (payload, callback) => {
+            provider.payloads.push(payload)
+            const response = Object.assign({ jsonrpc: '2.0', id: payload.id }, handler(payload))
+            setTimeout(() => callback(null, response))
+        }
+        const caver = new Caver(provider)
+        const cache = caver.middleware.builtin.cache(options)
+        caver.use(cache)
+        return { caver, cache, provider }
+    }
+
+    it('CAVERJS-UNIT-ETC-304: should return the cached results of the requests at a fixed block', async () => {
+        const { caver, cache, provider } = cachingCaver(payload => ({
+            result: { hash: blockHash, number: '0x10', method: payload.method },
+        }))
+
+        const first = await caver.rpc.klay.getBlockByNumber(16)
+        const second = await caver.rpc.klay.getBlockByNumber(16)
+        expect(second).to.deep.equal(first)
+        await caver.rpc.klay.getBlockByHash(blockHash)
+        await caver.rpc.klay.getBlockByHash(blockHash.toUpperCase().replace('0X', '0x'))
+        await caver.rpc.klay.getChainId()
+        await caver.rpc.klay.getChainId()
+        expect(provider.payloads.length).to.equal(3)
+        expect(cache.metrics).to.deep.equal({ hits: 3, misses: 3 })
+
+        // `latest` and `pending` are not cached.
+        await caver.rpc.klay.getBlockByNumber('latest')
+        await caver.rpc.klay.getBlockByNumber('latest')
+        await caver.rpc.klay.getBalance('0x2c8ad0ea2e0781db8b8c9242e07de3a5beabb71a', 'pending')
+        await caver.rpc.klay.getBalance('0x2c8ad0ea2e0781db8b8c9242e07de3a5beabb71a', 'pending')
+        await caver.rpc.klay.getBlockNumber()
+        await caver.rpc.klay.getBlockNumber()
+        expect(provider.payloads.length).to.equal(9)
+        expect(cache.metrics).to.deep.equal({ hits: 3, misses: 3 })
+
+        const { toCacheKey } = caver.middleware.builtin.cache
+        expect(toCacheKey({ method: 'klay_getCode', params: ['0x01', '0x10'] })).to.equal('klay_getCode:["0x01","0x10"]')
+        expect(toCacheKey({ method: 'klay_getCode', params: ['0x01', 'earliest'] })).not.to.be.undefined
+        expect(toCacheKey({ method: 'klay_call', params: [{ to: '0x01' }, 'latest'] })).to.be.undefined
+        expect(toCacheKey({ method: 'klay_getLogs', params: [{ fromBlock: '0x1', toBlock: '0x2' }] })).not.to.be.undefined
+        expect(toCacheKey({ method: 'klay_getLogs', params: [{ fromBlock: '0x1', toBlock: 'latest' }] })).to.be.undefined
+        expect(toCacheKey({ method: 'klay_getLogs', params: [{ blockHash }] })).not.to.be.undefined
+        expect(toCacheKey({ method: 'klay_sendRawTransaction', params: ['0x01'] })).to.be.undefined
+    })
+
+    it('CAVERJS-UNIT-ETC-305: should not cache the errors, the empty results and the pending transactions', async () => {
+        let response = { result: null }
+        const { caver, cache, provider } = cachingCaver(() => response)
+
+        expect(await caver.rpc.klay.getTransactionReceipt(txHash)).to.be.null
+        response = { error: { code: -32000, message: 'unknown' } }
+        await expect(caver.rpc.klay.getTransactionReceipt(txHash)).to.be.rejectedWith('unknown')
+        response = { result: { hash: txHash, blockNumber: null } }
+        await caver.rpc.klay.getTransactionByHash(txHash)
+        response = { result: { transactionHash: txHash, blockNumber: '0x10', logs: [] } }
+        const receipt = await caver.rpc.klay.getTransactionReceipt(txHash)
+        expect(cache.store.size).to.equal(1)
+
+        // The cached result is not changed by the caller.
+        receipt.logs.push('changed')
+        expect((await caver.rpc.klay.getTransactionReceipt(txHash)).logs).to.deep.equal([])
+        expect(provider.payloads.length).to.equal(4)
+        expect(cache.metrics).to.deep.equal({ hits: 1, misses: 4 })
+    })
+
+    it('CAVERJS-UNIT-ETC-329: should not cache the results at the blocks which are not known to be mined', async () => {
+        let blockNumber = '0x10'
+        const { caver, cache, provider } = cachingCaver(payload => {
+            if (payload.method === 'klay_blockNumber') return { result: blockNumber }
+            if (payload.method === 'klay_getLogs') return { result: [{ blockNumber }] }
+            return { result: '0x64' }
+        })
+        const address = '0x2c8ad0ea2e0781db8b8c9242e07de3a5beabb71a'
+        const getLogs = () => caver.rpc.klay.getLogs({ fromBlock: 16, toBlock: 32 })
+
+        // The logs mined so far are returned for the future toBlock.
+        await caver.rpc.klay.getBlockNumber()
+        await getLogs()
+        await caver.rpc.klay.getBalance(address, 32)
+        expect(cache.store.size).to.equal(0)
+
+        // The block is known to be mined with the newHeads notification.
+        blockNumber = '0x20'
+        provider.emit('data', {
+            jsonrpc: '2.0',
+            method: 'klay_subscription',
+            params: { subscription: '0x1', result: { number: blockNumber } },
+        })
+        await getLogs()
+        await getLogs()
+        await caver.rpc.klay.getBalance(address, 32)
+        await caver.rpc.klay.getBalance(address, 32)
+        expect(cache.store.size).to.equal(2)
+        expect(provider.payloads.length).to.equal(5)
+
+        // The logs by the block hash are cached without the block number.
+        await caver.rpc.klay.getLogs({ blockHash })
+        await caver.rpc.klay.getLogs({ blockHash })
+        expect(provider.payloads.length).to.equal(6)
+    })
+
+    it('CAVERJS-UNIT-ETC-306: should use the pluggable async store and the LRU store', async () => {
+        const map = new Map()
+        const store = {
+            get: async key => (map.has(key) ? JSON.parse(map.get(key)) : undefined),
+            set: async (key, value) => {
+                map.set(key, JSON.stringify(value))
+            },
+        }
+        const { caver, provider } = cachingCaver(() => ({ result: '0x64' }), { store })
+
+        // The block 16 is known to be mined with the block number(0x64).
+        await caver.rpc.klay.getBlockNumber()
+        expect(await caver.rpc.klay.getBalance('0x2c8ad0ea2e0781db8b8c9242e07de3a5beabb71a', 16)).to.equal('0x64')
+        expect(await caver.rpc.klay.getBalance('0x2c8ad0ea2e0781db8b8c9242e07de3a5beabb71a', 16)).to.equal('0x64')
+        expect(map.size).to.equal(1)
+        expect(provider.payloads.length).to.equal(2)
+
+        // The request is sent when the store fails.
+        store.get = async () => {
+            throw new Error('store is down')
+        }
+        expect(await caver.rpc.klay.getBalance('0x2c8ad0ea2e0781db8b8c9242e07de3a5beabb71a', 16)).to.equal('0x64')
+        expect(provider.payloads.length).to.equal(3)
+
+        const lru = new caver.middleware.builtin.cache.LRUStore(2)
+        lru.set('a', 1)
+        lru.set('b', 2)
+        lru.get('a')
+        lru.set('c', 3)
+        expect(lru.size).to.equal(2)
+        expect(lru.get('b')).to.be.undefined
+        expect(lru.get('a')).to.equal(1)
+        expect(lru.get('c')).to.equal(3)
+
+        expect(() => caver.middleware.builtin.cache({ store: {} })).to.throw('cache store must have get and set functions.')
+    })
+})
+
+describe('fileLogger middleware', () => {
+    let dir
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'caver-logs-'))
+    })
+
+    afterEach(() => {
+        fs.rmdirSync(dir, { recursive: true })
+    })
+
+    const readLines = file =>
+        fs
+            .readFileSync(file, 'utf8')
+            .split('\n')
+            .filter(line => line.length > 0)
+            .map(line => JSON.parse(line))
+
+    const closed = logger =>
+        new Promise(resolve => {
+            logger.close()
+            setTimeout(resolve, 10)
+        })
+
+    it('CAVERJS-UNIT-ETC-307: should write the requests and the responses in JSON lines with the secrets redacted', async () => {
+        const provider = new FakeProvider()
+        const caver = new Caver(provider)
+        const logger = caver.middleware.builtin.fileLogger({ path: dir, name: 'rpc' })
+        caver.use(logger)
+
+        await caver.rpc.klay.getBlockNumber()
+        // sent with the request manager not to wait for the receipt
+        await new Promise(resolve =>
+            caver._requestManager.send({ method: 'klay_sendRawTransaction', params: ['0xf8668204d219830f4240947b65b75d204abed7'] }, resolve)
+        )
+        await caver.klay.personal.unlockAccount('0x2c8ad0ea2e0781db8b8c9242e07de3a5beabb71a', 'password', 300)
+        await caver.klay.personal.importRawKey('0x45a915e4d060149eb4365960e6a7a45f334393093061116b197e3240065ff2d8', 'password')
+        provider.error = new Error('CONNECTION ERROR')
+        await expect(caver.rpc.klay.getGasPrice()).to.be.rejected
+        await closed(logger)
+
+        const lines = readLines(path.join(dir, 'rpc.log'))
+        expect(lines.length).to.equal(10)
+        expect(lines.map(l => l.type)).to.deep.equal(
+            Array(5)
+                .fill(['request', 'response'])
+                .flat()
+        )
+        lines.forEach((line, index) => {
+            if (index % 2 === 1) {
+                expect(line.id).to.equal(lines[index - 1].id)
+                expect(line.elapsed).to.be.a('number')
+            }
+        })
+
+        expect(lines[0]).to.include({ method: 'klay_blockNumber' })
+        expect(lines[1].result).to.equal('0x10')
+        expect(lines[2].params).to.deep.equal(['[REDACTED]'])
+        expect(lines[4].params).to.deep.equal(['0x2c8ad0ea2e0781db8b8c9242e07de3a5beabb71a', '[REDACTED]', 300])
+        expect(lines[6].params).to.deep.equal(['[REDACTED]', '[REDACTED]'])
+        expect(lines[9].error).to.deep.equal({ message: 'CONNECTION ERROR' })
+        expect(fs.readFileSync(path.join(dir, 'rpc.log'), 'utf8')).not.to.include('password')
+    })
+
+    it('CAVERJS-UNIT-ETC-308: should rotate the log file when it exceeds maxSize', async () => {
+        const logger = caverLogger({ path: dir, maxSize: 300, maxFiles: 2 })
+        for (let i = 0; i < 12; i++) logger({ type: 'request', id: i, method: 'klay_blockNumber', params: [] }, () => {})
+        await closed(logger)
+
+        const files = fs.readdirSync(dir).sort()
+        expect(files).to.deep.equal(['rpcLogs.1.log', 'rpcLogs.2.log', 'rpcLogs.log'])
+        files.forEach(file => expect(fs.statSync(path.join(dir, file)).size).to.be.at.most(300))
+
+        // The oldest logs are removed, and the latest logs are in the current file.
+        const ids = ['rpcLogs.2.log', 'rpcLogs.1.log', 'rpcLogs.log'].map(file => readLines(path.join(dir, file)).map(l => l.id))
+        expect(ids.flat()).to.deep.equal(ids.flat().sort((a, b) => a - b))
+        expect(ids[2][ids[2].length - 1]).to.equal(11)
+        expect(ids.flat()[0]).to.be.above(0)
+
+        function caverLogger(options) {
+            return new Caver().middleware.builtin.fileLogger(options)
+        }
+    })
+
+    it('CAVERJS-UNIT-ETC-324: should not fail the request when the log cannot be written', async () => {
+        // The log file cannot be created under a regular file.
+        fs.writeFileSync(path.join(dir, 'file'), '')
+        const notDirectory = path.join(dir, 'file', 'logs')
+
+        const provider = new FakeProvider()
+        const caver = new Caver(provider)
+        const errors = []
+        caver.use(caver.middleware.builtin.fileLogger({ path: notDirectory, onError: e => errors.push(e.code) }))
+        expect(await caver.rpc.klay.getBlockNumber()).to.equal('0x10')
+        expect(errors).to.deep.equal(['ENOTDIR', 'ENOTDIR'])
+
+        // The error thrown by onError or by the serialization of the log is ignored as well.
+        const caver2 = new Caver(new FakeProvider())
+        const logger = caver2.middleware.builtin.fileLogger({
+            path: notDirectory,
+            onError: () => {
+                throw new Error('onError failed')
+            },
+        })
+        caver2.use(logger)
+        expect(await caver2.rpc.klay.getBlockNumber()).to.equal('0x10')
+        const params = [{}]
+        params[0].self = params[0]
+        let passed = false
+        logger({ type: 'request', id: 1, method: 'klay_call', params }, () => {
+            passed = true
+        })
+        expect(passed).to.be.true
+        await closed(logger)
+    })
+})
+
+describe('metrics middleware', () => {
+    it('CAVERJS-UNIT-ETC-309: should count the requests and the errors and measure the latency of each method', async () => {
+        const provider = new FakeProvider()
+        const caver = new Caver(provider)
+        const metrics = caver.middleware.builtin.metrics({ buckets: [0.5, 0.001] })
+        caver.use(metrics)
+
+        await caver.rpc.klay.getBlockNumber()
+        await caver.rpc.klay.getBlockNumber()
+        provider.error = new Error('CONNECTION ERROR')
+        await expect(caver.rpc.klay.getBlockNumber()).to.be.rejected
+        await expect(caver.rpc.klay.getGasPrice()).to.be.rejected
+
+        const current = metrics.getMetrics()
+        expect(Object.keys(current)).to.deep.equal(['klay_blockNumber', 'klay_gasPrice'])
+        expect(current.klay_blockNumber).to.include({ requests: 3, errors: 1 })
+        expect(current.klay_blockNumber.errorRate).to.equal(1 / 3)
+        expect(current.klay_blockNumber.latency.count).to.equal(3)
+        expect(current.klay_blockNumber.latency.buckets['0.5']).to.equal(3)
+        expect(current.klay_gasPrice).to.include({ requests: 1, errors: 1, errorRate: 1 })
+
+        const text = metrics.toPrometheus()
+        expect(text).to.include('# TYPE caver_rpc_requests_total counter\n')
+        expect(text).to.include('caver_rpc_requests_total{method="klay_blockNumber"} 3\n')
+        expect(text).to.include('caver_rpc_errors_total{method="klay_gasPrice"} 1\n')
+        expect(text).to.include('# TYPE caver_rpc_request_duration_seconds histogram\n')
+        expect(text).to.include('caver_rpc_request_duration_seconds_bucket{method="klay_blockNumber",le="0.5"} 3\n')
+        expect(text).to.include('caver_rpc_request_duration_seconds_bucket{method="klay_blockNumber",le="+Inf"} 3\n')
+        expect(text).to.match(/caver_rpc_request_duration_seconds_count\{method="klay_gasPrice"\} 1\n$/)
+        // The buckets are sorted.
+        expect(text.indexOf('le="0.001"')).to.be.below(text.indexOf('le="0.5"'))
+        expect(caver.middleware.builtin.metrics.contentType).to.equal('text/plain; version=0.0.4; charset=utf-8')
+
+        metrics.reset()
+        expect(metrics.getMetrics()).to.deep.equal({})
+    })
+})
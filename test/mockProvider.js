@@ -0,0 +1,190 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const { expect } = require('./extendedChai')
+
+const Caver = require('../index.js')
+
+const MockProvider = Caver.providers.MockProvider
+
+function send(provider, payload) {
+    return new Promise((resolve, reject) => {
+        provider.send(payload, (err, result) => (err ? reject(err) : resolve(result)))
+    })
+}
+
+const address = '0x90b3e9a3770481345a7f17f22f16d020bccfd33e'
+const transferTopic = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef'
+
+describe('MockProvider', () => {
+    it('CAVERJS-UNIT-ETC-310: should answer with the scripted responses and record the requests', async () => {
+        const provider = new MockProvider()
+        const caver = new Caver(provider)
+
+        provider.mock('klay_blockNumber', '0x10')
+        provider.mockOnce('klay_blockNumber', '0x1')
+        provider.mock('klay_getBalance', params => (params[0] === address ? '0xde0b6b3a7640000' : '0x0'))
+        provider.mock('klay_getTransactionCount', '0x5', { params: [address, 'pending'] })
+
+        expect(await caver.rpc.klay.getBlockNumber()).to.equal('0x1')
+        expect(await caver.rpc.klay.getBlockNumber()).to.equal('0x10')
+        expect(await caver.rpc.klay.getBalance(address)).to.equal('0xde0b6b3a7640000')
+        expect(await caver.rpc.klay.getTransactionCount(address, 'pending')).to.equal('0x5')
+        await expect(caver.rpc.klay.getTransactionCount(address, 'latest')).to.be.rejectedWith(
+            'The method klay_getTransactionCount is not mocked.'
+        )
+
+        expect(provider.getRequests('klay_blockNumber').length).to.equal(2)
+        provider.assertRequested('klay_getBalance', [address, 'latest'])
+        provider.assertRequested('klay_blockNumber', undefined, 2)
+        provider.assertNotRequested('klay_chainID')
+        expect(() => provider.assertRequested('klay_chainID')).to.throw('Expected klay_chainID to be requested, but it was not.')
+        expect(() => provider.assertNotRequested('klay_getBalance')).to.throw(
+            'Expected klay_getBalance not to be requested, but it was requested 1 times.'
+        )
+
+        const responses = await send(provider, [
+            { jsonrpc: '2.0', id: 1, method: 'klay_blockNumber', params: [] },
+            { jsonrpc: '2.0', id: 2, method: 'klay_gasPrice', params: [] },
+        ])
+        expect(responses[0]).to.deep.equal({ jsonrpc: '2.0', id: 1, result: '0x10' })
+        expect(responses[1].error.code).to.equal(-32601)
+
+        // reset keeps the scripted responses, the recorded requests and the listeners.
+        const listeners = provider.listenerCount('data')
+        provider.reset()
+        expect(provider.listenerCount('data')).to.equal(listeners)
+        expect(provider.requests.length).to.equal(7)
+        expect(await caver.rpc.klay.getBlockNumber()).to.equal('0x10')
+
+        provider.clearRequests()
+        expect(provider.requests).to.deep.equal([])
+        provider.clearMocks()
+        await expect(caver.rpc.klay.getBlockNumber()).to.be.rejectedWith('The method klay_blockNumber is not mocked.')
+        expect(provider.requests.length).to.equal(1)
+    })
+
+    it('CAVERJS-UNIT-ETC-311: should simulate the errors, the connection failures and the latency', async () => {
+        const provider = new MockProvider({ latency: 30 })
+        const caver = new Caver(provider)
+
+        provider.mockError('klay_call', { code: -32000, message: 'evm: execution reverted' }, { times: 1 })
+        provider.mockFailure('klay_gasPrice', undefined, { times: 1 })
+        provider.mock('klay_gasPrice', () => {
+            throw new Error('unexpected')
+        })
+        provider.mock('klay_chainID', '0x2710', { latency: 0 })
+
+        await expect(caver.rpc.klay.call({ to: address })).to.be.rejectedWith('evm: execution reverted')
+        await expect(caver.rpc.klay.call({ to: address })).to.be.rejectedWith('The method klay_call is not mocked.')
+        await expect(caver.rpc.klay.getGasPrice()).to.be.rejectedWith('CONNECTION ERROR')
+        await expect(caver.rpc.klay.getGasPrice()).to.be.rejectedWith('unexpected')
+
+        let start = Date.now()
+        await caver.rpc.klay.getGasPrice().catch(() => {})
+        expect(Date.now() - start).to.be.at.least(25)
+
+        start = Date.now()
+        expect(await caver.rpc.klay.getChainId()).to.equal('0x2710')
+        expect(Date.now() - start).to.be.below(25)
+
+        expect(() => provider.mock('klay_chainID', '0x1', { times: 0 })).to.throw('Invalid times: 0')
+    })
+
+    it('CAVERJS-UNIT-ETC-312: should simulate the newHeads and the logs subscriptions', async () => {
+        const provider = new MockProvider()
+        const caver = new Caver(provider)
+
+        const heads = []
+        const headSubscription = caver.rpc.klay.subscribe('newBlockHeaders', (err, head) => heads.push(head))
+        await new Promise(resolve => headSubscription.on('connected', resolve))
+
+        const logs = []
+        const logSubscription = caver.rpc.klay.subscribe('logs', { address, topics: [transferTopic] }, (err, log) => logs.push(log))
+        await new Promise(resolve => logSubscription.on('connected', resolve))
+
+        expect(provider.emitNewHead({ number: '0x1', hash: '0x1111' })).to.equal(1)
+        const log = { address, topics: [transferTopic], data: '0x', blockNumber: '0x1', logIndex: '0x0', transactionIndex: '0x0' }
+        expect(provider.emitLog(log)).to.equal(1)
+        expect(provider.emitLog(Object.assign({}, log, { address: caver.wallet.keyring.generate().address }))).to.equal(0)
+        expect(provider.emitLog(Object.assign({}, log, { topics: ['0x1234'] }))).to.equal(0)
+
+        expect(heads.length).to.equal(1)
+        expect(heads[0].hash).to.equal('0x1111')
+        expect(logs.length).to.equal(1)
+        expect(logs[0].address.toLowerCase()).to.equal(address)
+
+        await new Promise(resolve => headSubscription.unsubscribe(resolve))
+        expect(provider.emitNewHead({ number: '0x2', hash: '0x2222' })).to.equal(0)
+        expect(heads.length).to.equal(1)
+
+        // The subscriptions work after the subscriptions are cleared, which resets the provider.
+        caver._requestManager.clearSubscriptions()
+        expect(provider.emitLog(log)).to.equal(0)
+        const newSubscription = caver.rpc.klay.subscribe('newBlockHeaders', (err, head) => heads.push(head))
+        await new Promise(resolve => newSubscription.on('connected', resolve))
+        expect(provider.emitNewHead({ number: '0x3', hash: '0x3333' })).to.equal(1)
+        expect(heads.length).to.equal(2)
+    })
+
+    it('CAVERJS-UNIT-ETC-313: should run the transaction confirmation and the KCT calls offline', async () => {
+        const provider = new MockProvider()
+        const caver = new Caver(provider)
+
+        const keyring = caver.wallet.keyring.generate()
+        const tx = new caver.transaction.valueTransfer({
+            from: keyring.address,
+            to: address,
+            value: 1,
+            gas: 25000,
+            gasPrice: '0x5d21dba00',
+            nonce: '0x0',
+            chainId: '0x2710',
+        })
+        await tx.sign(keyring)
+        const txHash = tx.getTransactionHash()
+        const receipt = {
+            transactionHash: txHash,
+            blockHash: '0x2222',
+            blockNumber: '0x2',
+            status: '0x1',
+            gas: '0x61a8',
+            gasUsed: '0x5208',
+            logs: [],
+        }
+
+        provider.mock('klay_sendRawTransaction', txHash)
+        provider.mockOnce('klay_getTransactionReceipt', null)
+        provider.mock('klay_getTransactionReceipt', receipt)
+
+        const sent = caver.rpc.klay.sendRawTransaction(tx)
+        // confirms the transaction when the next block comes
+        setTimeout(() => provider.emitNewHead({ number: '0x2', hash: '0x2222' }), 50)
+        const result = await sent
+        expect(result.transactionHash).to.equal(txHash)
+        provider.assertRequested('klay_sendRawTransaction', [tx.getRLPEncoding()])
+        provider.assertRequested('klay_getTransactionReceipt', [txHash], 2)
+
+        const kip7 = new caver.kct.kip7(address)
+        provider.mock('klay_call', caver.abi.encodeParameter('uint256', '1000'), { params: call => call[0].to === address })
+        expect((await kip7.balanceOf(keyring.address)).toString()).to.equal('1000')
+        expect(provider.getRequests('klay_call')[0].params[0].data).to.equal(
+            caver.abi.encodeFunctionCall(kip7.options.jsonInterface.find(item => item.name === 'balanceOf'), [keyring.address])
+        )
+    })
+})
@@ -0,0 +1,379 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const chai = require('chai')
+const sinon = require('sinon')
+const sinonChai = require('sinon-chai')
+const chaiAsPromised = require('chai-as-promised')
+
+chai.use(chaiAsPromised)
+chai.use(sinonChai)
+
+const expect = chai.expect
+
+const _ = require('lodash')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const testRPCURL = require('../testrpc')
+
+const Caver = require('../../index.js')
+const TransactionDecoder = require('../../packages/caver-transaction/src/transactionDecoder/transactionDecoder')
+
+const sandbox = sinon.createSandbox()
+
+let child
+let parent
+let operator
+let sentRawTransactions
+let childBlockNumber
+
+function makeBlock(number) {
+    const hash = n => `0x${n.toString(16).padStart(64, '0')}`
+    return {
+        number: `0x${number.toString(16)}`,
+        hash: hash(number + 1000),
+        transactionsRoot: hash(number + 2000),
+        parentHash: hash(number + 999),
+        receiptsRoot: hash(number + 3000),
+        stateRoot: hash(number + 4000),
+        transactions: _.range(number % 3).map(n => hash(number * 10 + n)),
+    }
+}
+
+function stubChains({ failures = 0 } = {}) {
+    childBlockNumber = 100
+    sentRawTransactions = []
+    sandbox.stub(child.rpc.klay, 'getBlockNumber').callsFake(async () => `0x${childBlockNumber.toString(16)}`)
+    sandbox.stub(child.rpc.klay, 'getBlockByNumber').callsFake(async number => makeBlock(child.utils.hexToNumber(number)))
+
+    sandbox.stub(parent.rpc.klay, 'getChainId').resolves('0x3e9')
+    sandbox.stub(parent.rpc.klay, 'getGasPrice').resolves('0x5d21dba00')
+    sandbox.stub(parent.rpc.klay, 'getTransactionCount').resolves('0x0')
+    sandbox.stub(parent.rpc.klay, 'estimateGas').resolves('0x5208')
+    sandbox.stub(parent.rpc.klay, 'getAccountKey').resolves(null)
+    sandbox.stub(parent.rpc.klay, 'getTransactionReceipt').resolves(null)
+    let remainingFailures = failures
+    sandbox.stub(parent.rpc.klay, 'sendRawTransaction').callsFake(async (rawTransaction, callback) => {
+        if (remainingFailures-- > 0) {
+            const error = new Error('Returned error: insufficient funds of the sender for value')
+            callback(error)
+            throw error
+        }
+        sentRawTransactions.push(rawTransaction)
+        const transactionHash = TransactionDecoder.decode(rawTransaction).getTransactionHash()
+        callback(null, transactionHash)
+        return { transactionHash, status: true }
+    })
+}
+
+function waitFor(emitter, event) {
+    return new Promise(resolve => emitter.once(event, resolve))
+}
+
+describe('caver.anchoring.Anchorer', () => {
+    beforeEach(() => {
+        child = new Caver(testRPCURL)
+        parent = new Caver(testRPCURL)
+        operator = parent.wallet.add(parent.wallet.keyring.generate())
+    })
+
+    afterEach(() => {
+        sandbox.restore()
+    })
+
+    it('CAVERJS-UNIT-ANCHORING-001: should throw an error with invalid options', () => {
+        expect(() => new child.anchoring.Anchorer({ parent, keyring: operator.address })).to.throw('Invalid child')
+        expect(() => new child.anchoring.Anchorer({ child, keyring: operator.address })).to.throw('Invalid parent')
+        expect(() => new child.anchoring.Anchorer({ child, parent })).to.throw('Invalid keyring')
+        expect(() => new child.anchoring.Anchorer({ child, parent, keyring: operator.address, interval: 0 })).to.throw(
+            'Invalid interval: 0. The interval should be a positive integer.'
+        )
+        expect(() => new child.anchoring.Anchorer({ child, parent, keyring: operator.address, feeRatio: 30 })).to.throw(
+            'To use feeRatio, feePayer should be defined.'
+        )
+        expect(() => new child.anchoring.Anchorer({ child, parent, keyring: operator.address, storage: {} })).to.throw('Invalid storage')
+        expect(() => new child.anchoring.Anchorer({ child, parent, keyring: operator.address, concurrency: 0 })).to.throw(
+            'Invalid concurrency: 0. The concurrency should be a positive integer.'
+        )
+    })
+
+    it('CAVERJS-UNIT-ANCHORING-002: anchor should send a chain data anchoring transaction which includes the aggregated block data', async () => {
+        stubChains()
+        const anchorer = new child.anchoring.Anchorer({ child, parent, keyring: operator.address, interval: 5 })
+        const anchoredSpy = sandbox.spy()
+        anchorer.on('anchored', anchoredSpy)
+
+        const receipt = await anchorer.anchor(1, 5)
+
+        expect(receipt.status).to.be.true
+        expect(anchorer.lastAnchoredBlock).to.equal(5)
+        expect(sentRawTransactions.length).to.equal(1)
+
+        const sent = TransactionDecoder.decode(sentRawTransactions[0])
+        expect(sent.type).to.equal('TxTypeChainDataAnchoring')
+        expect(sent.from).to.equal(operator.address)
+        expect(parent.transaction.anchoring.decode(sent)).to.deep.equal({
+            version: 1,
+            blockHash: makeBlock(5).hash,
+            txHash: makeBlock(5).transactionsRoot,
+            parentHash: makeBlock(5).parentHash,
+            receiptHash: makeBlock(5).receiptsRoot,
+            stateRootHash: makeBlock(5).stateRoot,
+            blockNumber: 5,
+            blockCount: 5,
+            txCount: 6,
+        })
+
+        expect(anchoredSpy).to.have.been.calledOnce
+        expect(anchoredSpy.args[0][0].fromBlock).to.equal(1)
+        expect(anchoredSpy.args[0][0].toBlock).to.equal(5)
+        expect(anchoredSpy.args[0][0].transactionHash).to.equal(receipt.transactionHash)
+    })
+
+    it('CAVERJS-UNIT-ANCHORING-003: anchor should send a fee delegated chain data anchoring transaction when feePayer is defined', async () => {
+        stubChains()
+        const feePayer = parent.wallet.add(parent.wallet.keyring.generate())
+        const keyring = parent.wallet.keyring.generate()
+
+        let anchorer = new child.anchoring.Anchorer({ child, parent, keyring, feePayer: feePayer.address })
+        await anchorer.anchor(1, 1)
+        let sent = TransactionDecoder.decode(sentRawTransactions[0])
+        expect(sent.type).to.equal('TxTypeFeeDelegatedChainDataAnchoring')
+        expect(sent.from).to.equal(keyring.address)
+        expect(sent.feePayer).to.equal(feePayer.address)
+        expect(sent.feePayerSignatures.length).to.equal(1)
+
+        anchorer = new child.anchoring.Anchorer({ child, parent, keyring, feePayer, feeRatio: 30, anchoringVersion: 0 })
+        await anchorer.anchor(2, 2)
+        sent = TransactionDecoder.decode(sentRawTransactions[1])
+        expect(sent.type).to.equal('TxTypeFeeDelegatedChainDataAnchoringWithRatio')
+        expect(sent.feeRatio).to.equal('0x1e')
+        expect(parent.transaction.anchoring.decode(sent).version).to.equal(0)
+    })
+
+    it('CAVERJS-UNIT-ANCHORING-004: anchor should retry a failed submission and emit retry events', async () => {
+        stubChains({ failures: 2 })
+        const anchorer = new child.anchoring.Anchorer({ child, parent, keyring: operator.address, retry: 2, retryDelay: 0 })
+        const retrySpy = sandbox.spy()
+        anchorer.on('retry', retrySpy)
+
+        await anchorer.anchor(1, 1)
+
+        expect(retrySpy).to.have.been.calledTwice
+        expect(retrySpy.args[1][0].attempt).to.equal(2)
+        expect(retrySpy.args[1][0].error.message).to.include('insufficient funds')
+        expect(sentRawTransactions.length).to.equal(1)
+    })
+
+    it('CAVERJS-UNIT-ANCHORING-005: anchor should throw an error when all retries fail', async () => {
+        stubChains({ failures: 10 })
+        const anchorer = new child.anchoring.Anchorer({ child, parent, keyring: operator.address, retry: 1, retryDelay: 0 })
+
+        await expect(anchorer.anchor(1, 1)).to.be.rejectedWith('insufficient funds')
+        expect(anchorer.lastAnchoredBlock).to.be.undefined
+    })
+
+    it('CAVERJS-UNIT-ANCHORING-006: start should anchor every interval blocks from the persisted block and persist the last anchored block', async () => {
+        stubChains()
+        const storagePath = path.join(os.tmpdir(), `caver-anchorer-${Date.now()}.json`)
+        fs.writeFileSync(storagePath, JSON.stringify({ lastAnchoredBlock: 90 }))
+
+        const anchorer = new child.anchoring.Anchorer({ child, parent, keyring: operator.address, interval: 4, storage: storagePath })
+        const anchored = []
+        anchorer.on('anchored', ({ fromBlock, toBlock }) => anchored.push([fromBlock, toBlock]))
+        const idle = waitFor(anchorer, 'anchored').then(() => waitFor(anchorer, 'anchored'))
+
+        try {
+            await anchorer.start()
+            await idle
+            expect(anchored).to.deep.equal([[91, 94], [95, 98]])
+            expect(anchorer.lastAnchoredBlock).to.equal(98)
+            expect(JSON.parse(fs.readFileSync(storagePath, 'utf8')).lastAnchoredBlock).to.equal(98)
+        } finally {
+            anchorer.stop()
+            fs.unlinkSync(storagePath)
+        }
+        expect(anchorer.isRunning).to.be.false
+    })
+
+    it('CAVERJS-UNIT-ANCHORING-007: start should anchor from the next block of the current block when nothing is persisted', async () => {
+        stubChains()
+        const storage = { saved: [], load: async () => undefined, save: async n => storage.saved.push(n) }
+        const anchorer = new child.anchoring.Anchorer({
+            child,
+            parent,
+            keyring: operator.address,
+            interval: 2,
+            storage,
+            pollingInterval: 10,
+        })
+
+        try {
+            await anchorer.start()
+            expect(anchorer.lastAnchoredBlock).to.equal(100)
+
+            const anchored = waitFor(anchorer, 'anchored')
+            childBlockNumber = 102
+            const { fromBlock, toBlock } = await anchored
+            expect([fromBlock, toBlock]).to.deep.equal([101, 102])
+            expect(storage.saved).to.deep.equal([102])
+        } finally {
+            anchorer.stop()
+        }
+    })
+
+    it('CAVERJS-UNIT-ANCHORING-008: start with subscribe should anchor blocks received via newBlockHeaders', async () => {
+        stubChains()
+        let onHeader
+        const unsubscribe = sandbox.spy()
+        sandbox.stub(child.rpc.klay, 'subscribe').callsFake((type, callback) => {
+            expect(type).to.equal('newBlockHeaders')
+            onHeader = callback
+            return { unsubscribe }
+        })
+        const anchorer = new child.anchoring.Anchorer({ child, parent, keyring: operator.address, subscribe: true, startBlock: 10 })
+
+        await anchorer.start()
+        const anchored = waitFor(anchorer, 'anchored')
+        onHeader(null, { number: 10 })
+        const { fromBlock, toBlock } = await anchored
+        expect([fromBlock, toBlock]).to.deep.equal([10, 10])
+
+        anchorer.stop()
+        expect(unsubscribe).to.have.been.calledOnce
+    })
+
+    it('CAVERJS-UNIT-ANCHORING-009: anchor should estimate the gas of the anchoring transaction when gas is not defined', async () => {
+        stubChains()
+        let anchorer = new child.anchoring.Anchorer({ child, parent, keyring: operator.address })
+        await anchorer.anchor(1, 1)
+        let sent = TransactionDecoder.decode(sentRawTransactions[0])
+        // The anchoring data is charged 100 gas per byte in addition to the estimated gas.
+        expect(parent.utils.hexToNumber(sent.gas)).to.equal(21000 + parent.utils.hexToBytes(sent.input).length * 100)
+        expect(parent.rpc.klay.estimateGas).to.have.been.calledWith({ from: operator.address, to: operator.address })
+
+        anchorer = new child.anchoring.Anchorer({ child, parent, keyring: operator.address, gas: 100000 })
+        await anchorer.anchor(2, 2)
+        sent = TransactionDecoder.decode(sentRawTransactions[1])
+        expect(sent.gas).to.equal('0x186a0')
+        expect(parent.rpc.klay.estimateGas).to.have.been.calledOnce
+    })
+
+    it('CAVERJS-UNIT-ANCHORING-010: buildAnchoringData should request at most concurrency blocks at the same time', async () => {
+        stubChains()
+        let inFlight = 0
+        let maxInFlight = 0
+        child.rpc.klay.getBlockByNumber.callsFake(async number => {
+            inFlight++
+            maxInFlight = Math.max(maxInFlight, inFlight)
+            await new Promise(resolve => setTimeout(resolve, 1))
+            inFlight--
+            return makeBlock(child.utils.hexToNumber(number))
+        })
+        const anchorer = new child.anchoring.Anchorer({ child, parent, keyring: operator.address, concurrency: 3 })
+
+        await anchorer.buildAnchoringData(1, 10)
+
+        expect(child.rpc.klay.getBlockByNumber).to.have.callCount(10)
+        expect(maxInFlight).to.equal(3)
+    })
+
+    it('CAVERJS-UNIT-ANCHORING-011: anchor should send the accepted transaction again with the same nonce when it is not included in a block', async () => {
+        stubChains()
+        parent.rpc.klay.sendRawTransaction.callsFake(async (rawTransaction, callback) => {
+            sentRawTransactions.push(rawTransaction)
+            const transactionHash = TransactionDecoder.decode(rawTransaction).getTransactionHash()
+            callback(null, transactionHash)
+            if (sentRawTransactions.length === 1) throw new Error('Transaction was not mined within 750 seconds')
+            return { transactionHash, status: true }
+        })
+        const anchorer = new child.anchoring.Anchorer({ child, parent, keyring: operator.address, retry: 1, retryDelay: 0 })
+
+        await anchorer.anchor(1, 1)
+
+        expect(sentRawTransactions.length).to.equal(2)
+        expect(sentRawTransactions[1]).to.equal(sentRawTransactions[0])
+        expect(parent.rpc.klay.getTransactionCount).to.have.been.calledOnce
+    })
+
+    it('CAVERJS-UNIT-ANCHORING-012: anchor should wait for the receipt when the transaction sent again is already known', async () => {
+        stubChains()
+        let transactionHash
+        parent.rpc.klay.sendRawTransaction.callsFake(async (rawTransaction, callback) => {
+            sentRawTransactions.push(rawTransaction)
+            transactionHash = TransactionDecoder.decode(rawTransaction).getTransactionHash()
+            const error = new Error(sentRawTransactions.length === 1 ? 'CONNECTION TIMEOUT' : 'Returned error: known transaction')
+            if (sentRawTransactions.length === 1) callback(null, transactionHash)
+            else callback(error)
+            throw error
+        })
+        // The receipt is not found when the retry starts, and it is found while polling.
+        parent.rpc.klay.getTransactionReceipt.onCall(2).callsFake(async () => ({ transactionHash, status: true }))
+        const anchorer = new child.anchoring.Anchorer({
+            child,
+            parent,
+            keyring: operator.address,
+            retry: 1,
+            retryDelay: 0,
+            pollingInterval: 1,
+        })
+
+        const receipt = await anchorer.anchor(1, 1)
+
+        expect(receipt.transactionHash).to.equal(transactionHash)
+        expect(sentRawTransactions[1]).to.equal(sentRawTransactions[0])
+        expect(anchorer.lastAnchoredBlock).to.equal(1)
+    })
+
+    it('CAVERJS-UNIT-ANCHORING-013: anchor should create a new transaction with a new nonce when the nonce is used by another transaction', async () => {
+        stubChains()
+        parent.rpc.klay.getTransactionCount.onCall(1).resolves('0x1')
+        parent.rpc.klay.sendRawTransaction.callsFake(async (rawTransaction, callback) => {
+            sentRawTransactions.push(rawTransaction)
+            const transactionHash = TransactionDecoder.decode(rawTransaction).getTransactionHash()
+            if (sentRawTransactions.length === 1) {
+                const error = new Error('Returned error: nonce too low')
+                callback(error)
+                throw error
+            }
+            callback(null, transactionHash)
+            return { transactionHash, status: true }
+        })
+        const anchorer = new child.anchoring.Anchorer({
+            child,
+            parent,
+            keyring: operator.address,
+            retry: 1,
+            retryDelay: 0,
+            pollingInterval: 1,
+        })
+        const retried = waitFor(anchorer, 'retry')
+
+        await anchorer.anchor(1, 1)
+
+        expect((await retried).error.message).to.include('The nonce(0x0) of the anchoring transaction is used by another transaction')
+        expect(sentRawTransactions.length).to.equal(2)
+        expect(TransactionDecoder.decode(sentRawTransactions[0]).nonce).to.equal('0x0')
+        expect(TransactionDecoder.decode(sentRawTransactions[1]).nonce).to.equal('0x1')
+        // The receipt of the first transaction is checked once, and it is not polled.
+        expect(parent.rpc.klay.getTransactionReceipt).to.have.been.calledOnce
+        expect(anchorer.lastAnchoredBlock).to.equal(1)
+    })
+})
@@ -0,0 +1,563 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const chai = require('chai')
+const sinon = require('sinon')
+const sinonChai = require('sinon-chai')
+const chaiAsPromised = require('chai-as-promised')
+
+chai.use(chaiAsPromised)
+chai.use(sinonChai)
+
+const expect = chai.expect
+
+const testRPCURL = require('../testrpc')
+
+const Caver = require('../../index.js')
+const AbstractTransaction = require('../../packages/caver-transaction/src/transactionTypes/abstractTransaction')
+const TransactionDecoder = require('../../packages/caver-transaction/src/transactionDecoder/transactionDecoder')
+const { stubRequestManager } = require('./utils')
+
+const sandbox = sinon.createSandbox()
+
+const abi = [
+    {
+        constant: false,
+        inputs: [{ name: 'key', type: 'string' }, { name: 'value', type: 'string' }],
+        name: 'set',
+        outputs: [],
+        payable: false,
+        stateMutability: 'nonpayable',
+        type: 'function',
+    },
+    { inputs: [], payable: false, stateMutability: 'nonpayable', type: 'constructor' },
+]
+const byteCode = '0x608060405234801561001057600080fd5b5061010e806100206000396000f3fe'
+const contractAddress = '0x7b65B75d204aBed71587c9E519a89277766EE1d0'
+
+let caver
+let sender
+let feePayer
+let sentRawTransactions
+
+function stubSendTransaction(contract) {
+    sentRawTransactions = []
+    stubRequestManager(sandbox, contract._requestManager, {
+        klay_sendRawTransaction: payload => {
+            sentRawTransactions.push(payload.params[0])
+            return TransactionDecoder.decode(payload.params[0]).getTransactionHash()
+        },
+        klay_getTransactionReceipt: payload => ({
+            blockHash: '0x1a9a2f5b2ad4e8c1d1e6e5b0c8c2e4f8e0d1ba8a5f6d7a3e6c5e0c5b2e4f0a6b',
+            blockNumber: '0x1',
+            transactionHash: payload.params[0],
+            contractAddress,
+            gasUsed: '0x1',
+            status: '0x1',
+            logs: [],
+        }),
+        klay_getCode: byteCode,
+    })
+}
+
+describe('caver.contract with fee delegation', () => {
+    beforeEach(() => {
+        caver = new Caver(testRPCURL)
+        AbstractTransaction._klaytnCall = {
+            getGasPrice: () => '0x5d21dba00',
+            getTransactionCount: () => '0x0',
+            getChainId: () => '0x7e3',
+        }
+        sender = caver.wallet.add(caver.wallet.keyring.generate())
+        feePayer = caver.wallet.add(caver.wallet.keyring.generate())
+    })
+
+    afterEach(() => {
+        sandbox.restore()
+    })
+
+    it('CAVERJS-UNIT-ETC-266: send with feeDelegation should send a fee delegated smart contract execution signed by sender and fee payer', async () => {
+        const contract = new caver.contract(abi, contractAddress)
+        stubSendTransaction(contract)
+        const signSpy = sandbox.spy(caver.wallet, 'sign')
+        const signAsFeePayerSpy = sandbox.spy(caver.wallet, 'signAsFeePayer')
+
+        const receipt = await contract.methods
+            .set('k', 'v')
+            .send({ from: sender.address, gas: 1000000, feeDelegation: true, feePayer: feePayer.address })
+
+        expect(receipt.status).to.be.true
+        expect(signSpy).to.have.been.calledOnce
+        expect(signAsFeePayerSpy).to.have.been.calledOnce
+        expect(sentRawTransactions.length).to.equal(1)
+
+        const sent = TransactionDecoder.decode(sentRawTransactions[0])
+        expect(sent.type).to.equal('TxTypeFeeDelegatedSmartContractExecution')
+        expect(sent.from).to.equal(sender.address.toLowerCase())
+        expect(sent.feePayer).to.equal(feePayer.address.toLowerCase())
+        expect(sent.to).to.equal(contractAddress.toLowerCase())
+        expect(sent.signatures.length).to.equal(1)
+        expect(sent.feePayerSignatures.length).to.equal(1)
+    })
+
+    it('CAVERJS-UNIT-ETC-267: send with feeDelegation and feeRatio should send a partial fee delegated smart contract execution', async () => {
+        const contract = new caver.contract(abi, contractAddress)
+        stubSendTransaction(contract)
+
+        await contract.methods
+            .set('k', 'v')
+            .send({ from: sender.address, gas: 1000000, feeDelegation: true, feePayer: feePayer.address, feeRatio: 30 })
+
+        const sent = TransactionDecoder.decode(sentRawTransactions[0])
+        expect(sent.type).to.equal('TxTypeFeeDelegatedSmartContractExecutionWithRatio')
+        expect(sent.feeRatio).to.equal('0x1e')
+        expect(sent.feePayerSignatures.length).to.equal(1)
+    })
+
+    it('CAVERJS-UNIT-ETC-268: send with feeDelegation should return RLP-encoded transaction signed by sender when fee payer keyring does not exist in wallet', async () => {
+        const contract = new caver.contract(abi, contractAddress)
+        stubSendTransaction(contract)
+        const externalFeePayer = caver.wallet.keyring.generate()
+        const signAsFeePayerSpy = sandbox.spy(caver.wallet, 'signAsFeePayer')
+
+        const rawTransaction = await contract.methods
+            .set('k', 'v')
+            .send({ from: sender.address, gas: 1000000, feeDelegation: true, feePayer: externalFeePayer.address })
+
+        expect(signAsFeePayerSpy).not.to.have.been.called
+        expect(sentRawTransactions.length).to.equal(0)
+
+        const decoded = TransactionDecoder.decode(rawTransaction)
+        expect(decoded.type).to.equal('TxTypeFeeDelegatedSmartContractExecution')
+        expect(decoded.signatures.length).to.equal(1)
+        expect(caver.utils.isEmptySig(decoded.feePayerSignatures)).to.be.true
+
+        // The fee payer can sign the transaction outside.
+        await decoded.signAsFeePayer(externalFeePayer)
+        expect(decoded.feePayer).to.equal(externalFeePayer.address.toLowerCase())
+    })
+
+    it('CAVERJS-UNIT-ETC-269: deploy().send() with feeDelegation should send a fee delegated smart contract deploy', async () => {
+        const contract = new caver.contract(abi)
+        stubSendTransaction(contract)
+
+        const deployed = await contract
+            .deploy({ data: byteCode })
+            .send({ from: sender.address, gas: 1000000, feeDelegation: true, feePayer: feePayer.address, feeRatio: 50 })
+
+        expect(deployed.options.address).to.equal(contractAddress)
+        const sent = TransactionDecoder.decode(sentRawTransactions[0])
+        expect(sent.type).to.equal('TxTypeFeeDelegatedSmartContractDeployWithRatio')
+        expect(sent.feePayerSignatures.length).to.equal(1)
+    })
+
+    it('CAVERJS-UNIT-ETC-270: fee delegation options defined in default options should be used', async () => {
+        const contract = new caver.contract(abi, contractAddress, { feeDelegation: true, feePayer: feePayer.address })
+        stubSendTransaction(contract)
+
+        await contract.methods.set('k', 'v').send({ from: sender.address, gas: 1000000 })
+
+        const sent = TransactionDecoder.decode(sentRawTransactions[0])
+        expect(sent.type).to.equal('TxTypeFeeDelegatedSmartContractExecution')
+        expect(sent.feePayer).to.equal(feePayer.address.toLowerCase())
+    })
+
+    it('CAVERJS-UNIT-ETC-271: send without feeDelegation should send a basic smart contract execution', async () => {
+        const contract = new caver.contract(abi, contractAddress)
+        stubSendTransaction(contract)
+
+        await contract.methods.set('k', 'v').send({ from: sender.address, gas: 1000000 })
+
+        const sent = TransactionDecoder.decode(sentRawTransactions[0])
+        expect(sent.type).to.equal('TxTypeSmartContractExecution')
+    })
+
+    it('CAVERJS-UNIT-ETC-272: send with feeDelegation should throw an error when the sender keyring does not exist in wallet', async () => {
+        const contract = new caver.contract(abi, contractAddress)
+        stubSendTransaction(contract)
+        const notInWallet = caver.wallet.keyring.generate()
+
+        await expect(
+            contract.methods
+                .set('k', 'v')
+                .send({ from: notInWallet.address, gas: 1000000, feeDelegation: true, feePayer: feePayer.address })
+        ).to.be.rejectedWith(`Failed to find ${caver.utils.toChecksumAddress(notInWallet.address)}`)
+    })
+})
+
+describe('caver.contract.trace', () => {
+    const routerAbi = [
+        {
+            inputs: [{ name: 'token', type: 'address' }, { name: 'amount', type: 'uint256' }],
+            name: 'swap',
+            outputs: [{ name: 'success', type: 'bool' }],
+            stateMutability: 'nonpayable',
+            type: 'function',
+        },
+        { inputs: [{ name: 'needed', type: 'uint256' }], name: 'SlippageTooHigh', type: 'error' },
+    ]
+    const tokenAbi = [
+        {
+            inputs: [{ name: 'from', type: 'address' }, { name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }],
+            name: 'transferFrom',
+            outputs: [{ name: '', type: 'bool' }],
+            stateMutability: 'nonpayable',
+            type: 'function',
+        },
+        {
+            inputs: [{ name: 'account', type: 'address' }],
+            name: 'balanceOf',
+            outputs: [{ name: '', type: 'uint256' }],
+            stateMutability: 'view',
+            type: 'function',
+        },
+    ]
+    const routerAddress = '0x7b65b75d204abed71587c9e519a89277766ee1d0'
+    const tokenAddress = '0x99fb17d324fa0e07f23b49d09028ac0919414db6'
+    const userAddress = '0xb3c6f9f3e05ba26fcb54a2c5de34e6a5cafeda47'
+    const txHash = '0x1a9a2f5b2ad4e8c1d1e6e5b0c8c2e4f8e0d1ba8a5f6d7a3e6c5e0c5b2e4f0a6b'
+
+    let tracePayloads
+
+    function stubTrace(contract, trace) {
+        tracePayloads = stubRequestManager(sandbox, contract._requestManager, { debug_traceTransaction: trace })
+    }
+
+    beforeEach(() => {
+        caver = new Caver(testRPCURL)
+    })
+
+    afterEach(() => {
+        sandbox.restore()
+    })
+
+    it('CAVERJS-UNIT-ETC-276: trace should decode nested call frames with the json interface and the registered ABIs', async () => {
+        const router = new caver.contract(routerAbi, routerAddress)
+        const balanceOfInput = caver.abi.encodeFunctionCall(tokenAbi[1], [userAddress])
+        const transferFromInput = caver.abi.encodeFunctionCall(tokenAbi[0], [userAddress, routerAddress, 100])
+        stubTrace(router, {
+            type: 'CALL',
+            from: userAddress,
+            to: routerAddress,
+            value: '0x0',
+            gas: '0x30d40',
+            gasUsed: '0xcc6e',
+            input: caver.abi.encodeFunctionCall(routerAbi[0], [tokenAddress, 100]),
+            output: caver.abi.encodeParameter('bool', true),
+            calls: [
+                {
+                    type: 'STATICCALL',
+                    from: routerAddress,
+                    to: tokenAddress,
+                    gas: '0x2710',
+                    gasUsed: '0x9c4',
+                    input: balanceOfInput,
+                    output: caver.abi.encodeParameter('uint256', 1000),
+                },
+                {
+                    type: 'CALL',
+                    from: routerAddress,
+                    to: tokenAddress,
+                    value: '0x0',
+                    gas: '0x2710',
+                    gasUsed: '0x1388',
+                    input: transferFromInput,
+                    output: caver.abi.encodeParameter('bool', true),
+                },
+            ],
+        })
+
+        const trace = await router.trace(txHash, { abi: { [caver.utils.toChecksumAddress(tokenAddress)]: tokenAbi } })
+
+        expect(tracePayloads[0].method).to.equal('debug_traceTransaction')
+        expect(tracePayloads[0].params).to.deep.equal([txHash, { tracer: 'callTracer', timeout: undefined }])
+
+        expect(trace.contract).to.equal(routerAddress)
+        expect(trace.method).to.equal('swap')
+        expect(trace.signature).to.equal('swap(address,uint256)')
+        expect(trace.gasUsed).to.equal(52334)
+        expect(trace.args).to.deep.equal([
+            { name: 'token', type: 'address', value: caver.utils.toChecksumAddress(tokenAddress) },
+            { name: 'amount', type: 'uint256', value: '100' },
+        ])
+        expect(trace.returnValues).to.deep.equal([{ name: 'success', type: 'bool', value: true }])
+        expect(trace.error).to.be.undefined
+
+        expect(trace.calls.length).to.equal(2)
+        expect(trace.calls[0].type).to.equal('STATICCALL')
+        expect(trace.calls[0].method).to.equal('balanceOf')
+        expect(trace.calls[0].returnValues).to.deep.equal([{ name: '', type: 'uint256', value: '1000' }])
+        expect(trace.calls[1].contract).to.equal(tokenAddress)
+        expect(trace.calls[1].method).to.equal('transferFrom')
+        expect(trace.calls[1].args[2]).to.deep.equal({ name: 'amount', type: 'uint256', value: '100' })
+        expect(trace.calls[1].calls).to.deep.equal([])
+    })
+
+    it('CAVERJS-UNIT-ETC-277: trace should decode the revert data of failed call frames', async () => {
+        const router = new caver.contract(routerAbi, routerAddress)
+        const errorSelector = caver.abi.encodeFunctionSignature('Error(string)')
+        const customErrorData = caver.abi.encodeFunctionSignature(routerAbi[1]) + caver.abi.encodeParameter('uint256', 5).slice(2)
+        stubTrace(router, {
+            type: 'CALL',
+            from: userAddress,
+            to: routerAddress,
+            value: '0x0',
+            gas: '0x30d40',
+            gasUsed: '0x30d40',
+            input: caver.abi.encodeFunctionCall(routerAbi[0], [tokenAddress, 100]),
+            output: customErrorData,
+            error: 'execution reverted',
+            calls: [
+                {
+                    type: 'CALL',
+                    from: routerAddress,
+                    to: tokenAddress,
+                    value: '0x0',
+                    gas: '0x2710',
+                    gasUsed: '0x1388',
+                    input: caver.abi.encodeFunctionCall(tokenAbi[0], [userAddress, routerAddress, 100]),
+                    output: errorSelector + caver.abi.encodeParameter('string', 'Insufficient balance').slice(2),
+                    error: 'execution reverted',
+                },
+                {
+                    type: 'CALL',
+                    from: routerAddress,
+                    to: tokenAddress,
+                    gas: '0x2710',
+                    gasUsed: '0x1388',
+                    input: '0x12345678',
+                    output: caver.abi.encodeFunctionSignature('Panic(uint256)') + caver.abi.encodeParameter('uint256', 17).slice(2),
+                    error: 'execution reverted',
+                },
+            ],
+        })
+
+        const trace = await router.trace(txHash)
+
+        expect(trace.error).to.deep.equal({
+            message: 'execution reverted',
+            name: 'SlippageTooHigh',
+            args: [{ name: 'needed', type: 'uint256', value: '5' }],
+        })
+        expect(trace.returnValues).to.be.undefined
+        // The ABI of the token is not registered.
+        expect(trace.calls[0].method).to.be.undefined
+        expect(trace.calls[0].selector).to.equal(caver.abi.encodeFunctionSignature(tokenAbi[0]))
+        expect(trace.calls[0].error).to.deep.equal({ message: 'execution reverted', reason: 'Insufficient balance' })
+        expect(trace.calls[1].error).to.deep.equal({ message: 'execution reverted', panicCode: 17 })
+    })
+})
+
+describe('caver.contract with reverted transactions', () => {
+    const revertAbi = [
+        {
+            inputs: [{ name: 'amount', type: 'uint256' }],
+            name: 'withdraw',
+            outputs: [{ name: '', type: 'bool' }],
+            stateMutability: 'nonpayable',
+            type: 'function',
+        },
+        {
+            inputs: [{ name: 'available', type: 'uint256' }, { name: 'required', type: 'uint256' }],
+            name: 'InsufficientBalance',
+            type: 'error',
+        },
+    ]
+    let reasonData
+    let customErrorData
+
+    let callPayloads
+
+    function stubRevert(contract, { receipt, callError, callResult }) {
+        callPayloads = []
+        stubRequestManager(sandbox, contract._requestManager, {
+            klay_sendRawTransaction: payload => TransactionDecoder.decode(payload.params[0]).getTransactionHash(),
+            klay_getTransactionReceipt: payload =>
+                Object.assign(
+                    {
+                        blockHash: '0x1a9a2f5b2ad4e8c1d1e6e5b0c8c2e4f8e0d1ba8a5f6d7a3e6c5e0c5b2e4f0a6b',
+                        blockNumber: '0x10',
+                        transactionHash: payload.params[0],
+                        from: sender.address,
+                        to: contractAddress.toLowerCase(),
+                        input: contract.methods.withdraw(10).encodeABI(),
+                        value: '0x0',
+                        gas: '0xf4240',
+                        gasUsed: '0x1',
+                        logs: [],
+                    },
+                    receipt
+                ),
+            klay_call: payload => {
+                callPayloads.push(payload)
+                if (callError) throw callError
+                return callResult
+            },
+        })
+    }
+
+    function errorResponse(data) {
+        return caver.helpers.errors.ErrorResponse({
+            jsonrpc: '2.0',
+            id: 1,
+            error: { code: -32000, message: 'evm: execution reverted', data },
+        })
+    }
+
+    beforeEach(() => {
+        caver = new Caver(testRPCURL)
+        reasonData = `${caver.abi.encodeFunctionSignature('Error(string)')}${caver.abi.encodeParameter('string', 'Not owner').slice(2)}`
+        customErrorData = `0xcf479181${caver.abi.encodeParameters(['uint256', 'uint256'], [1, 10]).slice(2)}`
+        AbstractTransaction._klaytnCall = {
+            getGasPrice: () => '0x5d21dba00',
+            getTransactionCount: () => '0x0',
+            getChainId: () => '0x7e3',
+        }
+        sender = caver.wallet.add(caver.wallet.keyring.generate())
+    })
+
+    afterEach(() => {
+        sandbox.restore()
+    })
+
+    it('CAVERJS-UNIT-ETC-278: send should throw TransactionRevertedError with the reason obtained by klay_call at the failing block', async () => {
+        const contract = new caver.contract(revertAbi, contractAddress)
+        stubRevert(contract, { receipt: { status: '0x0', txError: '0x9' }, callError: errorResponse(reasonData) })
+
+        let error
+        try {
+            await contract.methods.withdraw(10).send({ from: sender.address, gas: 1000000 })
+        } catch (e) {
+            error = e
+        }
+
+        expect(error).to.be.instanceOf(caver.helpers.errors.TransactionRevertedError)
+        expect(error.message).to.include('evm: execution reverted: Not owner')
+        expect(error.reason).to.equal('Not owner')
+        expect(error.txError).to.equal('0x9')
+        expect(error.data).to.equal(reasonData)
+        expect(error.receipt.status).to.equal(false)
+
+        expect(callPayloads.length).to.equal(1)
+        expect(callPayloads[0].params[0].to).to.equal(contractAddress.toLowerCase())
+        expect(callPayloads[0].params[0].data).to.equal(contract.methods.withdraw(10).encodeABI())
+        expect(callPayloads[0].params[1]).to.equal('0x10')
+    })
+
+    it('CAVERJS-UNIT-ETC-279: send should decode the custom error with the json interface of the contract', async () => {
+        const contract = new caver.contract(revertAbi, contractAddress)
+        stubRevert(contract, { receipt: { status: '0x0' }, callResult: customErrorData })
+
+        let error
+        try {
+            await contract.methods.withdraw(10).send({ from: sender.address, gas: 1000000 })
+        } catch (e) {
+            error = e
+        }
+
+        expect(error).to.be.instanceOf(caver.helpers.errors.TransactionRevertedError)
+        expect(error.message).to.include('Transaction has been reverted by the EVM: InsufficientBalance(1, 10)')
+        expect(error.customError).to.deep.equal({
+            name: 'InsufficientBalance',
+            args: [{ name: 'available', type: 'uint256', value: '1' }, { name: 'required', type: 'uint256', value: '10' }],
+        })
+        expect(error.reason).to.equal('InsufficientBalance(1, 10)')
+    })
+
+    it('CAVERJS-UNIT-ETC-280: send should not run klay_call when the transaction failed with other txError', async () => {
+        const contract = new caver.contract(revertAbi, contractAddress)
+        stubRevert(contract, { receipt: { status: '0x0', txError: '0x7' } })
+
+        let error
+        try {
+            await contract.methods.withdraw(10).send({ from: sender.address, gas: 1000000 })
+        } catch (e) {
+            error = e
+        }
+
+        expect(error).to.be.instanceOf(caver.helpers.errors.TransactionRevertedError)
+        expect(error.message).to.include('out of gas')
+        expect(error.txError).to.equal('0x7')
+        expect(error.reason).to.be.undefined
+        expect(callPayloads.length).to.equal(0)
+    })
+
+    it('CAVERJS-UNIT-ETC-319: deploy should throw TransactionRevertedError with the reason of the failed constructor', async () => {
+        const contract = new caver.contract(revertAbi)
+        const deployData = contract.deploy({ data: byteCode }).encodeABI()
+        stubRevert(contract, {
+            receipt: { status: '0x0', txError: '0x9', to: null, input: deployData, contractAddress },
+            callError: errorResponse(reasonData),
+        })
+
+        let error
+        try {
+            await contract.deploy({ data: byteCode }).send({ from: sender.address, gas: 1000000 })
+        } catch (e) {
+            error = e
+        }
+
+        expect(error).to.be.instanceOf(caver.helpers.errors.TransactionRevertedError)
+        expect(error.reason).to.equal('Not owner')
+        expect(error.txError).to.equal('0x9')
+        expect(callPayloads.length).to.equal(1)
+        expect(callPayloads[0].params[0].to).to.be.undefined
+        expect(callPayloads[0].params[0].data).to.equal(deployData)
+    })
+
+    it('CAVERJS-UNIT-ETC-320: send should throw the error with the receipt when the revert data cannot be decoded', async () => {
+        const contract = new caver.contract(revertAbi, contractAddress)
+        stubRevert(contract, { receipt: { status: '0x0', txError: '0x9' }, callError: errorResponse(reasonData) })
+        sandbox.stub(caver.abi, 'decodeRevertData').throws(new Error('Failed to decode'))
+
+        let error
+        try {
+            await contract.methods.withdraw(10).send({ from: sender.address, gas: 1000000 })
+        } catch (e) {
+            error = e
+        }
+
+        expect(error).to.be.instanceOf(caver.helpers.errors.TransactionRevertedError)
+        expect(error.txError).to.equal('0x9')
+        expect(error.receipt.status).to.equal(false)
+        expect(error.reason).to.be.undefined
+    })
+
+    it('CAVERJS-UNIT-ETC-281: call should throw TransactionRevertedError with the decoded revert data', async () => {
+        const contract = new caver.contract(revertAbi, contractAddress)
+        const panicData = `${caver.abi.encodeFunctionSignature('Panic(uint256)')}${caver.abi.encodeParameter('uint256', 0x11).slice(2)}`
+        stubRevert(contract, { callError: errorResponse(panicData) })
+
+        let error
+        try {
+            await contract.methods.withdraw(10).call()
+        } catch (e) {
+            error = e
+        }
+        expect(error).to.be.instanceOf(caver.helpers.errors.TransactionRevertedError)
+        expect(error.message).to.equal('Returned error: evm: execution reverted: panic code 0x11 (arithmetic underflow or overflow)')
+        expect(error.panicCode).to.equal(17)
+        expect(error.receipt).to.be.undefined
+
+        sandbox.restore()
+        stubRevert(contract, { callError: errorResponse(customErrorData) })
+        const callbackError = await new Promise(resolve => contract.methods.withdraw(10).call(err => resolve(err)))
+        expect(callbackError).to.be.instanceOf(caver.helpers.errors.TransactionRevertedError)
+        expect(callbackError.customError.name).to.equal('InsufficientBalance')
+    })
+})
@@ -0,0 +1,86 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const chai = require('chai')
+const sinon = require('sinon')
+const chaiAsPromised = require('chai-as-promised')
+
+chai.use(chaiAsPromised)
+
+const expect = chai.expect
+
+const testRPCURL = require('../testrpc')
+
+const Caver = require('../../index.js')
+const { stubRequestManager } = require('./utils')
+
+const sandbox = sinon.createSandbox()
+
+let caver
+let payloads
+
+describe('caver.rpc.admin', () => {
+    beforeEach(() => {
+        caver = new Caver(testRPCURL)
+    })
+
+    afterEach(() => {
+        sandbox.restore()
+    })
+
+    context('CAVERJS-UNIT-RPC-013: caver.rpc.admin methods', () => {
+        it('should send the admin RPC of each method', async () => {
+            const nodeInfo = { name: 'Klaytn/v1.8.0/linux-amd64/go1.16', protocols: { istanbul: { network: 1001 } } }
+            const enode =
+                'kni://a979fb575495b8d6db44f750317d0f4622bf4c2aa3365d6af7c284339968eef29b69ad0dce72a4d8db5ebb4ecfa2dda7c5ab25b72b5d1e6a7af1ae8cd9de4e6e@10.0.0.1:32323?discport=0&ntype=en'
+            payloads = stubRequestManager(sandbox, caver.rpc.admin._requestManager, { admin_nodeInfo: nodeInfo, admin_addPeer: true }, true)
+
+            expect(await caver.rpc.admin.getNodeInfo()).to.deep.equal(nodeInfo)
+            expect(await caver.rpc.admin.addPeer(enode)).to.be.true
+            await caver.rpc.admin.getPeers()
+            await caver.rpc.admin.removePeer(enode)
+            await caver.rpc.admin.startStateMigration()
+            await caver.rpc.admin.getStateMigrationStatus()
+            await caver.rpc.admin.stopStateMigration()
+
+            expect(payloads.map(p => [p.method, p.params])).to.deep.equal([
+                ['admin_nodeInfo', []],
+                ['admin_addPeer', [enode]],
+                ['admin_peers', []],
+                ['admin_removePeer', [enode]],
+                ['admin_startStateMigration', []],
+                ['admin_stateMigrationStatus', []],
+                ['admin_stopStateMigration', []],
+            ])
+        })
+
+        it('should send startHTTP and startWS with optional parameters', async () => {
+            payloads = stubRequestManager(sandbox, caver.rpc.admin._requestManager, {}, true)
+
+            await caver.rpc.admin.startHTTP('0.0.0.0', 8551, '*', ['klay', 'net'])
+            await caver.rpc.admin.startHTTP()
+            await caver.rpc.admin.startWS('0.0.0.0', 8552, '*', 'klay,net')
+
+            expect(payloads.map(p => [p.method, p.params])).to.deep.equal([
+                ['admin_startHTTP', ['0.0.0.0', 8551, '*', 'klay,net']],
+                ['admin_startHTTP', [undefined, undefined, undefined, undefined]],
+                ['admin_startWS', ['0.0.0.0', 8552, '*', 'klay,net']],
+            ])
+        })
+    })
+})
@@ -0,0 +1,188 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const chai = require('chai')
+const sinon = require('sinon')
+const chaiAsPromised = require('chai-as-promised')
+
+chai.use(chaiAsPromised)
+
+const expect = chai.expect
+
+const testRPCURL = require('../testrpc')
+
+const Caver = require('../../index.js')
+const { stubRequestManager } = require('./utils')
+
+const sandbox = sinon.createSandbox()
+
+let caver
+let payloads
+
+describe('caver.rpc.debug', () => {
+    beforeEach(() => {
+        caver = new Caver(testRPCURL)
+    })
+
+    afterEach(() => {
+        sandbox.restore()
+    })
+
+    const callTrace = {
+        type: 'CALL',
+        from: '0xB3C6F9F3E05BA26FCB54A2C5DE34E6A5CAFEDA47',
+        to: '0x7b65b75d204abed71587c9e519a89277766ee1d0',
+        value: '0xde0b6b3a7640000',
+        gas: '0x2fa9e78',
+        gasUsed: '0x5a75',
+        input: '0x',
+        output: '0x',
+        calls: [
+            {
+                type: 'staticcall',
+                from: '0x7b65b75d204abed71587c9e519a89277766ee1d0',
+                to: '0x0000000000000000000000000000000000000001',
+                gas: '0x2ee0',
+                gasUsed: '0xbb8',
+                input: '0x',
+                error: 'execution reverted',
+            },
+        ],
+    }
+    const formattedCallTrace = {
+        type: 'CALL',
+        from: '0xb3c6f9f3e05ba26fcb54a2c5de34e6a5cafeda47',
+        to: '0x7b65b75d204abed71587c9e519a89277766ee1d0',
+        value: '1000000000000000000',
+        gas: 49979000,
+        gasUsed: 23157,
+        input: '0x',
+        output: '0x',
+        calls: [
+            {
+                type: 'STATICCALL',
+                from: '0x7b65b75d204abed71587c9e519a89277766ee1d0',
+                to: '0x0000000000000000000000000000000000000001',
+                gas: 12000,
+                gasUsed: 3000,
+                input: '0x',
+                error: 'execution reverted',
+            },
+        ],
+    }
+    const txHash = '0x1a9a2f5b2ad4e8c1d1e6e5b0c8c2e4f8e0d1ba8a5f6d7a3e6c5e0c5b2e4f0a6b'
+
+    context('CAVERJS-UNIT-RPC-009: caver.rpc.debug.traceTransaction', () => {
+        it('should send debug_traceTransaction with the built-in tracer and format the call trace', async () => {
+            payloads = stubRequestManager(sandbox, caver.rpc.debug._requestManager, { debug_traceTransaction: callTrace }, true)
+
+            const result = await caver.rpc.debug.traceTransaction(txHash, { tracer: caver.rpc.debug.tracer.callTracer, timeout: 5000 })
+
+            expect(payloads[0].method).to.equal('debug_traceTransaction')
+            expect(payloads[0].params).to.deep.equal([txHash, { tracer: 'callTracer', timeout: '5000ms' }])
+            expect(result).to.deep.equal(formattedCallTrace)
+        })
+
+        it('should send a custom JavaScript tracer and return the result as it is', async () => {
+            const tracer = ' {count: 0, step: function() { this.count++ }, fault: function() {}, result: function() { return this.count }} '
+            payloads = stubRequestManager(sandbox, caver.rpc.debug._requestManager, { debug_traceTransaction: 12 }, true)
+
+            const result = await caver.rpc.debug.traceTransaction(txHash, { tracer, timeout: '10s' })
+
+            expect(payloads[0].params).to.deep.equal([txHash, { tracer: tracer.trim(), timeout: '10s' }])
+            expect(result).to.equal(12)
+        })
+
+        it('should send the struct logger options when the tracer is not defined', async () => {
+            const structLogs = { gas: 21000, failed: false, returnValue: '', structLogs: [] }
+            payloads = stubRequestManager(sandbox, caver.rpc.debug._requestManager, { debug_traceTransaction: structLogs }, true)
+
+            expect(await caver.rpc.debug.traceTransaction(txHash)).to.deep.equal(structLogs)
+            await caver.rpc.debug.traceTransaction(txHash, { disableStorage: true, limit: 10 })
+
+            expect(payloads[0].params).to.deep.equal([txHash, undefined])
+            expect(payloads[1].params).to.deep.equal([txHash, { disableStorage: true, limit: 10 }])
+        })
+
+        it('should throw an error with invalid trace options', () => {
+            payloads = stubRequestManager(sandbox, caver.rpc.debug._requestManager, {}, true)
+
+            expect(() => caver.rpc.debug.traceTransaction(txHash, { tracer: 'unknownTracer' })).to.throw('Invalid tracer: unknownTracer')
+            expect(() => caver.rpc.debug.traceTransaction(txHash, { tracer: 'callTracer', disableMemroy: true })).to.throw(
+                'Invalid trace options: unsupported option(s) disableMemroy'
+            )
+            expect(() => caver.rpc.debug.traceTransaction(txHash, 'callTracer')).to.throw('Invalid trace options: callTracer')
+            expect(payloads.length).to.equal(0)
+        })
+    })
+
+    context('CAVERJS-UNIT-RPC-010: caver.rpc.debug.traceBlockByNumber', () => {
+        it('should format the call traces of each transaction in the block', async () => {
+            payloads = stubRequestManager(
+                sandbox,
+                caver.rpc.debug._requestManager,
+                { debug_traceBlockByNumber: [{ result: callTrace }, { txHash, result: callTrace }] },
+                true
+            )
+
+            const result = await caver.rpc.debug.traceBlockByNumber(1024, { tracer: 'fastCallTracer' })
+
+            expect(payloads[0].params).to.deep.equal(['0x400', { tracer: 'fastCallTracer' }])
+            expect(result).to.deep.equal([{ result: formattedCallTrace }, { txHash, result: formattedCallTrace }])
+        })
+    })
+
+    context('CAVERJS-UNIT-RPC-011: caver.rpc.debug.traceCall', () => {
+        it('should send debug_traceCall with the formatted call object, block number and trace options', async () => {
+            payloads = stubRequestManager(sandbox, caver.rpc.debug._requestManager, { debug_traceCall: callTrace }, true)
+            const callObject = {
+                from: '0xb3c6f9f3e05ba26fcb54a2c5de34e6a5cafeda47',
+                to: '0x7b65b75d204abed71587c9e519a89277766ee1d0',
+                value: 1,
+                data: '0x',
+            }
+
+            const result = await caver.rpc.debug.traceCall(callObject, undefined, { tracer: 'callTracer' })
+
+            expect(payloads[0].method).to.equal('debug_traceCall')
+            expect(payloads[0].params[0].value).to.equal('0x1')
+            expect(payloads[0].params[1]).to.equal('latest')
+            expect(payloads[0].params[2]).to.deep.equal({ tracer: 'callTracer' })
+            expect(result).to.deep.equal(formattedCallTrace)
+        })
+    })
+
+    context('CAVERJS-UNIT-RPC-012: caver.rpc.debug state methods', () => {
+        it('should send debug_dumpStateTrie and debug_storageRangeAt with formatted parameters', async () => {
+            payloads = stubRequestManager(sandbox, caver.rpc.debug._requestManager, {}, true)
+            const address = '0x7B65B75D204ABED71587C9E519A89277766EE1D0'
+
+            await caver.rpc.debug.dumpStateTrie()
+            await caver.rpc.debug.dumpStateTrie(10)
+            await caver.rpc.debug.storageRangeAt(txHash, '0x1', address, '0x00', 10)
+            await caver.rpc.debug.getModifiedAccountsByNumber('0x10')
+
+            expect(payloads.map(p => [p.method, p.params])).to.deep.equal([
+                ['debug_dumpStateTrie', ['latest']],
+                ['debug_dumpStateTrie', ['0xa']],
+                ['debug_storageRangeAt', [txHash, 1, address.toLowerCase(), '0x00', 10]],
+                ['debug_getModifiedAccountsByNumber', [16, undefined]],
+            ])
+        })
+    })
+})
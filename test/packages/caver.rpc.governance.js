@@ -0,0 +1,168 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const chai = require('chai')
+const sinon = require('sinon')
+const chaiAsPromised = require('chai-as-promised')
+
+chai.use(chaiAsPromised)
+
+const expect = chai.expect
+
+const testRPCURL = require('../testrpc')
+
+const Caver = require('../../index.js')
+const { stubRequestManager } = require('./utils')
+
+const sandbox = sinon.createSandbox()
+
+let caver
+let payloads
+
+describe('caver.rpc.governance', () => {
+    beforeEach(() => {
+        caver = new Caver(testRPCURL)
+    })
+
+    afterEach(() => {
+        sandbox.restore()
+    })
+
+    context('CAVERJS-UNIT-RPC-006: caver.rpc.governance.vote', () => {
+        it('should send governance_vote with the formatted key and value', async () => {
+            payloads = stubRequestManager(
+                sandbox,
+                caver.rpc.governance._requestManager,
+                { governance_vote: 'Your vote was successfully placed.' },
+                true
+            )
+
+            const result = await caver.rpc.governance.vote(' Governance.UnitPrice ', new caver.utils.BN('25000000000'))
+
+            expect(result).to.equal('Your vote was successfully placed.')
+            expect(payloads[0].method).to.equal('governance_vote')
+            expect(payloads[0].params).to.deep.equal(['governance.unitprice', 25000000000])
+
+            await caver.rpc.governance.vote('reward.mintingamount', caver.utils.toBN('9600000000000000000'))
+            expect(payloads[1].params).to.deep.equal(['reward.mintingamount', '9600000000000000000'])
+
+            await caver.rpc.governance.vote('governance.removevalidator', '0x99fb17d324fa0e07f23b49d09028ac0919414db6')
+            expect(payloads[2].params).to.deep.equal(['governance.removevalidator', '0x99fb17d324fa0e07f23b49d09028ac0919414db6'])
+        })
+
+        it('should throw an error when the key or the value is invalid', async () => {
+            payloads = stubRequestManager(sandbox, caver.rpc.governance._requestManager, {}, true)
+
+            expect(() => caver.rpc.governance.vote('', 1)).to.throw('Invalid governance key: ')
+            expect(() => caver.rpc.governance.vote(1, 1)).to.throw('Invalid governance key: 1')
+            expect(() => caver.rpc.governance.vote('governance.unitprice')).to.throw('Invalid governance value: undefined')
+            expect(payloads.length).to.equal(0)
+        })
+    })
+
+    context('CAVERJS-UNIT-RPC-007: caver.rpc.governance methods without parameters', () => {
+        it('should send the governance RPC of each method', async () => {
+            const expectedCalls = {
+                showTally: 'governance_showTally',
+                getTotalVotingPower: 'governance_totalVotingPower',
+                getMyVotingPower: 'governance_myVotingPower',
+                getMyVotes: 'governance_myVotes',
+                getChainConfig: 'governance_chainConfig',
+                getNodeAddress: 'governance_nodeAddress',
+                getPendingChanges: 'governance_pendingChanges',
+                getVotes: 'governance_votes',
+                getIdxCache: 'governance_idxCache',
+                getIdxCacheFromDb: 'governance_idxCacheFromDb',
+            }
+            payloads = stubRequestManager(
+                sandbox,
+                caver.rpc.governance._requestManager,
+                { governance_totalVotingPower: 32.5, governance_idxCache: [0, 60480] },
+                true
+            )
+
+            for (const name of Object.keys(expectedCalls)) {
+                await caver.rpc.governance[name]()
+            }
+
+            expect(payloads.map(p => p.method)).to.deep.equal(Object.values(expectedCalls))
+            payloads.forEach(p => expect(p.params).to.deep.equal([]))
+            expect(await caver.rpc.governance.getTotalVotingPower()).to.equal(32.5)
+            expect(await caver.rpc.governance.getIdxCache()).to.deep.equal([0, 60480])
+        })
+    })
+
+    context('CAVERJS-UNIT-RPC-014: caver.rpc.governance output formatters', () => {
+        it('should rename the fields of showTally and getMyVotes to camelCase', async () => {
+            payloads = stubRequestManager(
+                sandbox,
+                caver.rpc.governance._requestManager,
+                {
+                    governance_showTally: [{ Key: 'governance.unitprice', Value: 25000000000, ApprovalPercentage: 33.33 }],
+                    governance_myVotes: [{ BlockNum: 403, Casted: true, Key: 'governance.governancemode', Value: 'ballot' }],
+                    governance_votes: [{ key: 'governance.unitprice', validator: '0x99fb17d324fa0e07f23b49d09028ac0919414db6', value: 1 }],
+                },
+                true
+            )
+
+            expect(await caver.rpc.governance.showTally()).to.deep.equal([
+                { key: 'governance.unitprice', value: 25000000000, approvalPercentage: 33.33 },
+            ])
+            expect(await caver.rpc.governance.getMyVotes()).to.deep.equal([
+                { blockNumber: 403, casted: true, key: 'governance.governancemode', value: 'ballot' },
+            ])
+            expect(await caver.rpc.governance.getVotes()).to.deep.equal([
+                { key: 'governance.unitprice', validator: '0x99fb17d324fa0e07f23b49d09028ac0919414db6', value: 1 },
+            ])
+        })
+    })
+
+    context('CAVERJS-UNIT-RPC-008: caver.rpc.governance methods with a block number', () => {
+        it('should format the block number of getItemsAt and getStakingInfo', async () => {
+            payloads = stubRequestManager(sandbox, caver.rpc.governance._requestManager, {}, true)
+
+            await caver.rpc.governance.getItemsAt()
+            await caver.rpc.governance.getItemsAt(1024)
+            await caver.rpc.governance.getStakingInfo('earliest')
+            await caver.rpc.governance.getStakingInfo('0x400')
+
+            expect(payloads.map(p => [p.method, p.params])).to.deep.equal([
+                ['governance_itemsAt', ['latest']],
+                ['governance_itemsAt', ['0x400']],
+                ['governance_getStakingInfo', ['0x0']],
+                ['governance_getStakingInfo', ['0x400']],
+            ])
+        })
+
+        it('should send the block number of getItemCacheFromDb as a number', async () => {
+            payloads = stubRequestManager(
+                sandbox,
+                caver.rpc.governance._requestManager,
+                { governance_itemCacheFromDb: { 'governance.unitprice': 25000000000 } },
+                true
+            )
+
+            const result = await caver.rpc.governance.getItemCacheFromDb('0x400')
+            await caver.rpc.governance.getItemCacheFromDb(2048)
+
+            expect(result).to.deep.equal({ 'governance.unitprice': 25000000000 })
+            expect(payloads.map(p => p.params)).to.deep.equal([[1024], [2048]])
+            expect(() => caver.rpc.governance.getItemCacheFromDb('latest')).to.throw('Invalid block number: latest')
+        })
+    })
+})
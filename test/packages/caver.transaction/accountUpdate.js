@@ -307,12 +307,12 @@ describe('TxTypeAccountUpdate', () => {
             expect(() => new caver.transaction.accountUpdate(testUpdateObj)).to.throw(expectedError)
         })
 
-        it('CAVERJS-UNIT-TRANSACTION-153: If accountUpdate not define gas, return error', () => {
+        it('CAVERJS-UNIT-TRANSACTION-153: If accountUpdate not define gas, gas should be undefined', () => {
             const testUpdateObj = Object.assign({}, txObjWithPublic)
             delete testUpdateObj.gas
 
-            const expectedError = '"gas" is missing'
-            expect(() => new caver.transaction.accountUpdate(testUpdateObj)).to.throw(expectedError)
+            const tx = new caver.transaction.accountUpdate(testUpdateObj)
+            expect(tx.gas).to.be.undefined
         })
 
         it('CAVERJS-UNIT-TRANSACTION-389: If accountUpdate not define gas, return error', () => {
@@ -0,0 +1,111 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const { expect } = require('chai')
+const RLP = require('eth-lib/lib/rlp')
+
+const testRPCURL = require('../../testrpc')
+const Caver = require('../../../index.js')
+
+let caver
+
+const blockData = {
+    blockHash: '0x4d8f5d5e1e7b1d6a0f2d4b9e2a8c8c6e9f0a1b2c3d4e5f60718293a4b5c6d7e8',
+    txHash: '0x1a9a2f5b2ad4e8c1d1e6e5b0c8c2e4f8e0d1ba8a5f6d7a3e6c5e0c5b2e4f0a6b',
+    parentHash: '0x2b8c7f1e0d9a6b5c4d3e2f1a0b9c8d7e6f5a4b3c2d1e0f9a8b7c6d5e4f3a2b1c',
+    receiptHash: '0x3c7d6e5f4a3b2c1d0e9f8a7b6c5d4e3f2a1b0c9d8e7f6a5b4c3d2e1f0a9b8c7d',
+    stateRootHash: '0x00005a4b3c2d1e0f9a8b7c6d5e4f3a2b1c0d9e8f7a6b5c4d3e2f1a0b9c8d7e6f',
+    blockNumber: 1024,
+    blockCount: 16,
+    txCount: 101,
+}
+const hashes = [blockData.blockHash, blockData.txHash, blockData.parentHash, blockData.receiptHash, blockData.stateRootHash]
+
+describe('caver.transaction.anchoring', () => {
+    beforeEach(() => {
+        caver = new Caver(testRPCURL)
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-427: encode', () => {
+        it('should encode the block data to the anchoring data of version 1 by default', () => {
+            const encoded = caver.transaction.anchoring.encode(blockData)
+
+            expect(encoded).to.equal(RLP.encode(['0x', RLP.encode([...hashes, '0x0400', '0x10', '0x65'])]))
+            expect(caver.transaction.anchoring.encode(blockData, { version: 1 })).to.equal(encoded)
+        })
+
+        it('should encode the block data to the legacy anchoring data with version 0', () => {
+            const { blockCount, txCount, ...legacyData } = blockData // eslint-disable-line no-unused-vars
+            const encoded = caver.transaction.anchoring.encode(Object.assign(legacyData, { blockNumber: '0x0' }), { version: 0 })
+
+            expect(encoded).to.equal(RLP.encode([...hashes, '0x']))
+        })
+
+        it('should throw an error with invalid block data', () => {
+            const { anchoring } = caver.transaction
+            expect(() => anchoring.encode(Object.assign({}, blockData, { txHash: '0x1234' }))).to.throw('Invalid txHash: 0x1234')
+            expect(() => anchoring.encode(Object.assign({}, blockData, { txCount: undefined }))).to.throw('"txCount" is missing')
+            expect(() => anchoring.encode(Object.assign({}, blockData, { blockNumber: 'abc' }))).to.throw(
+                'Given input "abc" is not a number.'
+            )
+            expect(() => anchoring.encode(blockData, { version: 0 })).to.throw(
+                'blockCount and txCount cannot be used in the anchoring data version 0.'
+            )
+            expect(() => anchoring.encode(blockData, { version: 2 })).to.throw('Unsupported anchoring data version: 2')
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-428: decode', () => {
+        it('should decode the anchoring data of each version', () => {
+            const decoded = caver.transaction.anchoring.decode(caver.transaction.anchoring.encode(blockData))
+            expect(decoded).to.deep.equal(Object.assign({ version: 1 }, blockData))
+
+            const legacy = caver.transaction.anchoring.decode(RLP.encode([...hashes, '0x0400']))
+            expect(legacy.version).to.equal(0)
+            expect(legacy.stateRootHash).to.equal(blockData.stateRootHash)
+            expect(legacy.blockNumber).to.equal(1024)
+            expect(legacy.blockCount).to.be.undefined
+        })
+
+        it('should decode the input of the chain data anchoring transaction offline', async () => {
+            const sender = caver.wallet.keyring.generate()
+            const input = caver.transaction.anchoring.encode(blockData)
+            const tx = new caver.transaction.feeDelegatedChainDataAnchoring({
+                from: sender.address,
+                input,
+                nonce: 1,
+                gas: 90000,
+                gasPrice: '0x5d21dba00',
+                chainId: 2019,
+            })
+            await tx.sign(sender)
+
+            expect(caver.transaction.anchoring.decode(tx.getRLPEncoding())).to.deep.equal(Object.assign({ version: 1 }, blockData))
+            expect(caver.transaction.anchoring.decode(tx)).to.deep.equal(Object.assign({ version: 1 }, blockData))
+        })
+
+        it('should throw an error with invalid anchoring data', () => {
+            const { anchoring } = caver.transaction
+            expect(() => anchoring.decode('0x1234')).to.throw('Invalid anchoring data')
+            expect(() => anchoring.decode(RLP.encode(['0x01', RLP.encode(['0x01'])]))).to.throw('Unsupported anchoring data type: 1')
+            expect(() => anchoring.decode(RLP.encode(['0x', RLP.encode(hashes)]))).to.throw(
+                'Invalid anchoring data: the block data of the type 0 should have 8 fields.'
+            )
+        })
+    })
+})
@@ -112,11 +112,11 @@ describe('TxTypeCancel', () => {
             expect(() => new caver.transaction.cancel(transactionObj)).to.throw(expectedError)
         })
 
-        it('CAVERJS-UNIT-TRANSACTION-298: If cancel not define gas, return error', () => {
+        it('CAVERJS-UNIT-TRANSACTION-298: If cancel not define gas, gas should be undefined', () => {
             delete transactionObj.gas
 
-            const expectedError = '"gas" is missing'
-            expect(() => new caver.transaction.cancel(transactionObj)).to.throw(expectedError)
+            const tx = new caver.transaction.cancel(transactionObj)
+            expect(tx.gas).to.be.undefined
         })
 
         it('CAVERJS-UNIT-TRANSACTION-299: If cancel define from property with invalid address, return error', () => {
@@ -117,11 +117,11 @@ describe('TxTypeChainDataAnchoring', () => {
             expect(() => new caver.transaction.chainDataAnchoring(transactionObj)).to.throw(expectedError)
         })
 
-        it('CAVERJS-UNIT-TRANSACTION-344: If chainDataAnchoring not define gas, return error', () => {
+        it('CAVERJS-UNIT-TRANSACTION-344: If chainDataAnchoring not define gas, gas should be undefined', () => {
             delete transactionObj.gas
 
-            const expectedError = '"gas" is missing'
-            expect(() => new caver.transaction.chainDataAnchoring(transactionObj)).to.throw(expectedError)
+            const tx = new caver.transaction.chainDataAnchoring(transactionObj)
+            expect(tx.gas).to.be.undefined
         })
 
         it('CAVERJS-UNIT-TRANSACTION-345: If chainDataAnchoring not define input, return error', () => {
@@ -371,12 +371,12 @@ describe('TxTypeFeeDelegatedAccountUpdate', () => {
             expect(() => new caver.transaction.feeDelegatedAccountUpdate(testUpdateObj)).to.throw(expectedError)
         })
 
-        it('CAVERJS-UNIT-TRANSACTIONFD-151: If feeDelegatedAccountUpdate not define gas, return error', () => {
+        it('CAVERJS-UNIT-TRANSACTIONFD-151: If feeDelegatedAccountUpdate not define gas, gas should be undefined', () => {
             const testUpdateObj = Object.assign({}, txObjWithPublic)
             delete testUpdateObj.gas
 
-            const expectedError = '"gas" is missing'
-            expect(() => new caver.transaction.feeDelegatedAccountUpdate(testUpdateObj)).to.throw(expectedError)
+            const tx = new caver.transaction.feeDelegatedAccountUpdate(testUpdateObj)
+            expect(tx.gas).to.be.undefined
         })
 
         it('CAVERJS-UNIT-TRANSACTIONFD-152: If accountUpdate not define gas, return error', () => {
@@ -377,12 +377,12 @@ describe('TxTypeFeeDelegatedAccountUpdateWithRatio', () => {
             expect(() => new caver.transaction.feeDelegatedAccountUpdateWithRatio(testUpdateObj)).to.throw(expectedError)
         })
 
-        it('CAVERJS-UNIT-TRANSACTIONFDR-153: If feeDelegatedAccountUpdateWithRatio not define gas, return error', () => {
+        it('CAVERJS-UNIT-TRANSACTIONFDR-153: If feeDelegatedAccountUpdateWithRatio not define gas, gas should be undefined', () => {
             const testUpdateObj = Object.assign({}, txObjWithPublic)
             delete testUpdateObj.gas
 
-            const expectedError = '"gas" is missing'
-            expect(() => new caver.transaction.feeDelegatedAccountUpdateWithRatio(testUpdateObj)).to.throw(expectedError)
+            const tx = new caver.transaction.feeDelegatedAccountUpdateWithRatio(testUpdateObj)
+            expect(tx.gas).to.be.undefined
         })
 
         it('CAVERJS-UNIT-TRANSACTIONFDR-154: If accountUpdate not define gas, return error', () => {
@@ -122,11 +122,11 @@ describe('TxTypeFeeDelegatedCancel', () => {
             expect(() => new caver.transaction.feeDelegatedCancel(transactionObj)).to.throw(expectedError)
         })
 
-        it('CAVERJS-UNIT-TRANSACTIONFD-372: If feeDelegatedCancel not define gas, return error', () => {
+        it('CAVERJS-UNIT-TRANSACTIONFD-372: If feeDelegatedCancel not define gas, gas should be undefined', () => {
             delete transactionObj.gas
 
-            const expectedError = '"gas" is missing'
-            expect(() => new caver.transaction.feeDelegatedCancel(transactionObj)).to.throw(expectedError)
+            const tx = new caver.transaction.feeDelegatedCancel(transactionObj)
+            expect(tx.gas).to.be.undefined
         })
 
         it('CAVERJS-UNIT-TRANSACTIONFD-373: If feeDelegatedCancel define from property with invalid address, return error', () => {
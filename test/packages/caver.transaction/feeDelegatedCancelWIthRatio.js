@@ -124,11 +124,11 @@ describe('TxTypeFeeDelegatedCancelWithRatio', () => {
             expect(() => new caver.transaction.feeDelegatedCancelWithRatio(transactionObj)).to.throw(expectedError)
         })
 
-        it('CAVERJS-UNIT-TRANSACTIONFDR-377: If feeDelegatedCancelWithRatio not define gas, return error', () => {
+        it('CAVERJS-UNIT-TRANSACTIONFDR-377: If feeDelegatedCancelWithRatio not define gas, gas should be undefined', () => {
             delete transactionObj.gas
 
-            const expectedError = '"gas" is missing'
-            expect(() => new caver.transaction.feeDelegatedCancelWithRatio(transactionObj)).to.throw(expectedError)
+            const tx = new caver.transaction.feeDelegatedCancelWithRatio(transactionObj)
+            expect(tx.gas).to.be.undefined
         })
 
         it('CAVERJS-UNIT-TRANSACTIONFDR-378: If feeDelegatedCancelWithRatio not define feeRatio, return error', () => {
@@ -127,11 +127,11 @@ describe('TxTypeFeeDelegatedChainDataAnchoring', () => {
             expect(() => new caver.transaction.feeDelegatedChainDataAnchoring(transactionObj)).to.throw(expectedError)
         })
 
-        it('CAVERJS-UNIT-TRANSACTIONFD-443: If feeDelegatedChainDataAnchoring not define gas, return error', () => {
+        it('CAVERJS-UNIT-TRANSACTIONFD-443: If feeDelegatedChainDataAnchoring not define gas, gas should be undefined', () => {
             delete transactionObj.gas
 
-            const expectedError = '"gas" is missing'
-            expect(() => new caver.transaction.feeDelegatedChainDataAnchoring(transactionObj)).to.throw(expectedError)
+            const tx = new caver.transaction.feeDelegatedChainDataAnchoring(transactionObj)
+            expect(tx.gas).to.be.undefined
         })
 
         it('CAVERJS-UNIT-TRANSACTIONFD-444: If feeDelegatedChainDataAnchoring not define input, return error', () => {
@@ -130,11 +130,11 @@ describe('TxTypeFeeDelegatedSmartContractDeploy', () => {
             expect(() => new caver.transaction.feeDelegatedSmartContractDeploy(transactionObj)).to.throw(expectedError)
         })
 
-        it('CAVERJS-UNIT-TRANSACTIONFD-224: If feeDelegatedSmartContractDeploy not define gas, return error', () => {
+        it('CAVERJS-UNIT-TRANSACTIONFD-224: If feeDelegatedSmartContractDeploy not define gas, gas should be undefined', () => {
             delete transactionObj.gas
 
-            const expectedError = '"gas" is missing'
-            expect(() => new caver.transaction.feeDelegatedSmartContractDeploy(transactionObj)).to.throw(expectedError)
+            const tx = new caver.transaction.feeDelegatedSmartContractDeploy(transactionObj)
+            expect(tx.gas).to.be.undefined
         })
 
         it('CAVERJS-UNIT-TRANSACTIONFD-225: If feeDelegatedSmartContractDeploy not define input, return error', () => {
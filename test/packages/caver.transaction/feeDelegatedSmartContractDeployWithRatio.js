@@ -132,11 +132,11 @@ describe('TxTypeFeeDelegatedSmartContractDeployWithRatio', () => {
             expect(() => new caver.transaction.feeDelegatedSmartContractDeployWithRatio(transactionObj)).to.throw(expectedError)
         })
 
-        it('CAVERJS-UNIT-TRANSACTIONFDR-227: If feeDelegatedSmartContractDeployWithRatio not define gas, return error', () => {
+        it('CAVERJS-UNIT-TRANSACTIONFDR-227: If feeDelegatedSmartContractDeployWithRatio not define gas, gas should be undefined', () => {
             delete transactionObj.gas
 
-            const expectedError = '"gas" is missing'
-            expect(() => new caver.transaction.feeDelegatedSmartContractDeployWithRatio(transactionObj)).to.throw(expectedError)
+            const tx = new caver.transaction.feeDelegatedSmartContractDeployWithRatio(transactionObj)
+            expect(tx.gas).to.be.undefined
         })
 
         it('CAVERJS-UNIT-TRANSACTIONFDR-228: If feeDelegatedSmartContractDeployWithRatio not define input, return error', () => {
@@ -135,11 +135,11 @@ describe('TxTypeFeeDelegatedSmartContractExecution', () => {
             expect(() => new caver.transaction.feeDelegatedSmartContractExecution(transactionObj)).to.throw(expectedError)
         })
 
-        it('CAVERJS-UNIT-TRANSACTIONFD-299: If feeDelegatedSmartContractExecution not define gas, return error', () => {
+        it('CAVERJS-UNIT-TRANSACTIONFD-299: If feeDelegatedSmartContractExecution not define gas, gas should be undefined', () => {
             delete transactionObj.gas
 
-            const expectedError = '"gas" is missing'
-            expect(() => new caver.transaction.feeDelegatedSmartContractExecution(transactionObj)).to.throw(expectedError)
+            const tx = new caver.transaction.feeDelegatedSmartContractExecution(transactionObj)
+            expect(tx.gas).to.be.undefined
         })
 
         it('CAVERJS-UNIT-TRANSACTIONFD-300: If feeDelegatedSmartContractExecution not define input, return error', () => {
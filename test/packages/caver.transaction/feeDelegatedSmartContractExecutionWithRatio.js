@@ -137,11 +137,11 @@ describe('TxTypeFeeDelegatedSmartContractExecutionWithRatio', () => {
             expect(() => new caver.transaction.feeDelegatedSmartContractExecutionWithRatio(transactionObj)).to.throw(expectedError)
         })
 
-        it('CAVERJS-UNIT-TRANSACTIONFDR-303: If feeDelegatedSmartContractExecutionWithRatio not define gas, return error', () => {
+        it('CAVERJS-UNIT-TRANSACTIONFDR-303: If feeDelegatedSmartContractExecutionWithRatio not define gas, gas should be undefined', () => {
             delete transactionObj.gas
 
-            const expectedError = '"gas" is missing'
-            expect(() => new caver.transaction.feeDelegatedSmartContractExecutionWithRatio(transactionObj)).to.throw(expectedError)
+            const tx = new caver.transaction.feeDelegatedSmartContractExecutionWithRatio(transactionObj)
+            expect(tx.gas).to.be.undefined
         })
 
         it('CAVERJS-UNIT-TRANSACTIONFDR-304: If feeDelegatedSmartContractExecutionWithRatio not define input, return error', () => {
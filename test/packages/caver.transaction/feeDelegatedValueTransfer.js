@@ -142,11 +142,11 @@ describe('TxTypeFeeDelegatedValueTransfer', () => {
             expect(() => new caver.transaction.feeDelegatedValueTransfer(transactionObj)).to.throw(expectedError)
         })
 
-        it('CAVERJS-UNIT-TRANSACTIONFD-004: If feeDelegatedValueTransfer not define gas, return error', () => {
+        it('CAVERJS-UNIT-TRANSACTIONFD-004: If feeDelegatedValueTransfer not define gas, gas should be undefined', () => {
             delete transactionObj.gas
 
-            const expectedError = '"gas" is missing'
-            expect(() => new caver.transaction.feeDelegatedValueTransfer(transactionObj)).to.throw(expectedError)
+            const tx = new caver.transaction.feeDelegatedValueTransfer(transactionObj)
+            expect(tx.gas).to.be.undefined
         })
 
         it('CAVERJS-UNIT-TRANSACTIONFD-005: If feeDelegatedValueTransfer define from property with invalid address, return error', () => {
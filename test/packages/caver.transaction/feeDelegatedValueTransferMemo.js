@@ -144,11 +144,11 @@ describe('TxTypeFeeDelegatedValueTransferMemo', () => {
             expect(() => new caver.transaction.feeDelegatedValueTransferMemo(transactionObj)).to.throw(expectedError)
         })
 
-        it('CAVERJS-UNIT-TRANSACTIONFD-078: If feeDelegatedValueTransferMemo not define gas, return error', () => {
+        it('CAVERJS-UNIT-TRANSACTIONFD-078: If feeDelegatedValueTransferMemo not define gas, gas should be undefined', () => {
             delete transactionObj.gas
 
-            const expectedError = '"gas" is missing'
-            expect(() => new caver.transaction.feeDelegatedValueTransferMemo(transactionObj)).to.throw(expectedError)
+            const tx = new caver.transaction.feeDelegatedValueTransferMemo(transactionObj)
+            expect(tx.gas).to.be.undefined
         })
 
         it('CAVERJS-UNIT-TRANSACTIONFD-079: If feeDelegatedValueTransferMemo not define input, return error', () => {
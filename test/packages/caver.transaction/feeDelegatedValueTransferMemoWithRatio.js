@@ -146,11 +146,11 @@ describe('TxTypeFeeDelegatedValueTransferMemoWithRatio', () => {
             expect(() => new caver.transaction.feeDelegatedValueTransferMemoWithRatio(transactionObj)).to.throw(expectedError)
         })
 
-        it('CAVERJS-UNIT-TRANSACTIONFDR-079: If feeDelegatedValueTransferMemoWithRatio not define gas, return error', () => {
+        it('CAVERJS-UNIT-TRANSACTIONFDR-079: If feeDelegatedValueTransferMemoWithRatio not define gas, gas should be undefined', () => {
             delete transactionObj.gas
 
-            const expectedError = '"gas" is missing'
-            expect(() => new caver.transaction.feeDelegatedValueTransferMemoWithRatio(transactionObj)).to.throw(expectedError)
+            const tx = new caver.transaction.feeDelegatedValueTransferMemoWithRatio(transactionObj)
+            expect(tx.gas).to.be.undefined
         })
 
         it('CAVERJS-UNIT-TRANSACTIONFDR-080: If feeDelegatedValueTransferMemoWithRatio not define input, return error', () => {
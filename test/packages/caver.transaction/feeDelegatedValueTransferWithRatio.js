@@ -144,11 +144,11 @@ describe('TxTypeFeeDelegatedValueTransferWithRatio', () => {
             expect(() => new caver.transaction.feeDelegatedValueTransferWithRatio(transactionObj)).to.throw(expectedError)
         })
 
-        it('CAVERJS-UNIT-TRANSACTIONFDR-004: If feeDelegatedValueTransferWithRatio not define gas, return error', () => {
+        it('CAVERJS-UNIT-TRANSACTIONFDR-004: If feeDelegatedValueTransferWithRatio not define gas, gas should be undefined', () => {
             delete transactionObj.gas
 
-            const expectedError = '"gas" is missing'
-            expect(() => new caver.transaction.feeDelegatedValueTransferWithRatio(transactionObj)).to.throw(expectedError)
+            const tx = new caver.transaction.feeDelegatedValueTransferWithRatio(transactionObj)
+            expect(tx.gas).to.be.undefined
         })
 
         it('CAVERJS-UNIT-TRANSACTIONFDR-005: If feeDelegatedValueTransferWithRatio not define feeRatio, return error', () => {
@@ -0,0 +1,250 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const chai = require('chai')
+const sinon = require('sinon')
+const sinonChai = require('sinon-chai')
+const chaiAsPromised = require('chai-as-promised')
+
+chai.use(chaiAsPromised)
+chai.use(sinonChai)
+
+const expect = chai.expect
+
+const testRPCURL = require('../../testrpc')
+const Caver = require('../../../index.js')
+const AbstractTransaction = require('../../../packages/caver-transaction/src/transactionTypes/abstractTransaction')
+
+const { generateMultiSigKeyring, generateRoleBasedKeyring } = require('../utils')
+
+let caver
+let sender
+let estimateGasStub
+let getAccountKeyStub
+
+const sandbox = sinon.createSandbox()
+
+const contractAddress = '0x7b65B75d204aBed71587c9E519a89277766EE1d0'
+const input = '0x60fe47b10000000000000000000000000000000000000000000000000000000000000001'
+
+describe('transaction.fillTransaction with gas estimation', () => {
+    let originalKlaytnCall
+
+    before(() => {
+        originalKlaytnCall = AbstractTransaction._klaytnCall
+    })
+
+    after(() => {
+        AbstractTransaction._klaytnCall = originalKlaytnCall
+    })
+
+    beforeEach(() => {
+        caver = new Caver(testRPCURL)
+        sender = caver.wallet.keyring.generate()
+
+        estimateGasStub = sandbox.stub().resolves('0x5208')
+        getAccountKeyStub = sandbox.stub().resolves(null)
+        AbstractTransaction._klaytnCall = {
+            getGasPrice: () => '0x5d21dba00',
+            getTransactionCount: () => '0x0',
+            getChainId: () => '0x7e3',
+            estimateGas: estimateGasStub,
+            getAccountKey: getAccountKeyStub,
+        }
+    })
+
+    afterEach(() => {
+        sandbox.restore()
+        caver.transaction.gasEstimator.setOptions({ multiplier: 1, cap: null })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-398: input: valueTransfer without gas', () => {
+        it('should fill gas with the result of klay_estimateGas', async () => {
+            const tx = new caver.transaction.valueTransfer({ from: sender.address, to: contractAddress, value: 1 })
+
+            await tx.fillTransaction()
+
+            expect(estimateGasStub).to.have.been.calledOnceWith({
+                from: sender.address,
+                to: contractAddress.toLowerCase(),
+                value: '0x1',
+            })
+            expect(tx.gas).to.equal('0x5208')
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-399: input: transactions of each type without gas', () => {
+        it('should estimate gas with the call object according to the type', () => {
+            const { getCallObject } = caver.transaction.gasEstimator
+            const from = sender.address
+
+            expect(getCallObject(new caver.transaction.valueTransferMemo({ from, to: contractAddress, value: 1, input }))).to.deep.equal({
+                from,
+                to: contractAddress.toLowerCase(),
+                value: '0x1',
+            })
+            expect(getCallObject(new caver.transaction.smartContractDeploy({ from, input }))).to.deep.equal({
+                from,
+                value: '0x0',
+                data: input,
+            })
+            expect(getCallObject(new caver.transaction.smartContractExecution({ from, to: contractAddress, input }))).to.deep.equal({
+                from,
+                to: contractAddress.toLowerCase(),
+                value: '0x0',
+                data: input,
+            })
+            expect(getCallObject(new caver.transaction.accountUpdate({ from, account: sender.toAccount() }))).to.deep.equal({
+                from,
+                to: from,
+            })
+            expect(getCallObject(new caver.transaction.chainDataAnchoring({ from, input }))).to.deep.equal({ from, to: from })
+            expect(getCallObject(new caver.transaction.cancel({ from }))).to.deep.equal({ from, to: from })
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-400: input: accountUpdate without gas', () => {
+        it('should add the gas for creating account keys', async () => {
+            const publicTx = new caver.transaction.accountUpdate({ from: sender.address, account: sender.toAccount() })
+            await publicTx.fillTransaction()
+            expect(publicTx.gas).to.equal(caver.utils.numberToHex(21000 + 20000))
+
+            const multiSig = generateMultiSigKeyring(3)
+            const multiSigTx = new caver.transaction.accountUpdate({ from: multiSig.address, account: multiSig.toAccount() })
+            await multiSigTx.fillTransaction()
+            expect(multiSigTx.gas).to.equal(caver.utils.numberToHex(21000 + 20000 * 3))
+
+            const roleBased = generateRoleBasedKeyring([1, 2, 3])
+            const roleBasedTx = new caver.transaction.accountUpdate({ from: roleBased.address, account: roleBased.toAccount() })
+            await roleBasedTx.fillTransaction()
+            expect(roleBasedTx.gas).to.equal(caver.utils.numberToHex(21000 + 20000 * 6))
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-401: input: fee delegated transactions without gas', () => {
+        it('should add the gas for fee delegation and the validation of the fee payer', async () => {
+            const tx = new caver.transaction.feeDelegatedValueTransfer({ from: sender.address, to: contractAddress, value: 1 })
+            await tx.fillTransaction()
+            expect(tx.gas).to.equal(caver.utils.numberToHex(21000 + 10000))
+            expect(getAccountKeyStub).to.have.been.calledOnceWith(sender.address)
+
+            const withRatio = new caver.transaction.feeDelegatedValueTransferWithRatio({
+                from: sender.address,
+                to: contractAddress,
+                value: 1,
+                feeRatio: 30,
+            })
+            await withRatio.fillTransaction()
+            expect(withRatio.gas).to.equal(caver.utils.numberToHex(21000 + 15000))
+
+            const feePayer = caver.wallet.keyring.generate().address
+            getAccountKeyStub.withArgs(feePayer).resolves({ keyType: 4, key: { threshold: 2, keys: [{}, {}, {}] } })
+            const multiSigFeePayer = new caver.transaction.feeDelegatedCancel({ from: sender.address, feePayer })
+            await multiSigFeePayer.fillTransaction()
+            expect(getAccountKeyStub).to.have.been.calledWith(feePayer)
+            expect(multiSigFeePayer.gas).to.equal(caver.utils.numberToHex(21000 + 10000 + 15000 * 2))
+
+            getAccountKeyStub.withArgs(feePayer).resolves({
+                keyType: 5,
+                key: [{ keyType: 2, key: {} }, { keyType: 2, key: {} }, { keyType: 4, key: { threshold: 1, keys: [{}, {}] } }],
+            })
+            const roleBasedFeePayer = new caver.transaction.feeDelegatedCancel({ from: sender.address, feePayer })
+            await roleBasedFeePayer.fillTransaction()
+            expect(roleBasedFeePayer.gas).to.equal(caver.utils.numberToHex(21000 + 10000 + 15000))
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-429: input: transactions of senders with multiple keys or payload', () => {
+        it('should add the gas for the validation of the sender and the payload', async () => {
+            getAccountKeyStub.resolves({ keyType: 4, key: { threshold: 2, keys: [{}, {}, {}] } })
+            const multiSigSender = new caver.transaction.valueTransfer({ from: sender.address, to: contractAddress, value: 1 })
+            await multiSigSender.fillTransaction()
+            expect(multiSigSender.gas).to.equal(caver.utils.numberToHex(21000 + 15000 * 2))
+
+            // The key of the role used to sign the transaction is used.
+            getAccountKeyStub.resolves({
+                keyType: 5,
+                key: [{ keyType: 2, key: {} }, { keyType: 4, key: { threshold: 1, keys: [{}, {}] } }],
+            })
+            const roleBasedSender = new caver.transaction.valueTransfer({ from: sender.address, to: contractAddress, value: 1 })
+            await roleBasedSender.fillTransaction()
+            expect(roleBasedSender.gas).to.equal(caver.utils.numberToHex(21000))
+            const roleBasedUpdate = new caver.transaction.accountUpdate({ from: sender.address, account: sender.toAccount() })
+            await roleBasedUpdate.fillTransaction()
+            expect(roleBasedUpdate.gas).to.equal(caver.utils.numberToHex(21000 + 20000 + 15000))
+
+            getAccountKeyStub.resolves(null)
+            const memo = new caver.transaction.valueTransferMemo({
+                from: sender.address,
+                to: contractAddress,
+                value: 1,
+                input: '0x68656c6c6f',
+            })
+            await memo.fillTransaction()
+            expect(memo.gas).to.equal(caver.utils.numberToHex(21000 + 5 * 100))
+
+            const anchoring = new caver.transaction.chainDataAnchoring({ from: sender.address, input })
+            await anchoring.fillTransaction()
+            expect(anchoring.gas).to.equal(caver.utils.numberToHex(21000 + 36 * 100))
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-402: input: gas estimation options', () => {
+        it('should apply the multiplier and the cap to the estimated gas', async () => {
+            caver.transaction.gasEstimator.setOptions({ multiplier: 1.5 })
+            const tx = new caver.transaction.valueTransfer({ from: sender.address, to: contractAddress, value: 1 })
+            await tx.fillTransaction()
+            expect(tx.gas).to.equal(caver.utils.numberToHex(31500))
+
+            caver.transaction.gasEstimator.setOptions({ cap: 30000 })
+            expect(caver.transaction.gasEstimator.getOptions()).to.deep.equal({ multiplier: 1.5, cap: 30000 })
+            const exceeded = new caver.transaction.valueTransfer({ from: sender.address, to: contractAddress, value: 1 })
+            await expect(exceeded.fillTransaction()).to.be.rejectedWith('The estimated gas(31500) exceeds the gas cap(30000).')
+
+            expect(() => caver.transaction.gasEstimator.setOptions({ multiplier: 0.5 })).to.throw('Invalid multiplier: 0.5.')
+            expect(() => caver.transaction.gasEstimator.setOptions({ cap: -1 })).to.throw('Invalid cap: -1.')
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-403: input: transaction with gas', () => {
+        it('should not estimate gas', async () => {
+            const tx = new caver.transaction.valueTransfer({ from: sender.address, to: contractAddress, value: 1, gas: 30000 })
+            await tx.sign(sender)
+
+            expect(estimateGasStub).not.to.have.been.called
+            expect(tx.gas).to.equal(caver.utils.numberToHex(30000))
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-404: input: transaction without gas', () => {
+        it('should throw error when RLP-encoding before filling gas', () => {
+            const tx = new caver.transaction.valueTransfer({
+                from: sender.address,
+                to: contractAddress,
+                value: 1,
+                gasPrice: '0x5d21dba00',
+                nonce: 0,
+                chainId: '0x7e3',
+            })
+
+            expect(() => tx.getRLPEncodingForSignature()).to.throw(
+                `gas is undefined. Define gas in transaction or use 'transaction.fillTransaction' to fill values.`
+            )
+        })
+    })
+})
@@ -96,11 +96,11 @@ describe('TxTypeLegacyTransaction', () => {
             expect(() => new caver.transaction.legacyTransaction(transactionObj)).to.throw(expectedError)
         })
 
-        it('CAVERJS-UNIT-TRANSACTION-002: If legacyTransaction not define gas, return error', () => {
+        it('CAVERJS-UNIT-TRANSACTION-002: If legacyTransaction not define gas, gas should be undefined', () => {
             delete transactionObj.gas
 
-            const expectedError = '"gas" is missing'
-            expect(() => new caver.transaction.legacyTransaction(transactionObj)).to.throw(expectedError)
+            const tx = new caver.transaction.legacyTransaction(transactionObj)
+            expect(tx.gas).to.be.undefined
         })
 
         it('CAVERJS-UNIT-TRANSACTION-003: If legacyTransaction define from property with invalid address, return error', () => {
@@ -0,0 +1,298 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const chai = require('chai')
+const sinon = require('sinon')
+const sinonChai = require('sinon-chai')
+const chaiAsPromised = require('chai-as-promised')
+
+chai.use(chaiAsPromised)
+chai.use(sinonChai)
+
+const expect = chai.expect
+
+const testRPCURL = require('../../testrpc')
+const Caver = require('../../../index.js')
+const AbstractTransaction = require('../../../packages/caver-transaction/src/transactionTypes/abstractTransaction')
+
+let caver
+let sender
+let nonceManager
+let getTransactionCountStub
+
+const sandbox = sinon.createSandbox()
+
+const chainId = '0x7e3'
+const to = '0x7b65B75d204aBed71587c9E519a89277766EE1d0'
+const txHash = '0xe9a11d9ef95fb437f75d07ce768d43e74f158dd54b106e7d3746ce29d545b550'
+
+const receiptOf = transactionHash => ({ transactionHash, blockHash: `0x${'1'.repeat(64)}`, blockNumber: '0x1', status: '0x1' })
+
+// Returns caver.rpc.klay connected to a provider which responds with the result of the handler.
+function klaytnCallWith(handler) {
+    const provider = {
+        send(payload, callback) {
+            setTimeout(() => callback(null, { jsonrpc: '2.0', id: payload.id, ...handler(payload) }))
+        },
+    }
+    // Creating a Caver instance replaces the klaytnCall of transactions, so it is kept.
+    const klaytnCall = AbstractTransaction._klaytnCall
+    const rpcKlay = new Caver(provider).rpc.klay
+    AbstractTransaction._klaytnCall = klaytnCall
+    return rpcKlay
+}
+
+describe('caver.transaction.nonceManager', () => {
+    let originalKlaytnCall
+
+    before(() => {
+        originalKlaytnCall = AbstractTransaction._klaytnCall
+    })
+
+    after(() => {
+        AbstractTransaction._klaytnCall = originalKlaytnCall
+    })
+
+    beforeEach(() => {
+        caver = new Caver(testRPCURL)
+        sender = caver.wallet.add(caver.wallet.keyring.generate())
+        nonceManager = caver.transaction.nonceManager
+        nonceManager.enable()
+
+        getTransactionCountStub = sandbox.stub().resolves('0x5')
+        AbstractTransaction._klaytnCall = {
+            getGasPrice: () => '0x5d21dba00',
+            getTransactionCount: getTransactionCountStub,
+            getChainId: () => chainId,
+            getBlockNumber: () => Promise.resolve('0x1'),
+        }
+    })
+
+    afterEach(() => {
+        sandbox.restore()
+        nonceManager.disable()
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-405: input: transactions filled concurrently from the same address', () => {
+        it('should fill unique nonces with a single klay_getTransactionCount request', async () => {
+            const txs = []
+            for (let i = 0; i < 5; i++) {
+                txs.push(new caver.transaction.valueTransfer({ from: sender.address, to, value: 1, gas: 25000 }))
+            }
+
+            await Promise.all(txs.map(tx => tx.fillTransaction()))
+
+            expect(getTransactionCountStub).to.have.been.calledOnceWith(sender.address, 'pending')
+            expect(txs.map(tx => tx.nonce)).to.deep.equal(['0x5', '0x6', '0x7', '0x8', '0x9'])
+            expect(nonceManager.getPending(sender.address, chainId)).to.deep.equal(['0x5', '0x6', '0x7', '0x8', '0x9'])
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-406: input: released nonces', () => {
+        it('should reuse the lowest released nonce and report it as a gap until it is reused', async () => {
+            const fetchNonce = () => '0x0'
+            const nonces = []
+            for (let i = 0; i < 4; i++) nonces.push(await nonceManager.reserve(sender.address, chainId, fetchNonce))
+            expect(nonces).to.deep.equal(['0x0', '0x1', '0x2', '0x3'])
+
+            nonceManager.release(sender.address, chainId, '0x2')
+            nonceManager.release(sender.address, chainId, '0x1')
+            expect(nonceManager.getGaps(sender.address, chainId)).to.deep.equal(['0x1', '0x2'])
+
+            expect(await nonceManager.reserve(sender.address, chainId, fetchNonce)).to.equal('0x1')
+            expect(nonceManager.getGaps(sender.address, chainId)).to.deep.equal(['0x2'])
+
+            // The released nonce right below the next nonce is not a gap.
+            nonceManager.release(sender.address, chainId, '0x3')
+            expect(nonceManager.getGaps(sender.address, chainId)).to.deep.equal([])
+            expect(await nonceManager.reserve(sender.address, chainId, fetchNonce)).to.equal('0x2')
+            expect(await nonceManager.reserve(sender.address, chainId, fetchNonce)).to.equal('0x3')
+        })
+
+        it('should ignore the nonce which is not reserved or already confirmed', async () => {
+            const nonce = await nonceManager.reserve(sender.address, chainId, () => '0x0')
+            nonceManager.confirm(sender.address, chainId, nonce)
+            nonceManager.release(sender.address, chainId, nonce)
+            nonceManager.release(sender.address, chainId, '0x9')
+
+            expect(nonceManager.getPending(sender.address, chainId)).to.deep.equal([])
+            expect(await nonceManager.reserve(sender.address, chainId, () => '0x0')).to.equal('0x1')
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-407: input: nonce errors from the Klaytn node', () => {
+        it('should resync the address so that the next nonce is fetched again', async () => {
+            await nonceManager.reserve(sender.address, chainId, () => '0x0')
+
+            expect(nonceManager.handleError(sender.address, chainId, '0x0', new Error('nonce too low'))).to.be.true
+            expect(await nonceManager.reserve(sender.address, chainId, () => '0x3')).to.equal('0x3')
+
+            expect(nonceManager.handleError(sender.address, undefined, undefined, 'Known transaction: 0x1234')).to.be.true
+            expect(await nonceManager.reserve(sender.address, chainId, () => '0x7')).to.equal('0x7')
+        })
+
+        it('should release the nonce when the error is not related to the nonce', async () => {
+            const nonce = await nonceManager.reserve(sender.address, chainId, () => '0x0')
+            await nonceManager.reserve(sender.address, chainId, () => '0x0')
+
+            expect(nonceManager.handleError(sender.address, chainId, nonce, new Error('insufficient funds'))).to.be.false
+            expect(nonceManager.getGaps(sender.address, chainId)).to.deep.equal(['0x0'])
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-408: input: the same address on different chains', () => {
+        it('should manage nonces for each chain separately', async () => {
+            expect(await nonceManager.reserve(sender.address, '0x7e3', () => '0x1')).to.equal('0x1')
+            expect(await nonceManager.reserve(sender.address, 1001, () => '0x9')).to.equal('0x9')
+            expect(await nonceManager.reserve(sender.address, Promise.resolve('0x3e9'), () => '0x0')).to.equal('0xa')
+            expect(await nonceManager.reserve(sender.address.toUpperCase().replace('0X', '0x'), 2019, () => '0x0')).to.equal('0x2')
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-409: input: disabled nonce manager', () => {
+        it('should fetch the nonce from the Klaytn node for each transaction', async () => {
+            nonceManager.disable()
+            expect(nonceManager.enabled).to.be.false
+
+            const txs = [
+                new caver.transaction.valueTransfer({ from: sender.address, to, value: 1, gas: 25000 }),
+                new caver.transaction.valueTransfer({ from: sender.address, to, value: 1, gas: 25000 }),
+            ]
+            await Promise.all(txs.map(tx => tx.fillTransaction()))
+
+            expect(getTransactionCountStub).to.have.been.calledTwice
+            expect(txs.map(tx => tx.nonce)).to.deep.equal(['0x5', '0x5'])
+            expect(nonceManager.getPending(sender.address, chainId)).to.deep.equal([])
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-410: input: transaction rejected by the Klaytn node', () => {
+        it('should release the nonce reserved by fillTransaction', async () => {
+            AbstractTransaction._klaytnCall.sendRawTransaction = klaytnCallWith(() => ({
+                error: { code: -32000, message: 'insufficient funds of the sender for value' },
+            })).sendRawTransaction
+            const tx = new caver.transaction.valueTransfer({ from: sender.address, to, value: 1, gas: 25000 })
+            const other = new caver.transaction.valueTransfer({ from: sender.address, to, value: 1, gas: 25000 })
+            await other.fillTransaction()
+
+            await expect(tx.send(caver.wallet)).to.be.rejectedWith('insufficient funds')
+
+            expect(nonceManager.getPending(sender.address, chainId)).to.deep.equal([other.nonce])
+            const next = new caver.transaction.valueTransfer({ from: sender.address, to, value: 1, gas: 25000 })
+            await next.fillTransaction()
+            expect(next.nonce).to.equal(tx.nonce)
+        })
+
+        it('should confirm the nonce when the transaction hash is returned', async () => {
+            AbstractTransaction._klaytnCall.sendRawTransaction = klaytnCallWith(payload => ({
+                result: payload.method === 'klay_getTransactionReceipt' ? receiptOf(payload.params[0]) : txHash,
+            })).sendRawTransaction
+            const tx = new caver.transaction.valueTransfer({ from: sender.address, to, value: 1, gas: 25000 })
+
+            await tx.send(caver.wallet)
+
+            expect(nonceManager.getPending(sender.address, chainId)).to.deep.equal([])
+            const next = new caver.transaction.valueTransfer({ from: sender.address, to, value: 1, gas: 25000 })
+            await next.fillTransaction()
+            expect(next.nonce).to.equal('0x6')
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-430: input: raw transactions signed with caver.klay.accounts', () => {
+        let klaytnCaver
+        let nodeNonce
+        let sendRawTransaction
+
+        beforeEach(() => {
+            nodeNonce = '0x5'
+            sendRawTransaction = () => ({ result: txHash })
+            klaytnCaver = new Caver({
+                send(payload, callback) {
+                    const results = {
+                        klay_chainID: chainId,
+                        klay_gasPrice: '0x5d21dba00',
+                        klay_getTransactionCount: nodeNonce,
+                        klay_getTransactionReceipt: receiptOf(payload.params[0]),
+                    }
+                    const response =
+                        payload.method === 'klay_sendRawTransaction' ? sendRawTransaction() : { result: results[payload.method] }
+                    setTimeout(() =>
+                        response instanceof Error ? callback(response) : callback(null, { jsonrpc: '2.0', id: payload.id, ...response })
+                    )
+                },
+            })
+        })
+
+        const nonceOf = signed => caver.transaction.decode(signed.rawTransaction).nonce
+        const sign = () =>
+            klaytnCaver.klay.accounts.signTransaction(
+                { type: 'VALUE_TRANSFER', from: sender.address, to, value: 1, gas: 25000 },
+                sender.key.privateKey
+            )
+
+        it('should confirm the nonce when sent with sendSignedTransaction or rpc.klay.sendRawTransaction', async () => {
+            const first = await sign()
+            const second = await sign()
+            expect(nonceManager.getPending(sender.address, chainId)).to.deep.equal(['0x5', '0x6'])
+
+            await klaytnCaver.klay.sendSignedTransaction(first.rawTransaction)
+            await klaytnCaver.rpc.klay.sendRawTransaction(second.rawTransaction)
+
+            expect(nonceManager.getPending(sender.address, chainId)).to.deep.equal([])
+            expect(nonceOf(await sign())).to.equal('0x7')
+        })
+
+        it('should resync the address with the nonce error returned from the Klaytn node', async () => {
+            const { rawTransaction } = await sign()
+            sendRawTransaction = () => ({ error: { code: -32000, message: 'nonce too low' } })
+
+            await expect(klaytnCaver.rpc.klay.sendRawTransaction(rawTransaction)).to.be.rejectedWith('nonce too low')
+
+            nodeNonce = '0x9'
+            expect(nonceOf(await sign())).to.equal('0x9')
+        })
+
+        it('should not release the nonce when the connection failed', async () => {
+            const { rawTransaction } = await sign()
+            await sign()
+            sendRawTransaction = () => new Error('CONNECTION TIMEOUT: timeout of 1000ms achived')
+
+            await expect(klaytnCaver.rpc.klay.sendRawTransaction(rawTransaction)).to.be.rejectedWith('CONNECTION TIMEOUT')
+
+            // The transaction may have been accepted, so the nonce is fetched again instead of being reused.
+            expect(nonceManager.getGaps(sender.address, chainId)).to.deep.equal([])
+            nodeNonce = '0x7'
+            expect(nonceOf(await sign())).to.equal('0x7')
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-411: input: gas estimation failure in fillTransaction', () => {
+        it('should release the reserved nonce', async () => {
+            AbstractTransaction._klaytnCall.estimateGas = () => Promise.reject(new Error('execution reverted'))
+            const tx = new caver.transaction.valueTransfer({ from: sender.address, to, value: 1 })
+
+            await expect(tx.fillTransaction()).to.be.rejectedWith('execution reverted')
+            await new Promise(resolve => setTimeout(resolve, 0))
+
+            expect(nonceManager.getPending(sender.address, chainId)).to.deep.equal([])
+            const next = new caver.transaction.valueTransfer({ from: sender.address, to, value: 1, gas: 25000 })
+            await next.fillTransaction()
+            expect(next.nonce).to.equal('0x5')
+        })
+    })
+})
@@ -0,0 +1,81 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const { expect } = require('chai')
+
+const testRPCURL = require('../../testrpc')
+const Caver = require('../../../index.js')
+
+let caver
+let sender
+
+const to = '0x7b65B75d204aBed71587c9E519a89277766EE1d0'
+const commonFields = { nonce: 1, gas: 90000, gasPrice: '0x5d21dba00', chainId: 2019 }
+
+describe('transaction.recoverPublicKeys and transaction.recoverFeePayerPublicKeys', () => {
+    beforeEach(() => {
+        caver = new Caver(testRPCURL)
+        sender = caver.wallet.keyring.generate()
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-424: input: transaction signed with multiple keys', () => {
+        it('should recover the public keys of all signatures', async () => {
+            const multiSig = caver.wallet.keyring.createWithMultipleKey(sender.address, caver.wallet.keyring.generateMultipleKeys(3))
+            const tx = new caver.transaction.valueTransfer(Object.assign({ from: sender.address, to, value: 1 }, commonFields))
+            await tx.sign(multiSig)
+
+            expect(tx.recoverPublicKeys()).to.deep.equal(multiSig.getPublicKey())
+        })
+
+        it('should recover the public key of the legacy transaction', async () => {
+            const tx = new caver.transaction.legacyTransaction(Object.assign({ to, value: 1 }, commonFields))
+            await tx.sign(sender)
+
+            expect(tx.recoverPublicKeys()).to.deep.equal([sender.getPublicKey()])
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-425: input: decoded fee delegated transaction', () => {
+        it('should recover the public keys with the chain id extracted from the signatures', async () => {
+            const feePayer = caver.wallet.keyring.generate()
+            const tx = new caver.transaction.feeDelegatedValueTransferWithRatio(
+                Object.assign({ from: sender.address, to, value: 1, feeRatio: 30 }, commonFields)
+            )
+            await tx.sign(sender)
+            await tx.signAsFeePayer(feePayer)
+
+            const decoded = caver.transaction.decode(tx.getRLPEncoding())
+            expect(decoded.chainId).to.be.undefined
+
+            expect(decoded.recoverPublicKeys()).to.deep.equal([sender.getPublicKey()])
+            expect(decoded.recoverFeePayerPublicKeys()).to.deep.equal([feePayer.getPublicKey()])
+            expect(decoded.chainId).to.equal('0x7e3')
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-426: input: transaction without signatures', () => {
+        it('should throw an error', () => {
+            const tx = new caver.transaction.feeDelegatedValueTransfer(Object.assign({ from: sender.address, to, value: 1 }, commonFields))
+
+            expect(() => tx.recoverPublicKeys()).to.throw('Failed to recover public keys from signatures: signatures is empty.')
+            expect(() => tx.recoverFeePayerPublicKeys()).to.throw(
+                'Failed to recover public keys from feePayerSignatures: feePayerSignatures is empty.'
+            )
+        })
+    })
+})
@@ -121,11 +121,11 @@ describe('TxTypeSmartContractDeploy', () => {
             expect(() => new caver.transaction.smartContractDeploy(transactionObj)).to.throw(expectedError)
         })
 
-        it('CAVERJS-UNIT-TRANSACTION-200: If smartContractDeploy not define gas, return error', () => {
+        it('CAVERJS-UNIT-TRANSACTION-200: If smartContractDeploy not define gas, gas should be undefined', () => {
             delete transactionObj.gas
 
-            const expectedError = '"gas" is missing'
-            expect(() => new caver.transaction.smartContractDeploy(transactionObj)).to.throw(expectedError)
+            const tx = new caver.transaction.smartContractDeploy(transactionObj)
+            expect(tx.gas).to.be.undefined
         })
 
         it('CAVERJS-UNIT-TRANSACTION-201: If smartContractDeploy not define input, return error', () => {
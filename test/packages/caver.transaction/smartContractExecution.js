@@ -130,11 +130,11 @@ describe('TxTypeSmartContractExecution', () => {
             expect(() => new caver.transaction.smartContractExecution(transactionObj)).to.throw(expectedError)
         })
 
-        it('CAVERJS-UNIT-TRANSACTION-250: If smartContractExecution not define gas, return error', () => {
+        it('CAVERJS-UNIT-TRANSACTION-250: If smartContractExecution not define gas, gas should be undefined', () => {
             delete transactionObj.gas
 
-            const expectedError = '"gas" is missing'
-            expect(() => new caver.transaction.smartContractExecution(transactionObj)).to.throw(expectedError)
+            const tx = new caver.transaction.smartContractExecution(transactionObj)
+            expect(tx.gas).to.be.undefined
         })
 
         it('CAVERJS-UNIT-TRANSACTION-251: If smartContractExecution not define input, return error', () => {
@@ -0,0 +1,237 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const { expect } = require('chai')
+const RLP = require('eth-lib/lib/rlp')
+
+const testRPCURL = require('../../testrpc')
+const Caver = require('../../../index.js')
+
+let caver
+let sender
+
+const to = '0x7b65B75d204aBed71587c9E519a89277766EE1d0'
+const commonFields = { nonce: 10, gas: 900000, gasPrice: '0x5d21dba00', chainId: 2019 }
+
+const abi = [
+    {
+        constant: false,
+        inputs: [{ name: 'recipient', type: 'address' }, { name: 'amount', type: 'uint256' }],
+        name: 'transfer',
+        outputs: [{ name: '', type: 'bool' }],
+        payable: false,
+        stateMutability: 'nonpayable',
+        type: 'function',
+    },
+]
+
+describe('caver.transaction.describe', () => {
+    beforeEach(() => {
+        caver = new Caver(testRPCURL)
+        sender = caver.wallet.keyring.generate()
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-418: input: RLP-encoded value transfer transaction', () => {
+        it('should describe the type, the value, the fee and the signer', async () => {
+            const tx = new caver.transaction.valueTransfer(
+                Object.assign({ from: sender.address, to, value: caver.utils.convertToPeb('1.5', 'KLAY') }, commonFields)
+            )
+            await tx.sign(sender)
+
+            const description = caver.transaction.describe(tx.getRLPEncoding())
+
+            expect(description).to.deep.equal({
+                type: 'TxTypeValueTransfer',
+                from: sender.address,
+                to: to.toLowerCase(),
+                nonce: 10,
+                gas: 900000,
+                gasPrice: { peb: '25000000000', ston: '25' },
+                maxFee: { peb: '22500000000000000', KLAY: '0.0225' },
+                chainId: 2019,
+                value: { peb: '1500000000000000000', KLAY: '1.5' },
+                signers: [sender.address],
+                transactionHash: tx.getTransactionHash(),
+            })
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-419: input: fee delegated transaction signed with multiple keys', () => {
+        it('should describe the fee payer, the fee ratio and the addresses recovered from both sender and fee payer signatures', async () => {
+            const privateKeys = caver.wallet.keyring.generateMultipleKeys(2)
+            const multiSig = caver.wallet.keyring.createWithMultipleKey(sender.address, privateKeys)
+            const feePayer = caver.wallet.keyring.generate()
+            const tx = new caver.transaction.feeDelegatedValueTransferWithRatio(
+                Object.assign({ from: sender.address, to, value: 1, feeRatio: 30 }, commonFields)
+            )
+            await tx.sign(multiSig)
+            await tx.signAsFeePayer(feePayer)
+
+            const description = caver.transaction.describe(tx.getRLPEncoding())
+
+            expect(description.type).to.equal('TxTypeFeeDelegatedValueTransferWithRatio')
+            expect(description.feePayer).to.equal(feePayer.address)
+            expect(description.feeRatio).to.equal(30)
+            expect(description.signers).to.deep.equal(privateKeys.map(key => caver.wallet.keyring.createFromPrivateKey(key).address))
+            expect(description.feePayerSigners).to.deep.equal([feePayer.address])
+        })
+
+        it('should return empty signers when the transaction is not signed by the fee payer', async () => {
+            const tx = new caver.transaction.feeDelegatedValueTransfer(Object.assign({ from: sender.address, to, value: 1 }, commonFields))
+            await tx.sign(sender)
+
+            const description = caver.transaction.describe(tx.getRLPEncoding())
+
+            expect(description.feePayer).to.equal('0x0000000000000000000000000000000000000000')
+            expect(description.signers).to.deep.equal([sender.address])
+            expect(description.feePayerSigners).to.deep.equal([])
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-420: input: account update transaction', () => {
+        it('should describe the account key to update', async () => {
+            const newKeys = caver.wallet.keyring.generateRoleBasedKeys([2, 0, 1])
+            const roleBased = caver.wallet.keyring.createWithRoleBasedKey(sender.address, newKeys)
+            const account = roleBased.toAccount([new caver.account.weightedMultiSigOptions(2, [1, 1]), {}, {}])
+            const tx = new caver.transaction.accountUpdate(Object.assign({ from: sender.address, account }, commonFields))
+            await tx.sign(sender)
+
+            const description = caver.transaction.describe(tx.getRLPEncoding())
+
+            expect(description.to).to.be.undefined
+            expect(description.value).to.be.undefined
+            expect(description.accountKey.type).to.equal('AccountKeyRoleBased')
+            expect(description.accountKey.roles.roleTransactionKey).to.deep.equal({
+                type: 'AccountKeyWeightedMultiSig',
+                threshold: 2,
+                weightedPublicKeys: account.accountKey.accountKeys[0].weightedPublicKeys.map(wpk => ({
+                    weight: 1,
+                    publicKey: caver.utils.compressPublicKey(wpk.publicKey),
+                })),
+            })
+            expect(description.accountKey.roles.roleAccountUpdateKey).to.deep.equal({ type: 'AccountKeyNil' })
+            expect(description.accountKey.roles.roleFeePayerKey).to.deep.equal({
+                type: 'AccountKeyPublic',
+                publicKey: caver.utils.compressPublicKey(account.accountKey.accountKeys[2].publicKey),
+            })
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-421: input: smart contract execution transaction', () => {
+        let tx
+
+        beforeEach(async () => {
+            const input = caver.abi.encodeFunctionCall(abi[0], [sender.address, '1000'])
+            tx = new caver.transaction.smartContractExecution(Object.assign({ from: sender.address, to, input }, commonFields))
+            await tx.sign(sender)
+        })
+
+        it('should decode the contract call with the ABI', () => {
+            const description = caver.transaction.describe(tx.getRLPEncoding(), { abi })
+
+            expect(description.contractCall.selector).to.equal('0xa9059cbb')
+            expect(description.contractCall.name).to.equal('transfer')
+            expect(description.contractCall.signature).to.equal('transfer(address,uint256)')
+            expect(description.contractCall.args).to.deep.equal([
+                { name: 'recipient', type: 'address', value: caver.utils.toChecksumAddress(sender.address) },
+                { name: 'amount', type: 'uint256', value: '1000' },
+            ])
+        })
+
+        it('should decode the contract call with the ABI found in the registry by the recipient address', () => {
+            const description = caver.transaction.describe(tx.getRLPEncoding(), { abi: { [to]: abi } })
+            expect(description.contractCall.name).to.equal('transfer')
+
+            const notFound = caver.transaction.describe(tx.getRLPEncoding(), { abi: { [sender.address]: abi } })
+            expect(notFound.contractCall).to.deep.equal({ selector: '0xa9059cbb' })
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-422: input: chain data anchoring transaction', () => {
+        const blockData = [
+            '0x4d8f5d5e1e7b1d6a0f2d4b9e2a8c8c6e9f0a1b2c3d4e5f60718293a4b5c6d7e8',
+            '0x1a9a2f5b2ad4e8c1d1e6e5b0c8c2e4f8e0d1ba8a5f6d7a3e6c5e0c5b2e4f0a6b',
+            '0x2b8c7f1e0d9a6b5c4d3e2f1a0b9c8d7e6f5a4b3c2d1e0f9a8b7c6d5e4f3a2b1c',
+            '0x3c7d6e5f4a3b2c1d0e9f8a7b6c5d4e3f2a1b0c9d8e7f6a5b4c3d2e1f0a9b8c7d',
+            '0x4e6f5a4b3c2d1e0f9a8b7c6d5e4f3a2b1c0d9e8f7a6b5c4d3e2f1a0b9c8d7e6f',
+        ]
+
+        it('should decode the anchoring data of type 0', async () => {
+            const input = RLP.encode(['0x', RLP.encode([...blockData, '0x0400', '0x10', '0x65'])])
+            const tx = new caver.transaction.chainDataAnchoring(Object.assign({ from: sender.address, input }, commonFields))
+            await tx.sign(sender)
+
+            const description = caver.transaction.describe(tx.getRLPEncoding())
+
+            expect(description.anchoring).to.deep.equal({
+                version: 1,
+                blockHash: blockData[0],
+                txHash: blockData[1],
+                parentHash: blockData[2],
+                receiptHash: blockData[3],
+                stateRootHash: blockData[4],
+                blockNumber: 1024,
+                blockCount: 16,
+                txCount: 101,
+            })
+        })
+
+        it('should decode the legacy anchoring data', async () => {
+            const input = RLP.encode([...blockData, '0x0400'])
+            const tx = new caver.transaction.chainDataAnchoring(Object.assign({ from: sender.address, input }, commonFields))
+
+            const description = caver.transaction.describe(tx)
+
+            expect(description.anchoring.blockHash).to.equal(blockData[0])
+            expect(description.anchoring.blockNumber).to.equal(1024)
+            expect(description.signers).to.deep.equal([])
+        })
+
+        it('should return the input as it is when it is not an anchoring data', () => {
+            const tx = new caver.transaction.chainDataAnchoring(Object.assign({ from: sender.address, input: '0x1234' }, commonFields))
+            expect(caver.transaction.describe(tx).anchoring).to.deep.equal({ data: '0x1234' })
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-423: input: transaction instance', () => {
+        it('should describe the transaction without changing the instance', async () => {
+            const tx = new caver.transaction.legacyTransaction({
+                to,
+                value: 1,
+                nonce: 1,
+                gas: 21000,
+                gasPrice: '0x5d21dba00',
+                chainId: 2019,
+            })
+            await tx.sign(sender)
+            delete tx._chainId
+
+            const description = caver.transaction.describe(tx)
+
+            expect(description.from).to.equal(sender.address)
+            expect(description.chainId).to.equal(2019)
+            expect(tx.chainId).to.be.undefined
+        })
+
+        it('should throw an error with invalid input', () => {
+            expect(() => caver.transaction.describe(1)).to.throw(
+                'Invalid transaction: An RLP-encoded transaction string or a transaction instance should be passed.'
+            )
+        })
+    })
+})
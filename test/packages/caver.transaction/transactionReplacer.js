@@ -0,0 +1,321 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const chai = require('chai')
+const sinon = require('sinon')
+const sinonChai = require('sinon-chai')
+const chaiAsPromised = require('chai-as-promised')
+
+chai.use(chaiAsPromised)
+chai.use(sinonChai)
+
+const expect = chai.expect
+
+const testRPCURL = require('../../testrpc')
+const Caver = require('../../../index.js')
+const AbstractTransaction = require('../../../packages/caver-transaction/src/transactionTypes/abstractTransaction')
+const TransactionReplacer = require('../../../packages/caver-transaction/src/transactionReplacer/transactionReplacer')
+
+let caver
+let sender
+let feePayer
+let sentRawTransactions
+let receipts
+let sendRawTransactionResult
+let stopWatching
+
+const sandbox = sinon.createSandbox()
+
+const to = '0x7b65B75d204aBed71587c9E519a89277766EE1d0'
+const originalHash = '0x3d7a3a6d2ce1d1c0c5b2c5e2a6a4c4f3a2b1d0e9f8a7b6c5d4e3f2a1b0c9d8e7'
+const gasPrice = '0x5d21dba00'
+
+// Returns the promise with `stopWatching` as the PromiEvent returned from `sendRawTransaction`.
+function toPromiEvent(promise) {
+    promise.stopWatching = stopWatching
+    return promise
+}
+
+function makeRPCTransaction(fields = {}) {
+    return Object.assign(
+        {
+            blockHash: null,
+            blockNumber: null,
+            from: sender.address,
+            gas: '0x61a8',
+            gasPrice,
+            hash: originalHash,
+            nonce: '0x3',
+            signatures: [{ V: '0x0fe9', R: '0x1', S: '0x1' }],
+            to: to.toLowerCase(),
+            type: 'TxTypeValueTransfer',
+            typeInt: 8,
+            value: '0x1',
+        },
+        fields
+    )
+}
+
+describe('caver.transaction.cancelPending and caver.transaction.replace', () => {
+    let originalKlaytnCall
+    let rpcTransaction
+
+    before(() => {
+        originalKlaytnCall = AbstractTransaction._klaytnCall
+    })
+
+    after(() => {
+        AbstractTransaction._klaytnCall = originalKlaytnCall
+    })
+
+    beforeEach(() => {
+        caver = new Caver(testRPCURL)
+        sender = caver.wallet.add(caver.wallet.keyring.generate())
+        feePayer = caver.wallet.add(caver.wallet.keyring.generate())
+
+        rpcTransaction = makeRPCTransaction()
+        sentRawTransactions = []
+        receipts = {}
+        sendRawTransactionResult = undefined
+        stopWatching = sandbox.stub()
+
+        AbstractTransaction._klaytnCall = {
+            getGasPrice: () => gasPrice,
+            getTransactionCount: () => '0x0',
+            getChainId: () => '0x7e3',
+            estimateGas: () => Promise.resolve('0x5208'),
+            getAccountKey: () => Promise.resolve(null),
+            getTransactionByHash: sandbox.stub().callsFake(() => Promise.resolve(rpcTransaction)),
+            getTransactionReceipt: hash => Promise.resolve(receipts[hash] || null),
+            sendRawTransaction: sandbox.stub().callsFake((rawTransaction, callback) => {
+                sentRawTransactions.push(rawTransaction)
+                if (sendRawTransactionResult instanceof Error) {
+                    callback(sendRawTransactionResult)
+                    return toPromiEvent(Promise.reject(sendRawTransactionResult))
+                }
+                const hash = caver.transaction.decode(rawTransaction).getTransactionHash()
+                callback(null, hash)
+                // Never resolved if the receipt is not defined, as if the transaction is pending.
+                return toPromiEvent(sendRawTransactionResult || new Promise(() => {}))
+            }),
+        }
+    })
+
+    afterEach(() => {
+        sandbox.restore()
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-412: cancelPending with the hash of a pending transaction', () => {
+        it('should send a TxTypeCancel with the same nonce and report that the cancel transaction landed', async () => {
+            const receipt = { blockNumber: '0x10', status: '0x1' }
+            sendRawTransactionResult = Promise.resolve(receipt)
+
+            const result = await caver.transaction.cancelPending(originalHash, sender)
+
+            expect(AbstractTransaction._klaytnCall.getTransactionByHash).to.have.been.calledWith(originalHash)
+            expect(sentRawTransactions.length).to.equal(1)
+            const sent = caver.transaction.decode(sentRawTransactions[0])
+            expect(sent.type).to.equal('TxTypeCancel')
+            expect(sent.from).to.equal(sender.address)
+            expect(sent.nonce).to.equal('0x3')
+            expect(sent.gasPrice).to.equal(gasPrice)
+
+            expect(result.landed).to.equal('replacement')
+            expect(result.originalTransactionHash).to.equal(originalHash)
+            expect(result.replacementTransactionHash).to.equal(sent.getTransactionHash())
+            expect(result.receipt).to.equal(receipt)
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-413: cancelPending when the original transaction landed first', () => {
+        it('should report that the original transaction landed when the nonce is already used', async () => {
+            const receipt = { blockNumber: '0x10', status: '0x1', transactionHash: originalHash }
+            sendRawTransactionResult = new Error('Returned error: nonce too low')
+            AbstractTransaction._klaytnCall.sendRawTransaction.callsFake((rawTransaction, callback) => {
+                receipts[originalHash] = receipt
+                callback(sendRawTransactionResult)
+                return toPromiEvent(Promise.reject(sendRawTransactionResult))
+            })
+
+            const result = await caver.transaction.cancelPending(originalHash, caver.wallet)
+
+            expect(result.landed).to.equal('original')
+            expect(result.receipt).to.equal(receipt)
+            expect(result.replacementTransactionHash).to.be.undefined
+        })
+
+        it('should report that the original transaction landed while the cancel transaction is pending', async () => {
+            const receipt = { blockNumber: '0x10', status: '0x1', transactionHash: originalHash }
+            setTimeout(() => {
+                receipts[originalHash] = receipt
+            }, 10)
+
+            const result = await caver.transaction.cancelPending(originalHash, sender)
+
+            expect(sentRawTransactions.length).to.equal(1)
+            expect(result.landed).to.equal('original')
+            expect(result.replacementTransactionHash).to.equal(caver.transaction.decode(sentRawTransactions[0]).getTransactionHash())
+            expect(result.receipt).to.equal(receipt)
+            expect(stopWatching).to.have.been.calledOnce
+        }).timeout(5000)
+
+        it('should not send the cancel transaction when the original transaction is already included in a block', async () => {
+            const receipt = { blockNumber: '0x10', status: '0x1', transactionHash: originalHash }
+            rpcTransaction = makeRPCTransaction({ blockNumber: '0x10' })
+            receipts[originalHash] = receipt
+
+            const result = await caver.transaction.cancelPending(originalHash, sender)
+
+            expect(sentRawTransactions.length).to.equal(0)
+            expect(result.landed).to.equal('original')
+            expect(result.receipt).to.equal(receipt)
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-414: replace with a transaction instance', () => {
+        it('should send a copy of the transaction signed again with the overrides', async () => {
+            sendRawTransactionResult = Promise.resolve({ blockNumber: '0x10', status: '0x1' })
+            const tx = new caver.transaction.valueTransfer({ from: sender.address, to, value: 1, gas: 25000, nonce: 3 })
+            await tx.sign(sender)
+
+            const result = await caver.transaction.replace(tx, { value: 2, gas: 30000 }, sender)
+
+            const sent = caver.transaction.decode(sentRawTransactions[0])
+            expect(sent.type).to.equal('TxTypeValueTransfer')
+            expect(sent.nonce).to.equal('0x3')
+            expect(sent.value).to.equal('0x2')
+            expect(sent.gas).to.equal('0x7530')
+            expect(sent.signatures.length).to.equal(1)
+            expect(result.landed).to.equal('replacement')
+            expect(result.originalTransactionHash).to.equal(tx.getTransactionHash())
+            // The original transaction instance is not changed.
+            expect(tx.value).to.equal('0x1')
+        })
+
+        it('should throw an error when the nonce is overridden', async () => {
+            await expect(caver.transaction.replace(originalHash, { nonce: 4 }, sender)).to.be.rejectedWith(
+                'The nonce cannot be overridden: the replacement should use the nonce of the original transaction.'
+            )
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-415: replace a fee delegated transaction with the hash', () => {
+        it('should sign the replacement as a sender and a fee payer with the wallet', async () => {
+            sendRawTransactionResult = Promise.resolve({ blockNumber: '0x10', status: '0x1' })
+            rpcTransaction = makeRPCTransaction({
+                type: 'TxTypeFeeDelegatedValueTransfer',
+                typeInt: 9,
+                feePayer: feePayer.address,
+                feePayerSignatures: [{ V: '0x0fe9', R: '0x1', S: '0x1' }],
+            })
+
+            await caver.transaction.replace(originalHash, { value: 5 }, caver.wallet)
+
+            const sent = caver.transaction.decode(sentRawTransactions[0])
+            expect(sent.type).to.equal('TxTypeFeeDelegatedValueTransfer')
+            expect(sent.value).to.equal('0x5')
+            expect(sent.feePayer).to.equal(feePayer.address)
+            expect(sent.signatures.length).to.equal(1)
+            expect(sent.feePayerSignatures.length).to.equal(1)
+        })
+
+        it('should throw an error when the fee payer cannot sign the replacement', async () => {
+            rpcTransaction = makeRPCTransaction({ type: 'TxTypeFeeDelegatedValueTransfer', typeInt: 9, feePayer: feePayer.address })
+
+            await expect(caver.transaction.replace(originalHash, { value: 5 }, sender)).to.be.rejectedWith(
+                'To replace a fee delegated transaction, the wallet which includes the keyring of the fee payer should be used.'
+            )
+            expect(sentRawTransactions.length).to.equal(0)
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-416: input: invalid transactions', () => {
+        it('should throw an error when the transaction cannot be found', async () => {
+            rpcTransaction = null
+            await expect(caver.transaction.cancelPending(originalHash, sender)).to.be.rejectedWith(
+                `Failed to find the transaction(${originalHash}).`
+            )
+        })
+
+        it('should throw an error with invalid transaction hash', async () => {
+            await expect(caver.transaction.cancelPending('0x1234', sender)).to.be.rejectedWith('Invalid transaction hash: 0x1234')
+        })
+
+        it('should throw an error when the transaction is rejected by the Klaytn node', async () => {
+            sendRawTransactionResult = new Error('Returned error: insufficient funds of the sender')
+
+            await expect(caver.transaction.cancelPending(originalHash, sender)).to.be.rejectedWith('insufficient funds of the sender')
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-417: createFromRPCObject', () => {
+        it('should create a transaction instance from the transaction object returned from the Klaytn node', () => {
+            const account = sender.toAccount()
+            const tx = TransactionReplacer.createFromRPCObject(
+                makeRPCTransaction({
+                    type: 'TxTypeFeeDelegatedAccountUpdateWithRatio',
+                    typeInt: 34,
+                    to: undefined,
+                    value: undefined,
+                    key: account.getRLPEncodingAccountKey(),
+                    feePayer: '0x0000000000000000000000000000000000000000',
+                    feeRatio: '0x1e',
+                })
+            )
+
+            expect(tx instanceof caver.transaction.feeDelegatedAccountUpdateWithRatio).to.be.true
+            expect(tx.account.getRLPEncodingAccountKey()).to.equal(account.getRLPEncodingAccountKey())
+            expect(tx.nonce).to.equal('0x3')
+            expect(tx.feeRatio).to.equal('0x1e')
+            expect(tx.signatures.length).to.equal(1)
+            expect(caver.utils.isEmptySig(tx.signatures)).to.be.true
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-431: cancelPending with the receipt polling of the replacement', () => {
+        it('should stop polling the receipt of the replacement when the original transaction landed', async () => {
+            const provider = new Caver.providers.MockProvider({ supportsSubscriptions: false })
+            caver = new Caver(provider)
+            sender = caver.wallet.add(caver.wallet.keyring.generate())
+            rpcTransaction = makeRPCTransaction()
+
+            const receipt = { blockHash: '0x2222', blockNumber: '0x10', status: '0x1', transactionHash: originalHash }
+            let replacementHash
+            provider.mock('klay_chainID', '0x7e3')
+            provider.mock('klay_estimateGas', '0x5208')
+            provider.mock('klay_getAccountKey', null)
+            provider.mock('klay_getTransactionByHash', rpcTransaction)
+            provider.mock('klay_sendRawTransaction', ([rawTransaction]) => {
+                replacementHash = caver.transaction.decode(rawTransaction).getTransactionHash()
+                return replacementHash
+            })
+            provider.mock('klay_getTransactionReceipt', ([hash]) => {
+                // The original transaction is included in a block after the replacement receipt is polled once.
+                if (hash === replacementHash) receipts[originalHash] = receipt
+                return receipts[hash] || null
+            })
+
+            const result = await caver.transaction.cancelPending(originalHash, sender)
+            expect(result.landed).to.equal('original')
+
+            const polled = provider.getRequests('klay_getTransactionReceipt').length
+            await new Promise(resolve => setTimeout(resolve, 1500))
+            expect(provider.getRequests('klay_getTransactionReceipt').length).to.equal(polled)
+        }).timeout(10000)
+    })
+})
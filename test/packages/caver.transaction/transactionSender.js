@@ -0,0 +1,219 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const chai = require('chai')
+const sinon = require('sinon')
+const sinonChai = require('sinon-chai')
+const chaiAsPromised = require('chai-as-promised')
+
+chai.use(chaiAsPromised)
+chai.use(sinonChai)
+
+const expect = chai.expect
+
+const testRPCURL = require('../../testrpc')
+const Caver = require('../../../index.js')
+const AbstractTransaction = require('../../../packages/caver-transaction/src/transactionTypes/abstractTransaction')
+
+let caver
+let sender
+let feePayer
+let sentRawTransactions
+let receiptBlockNumber
+
+const sandbox = sinon.createSandbox()
+
+function stubRequestManager({ receipt, blockNumber, sendRawTransaction } = {}) {
+    sentRawTransactions = []
+    sandbox.stub(caver.rpc.klay._requestManager, 'send').callsFake((payload, callback) => {
+        if (payload.method === 'klay_sendRawTransaction') {
+            if (sendRawTransaction) return sendRawTransaction(payload, callback)
+            sentRawTransactions.push(payload.params[0])
+            return callback(null, caver.transaction.decode(payload.params[0]).getTransactionHash())
+        }
+        if (payload.method === 'klay_getTransactionReceipt') {
+            return callback(
+                null,
+                Object.assign(
+                    {
+                        blockHash: '0x1a9a2f5b2ad4e8c1d1e6e5b0c8c2e4f8e0d1ba8a5f6d7a3e6c5e0c5b2e4f0a6b',
+                        blockNumber: receiptBlockNumber,
+                        transactionHash: payload.params[0],
+                        gasUsed: '0x5208',
+                        status: '0x1',
+                        logs: [],
+                    },
+                    receipt
+                )
+            )
+        }
+        if (payload.method === 'klay_blockNumber') return callback(null, blockNumber || receiptBlockNumber)
+        callback(new Error(`Unexpected request: ${payload.method}`))
+    })
+}
+
+function generateValueTransfer(from) {
+    return new caver.transaction.valueTransfer({ from, to: feePayer.address, value: 1, gas: 30000 })
+}
+
+describe('transaction.send', () => {
+    let originalKlaytnCall
+
+    before(() => {
+        originalKlaytnCall = AbstractTransaction._klaytnCall
+    })
+
+    after(() => {
+        AbstractTransaction._klaytnCall = originalKlaytnCall
+    })
+
+    beforeEach(() => {
+        caver = new Caver(testRPCURL)
+        AbstractTransaction._klaytnCall.getGasPrice = () => '0x5d21dba00'
+        AbstractTransaction._klaytnCall.getTransactionCount = () => '0x0'
+        AbstractTransaction._klaytnCall.getChainId = () => '0x7e3'
+
+        sender = caver.wallet.add(caver.wallet.keyring.generate())
+        feePayer = caver.wallet.add(caver.wallet.keyring.generate())
+        receiptBlockNumber = '0x10'
+    })
+
+    afterEach(() => {
+        sandbox.restore()
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-390: input: wallet', () => {
+        it('should sign the transaction with the wallet and resolve with the receipt', async () => {
+            stubRequestManager()
+            const tx = generateValueTransfer(sender.address)
+            const signSpy = sandbox.spy(caver.wallet, 'sign')
+            const transactionHashListener = sandbox.spy()
+            const receiptListener = sandbox.spy()
+
+            const receipt = await tx
+                .send(caver.wallet)
+                .on('transactionHash', transactionHashListener)
+                .on('receipt', receiptListener)
+
+            expect(signSpy).to.have.been.calledOnce
+            expect(sentRawTransactions).to.deep.equal([tx.getRLPEncoding()])
+            expect(receipt.transactionHash).to.equal(tx.getTransactionHash())
+            expect(transactionHashListener).to.have.been.calledWith(tx.getTransactionHash())
+            expect(receiptListener).to.have.been.calledWith(receipt)
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-391: input: fee delegated transaction, wallet', () => {
+        it('should sign the transaction as a sender and a fee payer', async () => {
+            stubRequestManager()
+            const tx = new caver.transaction.feeDelegatedValueTransfer({
+                from: sender.address,
+                to: sender.address,
+                value: 1,
+                gas: 50000,
+                feePayer: feePayer.address,
+            })
+
+            await tx.send(caver.wallet)
+
+            const sent = caver.transaction.decode(sentRawTransactions[0])
+            expect(sent.signatures.length).to.equal(1)
+            expect(sent.feePayer).to.equal(feePayer.address)
+            expect(sent.feePayerSignatures.length).to.equal(1)
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-392: input: fee delegated transaction, wallet without fee payer', () => {
+        it('should throw error', async () => {
+            stubRequestManager()
+            const external = caver.wallet.keyring.generate()
+            const tx = new caver.transaction.feeDelegatedValueTransfer({
+                from: sender.address,
+                to: sender.address,
+                value: 1,
+                gas: 50000,
+            })
+
+            await expect(tx.send(caver.wallet)).to.be.rejectedWith(
+                'To send a fee delegated transaction without feePayerSignatures, feePayer should be defined.'
+            )
+
+            tx.feePayer = external.address
+            await expect(tx.send(caver.wallet)).to.be.rejectedWith(
+                `Failed to find the keyring of the fee payer(${external.address}) in the wallet.`
+            )
+            expect(sentRawTransactions.length).to.equal(0)
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-393: input: signed transaction', () => {
+        it('should send the transaction without the wallet', async () => {
+            stubRequestManager()
+            const tx = generateValueTransfer(sender.address)
+            await tx.sign(sender)
+            const signSpy = sandbox.spy(caver.wallet, 'sign')
+
+            await tx.send({ confirmations: 0 })
+
+            expect(signSpy).not.to.have.been.called
+            expect(sentRawTransactions).to.deep.equal([tx.getRLPEncoding()])
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-394: input: wallet, options with confirmations', () => {
+        it('should emit confirmation events and resolve after the confirmations', async () => {
+            stubRequestManager({ blockNumber: '0x13' })
+            const tx = generateValueTransfer(sender.address)
+            const confirmationListener = sandbox.spy()
+
+            const receipt = await tx.send(caver.wallet, { confirmations: 2 }).on('confirmation', confirmationListener)
+
+            expect(confirmationListener).to.have.been.calledTwice
+            expect(confirmationListener.firstCall).to.have.been.calledWith(1, receipt)
+            expect(confirmationListener.secondCall).to.have.been.calledWith(2, receipt)
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-395: input: wallet, options with timeout', () => {
+        it('should throw error when the transaction is not confirmed within the timeout', async () => {
+            stubRequestManager({ sendRawTransaction: () => {} })
+            const tx = generateValueTransfer(sender.address)
+
+            await expect(tx.send(caver.wallet, { timeout: 10 })).to.be.rejectedWith('Transaction was not confirmed within 10ms')
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-396: input: wallet, failed transaction', () => {
+        it('should throw error with the receipt', async () => {
+            stubRequestManager({ receipt: { status: '0x0', txError: '0x9' } })
+            const tx = generateValueTransfer(sender.address)
+
+            await expect(tx.send(caver.wallet)).to.be.rejectedWith('evm: execution reverted')
+        })
+    })
+
+    context('CAVERJS-UNIT-TRANSACTION-397: input: wallet without sender', () => {
+        it('should throw error', async () => {
+            stubRequestManager()
+            const tx = generateValueTransfer(caver.wallet.keyring.generate().address)
+
+            await expect(tx.send(caver.wallet)).to.be.rejectedWith('Failed to find keyring from wallet with')
+            expect(sentRawTransactions.length).to.equal(0)
+        })
+    })
+})
@@ -132,11 +132,11 @@ describe('TxTypeValueTransfer', () => {
             expect(() => new caver.transaction.valueTransfer(transactionObj)).to.throw(expectedError)
         })
 
-        it('CAVERJS-UNIT-TRANSACTION-056: If valueTransfer not define gas, return error', () => {
+        it('CAVERJS-UNIT-TRANSACTION-056: If valueTransfer not define gas, gas should be undefined', () => {
             delete transactionObj.gas
 
-            const expectedError = '"gas" is missing'
-            expect(() => new caver.transaction.valueTransfer(transactionObj)).to.throw(expectedError)
+            const tx = new caver.transaction.valueTransfer(transactionObj)
+            expect(tx.gas).to.be.undefined
         })
 
         it('CAVERJS-UNIT-TRANSACTION-057: If valueTransfer define from property with invalid address, return error', () => {
@@ -134,11 +134,11 @@ describe('TxTypeValueTransferMemo', () => {
             expect(() => new caver.transaction.valueTransferMemo(transactionObj)).to.throw(expectedError)
         })
 
-        it('CAVERJS-UNIT-TRANSACTION-105: If valueTransferMemo not define gas, return error', () => {
+        it('CAVERJS-UNIT-TRANSACTION-105: If valueTransferMemo not define gas, gas should be undefined', () => {
             delete transactionObj.gas
 
-            const expectedError = '"gas" is missing'
-            expect(() => new caver.transaction.valueTransferMemo(transactionObj)).to.throw(expectedError)
+            const tx = new caver.transaction.valueTransferMemo(transactionObj)
+            expect(tx.gas).to.be.undefined
         })
 
         it('CAVERJS-UNIT-TRANSACTION-106: If valueTransferMemo not define input, return error', () => {
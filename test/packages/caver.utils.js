@@ -2037,4 +2037,36 @@ describe('caver.utils.recover', () => {
         const result = caver.utils.recover(signed.messageHash, signed.signatures[0], true)
         expect(result).to.equal(keyring.address)
     })
+
+    it('CAVERJS-UNIT-ETC-275: return recovered address when r of the signature does not have leading zeros', () => {
+        const keyring = caver.wallet.keyring.createFromPrivateKey('0x45a915e4d060149eb4365960e6a7a45f334393093061116b197e3240065ff2d8')
+        let signed
+        for (let i = 0; !signed || !signed.signatures[0].r.startsWith('0x00'); i++) {
+            signed = keyring.signMessage(`Some data ${i}`, caver.wallet.keyring.role.roleTransactionKey)
+        }
+        const [v, r, s] = signed.signatures[0].encode()
+        const signature = new caver.wallet.keyring.signatureData([v, `0x${r.slice(4)}`, s])
+
+        const result = caver.utils.recover(signed.messageHash, signature, true)
+        expect(result).to.equal(keyring.address)
+    })
+})
+
+describe('caver.utils.recoverPublicKey', () => {
+    it('CAVERJS-UNIT-ETC-273: return recovered public key when input is message, signature', () => {
+        const keyring = caver.wallet.keyring.generate()
+        const message = 'Some data'
+        const signed = keyring.signMessage(message, caver.wallet.keyring.role.roleTransactionKey)
+
+        const result = caver.utils.recoverPublicKey(signed.message, signed.signatures[0])
+        expect(result).to.equal(keyring.getPublicKey())
+    })
+
+    it('CAVERJS-UNIT-ETC-274: return recovered public key when input is messageHash, signature, prefixed', () => {
+        const keyring = caver.wallet.keyring.generate()
+        const signed = keyring.signMessage('Some data', caver.wallet.keyring.role.roleTransactionKey)
+
+        const result = caver.utils.recoverPublicKey(signed.messageHash, signed.signatures[0], true)
+        expect(result).to.equal(keyring.getPublicKey())
+    })
 })
@@ -0,0 +1,209 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const chai = require('chai')
+const sinon = require('sinon')
+const sinonChai = require('sinon-chai')
+const chaiAsPromised = require('chai-as-promised')
+
+chai.use(chaiAsPromised)
+chai.use(sinonChai)
+
+const expect = chai.expect
+
+const testRPCURL = require('../testrpc')
+const Caver = require('../../index.js')
+
+const sandbox = sinon.createSandbox()
+
+const to = '0x7b65B75d204aBed71587c9E519a89277766EE1d0'
+const commonFields = { nonce: 1, gas: 90000, gasPrice: '0x5d21dba00', chainId: 2019 }
+
+let caver
+let accountKeys
+
+// Returns the account key in the format of `klay_getAccountKey`.
+function toRPCKey(publicKey) {
+    const [x, y] = caver.utils.xyPointFromPublicKey(publicKey)
+    return { x, y }
+}
+function publicKeyOf(publicKey) {
+    return { keyType: 2, key: toRPCKey(publicKey) }
+}
+function multiSigOf(threshold, publicKeys, weights) {
+    return {
+        keyType: 4,
+        key: { threshold, keys: publicKeys.map((publicKey, i) => ({ weight: weights[i], key: toRPCKey(publicKey) })) },
+    }
+}
+
+describe('caver.validator', () => {
+    beforeEach(() => {
+        caver = new Caver(testRPCURL)
+        accountKeys = {}
+        sandbox.stub(caver.rpc.klay, 'getAccountKey').callsFake(address => Promise.resolve(accountKeys[address.toLowerCase()] || null))
+    })
+
+    afterEach(() => {
+        sandbox.restore()
+    })
+
+    context('CAVERJS-UNIT-VALIDATOR-001: validateTransaction with AccountKeyLegacy and AccountKeyPublic', () => {
+        it('should return true when the transaction is signed with the key of the account', async () => {
+            const sender = caver.wallet.keyring.generate()
+            const tx = new caver.transaction.valueTransfer(Object.assign({ from: sender.address, to, value: 1 }, commonFields))
+            await tx.sign(sender)
+
+            // The account which does not exist in the Klaytn network has AccountKeyLegacy.
+            expect(await caver.validator.validateTransaction(tx)).to.be.true
+            expect(caver.rpc.klay.getAccountKey).to.have.been.calledWith(sender.address, 'latest')
+
+            accountKeys[sender.address] = { keyType: 1, key: {} }
+            expect(await caver.validator.validateTransaction(tx)).to.be.true
+        })
+
+        it('should return false when the transaction is signed with the other key', async () => {
+            const sender = caver.wallet.keyring.generate()
+            const decoupled = caver.wallet.keyring.create(sender.address, caver.wallet.keyring.generateSingleKey())
+            const tx = new caver.transaction.valueTransfer(Object.assign({ from: sender.address, to, value: 1 }, commonFields))
+            await tx.sign(decoupled)
+
+            expect(await caver.validator.validateTransaction(tx)).to.be.false
+
+            accountKeys[sender.address] = publicKeyOf(decoupled.getPublicKey())
+            expect(await caver.validator.validateTransaction(tx)).to.be.true
+
+            accountKeys[sender.address] = { keyType: 3, key: {} }
+            expect(await caver.validator.validateTransaction(tx)).to.be.false
+        })
+
+        it('should return false when the legacy transaction is sent from the account which does not have AccountKeyLegacy', async () => {
+            const sender = caver.wallet.keyring.generate()
+            const tx = new caver.transaction.legacyTransaction(Object.assign({ to, value: 1 }, commonFields))
+            await tx.sign(sender)
+
+            expect(await caver.validator.validateTransaction(tx)).to.be.true
+
+            accountKeys[sender.address] = publicKeyOf(sender.getPublicKey())
+            expect(await caver.validator.validateTransaction(tx)).to.be.false
+        })
+    })
+
+    context('CAVERJS-UNIT-VALIDATOR-002: validateTransaction with AccountKeyWeightedMultiSig', () => {
+        let sender
+        let keyrings
+
+        beforeEach(() => {
+            const privateKeys = caver.wallet.keyring.generateMultipleKeys(3)
+            sender = caver.wallet.keyring.createWithMultipleKey(caver.wallet.keyring.generate().address, privateKeys)
+            keyrings = privateKeys.map(key => caver.wallet.keyring.create(sender.address, key))
+            accountKeys[sender.address] = multiSigOf(3, sender.getPublicKey(), [2, 1, 1])
+        })
+
+        it('should return true when the weighted sum of the signatures reaches the threshold', async () => {
+            const tx = new caver.transaction.valueTransfer(Object.assign({ from: sender.address, to, value: 1 }, commonFields))
+            await tx.sign(keyrings[0])
+            await tx.sign(keyrings[2])
+
+            expect(await caver.validator.validateTransaction(tx)).to.be.true
+        })
+
+        it('should return false when the transaction is under-signed', async () => {
+            const tx = new caver.transaction.valueTransfer(Object.assign({ from: sender.address, to, value: 1 }, commonFields))
+            await tx.sign(keyrings[1])
+            await tx.sign(keyrings[2])
+            // The signature of the key which is not in the account key is not counted.
+            await tx.sign(caver.wallet.keyring.create(sender.address, caver.wallet.keyring.generateSingleKey()))
+
+            expect(await caver.validator.validateTransaction(tx)).to.be.false
+        })
+    })
+
+    context('CAVERJS-UNIT-VALIDATOR-003: validateTransaction with AccountKeyRoleBased', () => {
+        let sender
+
+        beforeEach(() => {
+            sender = caver.wallet.keyring.createWithRoleBasedKey(
+                caver.wallet.keyring.generate().address,
+                caver.wallet.keyring.generateRoleBasedKeys([1, 2, 1])
+            )
+            const publicKeys = sender.getPublicKey()
+            accountKeys[sender.address] = {
+                keyType: 5,
+                key: [publicKeyOf(publicKeys[0][0]), multiSigOf(2, publicKeys[1], [1, 1]), publicKeyOf(publicKeys[2][0])],
+            }
+        })
+
+        it('should validate the signatures with the key of the role', async () => {
+            const tx = new caver.transaction.valueTransfer(Object.assign({ from: sender.address, to, value: 1 }, commonFields))
+            await tx.sign(sender)
+            expect(await caver.validator.validateTransaction(tx)).to.be.true
+
+            const update = new caver.transaction.accountUpdate(
+                Object.assign({ from: sender.address, account: caver.account.createWithAccountKeyLegacy(sender.address) }, commonFields)
+            )
+            await update.sign(sender, 0)
+            expect(await caver.validator.validateTransaction(update)).to.be.false
+
+            await update.sign(sender, 1)
+            expect(await caver.validator.validateTransaction(update)).to.be.true
+        })
+
+        it('should use roleTransactionKey when the key of the role is not defined', async () => {
+            accountKeys[sender.address].key = accountKeys[sender.address].key.slice(0, 1)
+            const update = new caver.transaction.accountUpdate(
+                Object.assign({ from: sender.address, account: caver.account.createWithAccountKeyLegacy(sender.address) }, commonFields)
+            )
+            await update.sign(caver.wallet.keyring.create(sender.address, sender.roleTransactionKey[0].privateKey))
+
+            expect(await caver.validator.validateTransaction(update)).to.be.true
+        })
+
+        it('should validate the fee payer signatures with roleFeePayerKey of the fee payer', async () => {
+            const feePayerKeyring = sender
+            const txSender = caver.wallet.keyring.generate()
+            const tx = new caver.transaction.feeDelegatedValueTransfer(
+                Object.assign({ from: txSender.address, to, value: 1 }, commonFields)
+            )
+            await tx.sign(txSender)
+            expect(await caver.validator.validateTransaction(tx)).to.be.false
+
+            await tx.signAsFeePayer(feePayerKeyring)
+            expect(await caver.validator.validateFeePayer(tx)).to.be.true
+            expect(await caver.validator.validateTransaction(tx)).to.be.true
+
+            tx.feePayerSignatures = []
+            await tx.signAsFeePayer(caver.wallet.keyring.create(feePayerKeyring.address, feePayerKeyring.roleTransactionKey[0].privateKey))
+            expect(await caver.validator.validateTransaction(tx)).to.be.false
+        })
+    })
+
+    context('CAVERJS-UNIT-VALIDATOR-004: input: invalid transactions', () => {
+        it('should return false when the transaction is not signed', async () => {
+            const tx = new caver.transaction.valueTransfer(Object.assign({ from: to, to, value: 1 }, commonFields))
+            expect(await caver.validator.validateTransaction(tx)).to.be.false
+        })
+
+        it('should throw an error when validateFeePayer is called with the transaction which is not fee delegated', async () => {
+            const tx = new caver.transaction.valueTransfer(Object.assign({ from: to, to, value: 1 }, commonFields))
+            await expect(caver.validator.validateFeePayer(tx)).to.be.rejectedWith(
+                'The transaction type [TxTypeValueTransfer] is not a fee delegated transaction.'
+            )
+        })
+    })
+})
@@ -17,6 +17,9 @@
 */
 
 const _ = require('lodash')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
 const chai = require('chai')
 const sinon = require('sinon')
 const sinonChai = require('sinon-chai')
@@ -124,6 +127,42 @@ describe('wallet.generate', () => {
     })
 })
 
+describe('wallet.generateFromMnemonic', () => {
+    const mnemonic = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+
+    context('CAVERJS-UNIT-KEYRINGCONTAINER-059: input: mnemonic, number of keyrings to make', () => {
+        it('should derive keyring instances from mnemonic and add to in-memory wallet', () => {
+            const addSpy = sinon.spy(caver.wallet, 'add')
+
+            const addresses = caver.wallet.generateFromMnemonic(mnemonic, 3)
+
+            expect(addresses.length).to.equal(3)
+            expect(caver.wallet.length).to.equal(3)
+            expect(addSpy).to.have.been.callCount(3)
+            expect(addresses[0].toLowerCase()).to.equal('0x9bcad3fbdea1a39445f06c7c7f064b712ffb882f')
+            for (let i = 0; i < addresses.length; i++) {
+                const expected = caver.wallet.keyring.createFromMnemonic(mnemonic, `m/44'/8217'/0'/0/${i}`)
+                expect(caver.wallet.getKeyring(addresses[i]).key.privateKey).to.equal(expected.key.privateKey)
+            }
+        })
+    })
+
+    context('CAVERJS-UNIT-KEYRINGCONTAINER-060: input: mnemonic, number of keyrings to make, path', () => {
+        it('should derive keyring instances at the path', () => {
+            const addresses = caver.wallet.generateFromMnemonic(mnemonic, 2, "m/44'/8217'/1'/0")
+
+            const expected = caver.wallet.keyring.createFromMnemonic(mnemonic, "m/44'/8217'/1'/0/1")
+            expect(addresses[1]).to.equal(expected.address)
+        })
+    })
+
+    context('CAVERJS-UNIT-KEYRINGCONTAINER-061: input: invalid mnemonic', () => {
+        it('should throw error', () => {
+            expect(() => caver.wallet.generateFromMnemonic('abandon abandon', 1)).to.throw('Invalid mnemonic')
+        })
+    })
+})
+
 describe('wallet.newKeyring', () => {
     context('CAVERJS-UNIT-KEYRINGCONTAINER-003: input: address, single private key string', () => {
         it('should create keyring instances with parameters and add to in-memory wallet', () => {
@@ -845,6 +884,291 @@ describe('wallet.signAsFeePayer', () => {
     })
 })
 
+describe('wallet.save and wallet.load', () => {
+    const password = 'password'
+    let keystoreDir
+
+    beforeEach(() => {
+        keystoreDir = fs.mkdtempSync(path.join(os.tmpdir(), 'caver-keystore-'))
+    })
+
+    afterEach(() => {
+        for (const fileName of fs.readdirSync(keystoreDir)) fs.unlinkSync(path.join(keystoreDir, fileName))
+        fs.rmdirSync(keystoreDir)
+    })
+
+    function generateKeyringsInWallet() {
+        const single = caver.wallet.add(caver.wallet.keyring.generate())
+        const multiple = caver.wallet.add(
+            caver.wallet.keyring.createWithMultipleKey(
+                caver.wallet.keyring.generate().address,
+                caver.wallet.keyring.generateMultipleKeys(3)
+            )
+        )
+        const roleBased = caver.wallet.add(
+            caver.wallet.keyring.createWithRoleBasedKey(
+                caver.wallet.keyring.generate().address,
+                caver.wallet.keyring.generateRoleBasedKeys([2, 0, 1])
+            )
+        )
+        return [single, multiple, roleBased]
+    }
+
+    context('CAVERJS-UNIT-KEYRINGCONTAINER-052: input: password with FileKeystoreStorage', () => {
+        it('should store keystore v4 files and restore keyrings', async () => {
+            caver.wallet.setStorage(new caver.wallet.keystoreStorage.FileKeystoreStorage(keystoreDir))
+            const keyrings = generateKeyringsInWallet()
+
+            const saved = await caver.wallet.save(password)
+            expect(saved.length).to.equal(3)
+            expect(fs.readdirSync(keystoreDir).length).to.equal(3)
+
+            for (const keyring of keyrings) {
+                const keystore = JSON.parse(fs.readFileSync(path.join(keystoreDir, `${keyring.address.toLowerCase()}.json`), 'utf8'))
+                expect(keystore.version).to.equal(4)
+                expect(keystore.address).to.equal(keyring.address.toLowerCase())
+            }
+
+            const restoredWallet = new caver.wallet.constructor([], new caver.wallet.keystoreStorage.FileKeystoreStorage(keystoreDir))
+            const loaded = await restoredWallet.load(password)
+
+            expect(loaded.length).to.equal(3)
+            expect(restoredWallet.length).to.equal(3)
+            for (const keyring of keyrings) {
+                validateKeyringInWallet(restoredWallet.getKeyring(keyring.address), {
+                    expectedAddress: keyring.address,
+                    expectedKey: keyring.keys || keyring.key,
+                })
+            }
+        })
+    })
+
+    context('CAVERJS-UNIT-KEYRINGCONTAINER-053: input: password with LocalKeystoreStorage', () => {
+        it('should store keystores to localStorage and restore keyrings', async () => {
+            const items = new Map()
+            const storage = {
+                get length() {
+                    return items.size
+                },
+                key: i => Array.from(items.keys())[i],
+                getItem: key => (items.has(key) ? items.get(key) : null),
+                setItem: (key, value) => items.set(key, value),
+                removeItem: key => items.delete(key),
+            }
+            caver.wallet.setStorage(new caver.wallet.keystoreStorage.LocalKeystoreStorage({ storage }))
+            const keyrings = generateKeyringsInWallet()
+
+            await caver.wallet.save(password)
+            expect(items.size).to.equal(3)
+            for (const keyring of keyrings) expect(items.has(`caverjs_wallet_${keyring.address.toLowerCase()}`)).to.be.true
+
+            const restoredWallet = new caver.wallet.constructor([], new caver.wallet.keystoreStorage.LocalKeystoreStorage({ storage }))
+            await restoredWallet.load(password)
+
+            expect(restoredWallet.length).to.equal(3)
+            validateKeyringInWallet(restoredWallet.getKeyring(keyrings[0].address), {
+                expectedAddress: keyrings[0].address,
+                expectedKey: keyrings[0].key,
+            })
+        })
+    })
+
+    context('CAVERJS-UNIT-KEYRINGCONTAINER-054: input: password, loaded keystores', () => {
+        it('should decrypt keystore when the keyring is used for the first time', async () => {
+            caver.wallet.setStorage(new caver.wallet.keystoreStorage.FileKeystoreStorage(keystoreDir))
+            const keyrings = generateKeyringsInWallet()
+            await caver.wallet.save(password)
+
+            const restoredWallet = new caver.wallet.constructor([], caver.wallet.storage)
+            const decryptSpy = sinon.spy(caver.wallet.keyring, 'decrypt')
+            await restoredWallet.load(password)
+
+            expect(decryptSpy).not.to.have.been.called
+            expect(restoredWallet.isExisted(keyrings[0].address)).to.be.true
+            expect(decryptSpy).not.to.have.been.called
+
+            const vt = generateValueTransfer(keyrings[0])
+            await restoredWallet.sign(keyrings[0].address, vt)
+            expect(decryptSpy).to.have.been.calledOnce
+            expect(vt.signatures.length).to.equal(1)
+
+            restoredWallet.getKeyring(keyrings[0].address)
+            expect(decryptSpy).to.have.been.calledOnce
+
+            decryptSpy.restore()
+        })
+    })
+
+    context('CAVERJS-UNIT-KEYRINGCONTAINER-055: input: wrong password', () => {
+        it('should throw error when decrypting keystore', async () => {
+            caver.wallet.setStorage(new caver.wallet.keystoreStorage.FileKeystoreStorage(keystoreDir))
+            const keyrings = generateKeyringsInWallet()
+            await caver.wallet.save(password)
+
+            const restoredWallet = new caver.wallet.constructor([], caver.wallet.storage)
+            await restoredWallet.load('wrong password')
+            expect(() => restoredWallet.getKeyring(keyrings[0].address)).to.throw('Key derivation failed - possibly wrong password')
+
+            const notLazyWallet = new caver.wallet.constructor([], caver.wallet.storage)
+            await expect(notLazyWallet.load('wrong password', { lazy: false })).to.be.rejectedWith(
+                'Key derivation failed - possibly wrong password'
+            )
+            expect(notLazyWallet.length).to.equal(0)
+
+            // retrying with the right password loads all keystores
+            const loaded = await notLazyWallet.load(password, { lazy: false })
+            expect(loaded.length).to.equal(keyrings.length)
+            expect(notLazyWallet.getKeyring(keyrings[0].address).address).to.equal(keyrings[0].address)
+        })
+    })
+
+    context('CAVERJS-UNIT-KEYRINGCONTAINER-056: input: password after removing keyring', () => {
+        it('should remove keystore from the storage', async () => {
+            caver.wallet.setStorage(new caver.wallet.keystoreStorage.FileKeystoreStorage(keystoreDir))
+            const keyrings = generateKeyringsInWallet()
+            await caver.wallet.save(password)
+
+            const restoredWallet = new caver.wallet.constructor([], caver.wallet.storage)
+            await restoredWallet.load(password)
+            expect(restoredWallet.remove(keyrings[1].address)).to.be.true
+            expect(restoredWallet.length).to.equal(2)
+
+            await restoredWallet.save(password)
+            expect(fs.readdirSync(keystoreDir).length).to.equal(2)
+            expect(fs.existsSync(path.join(keystoreDir, `${keyrings[1].address.toLowerCase()}.json`))).to.be.false
+        })
+    })
+
+    context('CAVERJS-UNIT-KEYRINGCONTAINER-057: input: storage not set', () => {
+        it('should throw error', async () => {
+            await expect(caver.wallet.save(password)).to.be.rejectedWith(`Keystore storage is not defined.`)
+            await expect(caver.wallet.load(password)).to.be.rejectedWith(`Keystore storage is not defined.`)
+        })
+    })
+
+    context('CAVERJS-UNIT-KEYRINGCONTAINER-058: input: invalid custom storage', () => {
+        it('should throw error', () => {
+            expect(() => caver.wallet.setStorage({ getAddresses: () => [] })).to.throw(
+                `Invalid keystore storage: 'getKeystore' function is not implemented in the storage.`
+            )
+        })
+    })
+})
+
+describe('wallet.encrypt and wallet.decrypt', () => {
+    const password = 'password'
+
+    function privateKeysOf(keyring) {
+        if (keyring instanceof caver.wallet.keyring.singleKeyring) return keyring.key.privateKey
+        if (keyring instanceof caver.wallet.keyring.multipleKeyring) return keyring.keys.map(k => k.privateKey)
+        return keyring.keys.map(roled => roled.map(k => k.privateKey))
+    }
+
+    function addKeyrings() {
+        return [
+            caver.wallet.add(caver.wallet.keyring.generate()),
+            caver.wallet.add(generateMultiSigKeyring(2)),
+            caver.wallet.add(generateRoleBasedKeyring([1, 0, 2])),
+        ]
+    }
+
+    context('CAVERJS-UNIT-KEYRINGCONTAINER-062: input: password', () => {
+        it('should return keystore v4 array of all keyrings which can be decrypted in another keyringContainer', async () => {
+            const keyrings = addKeyrings()
+            const progress = []
+
+            const keystores = await caver.wallet.encrypt(password, { progressCallback: p => progress.push(p) })
+
+            expect(keystores.length).to.equal(3)
+            for (const keystore of keystores) expect(keystore.version).to.equal(4)
+            expect(progress[progress.length - 1]).to.equal(1)
+            expect(progress.every((p, i) => i === 0 || p >= progress[i - 1])).to.be.true
+
+            const wallet = new caver.wallet.constructor()
+            const addresses = await wallet.decrypt(keystores, password)
+
+            expect(addresses).to.deep.equal(keyrings.map(k => k.address))
+            for (const keyring of keyrings) {
+                expect(privateKeysOf(wallet.getKeyring(keyring.address))).to.deep.equal(privateKeysOf(keyring))
+            }
+        })
+    })
+
+    context('CAVERJS-UNIT-KEYRINGCONTAINER-063: input: password, options with bundle', () => {
+        it('should return a bundle document which can be decrypted from JSON string', async () => {
+            const keyrings = addKeyrings()
+
+            const bundle = await caver.wallet.encrypt(password, { bundle: true, n: 1024 })
+
+            expect(bundle.id).not.to.be.undefined
+            expect(bundle.keystores.length).to.equal(3)
+            expect(bundle.keystores[0].keyring[0].kdfparams.n).to.equal(1024)
+
+            const wallet = new caver.wallet.constructor()
+            const progress = []
+            await wallet.decrypt(JSON.stringify(bundle), password, { progressCallback: p => progress.push(p) })
+
+            expect(wallet.length).to.equal(3)
+            expect(progress[progress.length - 1]).to.equal(1)
+            expect(privateKeysOf(wallet.getKeyring(keyrings[2].address))).to.deep.equal(privateKeysOf(keyrings[2]))
+        })
+    })
+
+    context('CAVERJS-UNIT-KEYRINGCONTAINER-064: input: password with keystores loaded from the storage', () => {
+        it('should include keystores which are not decrypted yet', async () => {
+            const keyring = caver.wallet.keyring.generate()
+            const keystore = keyring.encrypt(password)
+            const wallet = new caver.wallet.constructor([], {
+                getAddresses: async () => [keyring.address],
+                getKeystore: async () => keystore,
+                setKeystore: async () => {},
+                removeKeystore: async () => {},
+            })
+            await wallet.load(password)
+
+            const sameFromLoaded = await wallet.encrypt(password)
+            expect(sameFromLoaded[0]).to.deep.equal(keystore)
+
+            const changed = await wallet.encrypt('newPassword')
+            expect(caver.wallet.keyring.decrypt(changed[0], 'newPassword').key.privateKey).to.equal(keyring.key.privateKey)
+        })
+    })
+
+    context('CAVERJS-UNIT-KEYRINGCONTAINER-065: input: keystores with wrong password', () => {
+        it('should throw error and not add any keyring', async () => {
+            addKeyrings()
+            const keystores = await caver.wallet.encrypt(password)
+
+            const wallet = new caver.wallet.constructor()
+            await expect(wallet.decrypt(keystores, 'wrong')).to.be.rejectedWith('Key derivation failed - possibly wrong password')
+            expect(wallet.length).to.equal(0)
+        })
+    })
+
+    context('CAVERJS-UNIT-KEYRINGCONTAINER-066: input: keystores of existing keyrings', () => {
+        it('should throw error', async () => {
+            const keyring = caver.wallet.add(caver.wallet.keyring.generate())
+            const keystores = await caver.wallet.encrypt(password)
+
+            await expect(caver.wallet.decrypt(keystores, password)).to.be.rejectedWith(`Duplicate Account ${keyring.address}`)
+        })
+    })
+
+    context('CAVERJS-UNIT-KEYRINGCONTAINER-067: input: keystores with a duplicate address', () => {
+        it('should throw error and not add any keyring', async () => {
+            addKeyrings()
+            const keystores = await caver.wallet.encrypt(password)
+            keystores.push(keystores[1])
+
+            const wallet = new caver.wallet.constructor()
+            await expect(wallet.decrypt(keystores, password)).to.be.rejectedWith(
+                `Duplicate Account ${keystores[1].address} in the keystores.`
+            )
+            expect(wallet.length).to.equal(0)
+        })
+    })
+})
+
 function generateValueTransfer(keyring) {
     return new ValueTransfer({
         from: keyring.address,
@@ -1775,3 +1775,228 @@ describe('keyring.isDecoupled', () => {
         })
     })
 })
+
+describe('keyring derivation from mnemonic', () => {
+    const mnemonic = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+    const expectedPrivateKey = '0xb3a102dac6adc74c556ad078399b020bb90386987883122c27443865b5ed5b9e'
+    const expectedAddress = '0x9bcad3fbdea1a39445f06c7c7f064b712ffb882f'
+
+    context('caver.wallet.keyring.generateMnemonic', () => {
+        it('CAVERJS-UNIT-KEYRING-170: should generate valid mnemonic', () => {
+            const generated = caver.wallet.keyring.generateMnemonic()
+            expect(generated.split(' ').length).to.equal(12)
+            expect(caver.wallet.keyring.isValidMnemonic(generated)).to.be.true
+
+            expect(caver.wallet.keyring.generateMnemonic(256).split(' ').length).to.equal(24)
+            expect(caver.wallet.keyring.generateMnemonic(`0x${'00'.repeat(16)}`)).to.equal(mnemonic)
+        })
+
+        it('CAVERJS-UNIT-KEYRING-171: should throw error with invalid strength', () => {
+            expect(() => caver.wallet.keyring.generateMnemonic(100)).to.throw('Invalid strength')
+        })
+    })
+
+    context('caver.wallet.keyring.isValidMnemonic', () => {
+        it('CAVERJS-UNIT-KEYRING-172: should return boolean whether valid mnemonic or not', () => {
+            expect(caver.wallet.keyring.isValidMnemonic(mnemonic)).to.be.true
+            expect(caver.wallet.keyring.isValidMnemonic(mnemonic.replace('about', 'abandon'))).to.be.false
+        })
+    })
+
+    context('caver.wallet.keyring.createFromMnemonic', () => {
+        it('CAVERJS-UNIT-KEYRING-173: should derive keyring at default path', () => {
+            const keyring = caver.wallet.keyring.createFromMnemonic(mnemonic)
+            expect(keyring instanceof SingleKeyring).to.be.true
+            expect(keyring.key.privateKey).to.equal(expectedPrivateKey)
+            expect(keyring.address).to.equal(expectedAddress)
+            expect(caver.wallet.keyring.hdPath).to.equal("m/44'/8217'/0'/0/0")
+        })
+
+        it('CAVERJS-UNIT-KEYRING-174: should derive different keyring with path or password', () => {
+            const withPath = caver.wallet.keyring.createFromMnemonic(mnemonic, "m/44'/8217'/0'/0/1")
+            const withPassword = caver.wallet.keyring.createFromMnemonic(mnemonic, undefined, 'password')
+            expect(withPath.address).not.to.equal(expectedAddress)
+            expect(withPassword.address).not.to.equal(expectedAddress)
+            expect(withPath.address).not.to.equal(withPassword.address)
+        })
+
+        it('CAVERJS-UNIT-KEYRING-175: should throw error with invalid mnemonic or path', () => {
+            expect(() => caver.wallet.keyring.createFromMnemonic('invalid mnemonic')).to.throw('Invalid mnemonic')
+            expect(() => caver.wallet.keyring.createFromMnemonic(mnemonic, "44'/8217'/0'/0/0")).to.throw('Invalid derivation path')
+        })
+    })
+
+    context('caver.wallet.keyring.createWithMultipleKeyFromMnemonic', () => {
+        it('CAVERJS-UNIT-KEYRING-176: should derive multiple keyring', () => {
+            const keyring = caver.wallet.keyring.createWithMultipleKeyFromMnemonic(mnemonic, 3)
+            expect(keyring instanceof MultipleKeyring).to.be.true
+            expect(keyring.address).to.equal(expectedAddress)
+            expect(keyring.keys.length).to.equal(3)
+            expect(keyring.keys[0].privateKey).to.equal(expectedPrivateKey)
+            expect(keyring.keys[2].privateKey).to.equal(
+                caver.wallet.keyring.createFromMnemonic(mnemonic, "m/44'/8217'/0'/0/2").key.privateKey
+            )
+        })
+
+        it('CAVERJS-UNIT-KEYRING-177: should derive multiple keyring with address', () => {
+            const address = caver.wallet.keyring.generate().address
+            const keyring = caver.wallet.keyring.createWithMultipleKeyFromMnemonic(mnemonic, 2, "m/44'/8217'/1'/0", { address })
+            expect(keyring.address).to.equal(address)
+            expect(keyring.keys[1].privateKey).to.equal(
+                caver.wallet.keyring.createFromMnemonic(mnemonic, "m/44'/8217'/1'/0/1").key.privateKey
+            )
+        })
+
+        it('CAVERJS-UNIT-KEYRING-178: should throw error when number of keys is not defined', () => {
+            expect(() => caver.wallet.keyring.createWithMultipleKeyFromMnemonic(mnemonic)).to.throw(
+                'To derive multiple private keys, the number of keys should be defined.'
+            )
+        })
+    })
+
+    context('caver.wallet.keyring.createWithRoleBasedKeyFromMnemonic', () => {
+        it('CAVERJS-UNIT-KEYRING-179: should derive role-based keyring', () => {
+            const keyring = caver.wallet.keyring.createWithRoleBasedKeyFromMnemonic(mnemonic, [2, 1, 3])
+            expect(keyring instanceof RoleBasedKeyring).to.be.true
+            expect(keyring.address).to.equal(expectedAddress)
+            expect(keyring.roleTransactionKey.length).to.equal(2)
+            expect(keyring.roleAccountUpdateKey.length).to.equal(1)
+            expect(keyring.roleFeePayerKey.length).to.equal(3)
+            expect(keyring.roleTransactionKey[0].privateKey).to.equal(expectedPrivateKey)
+            expect(keyring.roleFeePayerKey[2].privateKey).to.equal(
+                caver.wallet.keyring.createFromMnemonic(mnemonic, "m/44'/8217'/0'/2/2").key.privateKey
+            )
+        })
+
+        it('CAVERJS-UNIT-KEYRING-180: should derive role-based keyring without transaction key', () => {
+            const keyring = caver.wallet.keyring.createWithRoleBasedKeyFromMnemonic(mnemonic, [0, 1])
+            expect(keyring.address).to.equal(expectedAddress)
+            expect(keyring.keys[0].length).to.equal(0)
+            expect(keyring.keys[1].length).to.equal(1)
+            expect(keyring.keys[2].length).to.equal(0)
+        })
+
+        it('CAVERJS-UNIT-KEYRING-181: should throw error with invalid array', () => {
+            expect(() => caver.wallet.keyring.createWithRoleBasedKeyFromMnemonic(mnemonic, [1, 1, 1, 1])).to.throw('Unsupported role.')
+            expect(() => caver.wallet.keyring.createWithRoleBasedKeyFromMnemonic(mnemonic)).to.throw('To derive role-based private keys')
+        })
+    })
+})
+
+describe('keyring.encryptAsync and caver.wallet.keyring.decryptAsync', () => {
+    const password = 'password'
+
+    it('CAVERJS-UNIT-KEYRING-182: should encrypt and decrypt single keyring asynchronously with progress', async () => {
+        const keyring = caver.wallet.keyring.generate()
+        const encryptProgress = []
+        const keystore = await keyring.encryptAsync(password, { progressCallback: p => encryptProgress.push(p) })
+
+        expect(keystore.version).to.equal(4)
+        expect(keystore.address).to.equal(keyring.address)
+        expect(encryptProgress[0]).to.equal(0)
+        expect(encryptProgress[encryptProgress.length - 1]).to.equal(1)
+
+        // The keystore encrypted asynchronously can be decrypted synchronously.
+        expect(caver.wallet.keyring.decrypt(keystore, password).key.privateKey).to.equal(keyring.key.privateKey)
+
+        const decryptProgress = []
+        const decrypted = await caver.wallet.keyring.decryptAsync(keystore, password, { progressCallback: p => decryptProgress.push(p) })
+        expect(decrypted.key.privateKey).to.equal(keyring.key.privateKey)
+        expect(decryptProgress[decryptProgress.length - 1]).to.equal(1)
+    })
+
+    it('CAVERJS-UNIT-KEYRING-183: should encrypt and decrypt multiple keyring asynchronously', async () => {
+        const keyring = generateMultiSigKeyring(3)
+        const keystore = await keyring.encryptAsync(password, { kdf: 'pbkdf2', c: 1024 })
+        expect(keystore.keyring.length).to.equal(3)
+        expect(keystore.keyring[0].kdf).to.equal('pbkdf2')
+
+        const decrypted = await caver.wallet.keyring.decryptAsync(keystore, password)
+        expect(decrypted instanceof MultipleKeyring).to.be.true
+        expect(decrypted.keys.map(k => k.privateKey)).to.deep.equal(keyring.keys.map(k => k.privateKey))
+    })
+
+    it('CAVERJS-UNIT-KEYRING-184: should encrypt and decrypt role-based keyring asynchronously with overall progress', async () => {
+        const keyring = generateRoleBasedKeyring([2, 0, 1])
+        const progress = []
+        const keystore = await keyring.encryptAsync(password, { progressCallback: p => progress.push(p) })
+        expect(keystore.keyring.map(roled => roled.length)).to.deep.equal([2, 0, 1])
+        expect(progress.every((p, i) => i === 0 || p >= progress[i - 1])).to.be.true
+
+        const decrypted = await caver.wallet.keyring.decryptAsync(keystore, password)
+        expect(decrypted instanceof RoleBasedKeyring).to.be.true
+        expect(decrypted.keys.map(roled => roled.map(k => k.privateKey))).to.deep.equal(
+            keyring.keys.map(roled => roled.map(k => k.privateKey))
+        )
+        expect(caver.wallet.keyring.decrypt(keystore, password).keys[2][0].privateKey).to.equal(keyring.keys[2][0].privateKey)
+    })
+
+    it('CAVERJS-UNIT-KEYRING-185: should throw error when decrypt asynchronously with wrong password', async () => {
+        const keystore = caver.wallet.keyring.generate().encrypt(password)
+        let error
+        try {
+            await caver.wallet.keyring.decryptAsync(keystore, 'wrong')
+        } catch (e) {
+            error = e
+        }
+        expect(error.message).to.equal('Key derivation failed - possibly wrong password')
+    })
+
+    it('CAVERJS-UNIT-KEYRING-189: should cancel the encryption when progressCallback returns true', async () => {
+        const keyring = caver.wallet.keyring.generate()
+        let error
+        try {
+            await keyring.encryptAsync(password, { progressCallback: p => p > 0 })
+        } catch (e) {
+            error = e
+        }
+        expect(error.message).to.equal('cancelled')
+    })
+})
+
+describe('caver.wallet.keyring.encrypt and caver.wallet.keyring.encryptV3', () => {
+    const password = 'password'
+
+    it('CAVERJS-UNIT-KEYRING-186: should encrypt private key, KlaytnWalletKey and keyring', () => {
+        const keyring = caver.wallet.keyring.generate()
+
+        const fromKey = caver.wallet.keyring.encrypt(keyring.key.privateKey, password)
+        expect(fromKey.address).to.equal(keyring.address)
+
+        const fromKeyring = caver.wallet.keyring.encrypt(keyring, password)
+        expect(caver.wallet.keyring.decrypt(fromKeyring, password).key.privateKey).to.equal(keyring.key.privateKey)
+
+        const fromWalletKey = caver.wallet.keyring.encryptV3(keyring.getKlaytnWalletKey(), password, { address: keyring.address })
+        expect(fromWalletKey.version).to.equal(3)
+        expect(fromWalletKey.address).to.equal(keyring.address)
+    })
+
+    it('CAVERJS-UNIT-KEYRING-187: should encrypt multiple keys and role-based keys with address', () => {
+        const address = caver.wallet.keyring.generate().address
+        const keys = caver.wallet.keyring.generateMultipleKeys(2)
+        const roleBasedKeys = caver.wallet.keyring.generateRoleBasedKeys([1, 1, 1])
+
+        const multiple = caver.wallet.keyring.encrypt(keys, password, { address })
+        expect(multiple.keyring.length).to.equal(2)
+
+        const roleBased = caver.wallet.keyring.encrypt(roleBasedKeys, password, { address })
+        expect(caver.wallet.keyring.decrypt(roleBased, password) instanceof RoleBasedKeyring).to.be.true
+
+        expect(() => caver.wallet.keyring.encrypt(keys, password)).to.throw(
+            'The address must be defined inside the options object to encrypt multiple keys.'
+        )
+    })
+
+    it('CAVERJS-UNIT-KEYRING-188: should throw error when address does not match KlaytnWalletKey', () => {
+        const keyring = caver.wallet.keyring.generate()
+        const address = caver.wallet.keyring.generate().address
+
+        expect(() => caver.wallet.keyring.encrypt(keyring.getKlaytnWalletKey(), password, { address })).to.throw(
+            `The address defined in options(${address}) does not match the address of KlaytnWalletKey(${keyring.address}) entered as a parameter.`
+        )
+        expect(() => caver.wallet.keyring.encryptV3(generateMultiSigKeyring(), password)).to.throw(
+            `Not supported for this class. Use 'keyring.encrypt(password)'.`
+        )
+        expect(() => caver.wallet.keyring.encryptV3(1, password)).to.throw('Invalid parameter.')
+    })
+})
@@ -212,6 +212,29 @@ const makeAccount = (address, type, options) => {
     }
 }
 
+/**
+ * Stubs `send` of the request manager with the sandbox, and returns the array where the payloads of the requests are recorded.
+ * `responses` maps a JSON-RPC method to its result, or to a function which returns the result with the payload.
+ * If the function throws an error, the request fails with the error.
+ * The method which is not in `responses` is answered with `defaultResult`, or fails if `defaultResult` is undefined.
+ */
+const stubRequestManager = (sandbox, requestManager, responses = {}, defaultResult) => {
+    const payloads = []
+    sandbox.stub(requestManager, 'send').callsFake((payload, callback) => {
+        payloads.push(payload)
+
+        let result = responses[payload.method] !== undefined ? responses[payload.method] : defaultResult
+        if (result === undefined) return callback(new Error(`Unexpected request: ${payload.method}`))
+        try {
+            if (typeof result === 'function') result = result(payload)
+        } catch (e) {
+            return callback(e)
+        }
+        callback(null, result)
+    })
+    return payloads
+}
+
 const accountKeyTestCases = {
     LEGACY: 0,
     PUBLIC: 1,
@@ -230,4 +253,5 @@ module.exports = {
     checkFeePayerSignature,
     makeAccount,
     accountKeyTestCases,
+    stubRequestManager,
 }
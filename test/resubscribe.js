@@ -0,0 +1,151 @@
+/*
+    Copyright 2021 The caver-js Authors
+    This file is part of the caver-js library.
+
+    The caver-js library is free software: you can redistribute it and/or modify
+    it under the terms of the GNU Lesser General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    The caver-js library is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+    GNU Lesser General Public License for more details.
+
+    You should have received a copy of the GNU Lesser General Public License
+    along with the caver-js. If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const EventEmitter = require('eventemitter3')
+const { expect } = require('./extendedChai')
+
+const Caver = require('../index.js')
+
+const address = '0x2c8ad0ea2e0781db8b8c9242e07de3a5beabb71a'
+
+// A provider which behaves like the WebsocketProvider that reconnects automatically.
+class FakeWebsocketProvider extends EventEmitter {
+    constructor(handler) {
+        super()
+        this.handler = handler
+        this.payloads = []
+        this.reconnectOptions = { auto: true }
+        this.subscriptionCount = 0
+    }
+
+    send(payload, callback) {
+        this.payloads.push(payload)
+        let result = this.handler(payload)
+        if (payload.method === 'klay_subscribe') result = `0x${(++this.subscriptionCount).toString(16)}`
+        setTimeout(() => callback(null, { jsonrpc: '2.0', id: payload.id, result }))
+    }
+
+    supportsSubscriptions() {
+        return true
+    }
+
+    notify(subscription, result) {
+        this.emit('data', { jsonrpc: '2.0', method: 'klay_subscription', params: { subscription, result } })
+    }
+
+    reconnect() {
+        this.emit('reconnect', 1)
+        this.emit('connect')
+    }
+}
+
+function log(blockNumber, logIndex) {
+    return {
+        address,
+        blockNumber: `0x${blockNumber.toString(16)}`,
+        logIndex: `0x${logIndex.toString(16)}`,
+        blockHash: `0x${blockNumber.toString(16).padStart(64, '0')}`,
+        data: '0x',
+        topics: [],
+    }
+}
+
+const tick = (ms = 5) => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('Resubscribe after reconnection', () => {
+    it('CAVERJS-UNIT-ETC-296: should subscribe again and map the new subscription id to the Subscription', async () => {
+        const provider = new FakeWebsocketProvider(() => '0x10')
+        const caver = new Caver(provider)
+
+        const headers = []
+        const connected = []
+        const subscription = caver.rpc.klay.subscribe('newBlockHeaders', (err, header) => headers.push(header.number))
+        subscription.on('connected', id => connected.push(id))
+        await tick()
+        expect(subscription.id).to.equal('0x1')
+
+        provider.notify('0x1', { number: '0x1' })
+        provider.reconnect()
+        await tick()
+
+        expect(subscription.id).to.equal('0x2')
+        expect(connected).to.deep.equal(['0x1', '0x2'])
+        expect(Object.keys(caver._requestManager.subscriptions)).to.deep.equal(['0x2'])
+        expect(provider.payloads.filter(p => p.method === 'klay_subscribe').map(p => p.params)).to.deep.equal([['newHeads'], ['newHeads']])
+
+        // The notifications of the old subscription are not delivered any more.
+        provider.notify('0x1', { number: '0x2' })
+        provider.notify('0x2', { number: '0x3' })
+        expect(headers).to.deep.equal(['0x1', '0x3'])
+
+        // An unsubscribed subscription is not subscribed again.
+        subscription.unsubscribe()
+        provider.reconnect()
+        await tick()
+        expect(provider.payloads.filter(p => p.method === 'klay_subscribe').length).to.equal(2)
+    })
+
+    it('CAVERJS-UNIT-ETC-297: should emit the logs missed while reconnecting from the last seen log', async () => {
+        let pastLogs = []
+        const provider = new FakeWebsocketProvider(payload => (payload.method === 'klay_getLogs' ? pastLogs : '0x10'))
+        const caver = new Caver(provider)
+
+        const received = []
+        const subscription = caver.rpc.klay.subscribe('logs', { address })
+        subscription.on('data', l => received.push(`${Number(l.blockNumber)}:${Number(l.logIndex)}`))
+        await tick()
+
+        provider.notify('0x1', log(0x20, 1))
+        expect(received).to.deep.equal(['32:1'])
+
+        // The log of 0x21 is notified before klay_getLogs returns.
+        pastLogs = [log(0x20, 1), log(0x20, 2), log(0x21, 0)]
+        provider.reconnect()
+        await tick(1)
+        provider.notify('0x2', log(0x21, 0))
+        provider.notify('0x2', log(0x22, 0))
+        await tick()
+
+        const getLogs = provider.payloads.filter(p => p.method === 'klay_getLogs')
+        expect(getLogs.length).to.equal(1)
+        expect(getLogs[0].params[0].fromBlock).to.equal('0x20')
+        expect(getLogs[0].params[0].toBlock).to.equal('latest')
+        expect(getLogs[0].params[0].address).to.equal(address)
+        expect(received).to.deep.equal(['32:1', '32:2', '33:0', '34:0'])
+
+        provider.notify('0x2', log(0x23, 0))
+        expect(received.length).to.equal(5)
+    })
+
+    it('CAVERJS-UNIT-ETC-298: should backfill from the block of the subscription when no log has been seen', async () => {
+        const provider = new FakeWebsocketProvider(payload => (payload.method === 'klay_getLogs' ? [log(0x10, 0), log(0x11, 0)] : '0x10'))
+        const caver = new Caver(provider)
+
+        const received = []
+        caver.rpc.klay.subscribe('logs', { address }, (err, l) => received.push(Number(l.blockNumber)))
+        await tick()
+        expect(provider.payloads.map(p => p.method)).to.deep.equal(['klay_subscribe', 'klay_blockNumber'])
+
+        provider.reconnect()
+        await tick()
+
+        expect(provider.payloads.find(p => p.method === 'klay_getLogs').params[0].fromBlock).to.equal('0x10')
+        // The logs of the block in which the subscription was created are not emitted.
+        expect(received).to.deep.equal([0x11])
+    })
+})